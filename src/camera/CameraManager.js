@@ -128,6 +128,21 @@ export class CameraManager {
         return unitsToMeters(this.camera.position.distanceTo(worldPoint), this.unitsPerMeter);
     }
 
+    /**
+     * 屏幕空间误差（像素）：几何误差 geometricErrorMeters 在距离 distanceMeters 处投影到屏幕上的高度
+     * @param {number} geometricErrorMeters
+     * @param {number} distanceMeters
+     * @returns {number}
+     */
+    getScreenSpaceError(geometricErrorMeters, distanceMeters) {
+        const cam = this.camera;
+        if (!cam) return 0;
+        const heightPx = Math.max(1, this.container?.clientHeight || 1);
+        const fovY = THREE.MathUtils.degToRad(cam.fov || this.config.fov || 60);
+        const d = Math.max(1e-3, Number(distanceMeters) || 0);
+        return (Number(geometricErrorMeters) || 0) * heightPx / (2 * d * Math.tan(fovY / 2));
+    }
+
     _rayFromNdc(x, y) {
         const cam = this.camera;
         if (!cam) return null;
@@ -1,6 +1,11 @@
 import * as THREE from 'three';
 import { MarkerManager } from '../marker/marker.js';
 import { CustomTerrainSurface } from '../terrain/CustomTerrainSurface.js';
+import { getMathProj } from '../math/proj.js';
+import { geoJsonFeatures } from '../vector/GeoJsonLayer.js';
+import { parseGeoFile } from '../vector/kmlGpx.js';
+import { drawObjectsToFeatures } from '../vector/featureExport.js';
+import { IMG } from '../assets/img/urls.js';
 /**
  * 绘制工具类
  * 提供点线面的绘制API，支持贴地和不贴地两种模式
@@ -12,18 +17,21 @@ export class DrawTool {
      * @param {THREE.Scene} options.scene - Three.js场景
      * @param {Object} options.rgbTerrain - RGB地形实例
      * @param {Object} options.markerManager - 标记管理器实例
+     * @param {Object} [options.mathProj] - 坐标转换工具（导入经纬度数据时使用，默认全局实例）
      */
     constructor(options) {
         this.options = {
             scene: null,
             rgbTerrain: null,
             markerManager: null,
+            mathProj: null,
             ...options
         };
 
         // 保存传递的依赖
         this.scene = this.options.scene;
         this.rgbTerrain = this.options.rgbTerrain;
+        this.mathProj = this.options.mathProj;
         this.markerManager = this.options.markerManager || new MarkerManager(this.scene);
         this.CustomTerrainSurface = null;
         if (this.rgbTerrain) {
@@ -124,11 +132,13 @@ export class DrawTool {
     }
 
     /**
-     * 清除当前绘制的线
+     * 清除当前绘制的线（导入的线保留，由 clearAll / removeObject 清除）
      */
     clearLines() {
         // 清除所有线
+        const kept = this.drawObjects.lines.filter(line => line.imported);
         for (const line of this.drawObjects.lines) {
+            if (line.imported) continue;
             if (line.object) {
                 this.drawObjectsGroup.remove(line.object);
                 // 释放资源
@@ -141,13 +151,14 @@ export class DrawTool {
             }
         }
         // 清空线数组
-        this.drawObjects.lines = [];
+        this.drawObjects.lines = kept;
     }
 
     /**
      * 绘制线（不贴地）
      * @param {Array<THREE.Vector3>} points - 线的顶点数组
      * @param {Object} options - 线的配置选项
+     * @param {boolean} [options.keepExisting=false] - 保留之前绘制的线（批量导入时使用）
      * @returns {string} 线的ID
      */
     drawLine(points, options = {}) {
@@ -157,7 +168,7 @@ export class DrawTool {
         }
 
         // 清除之前的线
-        this.clearLines();
+        if (!options.keepExisting) this.clearLines();
 
         const defaultOptions = {
             color: 0x00ff00,
@@ -250,11 +261,13 @@ export class DrawTool {
     }
 
     /**
-     * 清除当前绘制的面
+     * 清除当前绘制的面（导入的面保留，由 clearAll / removeObject 清除）
      */
     clearAreas() {
         // 清除所有面
+        const kept = this.drawObjects.areas.filter(area => area.imported);
         for (const area of this.drawObjects.areas) {
+            if (area.imported) continue;
             if (area.type === 'terrain_area' && this.CustomTerrainSurface && area.surfaceId) {
                 this.CustomTerrainSurface.removeSurface(area.surfaceId);
             } else if (area.object) {
@@ -269,13 +282,14 @@ export class DrawTool {
             }
         }
         // 清空面数组
-        this.drawObjects.areas = [];
+        this.drawObjects.areas = kept;
     }
 
     /**
      * 绘制面（不贴地）
      * @param {Array<THREE.Vector3>} points - 面的顶点数组
      * @param {Object} options - 面的配置选项
+     * @param {boolean} [options.keepExisting=false] - 保留之前绘制的面（批量导入时使用）
      * @returns {string} 面的ID
      */
     drawArea(points, options = {}) {
@@ -285,7 +299,7 @@ export class DrawTool {
         }
 
         // 清除之前的面
-        this.clearAreas();
+        if (!options.keepExisting) this.clearAreas();
 
         const defaultOptions = {
             color: 0x0000ff,
@@ -421,6 +435,138 @@ export class DrawTool {
     }
 
 
+    /**
+     * 导入 GeoJSON 要素（KML/KMZ/GPX 先经 `parseGeoFile` 转为 GeoJSON）
+     * - 点（KML Placemark / GPX 航点）→ 标记点，名称作为标签
+     * - 线（GPX 航迹/路线、KML LineString/gx:Track）→ 贴地线
+     * - 面（KML Polygon）→ 贴地面（仅外环；贴地面共用一种颜色）
+     * 名称/描述等属性保存在绘制对象信息的 `properties` 中
+     * @param {Object} geojson - FeatureCollection / Feature / 几何
+     * @param {Object} [options] - 导入选项
+     * @param {boolean} [options.ground=true] - 是否贴地（要素 `isGround` 属性优先，见 `toGeoJson`）
+     * @param {number|string} [options.pointColor=0xff0000] - 点颜色（要素 `marker-color` 优先）
+     * @param {number|string} [options.lineColor=0x00ff00] - 线颜色（要素 `stroke` 优先）
+     * @param {number|string} [options.areaColor=0x0000ff] - 面颜色（要素 `fill` 优先）
+     * @param {number} [options.areaOpacity=0.5] - 面透明度（要素 `fill-opacity` 优先）
+     * @returns {{points: string[], lines: string[], areas: string[]}} 新建对象ID
+     */
+    importGeoJson(geojson, options = {}) {
+        const proj = this.mathProj || getMathProj();
+        if (!proj) throw new Error('DrawTool: 导入需要坐标转换工具（mathProj）');
+
+        const opts = {
+            ground: true,
+            pointColor: 0xff0000,
+            lineColor: 0x00ff00,
+            areaColor: 0x0000ff,
+            areaOpacity: 0.5,
+            ...options
+        };
+        const result = { points: [], lines: [], areas: [] };
+        const toThree = (c) => proj.lonLatToThree(Number(c[0]), Number(c[1]), Number(c[2]) || 0);
+        const toColor = (value, fallback) => {
+            try {
+                return new THREE.Color(value ?? fallback).getHex();
+            } catch {
+                return new THREE.Color(fallback).getHex();
+            }
+        };
+        const attach = (id, list, properties) => {
+            if (!id) return;
+            list.push(id);
+            const info = this.getObjectInfo(id);
+            if (info) {
+                info.imported = true;
+                info.properties = { ...properties };
+            }
+        };
+
+        for (const feature of geoJsonFeatures(geojson)) {
+            const props = feature.properties ?? {};
+            const label = String(props.name ?? props.title ?? '');
+            // `isGround` written by `toGeoJson` wins over the import option (session round-trip).
+            const ground = typeof props.isGround === 'boolean' ? props.isGround : opts.ground;
+            const lineOptions = {
+                color: toColor(props.stroke, opts.lineColor),
+                opacity: Number.isFinite(props['stroke-opacity']) ? props['stroke-opacity'] : 1,
+                transparent: Number.isFinite(props['stroke-opacity']) && props['stroke-opacity'] < 1,
+                keepExisting: true
+            };
+            const stack = feature.geometry ? [feature.geometry] : [];
+            while (stack.length) {
+                const g = stack.shift();
+                const c = g.coordinates;
+                switch (g.type) {
+                    case 'GeometryCollection':
+                        stack.push(...(g.geometries ?? []));
+                        break;
+                    case 'Point':
+                    case 'MultiPoint':
+                        for (const p of g.type === 'Point' ? [c] : c) {
+                            const pointOptions = {
+                                color: toColor(props['marker-color'], opts.pointColor),
+                                label,
+                                img: props.icon || IMG.point.point
+                            };
+                            const id = ground
+                                ? this.drawGroundPoint(toThree(p), pointOptions)
+                                : this.drawPoint(toThree(p), pointOptions);
+                            attach(id, result.points, props);
+                        }
+                        break;
+                    case 'LineString':
+                    case 'MultiLineString':
+                        for (const line of g.type === 'LineString' ? [c] : c) {
+                            if (!line || line.length < 2) continue;
+                            const pts = line.map(toThree);
+                            const id = ground ? this.drawGroundLine(pts, lineOptions) : this.drawLine(pts, lineOptions);
+                            attach(id, result.lines, props);
+                        }
+                        break;
+                    case 'Polygon':
+                    case 'MultiPolygon':
+                        for (const rings of g.type === 'Polygon' ? [c] : c) {
+                            const outer = (rings?.[0] ?? []).map(toThree);
+                            if (outer.length > 1 && outer[0].equals(outer[outer.length - 1])) outer.pop();
+                            if (outer.length < 3) continue;
+                            const areaOptions = {
+                                color: toColor(props.fill, opts.areaColor),
+                                opacity: Number.isFinite(props['fill-opacity']) ? props['fill-opacity'] : opts.areaOpacity,
+                                keepExisting: true
+                            };
+                            const id = ground ? this.drawGroundArea(outer, areaOptions) : this.drawArea(outer, areaOptions);
+                            attach(id, result.areas, props);
+                        }
+                        break;
+                    default:
+                        console.warn(`导入时跳过不支持的几何类型：${g.type}`);
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 导入 KML / KMZ / GPX / GeoJSON 文件
+     * @param {File|Blob|ArrayBuffer|string} file - 文件或其内容
+     * @param {Object} [options] - 见 `importGeoJson`；另可指定 `format`（'kml'|'kmz'|'gpx'|'geojson'）
+     * @returns {Promise<{points: string[], lines: string[], areas: string[]}>} 新建对象ID
+     */
+    async importFile(file, options = {}) {
+        const geojson = await parseGeoFile(file, { format: options.format });
+        return this.importGeoJson(geojson, options);
+    }
+
+    /**
+     * 导出所有绘制对象为 GeoJSON（WGS84 经纬度，线附长度、面附面积/周长属性）
+     * @returns {Object} GeoJSON FeatureCollection
+     */
+    toGeoJson() {
+        const proj = this.mathProj || getMathProj();
+        if (!proj) throw new Error('DrawTool: 导出需要坐标转换工具（mathProj）');
+        return { type: 'FeatureCollection', features: drawObjectsToFeatures(this.drawObjects, proj) };
+    }
+
     /**
      * 删除绘制对象
      * @param {string} id - 绘制对象的ID
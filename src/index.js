@@ -18,11 +18,30 @@ const CONFIG = {
     rangeNorthSouth: 20000,
     terrainZoom: 13,
     terrainZoomMin: 5,
+    // Terrain tile source (presets in `src/terrain/terrainSources.js`):
+    // - 'geovisearth' (default) | 'mapbox' | 'maptiler' | 'terrarium' | 'custom' (+ terrainTileUrl)
+    // - terrainTileUrl supports {z}/{x}/{y}/{-y}/{s}/{quadkey}/{token}; terrainYtype: 'xyz' | 'tms'
+    terrainSourceType: 'geovisearth',
+    // Token for the terrain source (geovisearth / mapbox / maptiler); supply your own, do not commit it.
+    terrainToken: null,
+    // Terrain tile elevation encoding: 'mapbox' (terrain-rgb) | 'terrarium' | 'custom'
+    // - defaults to the source preset's encoding; set it only for 'custom' sources or to override the preset
+    // - 'custom' uses terrainEncodingBase + (R*65536 + G*256 + B) * terrainEncodingInterval
+    // - or set `terrainDecoder: (r, g, b, a) => meters` for any other scheme
+    // terrainEncoding: 'terrarium',
     // Global clamp for terrain-tile imagery mosaicing: mapZoom <= terrainZoom + mapMaxZoomDiff
     mapMaxZoomDiff: 2,
     // Terrain is fixed: load only AOI tiles at `terrainZoom` and keep them persistent.
+    // Set true for view-dependent quadtree LOD over the AOI (see `src/terrain/TerrainLod.js`).
     terrainLodsEnabled: false,
+    // terrainLod: { minZoom: 5, maxZoom: 15, maxScreenSpaceError: 4, maxCachedTiles: 128 },
     maxMapZoom: 18,
+    // Imagery overlay layers above the base map (bottom -> top), e.g. Tianditu annotations:
+    // imageryLayers: [{ id: 'cia', baseMapType: 'tianditu-cia', token: '<tk>', opacity: 1, blend: 'normal', minZoom: 3, maxZoom: 18 }],
+    // Persistent IndexedDB cache for terrain + imagery tiles (offline use; see `viewer.seedOfflineCache`).
+    tileCacheEnabled: false,
+    // tileCacheMaxMB: 512,
+    // tileCacheMaxAgeDays: 30,
     terrainOpacity: 1.0,
     terrainColor: 0x8fd3ff,
     // Disable terrain imagery; keep solid color only.
@@ -30,6 +49,7 @@ const CONFIG = {
     // Raster base map (built-in presets):
     // - 'openstreetmap' (default if you omit all map settings)
     // - 'google' | 'tianditu' | 'maptiler' | 'mapbox' | 'bing'
+    // - 'amap' | 'amap-vec' | 'google-cn' (GCJ-02, shifted onto WGS84 terrain; see `mapDatum`)
     baseMapType: 'google',
     // Provider token (used to fill `{token}` / `{key}` / `{accessToken}` placeholders in presets)
     mapToken: null,
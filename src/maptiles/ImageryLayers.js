@@ -0,0 +1,299 @@
+import { ImageryTiles } from './imageryTiles.js';
+import { VectorImageryTiles } from './VectorImageryTiles.js';
+import { resolveBaseMapConfig } from './basemaps.js';
+
+/**
+ * Blend modes shared by the terrain material and the atlas compositor (ids are shader constants).
+ * - normal:   mix(dst, src, a)
+ * - multiply: mix(dst, dst * src, a)
+ * - screen:   mix(dst, 1 - (1 - dst) * (1 - src), a)
+ * - add:      dst + src * a
+ * where `a` = tile alpha * layer opacity.
+ */
+export const IMAGERY_BLEND_MODES = {
+    normal: 0,
+    multiply: 1,
+    screen: 2,
+    add: 3
+};
+
+let _layerSeq = 0;
+
+function finiteOr(v, fallback) {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * One raster layer drawn above the base map (annotation tiles, planning overlays, ...).
+ */
+export class ImageryLayer {
+    /**
+     * @param {Object} options
+     * @param {string} [options.id]
+     * @param {string} [options.name]
+     * @param {string} [options.tileUrl] - XYZ/TMS/WMTS-KVP template, or use `baseMapType` (+ `token`) presets
+     * @param {string} [options.baseMapType] - e.g. 'tianditu-cia' (影像注记), 'tianditu-cva' (矢量注记), 'openstreetmap',
+     *   'wms' / 'wmts' (with `options.wms` / `options.wmts`, see `ogc.js`; `loadWmtsSource()` output can be spread in)
+     * @param {'raster'|'mvt'} [options.type='raster'] - 'mvt': Mapbox Vector Tiles rasterized with `options.style`
+     *   (see `VectorImageryTiles`); `maxNativeZoom` (default 14) is the deepest tile the server has
+     * @param {Object} [options.style] - vector tile style (`{ layers: [...] }`), 'mvt' only
+     * @param {number} [options.rasterSize=512] - canvas px per vector tile, 'mvt' only
+     * @param {string} [options.tileScheme='xyz']
+     * @param {string|string[]} [options.subdomains]
+     * @param {string} [options.token]
+     * @param {'wgs84'|'gcj02'|'bd09'} [options.datum] - imagery datum (default: provider preset / URL host, else WGS84);
+     *   GCJ-02 / BD-09 tiles are shifted onto WGS84 terrain
+     * @param {number} [options.opacity=1]
+     * @param {boolean} [options.visible=true]
+     * @param {'normal'|'multiply'|'screen'|'add'} [options.blend='normal']
+     * @param {number} [options.minZoom=0] - hidden below this imagery zoom
+     * @param {number} [options.maxZoom=22] - hidden above this imagery zoom
+     * @param {number} [options.maxNativeZoom] - highest zoom the source serves; deeper zooms upsample it
+     * @param {Object} [loaderOptions] - ImageryTiles options (throttling, persistent cache, ...)
+     */
+    constructor(options = {}, loaderOptions = {}) {
+        this.id = String(options.id ?? `layer-${++_layerSeq}`);
+        this.name = options.name ?? this.id;
+        this.opacity = 1;
+        this.visible = true;
+        this.blend = 'normal';
+        this.minZoom = 0;
+        this.maxZoom = 22;
+        this.maxNativeZoom = null;
+        this.type = /^(mvt|vector|pbf)$/i.test(String(options.type ?? '')) ? 'mvt' : 'raster';
+        // Bumped whenever the loader's rendered tiles change (e.g. new vector style): consumers re-request textures.
+        this.revision = 0;
+
+        const hasPreset = options.baseMapType !== undefined && options.baseMapType !== null;
+        const source = resolveBaseMapConfig({
+            baseMapType: hasPreset ? options.baseMapType : undefined,
+            mapTileUrl: options.tileUrl ?? options.mapTileUrl,
+            mapYtype: options.tileScheme ?? options.mapYtype,
+            mapSubdomains: options.subdomains ?? options.mapSubdomains,
+            mapToken: options.token ?? options.mapToken,
+            mapboxStyle: options.mapboxStyle,
+            mapDatum: options.datum ?? options.mapDatum,
+            wms: options.wms,
+            wmts: options.wmts
+        });
+        this.source = source;
+
+        const Loader = this.type === 'mvt' ? VectorImageryTiles : ImageryTiles;
+        const vectorOptions = this.type === 'mvt'
+            ? { style: options.style, maxNativeZoom: options.maxNativeZoom, rasterSize: options.rasterSize }
+            : {};
+        this.loader = new Loader({
+            rateLimitBurst: source.mapRateLimitBurst,
+            rateLimitWindowMs: source.mapRateLimitWindowMs,
+            rateLimitCooldownMs: source.mapRateLimitCooldownMs,
+            retryCount: source.mapRetryCount,
+            retryBaseDelayMs: source.mapRetryBaseDelayMs,
+            retryMaxDelayMs: source.mapRetryMaxDelayMs,
+            maxConcurrent: source.mapMaxConcurrent,
+            ...loaderOptions,
+            tileUrl: source.mapTileUrl,
+            tileScheme: source.mapYtype ?? 'xyz',
+            subdomains: source.mapSubdomains,
+            token: source.templateToken ?? options.token ?? null,
+            ...(source.mapTileOptions ?? {}),
+            datum: source.mapDatum,
+            maxEntries: options.cacheSize ?? loaderOptions.maxEntries ?? 128,
+            flipY: true,
+            ...vectorOptions
+        });
+
+        this.set(options);
+    }
+
+    /**
+     * Update display properties (opacity / visible / blend / minZoom / maxZoom / maxNativeZoom / name; `style` for 'mvt').
+     * @returns {boolean} whether anything changed
+     */
+    set(patch = {}) {
+        const before = JSON.stringify(this.toJSON());
+        let restyled = false;
+        if (this.type === 'mvt' && patch.style !== undefined && this.loader.options.style !== patch.style) {
+            this.loader.setStyle(patch.style);
+            restyled = true;
+        }
+        if (patch.name !== undefined) this.name = String(patch.name);
+        if (patch.opacity !== undefined) this.opacity = Math.max(0, Math.min(1, finiteOr(patch.opacity, this.opacity)));
+        if (patch.visible !== undefined) this.visible = patch.visible !== false;
+        if (patch.blend !== undefined) {
+            const b = String(patch.blend).toLowerCase();
+            if (!(b in IMAGERY_BLEND_MODES)) throw new Error(`Unknown imagery blend mode "${patch.blend}"`);
+            this.blend = b;
+        }
+        if (patch.minZoom !== undefined) this.minZoom = finiteOr(patch.minZoom, this.minZoom);
+        if (patch.maxZoom !== undefined) this.maxZoom = finiteOr(patch.maxZoom, this.maxZoom);
+        if (patch.maxNativeZoom !== undefined) this.maxNativeZoom = patch.maxNativeZoom === null ? null : finiteOr(patch.maxNativeZoom, null);
+        if (this.type === 'mvt' && Number.isFinite(this.maxNativeZoom) && this.loader.options.maxNativeZoom !== this.maxNativeZoom) {
+            this.loader.setOptions({ maxNativeZoom: this.maxNativeZoom });
+            restyled = true;
+        }
+        if (restyled) this.revision++;
+        return restyled || JSON.stringify(this.toJSON()) !== before;
+    }
+
+    get blendId() {
+        return IMAGERY_BLEND_MODES[this.blend] ?? 0;
+    }
+
+    /**
+     * Whether the layer contributes at imagery zoom `z`.
+     */
+    isVisibleAt(z) {
+        return this.visible && this.opacity > 0 && z >= this.minZoom && z <= this.maxZoom;
+    }
+
+    /**
+     * Source tile zoom used for imagery zoom `z` (clamped to `maxNativeZoom`).
+     */
+    sourceZoom(z) {
+        // Vector tiles are re-rasterized per zoom (the loader overzooms from its own maxNativeZoom).
+        if (this.type === 'mvt') return z;
+        const native = Number.isFinite(this.maxNativeZoom) ? this.maxNativeZoom : this.maxZoom;
+        return Math.min(z, native);
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            type: this.type,
+            tileUrl: this.source?.mapTileUrl ?? null,
+            baseMapType: this.source?.baseMapType ?? null,
+            datum: this.source?.mapDatum ?? 'wgs84',
+            opacity: this.opacity,
+            visible: this.visible,
+            blend: this.blend,
+            minZoom: this.minZoom,
+            maxZoom: this.maxZoom,
+            maxNativeZoom: this.maxNativeZoom
+        };
+    }
+
+    dispose() {
+        this.loader?.reset?.();
+    }
+}
+
+/**
+ * Ordered imagery layers above the base map (index 0 = bottom, last = top).
+ * `onChange(reason, layer)` fires after every mutation; reason: 'add' | 'remove' | 'move' | 'update'.
+ */
+export class ImageryLayerCollection {
+    /**
+     * @param {{loaderOptions?: Object, onChange?: (reason: string, layer: ImageryLayer) => void}} [options]
+     */
+    constructor(options = {}) {
+        this.loaderOptions = options.loaderOptions ?? {};
+        this.onChange = options.onChange ?? null;
+        /** @type {ImageryLayer[]} */
+        this._layers = [];
+    }
+
+    _emit(reason, layer) {
+        try {
+            this.onChange?.(reason, layer);
+        } catch (e) {
+            console.warn('[ImageryLayers] onChange failed:', e);
+        }
+    }
+
+    get length() {
+        return this._layers.length;
+    }
+
+    /**
+     * @param {Object} options - see `ImageryLayer`
+     * @param {number} [index] - insert position (default: top)
+     * @returns {ImageryLayer}
+     */
+    add(options = {}, index = this._layers.length) {
+        if (options.id !== undefined && this.get(options.id)) throw new Error(`Imagery layer "${options.id}" already exists`);
+        const layer = new ImageryLayer(options, this.loaderOptions);
+        const i = Math.max(0, Math.min(this._layers.length, index | 0));
+        this._layers.splice(i, 0, layer);
+        this._emit('add', layer);
+        return layer;
+    }
+
+    /**
+     * @param {string|ImageryLayer} idOrLayer
+     * @returns {boolean}
+     */
+    remove(idOrLayer) {
+        const i = this.indexOf(idOrLayer);
+        if (i < 0) return false;
+        const [layer] = this._layers.splice(i, 1);
+        this._emit('remove', layer);
+        layer.dispose();
+        return true;
+    }
+
+    clear() {
+        for (const layer of this._layers.slice()) this.remove(layer);
+    }
+
+    /**
+     * @returns {ImageryLayer|null}
+     */
+    get(id) {
+        return this._layers.find((l) => l.id === String(id)) ?? null;
+    }
+
+    indexOf(idOrLayer) {
+        const id = typeof idOrLayer === 'string' ? idOrLayer : idOrLayer?.id;
+        return this._layers.findIndex((l) => l.id === id);
+    }
+
+    /**
+     * Move a layer to `index` (0 = just above the base map).
+     */
+    move(idOrLayer, index) {
+        const from = this.indexOf(idOrLayer);
+        if (from < 0) return false;
+        const to = Math.max(0, Math.min(this._layers.length - 1, index | 0));
+        if (from === to) return true;
+        const [layer] = this._layers.splice(from, 1);
+        this._layers.splice(to, 0, layer);
+        this._emit('move', layer);
+        return true;
+    }
+
+    raise(idOrLayer) {
+        const i = this.indexOf(idOrLayer);
+        return i >= 0 && this.move(idOrLayer, i + 1);
+    }
+
+    lower(idOrLayer) {
+        const i = this.indexOf(idOrLayer);
+        return i >= 0 && this.move(idOrLayer, i - 1);
+    }
+
+    /**
+     * @param {string|ImageryLayer} idOrLayer
+     * @param {Object} patch - see `ImageryLayer.set`
+     */
+    update(idOrLayer, patch = {}) {
+        const i = this.indexOf(idOrLayer);
+        if (i < 0) return false;
+        const layer = this._layers[i];
+        if (layer.set(patch)) this._emit('update', layer);
+        return true;
+    }
+
+    /**
+     * Layers bottom -> top.
+     * @returns {ImageryLayer[]}
+     */
+    list() {
+        return this._layers.slice();
+    }
+
+    setRenderer(renderer) {
+        for (const l of this._layers) l.loader.setRenderer(renderer);
+    }
+}
@@ -0,0 +1,241 @@
+/**
+ * Persistent tile cache in IndexedDB (raw tile bytes as Blobs).
+ *
+ * Sits under the network path of `ImageryTiles` (imagery, terrain-rgb, quantized-mesh), so tiles survive
+ * page reloads and stay usable offline:
+ * - fresh hit (younger than `maxAgeMs`) -> no request
+ * - stale hit -> refetched; the stale copy is used if the network fails (offline)
+ * - `maxBytes` quota: least recently used tiles are evicted
+ *
+ * Keys are `${layer}|${z}/${x}/${y}`; `layer` identifies the tile source (see `ImageryTiles._persistLayer`).
+ * Without IndexedDB (private mode, workers without it, Node) every call is a no-op miss.
+ */
+
+const STORE = 'tiles';
+
+function requestToPromise(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function txDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(tx.error);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+export class TileStore {
+    /**
+     * @param {Object} options
+     * @param {string} [options.dbName='threegis-tile-cache']
+     * @param {number} [options.maxBytes=512MB] - quota; LRU eviction above it
+     * @param {number} [options.maxAgeMs=30 days] - entries older than this are refetched when online
+     */
+    constructor(options = {}) {
+        this.options = {
+            dbName: options.dbName ?? 'threegis-tile-cache',
+            maxBytes: Number.isFinite(options.maxBytes) ? options.maxBytes : 512 * 1024 * 1024,
+            maxAgeMs: Number.isFinite(options.maxAgeMs) ? options.maxAgeMs : 30 * 24 * 3600 * 1000
+        };
+        this._dbPromise = null;
+        this._bytesSinceQuotaCheck = 0;
+        this._quotaCheck = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    _open() {
+        if (this._dbPromise) return this._dbPromise;
+        if (!TileStore.isSupported()) {
+            this._dbPromise = Promise.resolve(null);
+            return this._dbPromise;
+        }
+        this._dbPromise = new Promise((resolve) => {
+            const req = indexedDB.open(this.options.dbName, 1);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    const store = db.createObjectStore(STORE, { keyPath: 'key' });
+                    store.createIndex('accessed', 'accessed');
+                    store.createIndex('layer', 'layer');
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => {
+                console.warn('[TileStore] IndexedDB unavailable:', req.error);
+                resolve(null);
+            };
+        });
+        return this._dbPromise;
+    }
+
+    static key(layer, x, y, z) {
+        return `${layer}|${z}/${x}/${y}`;
+    }
+
+    /**
+     * @returns {Promise<{blob: Blob, created: number, expired: boolean}|null>}
+     */
+    async get(key) {
+        const db = await this._open();
+        if (!db) return null;
+        try {
+            const tx = db.transaction(STORE, 'readonly');
+            const rec = await requestToPromise(tx.objectStore(STORE).get(key));
+            if (!rec?.blob) return null;
+            const now = Date.now();
+            // Access time only drives LRU eviction: refresh it at most hourly to avoid a write per hit.
+            if (now - (rec.accessed ?? 0) > 3600 * 1000) void this._touch(rec, now);
+            return { blob: rec.blob, created: rec.created, expired: (now - rec.created) > this.options.maxAgeMs };
+        } catch (e) {
+            console.warn('[TileStore] get failed:', e);
+            return null;
+        }
+    }
+
+    async _touch(rec, now) {
+        const db = await this._open();
+        if (!db) return;
+        try {
+            const tx = db.transaction(STORE, 'readwrite');
+            tx.objectStore(STORE).put({ ...rec, accessed: now });
+            await txDone(tx);
+        } catch {
+            // ignore
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @param {Blob} blob
+     * @param {string} [layer]
+     */
+    async put(key, blob, layer = '') {
+        const db = await this._open();
+        if (!db || !blob) return;
+        try {
+            const now = Date.now();
+            const tx = db.transaction(STORE, 'readwrite');
+            tx.objectStore(STORE).put({ key, layer, blob, bytes: blob.size, created: now, accessed: now });
+            await txDone(tx);
+            this._bytesSinceQuotaCheck += blob.size;
+            // Enforce the quota in batches (a full scan per put would dominate bulk seeding).
+            if (this._bytesSinceQuotaCheck > Math.max(1024 * 1024, this.options.maxBytes * 0.02)) {
+                this._bytesSinceQuotaCheck = 0;
+                this._enforceQuotaInBackground();
+            }
+        } catch (e) {
+            // QuotaExceededError: evict and keep going without this tile.
+            console.warn('[TileStore] put failed:', e);
+            this._enforceQuotaInBackground();
+        }
+    }
+
+    _enforceQuotaInBackground() {
+        this.enforceQuota().catch((e) => {
+            console.warn('[TileStore] quota eviction failed:', e);
+        });
+    }
+
+    async has(key, { fresh = true } = {}) {
+        const hit = await this.get(key);
+        return !!hit && (!fresh || !hit.expired);
+    }
+
+    async delete(key) {
+        const db = await this._open();
+        if (!db) return;
+        try {
+            const tx = db.transaction(STORE, 'readwrite');
+            tx.objectStore(STORE).delete(key);
+            await txDone(tx);
+        } catch (e) {
+            console.warn('[TileStore] delete failed:', e);
+        }
+    }
+
+    /**
+     * Remove all tiles, or only those of one `layer`.
+     */
+    async clear(layer = null) {
+        const db = await this._open();
+        if (!db) return;
+        try {
+            const tx = db.transaction(STORE, 'readwrite');
+            const store = tx.objectStore(STORE);
+            if (layer === null) {
+                store.clear();
+            } else {
+                const req = store.index('layer').openCursor(IDBKeyRange.only(layer));
+                req.onsuccess = () => {
+                    const cursor = req.result;
+                    if (!cursor) return;
+                    cursor.delete();
+                    cursor.continue();
+                };
+            }
+            await txDone(tx);
+        } catch (e) {
+            console.warn('[TileStore] clear failed:', e);
+        }
+    }
+
+    /**
+     * @returns {Promise<{count: number, bytes: number, byLayer: Object<string, {count: number, bytes: number}>}>}
+     */
+    async usage() {
+        const out = { count: 0, bytes: 0, byLayer: {} };
+        const db = await this._open();
+        if (!db) return out;
+        const tx = db.transaction(STORE, 'readonly');
+        const req = tx.objectStore(STORE).openCursor();
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return;
+            const rec = cursor.value;
+            out.count++;
+            out.bytes += rec.bytes ?? 0;
+            const l = (out.byLayer[rec.layer] ??= { count: 0, bytes: 0 });
+            l.count++;
+            l.bytes += rec.bytes ?? 0;
+            cursor.continue();
+        };
+        await txDone(tx);
+        return out;
+    }
+
+    /**
+     * Evict least recently used tiles until total size <= maxBytes.
+     */
+    enforceQuota() {
+        if (this._quotaCheck) return this._quotaCheck;
+        this._quotaCheck = (async () => {
+            const { bytes } = await this.usage();
+            let excess = bytes - this.options.maxBytes;
+            if (excess <= 0) return 0;
+            const db = await this._open();
+            const tx = db.transaction(STORE, 'readwrite');
+            let evicted = 0;
+            const req = tx.objectStore(STORE).index('accessed').openCursor();
+            req.onsuccess = () => {
+                const cursor = req.result;
+                if (!cursor || excess <= 0) return;
+                excess -= cursor.value.bytes ?? 0;
+                evicted++;
+                cursor.delete();
+                cursor.continue();
+            };
+            await txDone(tx);
+            return evicted;
+        })().finally(() => {
+            this._quotaCheck = null;
+        });
+        return this._quotaCheck;
+    }
+}
@@ -0,0 +1,241 @@
+import * as THREE from 'three';
+import { ImageryTiles } from './imageryTiles.js';
+import { decodeMvt } from './mvt.js';
+
+/**
+ * Default style: every source layer, drawn by geometry type.
+ */
+export const DEFAULT_VECTOR_TILE_STYLE = {
+    layers: [
+        { type: 'fill', fillColor: '#ffc800', fillOpacity: 0.25, strokeColor: '#ffc800', strokeWidth: 1 },
+        { type: 'line', strokeColor: '#ff6400', strokeWidth: 1.5 },
+        { type: 'circle', circleColor: '#ff3300', circleRadius: 3 }
+    ]
+};
+
+const GEOMETRY_FOR_TYPE = { fill: 3, line: 2, circle: 1 };
+
+/**
+ * Evaluate a style value against feature properties:
+ * - constant: `'#f00'`, `2`
+ * - function: `(properties, zoom) => value`
+ * - categorical: `{ property: 'class', values: { motorway: '#e34', primary: '#fa3' }, default: '#999' }`
+ * - numeric step: `{ property: 'height', stops: [[0, '#ddd'], [20, '#aaa'], [50, '#666']], default }`
+ *   (value of the last stop whose threshold is <= the property)
+ */
+export function evaluateVectorStyleValue(value, properties, zoom) {
+    if (typeof value === 'function') return value(properties, zoom);
+    if (!value || typeof value !== 'object' || Array.isArray(value) || value.property === undefined) return value;
+    const v = properties?.[value.property];
+    if (value.values) return Object.prototype.hasOwnProperty.call(value.values, v) ? value.values[v] : value.default;
+    if (Array.isArray(value.stops)) {
+        const n = Number(v);
+        let out = value.default;
+        if (!Number.isFinite(n)) return out;
+        for (const [threshold, stopValue] of value.stops) {
+            if (n >= threshold) out = stopValue;
+        }
+        return out;
+    }
+    return value.default;
+}
+
+/**
+ * Feature filter: function `(properties, feature) => boolean`, or `{ key: value | [values] }` (all keys must match).
+ */
+function matchesFilter(filter, feature) {
+    if (!filter) return true;
+    if (typeof filter === 'function') return !!filter(feature.properties, feature);
+    for (const [k, expected] of Object.entries(filter)) {
+        const v = feature.properties[k];
+        if (Array.isArray(expected) ? !expected.includes(v) : v !== expected) return false;
+    }
+    return true;
+}
+
+/**
+ * Draw a decoded MVT tile (or the sub-square of an ancestor tile) into a 2D canvas context.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} tile - decoded by `decodeMvt`
+ * @param {Object} style - `{ layers: [...] }`, see `VectorImageryTiles`
+ * @param {{zoom: number, size: number, scale?: number, offsetX?: number, offsetY?: number}} view
+ *   `scale` = 2^(zoom - sourceZoom); `offsetX/Y` = child tile index inside the source tile
+ */
+export function renderVectorTile(ctx, tile, style, view) {
+    const size = view.size;
+    const scale = view.scale ?? 1;
+    const ox = view.offsetX ?? 0;
+    const oy = view.offsetY ?? 0;
+    // Widths/radii are CSS pixels on a 256px tile.
+    const px = size / 256;
+    const zoom = view.zoom;
+
+    for (const sl of style?.layers ?? []) {
+        if (Number.isFinite(sl.minZoom) && zoom < sl.minZoom) continue;
+        if (Number.isFinite(sl.maxZoom) && zoom > sl.maxZoom) continue;
+        const type = sl.type ?? 'fill';
+        const geomType = GEOMETRY_FOR_TYPE[type];
+        if (!geomType) throw new Error(`Unknown vector style layer type "${sl.type}"`);
+
+        const sourceLayers = sl.sourceLayer !== undefined
+            ? [tile.layers[sl.sourceLayer]].filter(Boolean)
+            : Object.values(tile.layers);
+
+        for (const layer of sourceLayers) {
+            const k = (size * scale) / layer.extent;
+            const tx = -ox * size;
+            const ty = -oy * size;
+            for (const feature of layer.features) {
+                if (feature.type !== geomType || !matchesFilter(sl.filter, feature)) continue;
+                const props = feature.properties;
+                const get = (name, fallback) => evaluateVectorStyleValue(sl[name], props, zoom) ?? fallback;
+
+                ctx.beginPath();
+                if (type === 'circle') {
+                    const r = get('circleRadius', 3) * px;
+                    for (const part of feature.geometry) {
+                        for (const [x, y] of part) {
+                            const cx = x * k + tx;
+                            const cy = y * k + ty;
+                            ctx.moveTo(cx + r, cy);
+                            ctx.arc(cx, cy, r, 0, Math.PI * 2);
+                        }
+                    }
+                } else {
+                    for (const part of feature.geometry) {
+                        part.forEach(([x, y], i) => {
+                            if (i === 0) ctx.moveTo(x * k + tx, y * k + ty);
+                            else ctx.lineTo(x * k + tx, y * k + ty);
+                        });
+                        if (type === 'fill') ctx.closePath();
+                    }
+                }
+
+                const fillColor = type === 'circle' ? get('circleColor', get('fillColor', null)) : type === 'fill' ? get('fillColor', null) : null;
+                if (fillColor) {
+                    ctx.globalAlpha = get('fillOpacity', 1);
+                    ctx.fillStyle = fillColor;
+                    // Even-odd: MVT polygons carry holes as inner rings in the same feature.
+                    ctx.fill('evenodd');
+                }
+                const strokeColor = get('strokeColor', null);
+                const strokeWidth = get('strokeWidth', type === 'line' ? 1 : 0);
+                if (strokeColor && strokeWidth > 0) {
+                    ctx.globalAlpha = get('strokeOpacity', 1);
+                    ctx.strokeStyle = strokeColor;
+                    ctx.lineWidth = strokeWidth * px;
+                    ctx.lineJoin = 'round';
+                    ctx.lineCap = 'round';
+                    const dash = get('lineDash', null);
+                    ctx.setLineDash(Array.isArray(dash) ? dash.map((d) => d * px) : []);
+                    ctx.stroke();
+                }
+            }
+        }
+    }
+    ctx.globalAlpha = 1;
+    ctx.setLineDash([]);
+}
+
+/**
+ * Vector tile (MVT / `.pbf`) source rasterized into imagery tiles, so it drapes on the terrain through the same
+ * paths as raster imagery (overlay layers, mosaics, atlas patch, persistent cache of the raw tiles).
+ *
+ * Style spec (`options.style`):
+ * ```js
+ * {
+ *   layers: [ // drawn in order
+ *     { sourceLayer: 'landuse', type: 'fill', fillColor: { property: 'class', values: { park: '#7c5' }, default: '#ccc' },
+ *       fillOpacity: 0.4, strokeColor: '#585', strokeWidth: 0.5 },
+ *     { sourceLayer: 'road', type: 'line', filter: { class: ['motorway', 'primary'] }, strokeColor: '#e83', strokeWidth: 2,
+ *       minZoom: 12 },
+ *     { sourceLayer: 'poi', type: 'circle', circleColor: '#c33', circleRadius: 3 }
+ *   ]
+ * }
+ * ```
+ * Any paint value may be a constant, a function `(properties, zoom)` or a `{ property, values | stops, default }` lookup.
+ * Beyond `maxNativeZoom` the deepest source tile is re-rasterized at full resolution (crisp lines when zoomed in).
+ */
+export class VectorImageryTiles extends ImageryTiles {
+    /**
+     * @param {Object} options - `ImageryTiles` options plus `style`, `maxNativeZoom` (default 14) and
+     *   `rasterSize` (canvas px per tile, default 512)
+     */
+    constructor(options = {}) {
+        super({
+            ...options,
+            style: options.style ?? DEFAULT_VECTOR_TILE_STYLE,
+            maxNativeZoom: options.maxNativeZoom ?? 14,
+            rasterSize: options.rasterSize ?? 512
+        });
+        this._styleRevision = 0;
+        this._decoded = new Map(); // `${z}/${x}/${y}` -> Promise<tile>, small LRU shared by overzoomed children
+    }
+
+    /**
+     * Replace the style; cached rasters are dropped (raw tiles stay in the persistent cache).
+     */
+    setStyle(style) {
+        this._styleRevision = (this._styleRevision ?? 0) + 1;
+        this.setOptions({ style: style ?? DEFAULT_VECTOR_TILE_STYLE });
+    }
+
+    _optionsKey() {
+        const o = this.options;
+        return `${super._optionsKey()}::mvt=${this._styleRevision ?? 0}:${o.maxNativeZoom}:${o.rasterSize}`;
+    }
+
+    reset() {
+        super.reset();
+        this._decoded?.clear();
+    }
+
+    _decodedTile(x, y, z) {
+        const key = `${z}/${x}/${y}`;
+        let p = this._decoded.get(key);
+        if (p) {
+            this._decoded.delete(key);
+            this._decoded.set(key, p);
+            return p;
+        }
+        p = this._loadArrayBufferWithRetries(x, y, z)
+            .catch((e) => {
+                // Most vector tile servers answer 404 for empty tiles.
+                if (String(e?.message ?? '').startsWith('HTTP 404')) return new ArrayBuffer(0);
+                throw e;
+            })
+            .then(decodeMvt);
+        p.catch(() => this._decoded.delete(key));
+        this._decoded.set(key, p);
+        while (this._decoded.size > 32) this._decoded.delete(this._decoded.keys().next().value);
+        return p;
+    }
+
+    async _loadTextureWithRetries(x, y, z) {
+        const native = Math.max(0, Math.floor(Number(this.options.maxNativeZoom)));
+        const sz = Math.min(z, native);
+        const dz = z - sz;
+        const sx = Math.floor(x / 2 ** dz);
+        const sy = Math.floor(y / 2 ** dz);
+        const tile = await this._decodedTile(sx, sy, sz);
+
+        const size = Math.max(64, this.options.rasterSize | 0);
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) throw new Error('2D canvas unavailable');
+        renderVectorTile(ctx, tile, this.options.style, {
+            zoom: z,
+            size,
+            scale: 2 ** dz,
+            offsetX: x - sx * 2 ** dz,
+            offsetY: y - sy * 2 ** dz
+        });
+
+        const tex = new THREE.CanvasTexture(canvas);
+        this._finalizeTexture(tex);
+        tex.needsUpdate = true;
+        return tex;
+    }
+}
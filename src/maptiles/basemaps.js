@@ -1,3 +1,6 @@
+import { resolveWmsSource, resolveWmtsSource } from './ogc.js';
+import { normalizeDatum } from '../math/chinaDatum.js';
+
 function pickFirstNonEmpty(...vals) {
     for (const v of vals) {
         if (typeof v === 'string' && v.trim()) return v.trim();
@@ -10,10 +13,18 @@ function normalizeType(t) {
     if (!s) return null;
     if (s === 'osm' || s === 'openstreetmap' || s === 'open-street-map') return 'openstreetmap';
     if (s === 'google' || s === 'googlemaps' || s === 'google-map') return 'google';
+    if (s === 'google-cn' || s === 'googlecn' || s === 'google.cn') return 'google-cn';
+    if (s === 'amap' || s === 'gaode' || s === 'autonavi') return 'amap';
+    if (s === 'amap-vec' || s === 'gaode-vec' || s === 'autonavi-vec') return 'amap-vec';
     if (s === 'tianditu' || s === 'tian-di-tu' || s === 'tdt') return 'tianditu';
+    // Tianditu layers: img (影像), cia (影像注记), vec (矢量), cva (矢量注记)
+    const tdt = /^(?:tianditu|tdt)[-_:](img|cia|vec|cva)$/.exec(s);
+    if (tdt) return `tianditu-${tdt[1]}`;
     if (s === 'maptiler' || s === 'map-tiler') return 'maptiler';
     if (s === 'mapbox') return 'mapbox';
     if (s === 'bing' || s === 'bingmaps' || s === 'bing-map') return 'bing';
+    if (s === 'wms') return 'wms';
+    if (s === 'wmts') return 'wmts';
     if (s === 'custom') return 'custom';
     return s;
 }
@@ -21,13 +32,35 @@ function normalizeType(t) {
 export const BASE_MAP_TYPES = [
     'openstreetmap',
     'google',
+    'google-cn',
+    'amap',
+    'amap-vec',
     'tianditu',
+    'tianditu-cia',
+    'tianditu-vec',
+    'tianditu-cva',
     'maptiler',
     'mapbox',
     'bing',
+    'wms',
+    'wmts',
     'custom'
 ];
 
+// Hosts known to serve GCJ-02 tiles on the standard XYZ grid (used when a custom URL has no `mapDatum`).
+// Baidu hosts are not listed: Baidu's own tiling is not an XYZ grid, so BD-09 is only applied when `mapDatum` says so.
+const DATUM_HOSTS = [
+    { datum: 'gcj02', test: /(^|\.)(google\.cn|autonavi\.com|amap\.com|gtimg\.com|map\.qq\.com)\/$/i }
+];
+
+/**
+ * Best-guess datum of a tile URL template: 'gcj02' for known Chinese providers, else 'wgs84' (BD-09 is never guessed).
+ */
+export function imageryDatumFromUrl(url) {
+    const host = (/^(?:[a-z]+:)?\/\/([^/?#]+)/i.exec(String(url ?? '').trim())?.[1] ?? '').replace(/:\d+$/, '');
+    return DATUM_HOSTS.find((d) => d.test.test(`${host}/`))?.datum ?? 'wgs84';
+}
+
 /**
  * Resolve the effective raster map tile configuration.
  *
@@ -35,9 +68,28 @@ export const BASE_MAP_TYPES = [
  * 1) If baseMapType is provided -> use preset (requires token for some providers)
  * 2) Else if mapTileUrl is provided -> use user URL
  * 3) Else -> default OpenStreetMap
+ *
+ * OGC sources: `baseMapType: 'wms'` + `wms: {...}` (see `resolveWmsSource`) or `baseMapType: 'wmts'` + `wmts: {...}`
+ * (see `resolveWmtsSource` / `loadWmtsSource`). They also return `mapTileOptions` (extra `ImageryTiles` options:
+ * WMS bbox CRS/axis order, WMTS zoom -> TileMatrix labels).
+ *
+ * `mapDatum` ('wgs84' | 'gcj02' | 'bd09') is the datum of the imagery: the provider default (AMap / google.cn are
+ * GCJ-02), or sniffed from a custom URL host (GCJ-02 only); `config.mapDatum` overrides both and is the only way to
+ * select 'bd09'.
  */
 export function resolveBaseMapConfig(input = {}) {
     const cfg = input || {};
+    const out = resolveBaseMapSource(cfg);
+    if (cfg.mapDatum !== undefined && cfg.mapDatum !== null && cfg.mapDatum !== '') {
+        const datum = normalizeDatum(cfg.mapDatum);
+        if (!datum) throw new Error(`Unknown imagery datum "${cfg.mapDatum}" (expected wgs84 | gcj02 | bd09)`);
+        out.mapDatum = datum;
+    }
+    out.mapDatum = out.mapDatum ?? imageryDatumFromUrl(out.mapTileUrl);
+    return out;
+}
+
+function resolveBaseMapSource(cfg) {
     const type = normalizeType(cfg.baseMapType);
 
     const token = pickFirstNonEmpty(
@@ -76,12 +128,38 @@ export function resolveBaseMapConfig(input = {}) {
             };
         }
 
-        if (type === 'tianditu') {
+        if (type === 'google-cn') {
             return {
-                baseMapType: 'tianditu',
+                baseMapType: 'google-cn',
+                mapTileUrl: 'https://mt{s}.google.cn/vt/lyrs=s&gl=cn&x={x}&y={y}&z={z}',
+                mapYtype: 'xyz',
+                mapSubdomains: '0-3',
+                mapDatum: 'gcj02',
+                templateToken: null
+            };
+        }
+
+        if (type === 'amap' || type === 'amap-vec') {
+            // AMap (高德) satellite (style=6) / road map (style=8), GCJ-02.
+            const query = type === 'amap' ? 'style=6' : 'lang=zh_cn&size=1&scale=1&style=8';
+            const host = type === 'amap' ? 'webst0{s}' : 'webrd0{s}';
+            return {
+                baseMapType: type,
+                mapTileUrl: `https://${host}.is.autonavi.com/appmaptile?${query}&x={x}&y={y}&z={z}`,
+                mapYtype: 'xyz',
+                mapSubdomains: '1-4',
+                mapDatum: 'gcj02',
+                templateToken: null
+            };
+        }
+
+        if (type === 'tianditu' || type.startsWith('tianditu-')) {
+            const layer = type === 'tianditu' ? 'img' : type.slice('tianditu-'.length);
+            return {
+                baseMapType: type,
                 mapTileUrl:
-                    'https://t{s}.tianditu.gov.cn/img_w/wmts?SERVICE=WMTS&REQUEST=GetTile&VERSION=1.0.0' +
-                    '&LAYER=img&STYLE=default&TILEMATRIXSET=w&FORMAT=tiles&TILEMATRIX={z}&TILEROW={y}&TILECOL={x}&tk={token}',
+                    `https://t{s}.tianditu.gov.cn/${layer}_w/wmts?SERVICE=WMTS&REQUEST=GetTile&VERSION=1.0.0` +
+                    `&LAYER=${layer}&STYLE=default&TILEMATRIXSET=w&FORMAT=tiles&TILEMATRIX={z}&TILEROW={y}&TILECOL={x}&tk={token}`,
                 mapYtype: 'xyz',
                 mapSubdomains: '0-6',
                 // Tianditu is strict; recommend safer defaults (can be overridden by user config).
@@ -117,6 +195,18 @@ export function resolveBaseMapConfig(input = {}) {
             };
         }
 
+        if (type === 'wms' || type === 'wmts') {
+            const src = type === 'wms' ? resolveWmsSource(cfg.wms ?? {}) : resolveWmtsSource(cfg.wmts ?? {});
+            return {
+                baseMapType: type,
+                mapTileUrl: src.tileUrl,
+                mapYtype: 'xyz',
+                mapSubdomains: cfg.mapSubdomains ?? cfg.mapSubDomains ?? null,
+                mapTileOptions: src.tileOptions,
+                templateToken: token
+            };
+        }
+
         if (type === 'bing') {
             // Note:
             // - Some Bing imagery endpoints work without a key but may be unstable / rate-limited.
@@ -1,4 +1,8 @@
 import * as THREE from 'three';
+import { TileStore } from './TileStore.js';
+import { wmsTileBbox } from './ogc.js';
+import { stripUrlCredentials, withoutCredentials } from '../utils/credentials.js';
+import { CHINA_BOUNDS, normalizeDatum, wgs84ToDatum } from '../math/chinaDatum.js';
 
 class AsyncLoadQueue {
     constructor(maxConcurrent = 8) {
@@ -42,6 +46,23 @@ function disposeTexture(tex) {
     }
 }
 
+function tileXToLon(x, n) {
+    return x / n * 360 - 180;
+}
+
+function tileYToLat(y, n) {
+    return Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n))) * 180 / Math.PI;
+}
+
+function lonToTileX(lon, n) {
+    return (lon + 180) / 360 * n;
+}
+
+function latToTileY(lat, n) {
+    const r = lat * Math.PI / 180;
+    return (1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2 * n;
+}
+
 function sleep(ms) {
     const t = Math.max(0, Number(ms) || 0);
     return new Promise((resolve) => setTimeout(resolve, t));
@@ -51,7 +72,9 @@ function sleep(ms) {
  * XYZ imagery tile loader with:
  * - concurrency limit
  * - LRU cache with disposal on eviction
+ * - optional persistent (IndexedDB) tile cache for reloads/offline use
  * - optional mosaicing when mapZoom > terrainZoom (diff 1/2 or more if you allow)
+ * - datum correction for GCJ-02 / BD-09 sources (`datum`): tiles are re-cut so they line up with WGS84 data
  */
 export class ImageryTiles {
     constructor(options = {}) {
@@ -90,6 +113,19 @@ export class ImageryTiles {
             maxEntries: options.maxEntries ?? 512,
             maxAnisotropy: options.maxAnisotropy ?? 8,
             flipY: options.flipY ?? true,
+            // Optional IndexedDB tile cache (`TileStore`) under the network path; `persistLayer` overrides the source id.
+            persistentCache: options.persistentCache ?? null,
+            persistLayer: options.persistLayer ?? null,
+            // Offline (e.g. loaded from an offline package): never hit the network, serve `persistentCache` only.
+            offline: options.offline ?? false,
+            // OGC sources (see `ogc.js`): CRS / axis order of the WMS `{bbox}` placeholder and
+            // WMTS zoom -> TileMatrix identifier (`{TileMatrix}`; array or object, default: the zoom itself).
+            bboxCrs: options.bboxCrs ?? 'EPSG:3857',
+            bboxAxisOrder: options.bboxAxisOrder ?? 'xy',
+            tileMatrixLabels: options.tileMatrixLabels ?? null,
+            // Datum of the source imagery: 'wgs84' (default, also CGCS2000) | 'gcj02' | 'bd09'.
+            // Shifted sources are resampled from their own grid; BD-09 assumes a standard XYZ grid (not Baidu's own tiling).
+            datum: options.datum ?? 'wgs84',
             ...options
         };
 
@@ -187,7 +223,10 @@ export class ImageryTiles {
         const apiKey = String(this.options.apiKey ?? '');
         const accessToken = String(this.options.accessToken ?? '');
         const flipY = !!this.options.flipY;
-        return `${template}::${scheme}::${subs}::token=${token}::apiKey=${apiKey}::accessToken=${accessToken}::flipY=${flipY}`;
+        const vars = JSON.stringify(this.options.templateVars ?? null);
+        const ogc = JSON.stringify([this.options.bboxCrs ?? null, this.options.bboxAxisOrder ?? null, this.options.tileMatrixLabels ?? null]);
+        const datum = this._datum();
+        return `${template}::${scheme}::${subs}::token=${token}::apiKey=${apiKey}::accessToken=${accessToken}::flipY=${flipY}::vars=${vars}::ogc=${ogc}::datum=${datum}`;
     }
 
     _normalizeSubdomains(template = '') {
@@ -291,6 +330,8 @@ export class ImageryTiles {
         const yTms = dim - 1 - y;
         const yy = (scheme === 'tms') ? yTms : y;
         const qk = this._quadkey(x, y, z);
+        const labels = this.options.tileMatrixLabels;
+        const matrix = labels?.[z] ?? z;
 
         const token = this.options.token ?? this.options.apiKey ?? this.options.accessToken ?? null;
         const apiKey = this.options.apiKey ?? token;
@@ -302,10 +343,18 @@ export class ImageryTiles {
             .replace('{z}', z)
             .replace('{x}', x)
             .replace('{y}', yy)
-            // WMTS-style placeholders (e.g. Tianditu)
-            .replace('{TILEMATRIX}', z)
+            // WMTS-style placeholders (e.g. Tianditu, KVP / RESTful templates from `ogc.js`)
+            .replace('{TILEMATRIX}', matrix)
             .replace('{TILEROW}', yy)
-            .replace('{TILECOL}', x);
+            .replace('{TILECOL}', x)
+            .replace('{TileMatrix}', matrix)
+            .replace('{TileRow}', yy)
+            .replace('{TileCol}', x);
+
+        // WMS GetMap: tile extent from the XYZ address.
+        if (url.includes('{bbox}')) {
+            url = url.replace('{bbox}', wmsTileBbox(x, y, z, { crs: this.options.bboxCrs ?? undefined, axisOrder: this.options.bboxAxisOrder }));
+        }
 
         // Bing quadkey style placeholders (raster)
         url = url.replace('{quadkey}', qk).replace('{q}', qk);
@@ -320,6 +369,12 @@ export class ImageryTiles {
             url = this._replaceAll(url, '{access_token}', accessToken);
         }
 
+        // Extra fixed template variables, e.g. `{version}` in quantized-mesh layer.json templates.
+        const vars = this.options.templateVars;
+        if (vars && typeof vars === 'object') {
+            for (const [k, v] of Object.entries(vars)) url = this._replaceAll(url, `{${k}}`, v);
+        }
+
         const sub = subOverride !== null ? String(subOverride) : this._pickSubdomain(x, y, z, attempt, prevSub);
         if (sub !== null && url.includes('{s}')) url = url.replace('{s}', sub);
         return url;
@@ -376,6 +431,117 @@ export class ImageryTiles {
     }
 
     async _loadTextureWithRetries(x, y, z) {
+        const loadTexture = (url) => new Promise((resolve, reject) => {
+            const loader = new THREE.TextureLoader();
+            loader.setCrossOrigin?.('anonymous');
+            loader.load(url, resolve, undefined, reject);
+        });
+
+        if (this.options.persistentCache) {
+            const blob = await this._loadPersistedBlob(x, y, z);
+            const objectUrl = URL.createObjectURL(blob);
+            try {
+                return this._finalizeTexture(await loadTexture(objectUrl));
+            } finally {
+                URL.revokeObjectURL(objectUrl);
+            }
+        }
+
+        const tex = await this._loadWithRetries(x, y, z, loadTexture);
+        return this._finalizeTexture(tex);
+    }
+
+    async _loadArrayBufferWithRetries(x, y, z, fetchOptions = {}) {
+        if (this.options.persistentCache) {
+            const blob = await this._loadPersistedBlob(x, y, z, fetchOptions);
+            return blob.arrayBuffer();
+        }
+        return this._loadWithRetries(x, y, z, async (url) => {
+            const res = await fetch(url, { mode: 'cors', ...fetchOptions });
+            if (!res.ok) throw new Error(`HTTP ${res.status} ${url}`);
+            return res.arrayBuffer();
+        });
+    }
+
+    /**
+     * Source id used in persistent cache keys: the URL template (tokens/subdomains stay placeholders,
+     * so rotating keys or hosts does not invalidate cached tiles) + scheme + template vars. Literal credentials
+     * (`tk=...` in the URL, token template vars) are left out: the id is stored in IndexedDB and offline packages.
+     */
+    _persistLayer() {
+        if (this.options.persistLayer) return String(this.options.persistLayer);
+        const scheme = String(this.options.tileScheme ?? 'xyz').toLowerCase();
+        const vars = this.options.templateVars ? JSON.stringify(withoutCredentials(this.options.templateVars)) : '';
+        return `${scheme}:${stripUrlCredentials(this.options.tileUrl ?? '')}${vars}`;
+    }
+
+    _persistKey(x, y, z) {
+        return TileStore.key(this._persistLayer(), x, y, z);
+    }
+
+    /**
+     * Tile bytes through the persistent cache: fresh hit -> no request; miss/stale -> network (stored on success);
+     * network failure with a stale copy -> stale copy (offline).
+     * @returns {Promise<Blob>}
+     */
+    async _loadPersistedBlob(x, y, z, fetchOptions = {}) {
+        const store = this.options.persistentCache;
+        const key = this._persistKey(x, y, z);
+        const hit = await store.get(key);
+        if (hit && !hit.expired) return hit.blob;
+        try {
+            const blob = await this._loadWithRetries(x, y, z, async (url) => {
+                const res = await fetch(url, { mode: 'cors', ...fetchOptions });
+                if (!res.ok) throw new Error(`HTTP ${res.status} ${url}`);
+                return res.blob();
+            });
+            void store.put(key, blob, this._persistLayer());
+            return blob;
+        } catch (e) {
+            if (hit) return hit.blob;
+            throw e;
+        }
+    }
+
+    /**
+     * Raw tile bytes (through the persistent cache when enabled), e.g. for offline package export.
+     * @returns {Promise<Blob>}
+     */
+    loadTileBlob(x, y, z, fetchOptions = {}) {
+        return this._queue.schedule(() => {
+            if (this.options.persistentCache) return this._loadPersistedBlob(x, y, z, fetchOptions);
+            return this._loadWithRetries(x, y, z, async (url) => {
+                const res = await fetch(url, { mode: 'cors', ...fetchOptions });
+                if (!res.ok) throw new Error(`HTTP ${res.status} ${url}`);
+                return res.blob();
+            });
+        });
+    }
+
+    /**
+     * Download one tile into the persistent cache without decoding it (offline pre-seeding).
+     * @returns {Promise<'cached'|'fetched'|'failed'|'disabled'>}
+     */
+    prefetchTile(x, y, z, fetchOptions = {}) {
+        const store = this.options.persistentCache;
+        if (!store) return Promise.resolve('disabled');
+        return this._queue.schedule(async () => {
+            if (await store.has(this._persistKey(x, y, z))) return 'cached';
+            try {
+                await this._loadPersistedBlob(x, y, z, fetchOptions);
+                return 'fetched';
+            } catch {
+                return 'failed';
+            }
+        });
+    }
+
+    /**
+     * Throttled request with subdomain rotation + exponential backoff.
+     * @param {(url: string) => Promise<any>} loadUrl
+     */
+    async _loadWithRetries(x, y, z, loadUrl) {
+        if (this.options.offline) throw new Error(`Tile ${z}/${x}/${y} is not available offline`);
         const maxRetries = Math.max(0, Number(this.options.retryCount) || 0);
         const baseDelay = Math.max(0, Number(this.options.retryBaseDelayMs) || 0);
         const maxDelay = Math.max(0, Number(this.options.retryMaxDelayMs) || 0);
@@ -390,12 +556,7 @@ export class ImageryTiles {
             const url = this._formatUrl(x, y, z, { attempt, prevSub, subdomainOverride: chosenSub });
 
             try {
-                const tex = await new Promise((resolve, reject) => {
-                    const loader = new THREE.TextureLoader();
-                    loader.setCrossOrigin?.('anonymous');
-                    loader.load(url, resolve, undefined, reject);
-                });
-                return this._finalizeTexture(tex);
+                return await loadUrl(url);
             } catch (e) {
                 lastErr = e;
                 const s = String(e?.message ?? e ?? '');
@@ -411,11 +572,112 @@ export class ImageryTiles {
                 break;
             }
         }
-        throw lastErr || new Error('Failed to load texture');
+        throw lastErr || new Error('Failed to load tile');
+    }
+
+    /**
+     * Load a single tile through the same URL templating / throttling / retries, bypassing the LRU cache.
+     * Used for data tiles (e.g. terrain-rgb) that are decoded once; the caller owns (and disposes) the texture.
+     * @returns {Promise<THREE.Texture>}
+     */
+    loadTileTextureUncached(x, y, z) {
+        return this._queue.schedule(() => this._loadTextureWithRetries(x, y, z));
+    }
+
+    /**
+     * Load a single binary tile (e.g. quantized-mesh `.terrain`) as ArrayBuffer, bypassing the LRU cache.
+     * @param {RequestInit} [fetchOptions] - e.g. `{ headers: { Accept: ... } }`
+     * @returns {Promise<ArrayBuffer>}
+     */
+    loadTileArrayBuffer(x, y, z, fetchOptions = {}) {
+        return this._queue.schedule(() => this._loadArrayBufferWithRetries(x, y, z, fetchOptions));
+    }
+
+    _datum() {
+        return normalizeDatum(this.options.datum) ?? 'wgs84';
+    }
+
+    /**
+     * Where WGS84 tile (x, y, z) lies in the source tile grid when the source is GCJ-02 / BD-09, as fractional
+     * tile coordinates `{ x0, y0, x1, y1 }` (NW / SE corners). Null when no visible shift is needed
+     * (WGS84 source, tile outside China, or shift below a quarter pixel at low zooms).
+     */
+    _datumShiftedTileRect(x, y, z) {
+        const datum = this._datum();
+        if (datum === 'wgs84') return null;
+        const n = 2 ** z;
+        const west = tileXToLon(x, n);
+        const east = tileXToLon(x + 1, n);
+        const north = tileYToLat(y, n);
+        const south = tileYToLat(y + 1, n);
+        if (east < CHINA_BOUNDS.minLon || west > CHINA_BOUNDS.maxLon || north < CHINA_BOUNDS.minLat || south > CHINA_BOUNDS.maxLat) {
+            return null;
+        }
+
+        const nw = wgs84ToDatum(west, north, datum);
+        const se = wgs84ToDatum(east, south, datum);
+        const rect = { x0: lonToTileX(nw.lon, n), y0: latToTileY(nw.lat, n), x1: lonToTileX(se.lon, n), y1: latToTileY(se.lat, n) };
+        const shiftPx = 256 * Math.max(Math.abs(rect.x0 - x), Math.abs(rect.y0 - y), Math.abs(rect.x1 - x - 1), Math.abs(rect.y1 - y - 1));
+        return shiftPx < 0.25 ? null : rect;
+    }
+
+    /**
+     * WGS84-aligned texture for tile (x, y, z) cut from the (up to 2x2) shifted source tiles it overlaps.
+     * The offset varies by well under a pixel across one tile, so an axis-aligned resample of the corners is enough.
+     */
+    async _loadDatumShiftedTexture(x, y, z, rect) {
+        const n = 2 ** z;
+        const sx0 = Math.floor(rect.x0);
+        const sx1 = Math.floor(rect.x1 - 1e-9);
+        const sy0 = Math.max(0, Math.floor(rect.y0));
+        const sy1 = Math.min(n - 1, Math.floor(rect.y1 - 1e-9));
+
+        const tasks = [];
+        for (let sx = sx0; sx <= sx1; sx++) {
+            for (let sy = sy0; sy <= sy1; sy++) {
+                const wx = ((sx % n) + n) % n;
+                tasks.push(this._getSourceTileTexture(wx, sy, z).then((tex) => ({ tex, sx, sy })));
+            }
+        }
+        const results = await Promise.allSettled(tasks);
+        const loaded = results.filter((r) => r.status === 'fulfilled' && r.value.tex?.image).map((r) => r.value);
+        if (!loaded.length) throw results.find((r) => r.status === 'rejected')?.reason ?? new Error(`Tile ${z}/${x}/${y} failed`);
+
+        const size = Number(loaded[0].tex.image.width) || 256;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) throw new Error('2D canvas unavailable');
+
+        // Rounded edges: neighbouring source tiles share a pixel boundary, so no seams from partial coverage.
+        const px = (t) => Math.round((t - rect.x0) / (rect.x1 - rect.x0) * size);
+        const py = (t) => Math.round((t - rect.y0) / (rect.y1 - rect.y0) * size);
+        for (const { tex, sx, sy } of loaded) {
+            const left = px(sx);
+            const top = py(sy);
+            ctx.drawImage(tex.image, left, top, px(sx + 1) - left, py(sy + 1) - top);
+        }
+
+        const out = new THREE.CanvasTexture(canvas);
+        this._finalizeTexture(out);
+        out.needsUpdate = true;
+        return out;
     }
 
     /**
-     * Load a single XYZ tile as THREE.Texture.
+     * Source tile of a shifted-datum loader (cached separately from the corrected `t:` textures).
+     */
+    _getSourceTileTexture(x, y, z) {
+        const scheme = String(this.options.tileScheme ?? 'xyz').toLowerCase();
+        const key = `d:${scheme}:${z}-${x}-${y}`;
+        const existing = this._touch(key);
+        if (existing?.promise) return existing.promise;
+        return this._cachePromise(key, this._queue.schedule(() => this._loadTextureWithRetries(x, y, z)));
+    }
+
+    /**
+     * Load a single XYZ tile as THREE.Texture (datum-corrected for GCJ-02 / BD-09 sources).
      * @returns {Promise<THREE.Texture>}
      */
     getTileTexture(x, y, z) {
@@ -424,10 +686,14 @@ export class ImageryTiles {
         const existing = this._touch(key);
         if (existing?.promise) return existing.promise;
 
-        const promise = this._queue.schedule(
-            () => this._loadTextureWithRetries(x, y, z)
-        );
+        const rect = this._datumShiftedTileRect(x, y, z);
+        const promise = rect
+            ? this._loadDatumShiftedTexture(x, y, z, rect)
+            : this._queue.schedule(() => this._loadTextureWithRetries(x, y, z));
+        return this._cachePromise(key, promise);
+    }
 
+    _cachePromise(key, promise) {
         const entry = { promise, texture: null, evicted: false };
         this._cache.set(key, entry);
         this._evictIfNeeded();
@@ -448,6 +714,17 @@ export class ImageryTiles {
         return promise;
     }
 
+    /**
+     * LRU cache key of `getTextureForTerrainTile(tileX, tileY, terrainZoom, { mapZoom })` (for pin/unpin).
+     */
+    getTerrainTileCacheKey(tileX, tileY, terrainZoom, mapZoom, tileSize = 256) {
+        const scheme = String(this.options.tileScheme ?? 'xyz').toLowerCase();
+        const diff = mapZoom - terrainZoom;
+        if (diff === 0) return `t:${scheme}:${mapZoom}-${tileX}-${tileY}`;
+        if (diff < 0) return `s:${scheme}:${terrainZoom}-${tileX}-${tileY}@${mapZoom}`;
+        return `m:${scheme}:${terrainZoom}-${tileX}-${tileY}@${mapZoom}:${tileSize}`;
+    }
+
     /**
      * Get imagery texture corresponding to a terrain tile.
      * If mapZoom == terrainZoom -> direct tile.
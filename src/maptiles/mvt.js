@@ -0,0 +1,210 @@
+/**
+ * Mapbox Vector Tile (MVT 2.x) decoder.
+ *
+ * Decodes the protobuf tile into plain objects; geometry stays in tile coordinates (0..extent, y down).
+ * Gzipped bodies (served as raw `.pbf.gz` without `Content-Encoding`) are inflated first.
+ */
+
+export const MVT_GEOMETRY_TYPES = {
+    1: 'Point',
+    2: 'LineString',
+    3: 'Polygon'
+};
+
+class PbfReader {
+    constructor(bytes) {
+        this.buf = bytes;
+        this.pos = 0;
+        this.end = bytes.length;
+        this._view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    }
+
+    varint() {
+        // Up to 2^53 without BigInt (ids / uint64 values larger than that lose precision).
+        let result = 0;
+        let mul = 1;
+        for (let i = 0; i < 10; i++) {
+            if (this.pos >= this.end) throw new Error('MVT: truncated varint');
+            const b = this.buf[this.pos++];
+            result += (b & 0x7f) * mul;
+            if (b < 0x80) return result;
+            mul *= 128;
+        }
+        throw new Error('MVT: varint too long');
+    }
+
+    svarint() {
+        const n = this.varint();
+        return n % 2 === 1 ? (n + 1) / -2 : n / 2;
+    }
+
+    bytes() {
+        const len = this.varint();
+        const start = this.pos;
+        this.pos += len;
+        if (this.pos > this.end) throw new Error('MVT: truncated field');
+        return this.buf.subarray(start, this.pos);
+    }
+
+    string() {
+        return new TextDecoder().decode(this.bytes());
+    }
+
+    float() {
+        const v = this._view.getFloat32(this.pos, true);
+        this.pos += 4;
+        return v;
+    }
+
+    double() {
+        const v = this._view.getFloat64(this.pos, true);
+        this.pos += 8;
+        return v;
+    }
+
+    packedVarints() {
+        const r = new PbfReader(this.bytes());
+        const out = [];
+        while (r.pos < r.end) out.push(r.varint());
+        return out;
+    }
+
+    skip(wireType) {
+        if (wireType === 0) this.varint();
+        else if (wireType === 1) this.pos += 8;
+        else if (wireType === 2) this.pos += this.varint();
+        else if (wireType === 5) this.pos += 4;
+        else throw new Error(`MVT: unsupported wire type ${wireType}`);
+    }
+
+    /**
+     * Iterate fields: `fn(fieldNumber, wireType)` must consume the value (or return false to skip it).
+     */
+    fields(fn) {
+        while (this.pos < this.end) {
+            const tag = this.varint();
+            const field = Math.floor(tag / 8);
+            const wireType = tag & 7;
+            const start = this.pos;
+            if (fn(field, wireType) === false && this.pos === start) this.skip(wireType);
+        }
+    }
+}
+
+function readValue(bytes) {
+    const r = new PbfReader(bytes);
+    let value = null;
+    r.fields((field) => {
+        if (field === 1) value = r.string();
+        else if (field === 2) value = r.float();
+        else if (field === 3) value = r.double();
+        else if (field === 4 || field === 5) value = r.varint();
+        else if (field === 6) value = r.svarint();
+        else if (field === 7) value = r.varint() !== 0;
+        else return false;
+        return true;
+    });
+    return value;
+}
+
+/**
+ * Decode command-encoded geometry into parts (rings / lines / point groups) of `[x, y]`.
+ */
+function decodeGeometry(cmds, type) {
+    const parts = [];
+    let part = null;
+    let x = 0;
+    let y = 0;
+    let i = 0;
+    const zigzag = (n) => (n % 2 === 1 ? (n + 1) / -2 : n / 2);
+    while (i < cmds.length) {
+        const cmd = cmds[i++];
+        const id = cmd & 7;
+        const count = Math.floor(cmd / 8);
+        if (id === 7) {
+            // ClosePath
+            if (part && part.length) part.push([part[0][0], part[0][1]]);
+            continue;
+        }
+        if (id !== 1 && id !== 2) throw new Error(`MVT: unknown geometry command ${id}`);
+        for (let k = 0; k < count; k++) {
+            x += zigzag(cmds[i++]);
+            y += zigzag(cmds[i++]);
+            if (id === 1 && (type !== 1 || !part)) {
+                // MoveTo starts a new ring/line; points keep all MoveTo vertices in one part.
+                part = [];
+                parts.push(part);
+            }
+            part.push([x, y]);
+        }
+    }
+    return parts;
+}
+
+function readFeature(bytes, keys, values) {
+    const r = new PbfReader(bytes);
+    let id = null;
+    let tags = [];
+    let type = 0;
+    let cmds = [];
+    r.fields((field, wireType) => {
+        if (field === 1) id = r.varint();
+        else if (field === 2 && wireType === 2) tags = r.packedVarints();
+        else if (field === 3) type = r.varint();
+        else if (field === 4 && wireType === 2) cmds = r.packedVarints();
+        else return false;
+        return true;
+    });
+    const properties = {};
+    for (let i = 0; i + 1 < tags.length; i += 2) {
+        const k = keys[tags[i]];
+        if (k !== undefined) properties[k] = values[tags[i + 1]] ?? null;
+    }
+    return { id, type, typeName: MVT_GEOMETRY_TYPES[type] ?? 'Unknown', properties, geometry: decodeGeometry(cmds, type) };
+}
+
+function readLayer(bytes) {
+    const r = new PbfReader(bytes);
+    let name = '';
+    let extent = 4096;
+    let version = 1;
+    const keys = [];
+    const values = [];
+    const featureBytes = [];
+    r.fields((field) => {
+        if (field === 1) name = r.string();
+        else if (field === 2) featureBytes.push(r.bytes());
+        else if (field === 3) keys.push(r.string());
+        else if (field === 4) values.push(readValue(r.bytes()));
+        else if (field === 5) extent = r.varint();
+        else if (field === 15) version = r.varint();
+        else return false;
+        return true;
+    });
+    // Features reference keys/values by index, which may be written after them.
+    const features = featureBytes.map((b) => readFeature(b, keys, values));
+    return { name, extent, version, features };
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Promise<{layers: Object<string, {name: string, extent: number, version: number,
+ *   features: {id: number|null, type: number, typeName: string, properties: Object, geometry: number[][][]}[]}>}>}
+ */
+export async function decodeMvt(data) {
+    let bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) {
+        if (typeof DecompressionStream === 'undefined') throw new Error('gzip tile but DecompressionStream is unavailable');
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    const layers = {};
+    const r = new PbfReader(bytes);
+    r.fields((field) => {
+        if (field !== 3) return false;
+        const layer = readLayer(r.bytes());
+        layers[layer.name] = layer;
+        return true;
+    });
+    return { layers };
+}
@@ -0,0 +1,335 @@
+import { MathProj } from '../math/proj.js';
+
+/**
+ * OGC imagery sources (WMS GetMap, WMTS KVP/RESTful) on the XYZ tile pyramid used by `ImageryTiles`.
+ *
+ * Both are expressed as URL templates plus loader options, so they go through the same throttling, retries,
+ * LRU/persistent caches and terrain mosaicing as XYZ sources:
+ * - WMS: `{bbox}` is filled per tile from `MathProj.tileToMercatorBounds` (EPSG:3857, or EPSG:4326/CRS:84 degrees)
+ * - WMTS: `{TileMatrix}` / `{TileRow}` / `{TileCol}` are filled from the XYZ address; `tileMatrixLabels` maps
+ *   zoom -> TileMatrix identifier (parsed from GetCapabilities for sets like `EPSG:900913` with `EPSG:900913:12` ids)
+ *
+ * Only Web Mercator tile matrix sets aligned with the XYZ grid (GoogleMapsCompatible and equivalents) are supported.
+ */
+
+// Tile bounds do not depend on the scene center; keep a private instance instead of the global one.
+const _proj = new MathProj();
+
+const WEB_MERCATOR_EXTENT = 20037508.342789244;
+// OGC "standardized rendering pixel size" (0.28 mm) used by WMTS ScaleDenominator.
+const WMTS_PIXEL_SIZE = 0.00028;
+
+const WEB_MERCATOR_CRS = /(?:EPSG::?|epsg:)(3857|900913|102100|102113|3785)$/;
+
+function appendQuery(url, params) {
+    const base = String(url ?? '').trim();
+    if (!base) throw new Error('OGC source: url is required');
+    const query = Object.entries(params)
+        .filter(([, v]) => v !== undefined && v !== null)
+        .map(([k, v]) => `${k}=${String(v).startsWith('{') ? v : encodeURIComponent(v)}`)
+        .join('&');
+    if (!query) return base;
+    const sep = base.includes('?') ? (/[?&]$/.test(base) ? '' : '&') : '?';
+    return `${base}${sep}${query}`;
+}
+
+/**
+ * WMS GetMap bbox for an XYZ tile, formatted for the `BBOX` parameter.
+ * @param {number} x
+ * @param {number} y - XYZ row (origin at top)
+ * @param {number} z
+ * @param {{crs?: string, axisOrder?: 'xy'|'yx'}} [options] - `axisOrder` 'yx' = lat,lon (WMS 1.3.0 + EPSG:4326)
+ * @returns {string} `minx,miny,maxx,maxy` (or the swapped axis order)
+ */
+export function wmsTileBbox(x, y, z, options = {}) {
+    const crs = String(options.crs ?? 'EPSG:3857').toUpperCase();
+    const b = _proj.tileToMercatorBounds(x, y, z); // min = NW, max = SE
+    let minX = b.min.x, minY = b.max.y, maxX = b.max.x, maxY = b.min.y;
+    if (crs === 'EPSG:4326' || crs === 'CRS:84') {
+        const sw = _proj.mercatorToLonLat(minX, minY);
+        const ne = _proj.mercatorToLonLat(maxX, maxY);
+        minX = sw.lon; minY = sw.lat; maxX = ne.lon; maxY = ne.lat;
+    } else if (!WEB_MERCATOR_CRS.test(crs)) {
+        throw new Error(`WMS: unsupported CRS "${options.crs}" (use EPSG:3857, EPSG:4326 or CRS:84)`);
+    }
+    const v = options.axisOrder === 'yx' ? [minY, minX, maxY, maxX] : [minX, minY, maxX, maxY];
+    return v.map((n) => Number(n.toFixed(9))).join(',');
+}
+
+/**
+ * Resolve a WMS source into an `ImageryTiles` template + options.
+ * @param {Object} wms
+ * @param {string} wms.url - GetMap endpoint (e.g. `https://gis.example.com/geoserver/ows`)
+ * @param {string|string[]} wms.layers
+ * @param {string|string[]} [wms.styles='']
+ * @param {string} [wms.format='image/png']
+ * @param {boolean} [wms.transparent=true]
+ * @param {string} [wms.version='1.3.0'] - '1.3.0' (CRS=) or '1.1.1' (SRS=)
+ * @param {string} [wms.crs='EPSG:3857'] - 'EPSG:3857' | 'EPSG:4326' | 'CRS:84'
+ * @param {number} [wms.tileSize=256] - requested WIDTH/HEIGHT
+ * @param {Object} [wms.params] - extra vendor parameters (e.g. `{ TIME: '2024-01-01' }`)
+ * @returns {{tileUrl: string, tileOptions: {bboxCrs: string, bboxAxisOrder: 'xy'|'yx'}}}
+ */
+export function resolveWmsSource(wms = {}) {
+    const layers = Array.isArray(wms.layers) ? wms.layers.join(',') : wms.layers;
+    if (!layers) throw new Error('WMS: layers is required');
+    const version = String(wms.version ?? '1.3.0');
+    const crs = String(wms.crs ?? wms.srs ?? 'EPSG:3857').toUpperCase();
+    const v130 = version >= '1.3';
+    const size = Math.max(1, Number(wms.tileSize) || 256);
+    const tileUrl = appendQuery(wms.url, {
+        SERVICE: 'WMS',
+        REQUEST: 'GetMap',
+        VERSION: version,
+        LAYERS: layers,
+        STYLES: Array.isArray(wms.styles) ? wms.styles.join(',') : (wms.styles ?? ''),
+        FORMAT: wms.format ?? 'image/png',
+        TRANSPARENT: wms.transparent === false ? 'FALSE' : 'TRUE',
+        [v130 ? 'CRS' : 'SRS']: crs,
+        WIDTH: size,
+        HEIGHT: size,
+        ...(wms.params ?? {}),
+        BBOX: '{bbox}'
+    });
+    // WMS 1.3.0 uses the EPSG axis order: EPSG:4326 is lat,lon. CRS:84 and 1.1.1 are always lon,lat.
+    const bboxAxisOrder = v130 && crs === 'EPSG:4326' ? 'yx' : 'xy';
+    return { tileUrl, tileOptions: { bboxCrs: crs, bboxAxisOrder } };
+}
+
+/**
+ * Resolve a WMTS source into an `ImageryTiles` template + options.
+ * @param {Object} wmts
+ * @param {'KVP'|'RESTful'} [wmts.requestEncoding] - default: 'RESTful' when `template` is set, else 'KVP'
+ * @param {string} [wmts.url] - KVP GetTile endpoint
+ * @param {string} [wmts.template] - RESTful ResourceURL template (`{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}`)
+ * @param {string} wmts.layer
+ * @param {string} [wmts.style='default']
+ * @param {string} [wmts.tileMatrixSet='GoogleMapsCompatible']
+ * @param {string} [wmts.format='image/png']
+ * @param {Object|string[]} [wmts.tileMatrixLabels] - zoom -> TileMatrix identifier (default: the zoom itself)
+ * @param {Object} [wmts.dimensions] - values for extra `{Dimension}` placeholders (e.g. `{ Time: '2024' }`)
+ * @returns {{tileUrl: string, tileOptions: {tileMatrixLabels: Object|string[]|null}}}
+ */
+export function resolveWmtsSource(wmts = {}) {
+    const style = wmts.style ?? 'default';
+    const tileMatrixSet = wmts.tileMatrixSet ?? 'GoogleMapsCompatible';
+    const encoding = String(wmts.requestEncoding ?? (wmts.template ? 'RESTful' : 'KVP')).toLowerCase();
+    let tileUrl;
+    if (encoding === 'restful' || encoding === 'rest') {
+        if (!wmts.template) throw new Error('WMTS: RESTful encoding needs a ResourceURL template');
+        const fixed = { ...(wmts.dimensions ?? {}), Style: style, TileMatrixSet: tileMatrixSet, Layer: wmts.layer };
+        tileUrl = String(wmts.template).replace(/\{(\w+)\}/g, (m, name) => {
+            const key = Object.keys(fixed).find((k) => k.toLowerCase() === name.toLowerCase());
+            // Identifiers like `EPSG:900913` stay readable in the path.
+            return key !== undefined && fixed[key] !== undefined ? encodeURIComponent(fixed[key]).replace(/%3A/gi, ':') : m;
+        });
+    } else {
+        if (!wmts.layer) throw new Error('WMTS: layer is required');
+        tileUrl = appendQuery(wmts.url, {
+            SERVICE: 'WMTS',
+            REQUEST: 'GetTile',
+            VERSION: '1.0.0',
+            LAYER: wmts.layer,
+            STYLE: style,
+            TILEMATRIXSET: tileMatrixSet,
+            FORMAT: wmts.format ?? 'image/png',
+            ...(wmts.dimensions ?? {}),
+            TILEMATRIX: '{TileMatrix}',
+            TILEROW: '{TileRow}',
+            TILECOL: '{TileCol}'
+        });
+    }
+    return { tileUrl, tileOptions: { tileMatrixLabels: wmts.tileMatrixLabels ?? null } };
+}
+
+// --- GetCapabilities -------------------------------------------------------------------------------------
+
+function children(el, name) {
+    return Array.from(el?.children ?? []).filter((c) => c.localName === name);
+}
+
+function child(el, name) {
+    return children(el, name)[0] ?? null;
+}
+
+function childText(el, name) {
+    const c = child(el, name);
+    return c ? String(c.textContent ?? '').trim() : null;
+}
+
+function parseXml(xml) {
+    if (typeof xml !== 'string') return xml;
+    if (typeof DOMParser === 'undefined') throw new Error('WMTS: DOMParser is not available');
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) throw new Error('WMTS: invalid capabilities XML');
+    return doc;
+}
+
+/**
+ * Parse a WMTS 1.0.0 GetCapabilities document.
+ * @param {string|Document} xml
+ * @returns {{
+ *   getTileUrl: string|null, encodings: string[],
+ *   layers: {identifier: string, title: string|null, styles: {identifier: string, isDefault: boolean}[],
+ *     formats: string[], tileMatrixSets: string[], resourceUrls: {format: string, resourceType: string, template: string}[]}[],
+ *   tileMatrixSets: Object<string, {identifier: string, crs: string|null, matrices: {identifier: string, scaleDenominator: number,
+ *     topLeft: number[], tileWidth: number, tileHeight: number, matrixWidth: number, matrixHeight: number}[]}>
+ * }}
+ */
+export function parseWmtsCapabilities(xml) {
+    const doc = parseXml(xml);
+    const root = doc.documentElement;
+    if (root?.localName !== 'Capabilities') throw new Error('WMTS: not a Capabilities document');
+
+    // KVP GetTile endpoint (OperationsMetadata/Operation[@name=GetTile]/DCP/HTTP/Get)
+    let getTileUrl = null;
+    const encodings = [];
+    for (const op of children(child(root, 'OperationsMetadata'), 'Operation')) {
+        if (op.getAttribute('name') !== 'GetTile') continue;
+        for (const get of children(child(child(op, 'DCP'), 'HTTP'), 'Get')) {
+            const href = get.getAttribute('xlink:href') ?? get.getAttributeNS('http://www.w3.org/1999/xlink', 'href');
+            const values = get.getElementsByTagNameNS('*', 'Value');
+            const enc = Array.from(values).map((v) => String(v.textContent ?? '').trim());
+            encodings.push(...enc);
+            if (href && (!enc.length || enc.includes('KVP')) && !getTileUrl) getTileUrl = href;
+        }
+    }
+
+    const contents = child(root, 'Contents');
+    const layers = children(contents, 'Layer').map((l) => ({
+        identifier: childText(l, 'Identifier'),
+        title: childText(l, 'Title'),
+        styles: children(l, 'Style').map((s) => ({
+            identifier: childText(s, 'Identifier'),
+            isDefault: s.getAttribute('isDefault') === 'true'
+        })),
+        formats: children(l, 'Format').map((f) => String(f.textContent ?? '').trim()),
+        tileMatrixSets: children(l, 'TileMatrixSetLink').map((k) => childText(k, 'TileMatrixSet')),
+        resourceUrls: children(l, 'ResourceURL').map((r) => ({
+            format: r.getAttribute('format'),
+            resourceType: r.getAttribute('resourceType'),
+            template: r.getAttribute('template')
+        }))
+    }));
+
+    const tileMatrixSets = {};
+    for (const s of children(contents, 'TileMatrixSet')) {
+        const identifier = childText(s, 'Identifier');
+        tileMatrixSets[identifier] = {
+            identifier,
+            crs: childText(s, 'SupportedCRS'),
+            matrices: children(s, 'TileMatrix').map((m) => ({
+                identifier: childText(m, 'Identifier'),
+                scaleDenominator: Number(childText(m, 'ScaleDenominator')),
+                topLeft: String(childText(m, 'TopLeftCorner') ?? '').split(/\s+/).map(Number),
+                tileWidth: Number(childText(m, 'TileWidth')),
+                tileHeight: Number(childText(m, 'TileHeight')),
+                matrixWidth: Number(childText(m, 'MatrixWidth')),
+                matrixHeight: Number(childText(m, 'MatrixHeight'))
+            }))
+        };
+    }
+
+    return { getTileUrl, encodings, layers, tileMatrixSets };
+}
+
+/**
+ * Map a Web Mercator tile matrix set onto XYZ zooms.
+ * @returns {Object<number, string>|null} zoom -> TileMatrix identifier, or null when the set is not XYZ-aligned
+ */
+export function wmtsTileMatrixLabels(set) {
+    if (!set || (set.crs && !WEB_MERCATOR_CRS.test(set.crs))) return null;
+    const labels = {};
+    for (const m of set.matrices ?? []) {
+        // Tile span in meters; 512px tiles at the same span are fine (just sharper textures).
+        const span = m.scaleDenominator * WMTS_PIXEL_SIZE * m.tileWidth;
+        const zf = Math.log2((2 * WEB_MERCATOR_EXTENT) / span);
+        const z = Math.round(zf);
+        if (!(Math.abs(zf - z) < 0.01) || z < 0) return null;
+        // Top-left corner must be the Web Mercator origin (either axis order).
+        const [a, b] = m.topLeft;
+        const tol = 1;
+        const xyOk = Math.abs(a + WEB_MERCATOR_EXTENT) < tol && Math.abs(b - WEB_MERCATOR_EXTENT) < tol;
+        const yxOk = Math.abs(b + WEB_MERCATOR_EXTENT) < tol && Math.abs(a - WEB_MERCATOR_EXTENT) < tol;
+        if (!xyOk && !yxOk) return null;
+        labels[z] = m.identifier;
+    }
+    return Object.keys(labels).length ? labels : null;
+}
+
+/**
+ * Build a base map / imagery layer config from parsed capabilities.
+ * @param {ReturnType<typeof parseWmtsCapabilities>} caps
+ * @param {Object} options
+ * @param {string} options.layer - layer identifier
+ * @param {string} [options.style] - default: the layer's default style
+ * @param {string} [options.tileMatrixSet] - default: the first Web Mercator set linked to the layer
+ * @param {string} [options.format] - default: png/jpeg, else the first advertised format
+ * @param {'KVP'|'RESTful'} [options.requestEncoding] - default: RESTful when the layer has a tile ResourceURL
+ * @param {string} [options.url] - KVP endpoint override (default: GetTile DCP from the capabilities)
+ * @returns {{baseMapType: 'wmts', wmts: Object, minZoom: number, maxNativeZoom: number}}
+ */
+export function wmtsSourceFromCapabilities(caps, options = {}) {
+    const layer = caps.layers.find((l) => l.identifier === options.layer);
+    if (!layer) {
+        throw new Error(`WMTS: layer "${options.layer}" not found (available: ${caps.layers.map((l) => l.identifier).join(', ')})`);
+    }
+
+    const candidates = options.tileMatrixSet ? [options.tileMatrixSet] : layer.tileMatrixSets;
+    let tileMatrixSet = null;
+    let labels = null;
+    for (const id of candidates) {
+        labels = wmtsTileMatrixLabels(caps.tileMatrixSets[id]);
+        if (labels) {
+            tileMatrixSet = id;
+            break;
+        }
+    }
+    if (!tileMatrixSet) {
+        throw new Error(`WMTS: no Web Mercator (XYZ-aligned) tile matrix set for layer "${layer.identifier}" (${candidates.join(', ')})`);
+    }
+
+    const style = options.style ?? (layer.styles.find((s) => s.isDefault) ?? layer.styles[0])?.identifier ?? 'default';
+    const format = options.format
+        ?? layer.formats.find((f) => /png|jpe?g/i.test(f))
+        ?? layer.formats[0]
+        ?? 'image/png';
+    const tileResources = layer.resourceUrls.filter((r) => r.resourceType === 'tile');
+    const resource = tileResources.find((r) => r.format === format) ?? tileResources[0] ?? null;
+    const wantRest = options.requestEncoding
+        ? /^rest/i.test(options.requestEncoding)
+        : !!resource && !(options.url ?? null);
+    if (wantRest && !resource) throw new Error(`WMTS: layer "${layer.identifier}" has no RESTful ResourceURL`);
+    const url = options.url ?? caps.getTileUrl;
+    if (!wantRest && !url) throw new Error('WMTS: capabilities advertise no KVP GetTile endpoint');
+
+    const zooms = Object.keys(labels).map(Number);
+    return {
+        baseMapType: 'wmts',
+        wmts: {
+            requestEncoding: wantRest ? 'RESTful' : 'KVP',
+            url: wantRest ? null : url,
+            template: wantRest ? resource.template : null,
+            layer: layer.identifier,
+            style,
+            tileMatrixSet,
+            format: wantRest ? (resource.format ?? format) : format,
+            tileMatrixLabels: labels
+        },
+        minZoom: Math.min(...zooms),
+        maxNativeZoom: Math.max(...zooms)
+    };
+}
+
+/**
+ * Fetch + parse GetCapabilities and build a source config, e.g.
+ * `viewer.setBaseMap(await loadWmtsSource(url, { layer: 'ortho:2023' }))`.
+ * @param {string} capabilitiesUrl - `.../WMTSCapabilities.xml` or `...?SERVICE=WMTS&REQUEST=GetCapabilities`
+ * @param {Object} options - see `wmtsSourceFromCapabilities`; `fetchOptions` is passed to `fetch`
+ */
+export async function loadWmtsSource(capabilitiesUrl, options = {}) {
+    const res = await fetch(capabilitiesUrl, options.fetchOptions ?? {});
+    if (!res.ok) throw new Error(`WMTS: GetCapabilities failed (HTTP ${res.status})`);
+    const caps = parseWmtsCapabilities(await res.text());
+    return wmtsSourceFromCapabilities(caps, options);
+}
@@ -129,6 +129,8 @@ export class MarkerManager {
 
         markerGroup.userData.markerData = {
             sphere,
+            label,
+            img,
             baseRadiusUnits,
             autoScale,
             screenSizePx,
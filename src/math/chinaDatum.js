@@ -0,0 +1,157 @@
+/**
+ * Chinese map datums: GCJ-02 ("Mars" coordinates, AMap / Tencent / google.cn) and BD-09 (Baidu).
+ *
+ * Both are obfuscated WGS84 lon/lat, shifted by a smooth non-linear offset of roughly 100-700 m inside China and
+ * identity outside. WGS84 -> GCJ-02 -> BD-09 are closed-form; the inverses are solved iteratively (< 1e-9° / ~0.1 mm).
+ *
+ * Datum ids: 'wgs84' (also CGCS2000, treated as identical), 'gcj02', 'bd09'.
+ */
+
+const A = 6378245.0;
+const EE = 0.00669342162296594323;
+const X_PI = Math.PI * 3000.0 / 180.0;
+
+// Rough bounding box of the area where the GCJ-02 offset is applied.
+export const CHINA_BOUNDS = { minLon: 72.004, maxLon: 137.8347, minLat: 0.8293, maxLat: 55.8271 };
+
+export const DATUMS = ['wgs84', 'gcj02', 'bd09'];
+
+/**
+ * Normalize a datum name ('GCJ-02', 'gcj02', 'mars', 'BD09', 'wgs84', 'cgcs2000', ...) to a datum id
+ * (null if unknown; empty -> 'wgs84').
+ */
+export function normalizeDatum(datum) {
+    const s = String(datum ?? '').trim().toLowerCase().replace(/[-_\s]/g, '');
+    if (!s || s === 'wgs84' || s === 'cgcs2000' || s === 'epsg4326' || s === 'epsg4490') return 'wgs84';
+    if (s === 'gcj02' || s === 'gcj' || s === 'mars') return 'gcj02';
+    if (s === 'bd09' || s === 'bd09ll' || s === 'baidu') return 'bd09';
+    return null;
+}
+
+export function outOfChina(lon, lat) {
+    return lon < CHINA_BOUNDS.minLon || lon > CHINA_BOUNDS.maxLon || lat < CHINA_BOUNDS.minLat || lat > CHINA_BOUNDS.maxLat;
+}
+
+function transformLat(x, y) {
+    let ret = -100.0 + 2.0 * x + 3.0 * y + 0.2 * y * y + 0.1 * x * y + 0.2 * Math.sqrt(Math.abs(x));
+    ret += (20.0 * Math.sin(6.0 * x * Math.PI) + 20.0 * Math.sin(2.0 * x * Math.PI)) * 2.0 / 3.0;
+    ret += (20.0 * Math.sin(y * Math.PI) + 40.0 * Math.sin(y / 3.0 * Math.PI)) * 2.0 / 3.0;
+    ret += (160.0 * Math.sin(y / 12.0 * Math.PI) + 320 * Math.sin(y * Math.PI / 30.0)) * 2.0 / 3.0;
+    return ret;
+}
+
+function transformLon(x, y) {
+    let ret = 300.0 + x + 2.0 * y + 0.1 * x * x + 0.1 * x * y + 0.1 * Math.sqrt(Math.abs(x));
+    ret += (20.0 * Math.sin(6.0 * x * Math.PI) + 20.0 * Math.sin(2.0 * x * Math.PI)) * 2.0 / 3.0;
+    ret += (20.0 * Math.sin(x * Math.PI) + 40.0 * Math.sin(x / 3.0 * Math.PI)) * 2.0 / 3.0;
+    ret += (150.0 * Math.sin(x / 12.0 * Math.PI) + 300.0 * Math.sin(x / 30.0 * Math.PI)) * 2.0 / 3.0;
+    return ret;
+}
+
+/**
+ * @returns {{lon: number, lat: number}}
+ */
+export function wgs84ToGcj02(lon, lat) {
+    lon = Number(lon);
+    lat = Number(lat);
+    if (outOfChina(lon, lat)) return { lon, lat };
+    let dLat = transformLat(lon - 105.0, lat - 35.0);
+    let dLon = transformLon(lon - 105.0, lat - 35.0);
+    const radLat = lat / 180.0 * Math.PI;
+    let magic = Math.sin(radLat);
+    magic = 1 - EE * magic * magic;
+    const sqrtMagic = Math.sqrt(magic);
+    dLat = (dLat * 180.0) / ((A * (1 - EE)) / (magic * sqrtMagic) * Math.PI);
+    dLon = (dLon * 180.0) / (A / sqrtMagic * Math.cos(radLat) * Math.PI);
+    return { lon: lon + dLon, lat: lat + dLat };
+}
+
+/**
+ * Inverse of `wgs84ToGcj02` (fixed-point iteration).
+ * @returns {{lon: number, lat: number}}
+ */
+export function gcj02ToWgs84(lon, lat) {
+    lon = Number(lon);
+    lat = Number(lat);
+    if (outOfChina(lon, lat)) return { lon, lat };
+    let wLon = lon;
+    let wLat = lat;
+    for (let i = 0; i < 10; i++) {
+        const g = wgs84ToGcj02(wLon, wLat);
+        const dLon = g.lon - lon;
+        const dLat = g.lat - lat;
+        wLon -= dLon;
+        wLat -= dLat;
+        if (Math.abs(dLon) < 1e-10 && Math.abs(dLat) < 1e-10) break;
+    }
+    return { lon: wLon, lat: wLat };
+}
+
+/**
+ * @returns {{lon: number, lat: number}}
+ */
+export function gcj02ToBd09(lon, lat) {
+    const x = Number(lon);
+    const y = Number(lat);
+    const z = Math.sqrt(x * x + y * y) + 0.00002 * Math.sin(y * X_PI);
+    const theta = Math.atan2(y, x) + 0.000003 * Math.cos(x * X_PI);
+    return { lon: z * Math.cos(theta) + 0.0065, lat: z * Math.sin(theta) + 0.006 };
+}
+
+/**
+ * Inverse of `gcj02ToBd09` (fixed-point iteration on top of the usual closed-form approximation).
+ * @returns {{lon: number, lat: number}}
+ */
+export function bd09ToGcj02(lon, lat) {
+    lon = Number(lon);
+    lat = Number(lat);
+    const x = lon - 0.0065;
+    const y = lat - 0.006;
+    const z = Math.sqrt(x * x + y * y) - 0.00002 * Math.sin(y * X_PI);
+    const theta = Math.atan2(y, x) - 0.000003 * Math.cos(x * X_PI);
+    let gLon = z * Math.cos(theta);
+    let gLat = z * Math.sin(theta);
+    for (let i = 0; i < 5; i++) {
+        const b = gcj02ToBd09(gLon, gLat);
+        const dLon = b.lon - lon;
+        const dLat = b.lat - lat;
+        gLon -= dLon;
+        gLat -= dLat;
+        if (Math.abs(dLon) < 1e-10 && Math.abs(dLat) < 1e-10) break;
+    }
+    return { lon: gLon, lat: gLat };
+}
+
+export function wgs84ToBd09(lon, lat) {
+    const g = wgs84ToGcj02(lon, lat);
+    return gcj02ToBd09(g.lon, g.lat);
+}
+
+export function bd09ToWgs84(lon, lat) {
+    const g = bd09ToGcj02(lon, lat);
+    return gcj02ToWgs84(g.lon, g.lat);
+}
+
+/**
+ * WGS84 lon/lat -> lon/lat in `datum`.
+ * @param {'wgs84'|'gcj02'|'bd09'|string} datum
+ */
+export function wgs84ToDatum(lon, lat, datum) {
+    const d = normalizeDatum(datum);
+    if (d === 'gcj02') return wgs84ToGcj02(lon, lat);
+    if (d === 'bd09') return wgs84ToBd09(lon, lat);
+    if (d === 'wgs84') return { lon: Number(lon), lat: Number(lat) };
+    throw new Error(`Datum: unsupported datum "${datum}"`);
+}
+
+/**
+ * Lon/lat in `datum` -> WGS84 lon/lat.
+ * @param {'wgs84'|'gcj02'|'bd09'|string} datum
+ */
+export function datumToWgs84(lon, lat, datum) {
+    const d = normalizeDatum(datum);
+    if (d === 'gcj02') return gcj02ToWgs84(lon, lat);
+    if (d === 'bd09') return bd09ToWgs84(lon, lat);
+    if (d === 'wgs84') return { lon: Number(lon), lat: Number(lat) };
+    throw new Error(`Datum: unsupported datum "${datum}"`);
+}
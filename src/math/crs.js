@@ -0,0 +1,176 @@
+import {
+    transverseMercatorForward,
+    transverseMercatorInverse,
+    transverseMercatorParamsFromEpsg
+} from './transverseMercator.js';
+
+/**
+ * Coordinate reference systems for engineering input/output (drawings, survey points) next to WGS84 lon/lat:
+ * CGCS2000 geographic, CGCS2000 3°/6° Gauss-Krüger (with or without zone-prefixed easting), WGS84 UTM and Web Mercator.
+ *
+ * Accepted CRS specs (`resolveCrs`):
+ * - EPSG code: `4326`, `'EPSG:4547'`, `'epsg:32650'`
+ * - UTM shorthand: `'UTM50N'`, `'UTM 50S'`
+ * - transverse-Mercator params: `{ ellipsoid: 'CGCS2000', centralMeridian: 114, falseEasting: 500000 }`
+ * - custom: `{ fromLonLat(lon, lat) => {x, y}, toLonLat(x, y) => {lon, lat}, name? }`
+ *
+ * CGCS2000 and WGS84 lon/lat differ by centimeters and are treated as identical. Xian 80 (EPSG:4610) and Beijing 54
+ * (EPSG:4214) are offset from WGS84 by tens of meters up to ~100 m and need datum transformation parameters, so their
+ * codes are rejected (null); pass a custom CRS that applies the local transformation instead.
+ */
+
+const WEB_MERCATOR_R = 6378137.0;
+
+// Geographic lon/lat codes handled as WGS84 (WGS84, CGCS2000).
+const GEOGRAPHIC_CODES = new Set([4326, 4490]);
+const WEB_MERCATOR_CODES = new Set([3857, 900913, 102100]);
+
+const GEOGRAPHIC = {
+    code: 4326,
+    name: 'WGS84 / CGCS2000 经纬度',
+    projected: false,
+    fromLonLat: (lon, lat) => ({ x: Number(lon), y: Number(lat) }),
+    toLonLat: (x, y) => ({ lon: Number(x), lat: Number(y) })
+};
+
+const WEB_MERCATOR = {
+    code: 3857,
+    name: 'Web 墨卡托',
+    projected: true,
+    fromLonLat: (lon, lat) => ({
+        x: WEB_MERCATOR_R * Number(lon) * Math.PI / 180,
+        y: WEB_MERCATOR_R * Math.log(Math.tan(Math.PI / 4 + Number(lat) * Math.PI / 360))
+    }),
+    toLonLat: (x, y) => ({
+        lon: Number(x) / WEB_MERCATOR_R * 180 / Math.PI,
+        lat: (2 * Math.atan(Math.exp(Number(y) / WEB_MERCATOR_R)) - Math.PI / 2) * 180 / Math.PI
+    })
+};
+
+function transverseMercatorCrs(params, code = null, name = null) {
+    return {
+        code,
+        name: name ?? `横轴墨卡托（中央经线 ${params.centralMeridian ?? params.lon0}°）`,
+        projected: true,
+        params,
+        fromLonLat: (lon, lat) => transverseMercatorForward(lon, lat, params),
+        toLonLat: (x, y) => transverseMercatorInverse(x, y, params)
+    };
+}
+
+function transverseMercatorName(code, tm) {
+    if (code >= 32601 && code <= 32760) return `WGS84 / UTM ${tm.zone}${code >= 32701 ? 'S' : 'N'}`;
+    const width = code >= 4513 ? 3 : 6;
+    const prefixed = (code >= 4513 && code <= 4533) || (code >= 4491 && code <= 4501);
+    return prefixed
+        ? `CGCS2000 ${width}°带 ${tm.zone}（带号前缀）`
+        : `CGCS2000 ${width}°带 中央经线 ${tm.centralMeridian}°`;
+}
+
+/**
+ * WGS84 UTM EPSG code of the zone containing lon/lat (326xx north / 327xx south).
+ */
+export function utmEpsg(lon, lat) {
+    const zone = Math.min(60, Math.max(1, Math.floor((Number(lon) + 180) / 6) + 1));
+    return (Number(lat) >= 0 ? 32600 : 32700) + zone;
+}
+
+/**
+ * CGCS2000 Gauss-Krüger EPSG code of the zone containing `lon` (null outside the zones covering China).
+ * @param {number} lon
+ * @param {{zoneWidth?: 3|6, zonePrefix?: boolean}} [options] - `zonePrefix`: easting carries the zone number
+ *   (e.g. 38500000) instead of only the 500 km false easting
+ */
+export function gaussKrugerEpsg(lon, options = {}) {
+    const prefix = options.zonePrefix !== false;
+    if (Number(options.zoneWidth) === 6) {
+        const zone = Math.floor(Number(lon) / 6) + 1;
+        if (zone < 13 || zone > 23) return null;
+        return (prefix ? 4491 : 4502) + zone - 13;
+    }
+    const zone = Math.round(Number(lon) / 3);
+    if (zone < 25 || zone > 45) return null;
+    return (prefix ? 4513 : 4534) + zone - 25;
+}
+
+/**
+ * Resolve a CRS spec to `{ code, name, projected, fromLonLat, toLonLat }` (null if unsupported).
+ * Empty specs resolve to WGS84 lon/lat.
+ * @param {number|string|Object|null} crs
+ */
+export function resolveCrs(crs) {
+    if (crs === null || crs === undefined || crs === '') return GEOGRAPHIC;
+    if (typeof crs === 'object') {
+        if (typeof crs.fromLonLat === 'function') {
+            return {
+                code: crs.code ?? null,
+                name: crs.name ?? '自定义坐标系',
+                projected: crs.projected !== false,
+                fromLonLat: (lon, lat) => crs.fromLonLat(lon, lat),
+                toLonLat: (x, y) => {
+                    if (typeof crs.toLonLat !== 'function') throw new Error('CRS: custom CRS has no toLonLat');
+                    return crs.toLonLat(x, y);
+                }
+            };
+        }
+        if (Number.isFinite(Number(crs.centralMeridian ?? crs.lon0))) return transverseMercatorCrs(crs, null, crs.name ?? null);
+        if (crs.epsg !== undefined) return resolveCrs(crs.epsg);
+        return null;
+    }
+
+    const text = String(crs).trim();
+    const utm = /^utm\s*(\d{1,2})\s*([ns])$/i.exec(text);
+    if (utm) {
+        const zone = Number(utm[1]);
+        if (zone < 1 || zone > 60) return null;
+        return resolveCrs((utm[2].toUpperCase() === 'S' ? 32700 : 32600) + zone);
+    }
+
+    const code = Number(text.replace(/^epsg:/i, ''));
+    if (!Number.isInteger(code)) return null;
+    if (GEOGRAPHIC_CODES.has(code)) return { ...GEOGRAPHIC, code };
+    if (WEB_MERCATOR_CODES.has(code)) return { ...WEB_MERCATOR, code };
+    const tm = transverseMercatorParamsFromEpsg(code);
+    return tm ? transverseMercatorCrs(tm, code, transverseMercatorName(code, tm)) : null;
+}
+
+/**
+ * Canonical string for a CRS spec (`'EPSG:4547'`), or the spec itself when it has no EPSG code.
+ */
+export function crsKey(crs) {
+    const resolved = resolveCrs(crs);
+    return resolved?.code ? `EPSG:${resolved.code}` : crs;
+}
+
+/**
+ * CRS choices relevant at a location (for UI selects): WGS84/CGCS2000 lon/lat, the CGCS2000 3°/6° Gauss-Krüger
+ * zones (with and without zone prefix), the UTM zone and Web Mercator.
+ * @returns {{value: string, label: string}[]}
+ */
+export function crsOptionsForLonLat(lon, lat) {
+    const codes = [
+        4326,
+        gaussKrugerEpsg(lon, { zoneWidth: 3, zonePrefix: true }),
+        gaussKrugerEpsg(lon, { zoneWidth: 3, zonePrefix: false }),
+        gaussKrugerEpsg(lon, { zoneWidth: 6, zonePrefix: true }),
+        gaussKrugerEpsg(lon, { zoneWidth: 6, zonePrefix: false }),
+        utmEpsg(lon, lat),
+        3857
+    ].filter((code) => code !== null);
+    return codes.map((code) => ({ value: `EPSG:${code}`, label: `${resolveCrs(code).name}（EPSG:${code}）` }));
+}
+
+/**
+ * Convert a coordinate list `[[x, y, ...rest], ...]` in `crs` to `[[lon, lat, ...rest], ...]`.
+ * Geographic input is returned unchanged.
+ */
+export function coordinatesToLonLat(coords, crs) {
+    const resolved = resolveCrs(crs);
+    if (!resolved) throw new Error(`CRS: unsupported coordinate system ${String(crs)}`);
+    if (!resolved.projected || !Array.isArray(coords)) return coords;
+    return coords.map((c) => {
+        if (!Array.isArray(c) || c.length < 2) return c;
+        const ll = resolved.toLonLat(Number(c[0]), Number(c[1]));
+        return [ll.lon, ll.lat, ...c.slice(2)];
+    });
+}
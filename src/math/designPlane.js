@@ -0,0 +1,127 @@
+import { createEnuFrame } from './enu.js';
+
+/**
+ * Design planes for platforms: a flat or inclined plane in lon/lat + meters, shared by the cut/fill volume
+ * computation and the terrain edit that executes it (`MultipleTerrainEditorEditor` `'plane'` patches), so both see
+ * exactly the same surface.
+ *
+ * A plane is `{ origin: {lon, lat}, elevation, gradeEast, gradeNorth }`: elevation (meters) at the origin plus a
+ * gradient in meters per meter along the local east/north axes (ENU tangent plane at the origin, `math/enu.js`).
+ * It is plain data (JSON-safe), so it can go into edit journals and sessions as-is.
+ *
+ * Specs accepted by `resolveDesignPlane`:
+ * - a number: flat plane at that elevation
+ * - `{ targetElevation | elevation, longGrade?, crossGrade?, azimuth?, origin? }`: grades in percent; `longGrade`
+ *   rises toward `azimuth` (degrees clockwise from north), `crossGrade` rises toward its right (azimuth + 90°);
+ *   `origin` ([lon, lat] or {lon, lat}) defaults to the polygon's vertex centroid
+ * - `{ points: [[lon, lat, elevation], x3] }`: plane through three reference points
+ * - `{ plane }`: an already resolved plane
+ */
+
+const DEG = Math.PI / 180;
+const frames = new WeakMap();
+
+function toLonLat(p) {
+    if (Array.isArray(p)) return { lon: Number(p[0]), lat: Number(p[1]) };
+    if (p && typeof p === 'object') return { lon: Number(p.lon), lat: Number(p.lat) };
+    return null;
+}
+
+function isFiniteLonLat(p) {
+    return !!p && Number.isFinite(p.lon) && Number.isFinite(p.lat);
+}
+
+function polygonCentroid(polygon) {
+    const pts = (Array.isArray(polygon) ? polygon : []).map(toLonLat).filter(isFiniteLonLat);
+    if (!pts.length) return null;
+    return {
+        lon: pts.reduce((s, p) => s + p.lon, 0) / pts.length,
+        lat: pts.reduce((s, p) => s + p.lat, 0) / pts.length
+    };
+}
+
+function frameOf(plane) {
+    let frame = frames.get(plane);
+    if (!frame) {
+        frame = createEnuFrame(plane.origin.lon, plane.origin.lat);
+        frames.set(plane, frame);
+    }
+    return frame;
+}
+
+/**
+ * Whether a spec describes a non-horizontal plane (non-zero grades, reference points or a resolved sloped plane).
+ */
+export function isSlopedDesign(spec) {
+    if (!spec || typeof spec !== 'object') return false;
+    if (spec.plane) return !!(Number(spec.plane.gradeEast) || Number(spec.plane.gradeNorth));
+    if (Array.isArray(spec.points) && spec.points.length >= 3) return true;
+    return !!(Number(spec.longGrade) || Number(spec.crossGrade));
+}
+
+/**
+ * Resolve a design plane spec (see module doc).
+ * @param {number|Object} spec
+ * @param {Array<[number, number]>} [polygon] - lon/lat ring, used for the default origin
+ * @returns {{origin: {lon: number, lat: number}, elevation: number, gradeEast: number, gradeNorth: number}|null}
+ *   null when the spec has no usable elevation
+ */
+export function resolveDesignPlane(spec, polygon = null) {
+    if (spec && typeof spec === 'object' && spec.plane) {
+        const p = spec.plane;
+        const origin = toLonLat(p.origin);
+        if (!isFiniteLonLat(origin) || !Number.isFinite(Number(p.elevation))) return null;
+        return { origin, elevation: Number(p.elevation), gradeEast: Number(p.gradeEast) || 0, gradeNorth: Number(p.gradeNorth) || 0 };
+    }
+
+    if (spec && typeof spec === 'object' && Array.isArray(spec.points) && spec.points.length >= 3) {
+        const pts = spec.points.slice(0, 3).map((p) => ({ ...toLonLat(p), h: Number(Array.isArray(p) ? p[2] : p?.elevation) }));
+        if (pts.some((p) => !isFiniteLonLat(p) || !Number.isFinite(p.h))) {
+            throw new Error('DesignPlane: reference points need [lon, lat, elevation]');
+        }
+        const origin = { lon: pts[0].lon, lat: pts[0].lat };
+        const frame = createEnuFrame(origin.lon, origin.lat);
+        const [, b, c] = pts.map((p) => frame.forward(p.lon, p.lat));
+        const dh1 = pts[1].h - pts[0].h;
+        const dh2 = pts[2].h - pts[0].h;
+        const det = b.east * c.north - c.east * b.north;
+        const scale = Math.max(Math.hypot(b.east, b.north), Math.hypot(c.east, c.north));
+        if (!(Math.abs(det) > 1e-3 * scale * scale)) throw new Error('DesignPlane: reference points are collinear');
+        return {
+            origin,
+            elevation: pts[0].h,
+            gradeEast: (dh1 * c.north - dh2 * b.north) / det,
+            gradeNorth: (b.east * dh2 - c.east * dh1) / det
+        };
+    }
+
+    const elevation = typeof spec === 'object' && spec !== null
+        ? Number(spec.targetElevation ?? spec.elevation ?? spec.height)
+        : Number(spec);
+    if (!Number.isFinite(elevation)) return null;
+
+    const origin = (typeof spec === 'object' && spec?.origin ? toLonLat(spec.origin) : null) ?? polygonCentroid(polygon) ?? { lon: 0, lat: 0 };
+    if (!isFiniteLonLat(origin)) return null;
+    const longGrade = (typeof spec === 'object' ? Number(spec?.longGrade) : 0) || 0;
+    const crossGrade = (typeof spec === 'object' ? Number(spec?.crossGrade) : 0) || 0;
+    const az = ((typeof spec === 'object' ? Number(spec?.azimuth) : 0) || 0) * DEG;
+    // Unit vectors (east, north): along = azimuth, right = azimuth + 90°.
+    const alongE = Math.sin(az), alongN = Math.cos(az);
+    const rightE = Math.cos(az), rightN = -Math.sin(az);
+    return {
+        origin,
+        elevation,
+        gradeEast: (longGrade * alongE + crossGrade * rightE) / 100,
+        gradeNorth: (longGrade * alongN + crossGrade * rightN) / 100
+    };
+}
+
+/**
+ * Plane elevation (meters) at `lon, lat`.
+ */
+export function designPlaneElevationAt(plane, lon, lat) {
+    if (!plane) return NaN;
+    if (!plane.gradeEast && !plane.gradeNorth) return plane.elevation;
+    const { east, north } = frameOf(plane).forward(lon, lat);
+    return plane.elevation + plane.gradeEast * east + plane.gradeNorth * north;
+}
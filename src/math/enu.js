@@ -0,0 +1,90 @@
+/**
+ * Local tangent-plane (ENU) frame on the WGS84 ellipsoid.
+ *
+ * A point is mapped to the east/north components of its ellipsoid-surface position (height 0) relative to the frame
+ * origin; elevation is kept separately, so the scene's "up" stays the ellipsoid height everywhere. Horizontal lengths
+ * are true meters up to the tangent-plane foreshortening of d²/(6R²) (~1e-5 at 50 km from the origin), whereas raw Web
+ * Mercator meters are off by 1/cos(lat) (and by ~0.16% per 10 km of latitude away from the center).
+ */
+
+const WGS84_A = 6378137.0;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+const DEG = Math.PI / 180;
+
+function geodeticToEcef(lon, lat, height = 0) {
+    const lam = lon * DEG;
+    const phi = lat * DEG;
+    const sinPhi = Math.sin(phi);
+    const cosPhi = Math.cos(phi);
+    const N = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinPhi * sinPhi);
+    return [
+        (N + height) * cosPhi * Math.cos(lam),
+        (N + height) * cosPhi * Math.sin(lam),
+        (N * (1 - WGS84_E2) + height) * sinPhi
+    ];
+}
+
+/**
+ * ENU frame at `lon0, lat0` (degrees).
+ * @returns {{lon0: number, lat0: number, forward: (lon: number, lat: number) => {east: number, north: number},
+ *   inverse: (east: number, north: number) => {lon: number, lat: number}}}
+ */
+export function createEnuFrame(lon0, lat0) {
+    const lam = Number(lon0) * DEG;
+    const phi = Number(lat0) * DEG;
+    const sinLam = Math.sin(lam);
+    const cosLam = Math.cos(lam);
+    const sinPhi = Math.sin(phi);
+    const cosPhi = Math.cos(phi);
+    const origin = geodeticToEcef(Number(lon0), Number(lat0), 0);
+    const east = [-sinLam, cosLam, 0];
+    const north = [-sinPhi * cosLam, -sinPhi * sinLam, cosPhi];
+    const up = [cosPhi * cosLam, cosPhi * sinLam, sinPhi];
+
+    const a2 = WGS84_A * WGS84_A;
+    const b2 = WGS84_B * WGS84_B;
+
+    return {
+        lon0: Number(lon0),
+        lat0: Number(lat0),
+
+        forward(lon, lat) {
+            const p = geodeticToEcef(Number(lon), Number(lat), 0);
+            const dx = p[0] - origin[0];
+            const dy = p[1] - origin[1];
+            const dz = p[2] - origin[2];
+            return {
+                east: east[0] * dx + east[1] * dy,
+                north: north[0] * dx + north[1] * dy + north[2] * dz
+            };
+        },
+
+        // Tangent-plane point -> ellipsoid surface along the frame's up axis (one quadratic), -> geodetic lon/lat.
+        inverse(e, n) {
+            e = Number(e);
+            n = Number(n);
+            const q = [
+                origin[0] + e * east[0] + n * north[0],
+                origin[1] + e * east[1] + n * north[1],
+                origin[2] + e * east[2] + n * north[2]
+            ];
+            const A = (up[0] * up[0] + up[1] * up[1]) / a2 + up[2] * up[2] / b2;
+            const B = 2 * ((q[0] * up[0] + q[1] * up[1]) / a2 + q[2] * up[2] / b2);
+            const C = (q[0] * q[0] + q[1] * q[1]) / a2 + q[2] * q[2] / b2 - 1;
+            const disc = Math.sqrt(Math.max(0, B * B - 4 * A * C));
+            // Root nearest to the plane, in the cancellation-free form.
+            const u = B >= 0 ? (-2 * C) / (B + disc) : (2 * C) / (disc - B);
+            const x = q[0] + u * up[0];
+            const y = q[1] + u * up[1];
+            const z = q[2] + u * up[2];
+            const p = Math.sqrt(x * x + y * y);
+            return {
+                lon: Math.atan2(y, x) / DEG,
+                // Exact geodetic latitude of a point on the ellipsoid surface.
+                lat: Math.atan2(z, (1 - WGS84_E2) * p) / DEG
+            };
+        }
+    };
+}
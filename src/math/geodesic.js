@@ -0,0 +1,255 @@
+/**
+ * Geodesic measurement on the WGS84 ellipsoid, shared by the measure, draw (export) and cut/fill tools.
+ *
+ * - Distances / azimuths: Vincenty's inverse and direct formulae (sub-millimeter on the ellipsoid). For nearly
+ *   antipodal points, where the inverse iteration does not converge, the distance falls back to the great circle on
+ *   the authalic sphere (never the case for scene-sized extents).
+ * - Polygon area: exact spherical excess on the authalic sphere (equal-area with the ellipsoid), edges taken as great
+ *   circles there; for AOI-sized polygons this matches the ellipsoidal geodesic polygon area to ~1 ppm. Correct for
+ *   concave polygons (signed edge sum, no fan / Heron decomposition).
+ * - Surface distance: 3D length of a lon/lat/elevation polyline (geodesic horizontal step + height difference).
+ *
+ * Points are `{lon, lat}` in degrees (plus `elevation` in meters for the 3D helpers).
+ */
+
+const WGS84_A = 6378137.0;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+const WGS84_E = Math.sqrt(WGS84_E2);
+const DEG = Math.PI / 180;
+
+// Authalic sphere: same total area as the ellipsoid; `authalicLatitude` maps latitudes so that areas are preserved.
+function authalicQ(sinPhi) {
+    const es = WGS84_E * sinPhi;
+    return (1 - WGS84_E2) * (sinPhi / (1 - es * es) - Math.log((1 - es) / (1 + es)) / (2 * WGS84_E));
+}
+const AUTHALIC_QP = authalicQ(1);
+const AUTHALIC_R = WGS84_A * Math.sqrt(AUTHALIC_QP / 2);
+
+function authalicLatitude(latRad) {
+    return Math.asin(Math.max(-1, Math.min(1, authalicQ(Math.sin(latRad)) / AUTHALIC_QP)));
+}
+
+function normalizeLon(lon) {
+    return ((lon + 540) % 360) - 180;
+}
+
+function greatCircleDistance(lon1, lat1, lon2, lat2) {
+    const b1 = authalicLatitude(lat1 * DEG);
+    const b2 = authalicLatitude(lat2 * DEG);
+    const dLat = b2 - b1;
+    const dLon = (lon2 - lon1) * DEG;
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(b1) * Math.cos(b2) * Math.sin(dLon / 2) ** 2;
+    return 2 * AUTHALIC_R * Math.atan2(Math.sqrt(h), Math.sqrt(Math.max(0, 1 - h)));
+}
+
+/**
+ * Ellipsoidal distance and azimuths between two points (Vincenty inverse).
+ * @returns {{distance: number, azimuth1: number, azimuth2: number}} meters, degrees clockwise from north
+ *   (`azimuth2` is the forward azimuth at the second point)
+ */
+export function geodesicInverse(lon1, lat1, lon2, lat2) {
+    lon1 = Number(lon1);
+    lat1 = Number(lat1);
+    lon2 = Number(lon2);
+    lat2 = Number(lat2);
+    if (lon1 === lon2 && lat1 === lat2) return { distance: 0, azimuth1: 0, azimuth2: 0 };
+
+    const L = normalizeLon(lon2 - lon1) * DEG;
+    const tanU1 = (1 - WGS84_F) * Math.tan(lat1 * DEG);
+    const tanU2 = (1 - WGS84_F) * Math.tan(lat2 * DEG);
+    const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+    const sinU1 = tanU1 * cosU1;
+    const cosU2 = 1 / Math.sqrt(1 + tanU2 * tanU2);
+    const sinU2 = tanU2 * cosU2;
+
+    let lambda = L;
+    let sinLambda = 0;
+    let cosLambda = 0;
+    let sinSigma = 0;
+    let cosSigma = 0;
+    let sigma = 0;
+    let cosSqAlpha = 0;
+    let cos2SigmaM = 0;
+    let converged = false;
+    for (let i = 0; i < 200; i++) {
+        sinLambda = Math.sin(lambda);
+        cosLambda = Math.cos(lambda);
+        const t1 = cosU2 * sinLambda;
+        const t2 = cosU1 * sinU2 - sinU1 * cosU2 * cosLambda;
+        sinSigma = Math.sqrt(t1 * t1 + t2 * t2);
+        if (sinSigma === 0) return { distance: 0, azimuth1: 0, azimuth2: 0 };
+        cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+        sigma = Math.atan2(sinSigma, cosSigma);
+        const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+        cosSqAlpha = 1 - sinAlpha * sinAlpha;
+        // Equatorial line: cosSqAlpha = 0.
+        cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+        const C = WGS84_F / 16 * cosSqAlpha * (4 + WGS84_F * (4 - 3 * cosSqAlpha));
+        const prev = lambda;
+        lambda = L + (1 - C) * WGS84_F * sinAlpha
+            * (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+        if (Math.abs(lambda) > Math.PI) break;
+        if (Math.abs(lambda - prev) < 1e-12) {
+            converged = true;
+            break;
+        }
+    }
+
+    if (!converged) {
+        const y = Math.sin((lon2 - lon1) * DEG) * Math.cos(lat2 * DEG);
+        const x = Math.cos(lat1 * DEG) * Math.sin(lat2 * DEG) - Math.sin(lat1 * DEG) * Math.cos(lat2 * DEG) * Math.cos((lon2 - lon1) * DEG);
+        const azimuth = (Math.atan2(y, x) / DEG + 360) % 360;
+        return { distance: greatCircleDistance(lon1, lat1, lon2, lat2), azimuth1: azimuth, azimuth2: azimuth };
+    }
+
+    const uSq = cosSqAlpha * (WGS84_A * WGS84_A - WGS84_B * WGS84_B) / (WGS84_B * WGS84_B);
+    const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+    const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+    const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)
+        - B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+    const distance = WGS84_B * A * (sigma - deltaSigma);
+
+    const alpha1 = Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+    const alpha2 = Math.atan2(cosU1 * sinLambda, -sinU1 * cosU2 + cosU1 * sinU2 * cosLambda);
+    return {
+        distance,
+        azimuth1: (alpha1 / DEG + 360) % 360,
+        azimuth2: (alpha2 / DEG + 360) % 360
+    };
+}
+
+/**
+ * Point at `distance` meters from `lon1, lat1` along the geodesic with initial `azimuth1` (Vincenty direct).
+ * @returns {{lon: number, lat: number, azimuth2: number}}
+ */
+export function geodesicDirect(lon1, lat1, azimuth1, distance) {
+    const alpha1 = Number(azimuth1) * DEG;
+    const s = Number(distance);
+    const sinAlpha1 = Math.sin(alpha1);
+    const cosAlpha1 = Math.cos(alpha1);
+
+    const tanU1 = (1 - WGS84_F) * Math.tan(Number(lat1) * DEG);
+    const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+    const sinU1 = tanU1 * cosU1;
+    const sigma1 = Math.atan2(tanU1, cosAlpha1);
+    const sinAlpha = cosU1 * sinAlpha1;
+    const cosSqAlpha = 1 - sinAlpha * sinAlpha;
+    const uSq = cosSqAlpha * (WGS84_A * WGS84_A - WGS84_B * WGS84_B) / (WGS84_B * WGS84_B);
+    const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+    const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+
+    let sigma = s / (WGS84_B * A);
+    let sinSigma = 0;
+    let cosSigma = 0;
+    let cos2SigmaM = 0;
+    for (let i = 0; i < 100; i++) {
+        cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+        sinSigma = Math.sin(sigma);
+        cosSigma = Math.cos(sigma);
+        const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)
+            - B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+        const prev = sigma;
+        sigma = s / (WGS84_B * A) + deltaSigma;
+        if (Math.abs(sigma - prev) < 1e-12) break;
+    }
+    cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+    sinSigma = Math.sin(sigma);
+    cosSigma = Math.cos(sigma);
+
+    const x = sinU1 * sinSigma - cosU1 * cosSigma * cosAlpha1;
+    const lat2 = Math.atan2(sinU1 * cosSigma + cosU1 * sinSigma * cosAlpha1, (1 - WGS84_F) * Math.sqrt(sinAlpha * sinAlpha + x * x));
+    const lambda = Math.atan2(sinSigma * sinAlpha1, cosU1 * cosSigma - sinU1 * sinSigma * cosAlpha1);
+    const C = WGS84_F / 16 * cosSqAlpha * (4 + WGS84_F * (4 - 3 * cosSqAlpha));
+    const L = lambda - (1 - C) * WGS84_F * sinAlpha
+        * (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+    const alpha2 = Math.atan2(sinAlpha, -x);
+    return {
+        lon: normalizeLon(Number(lon1) + L / DEG),
+        lat: lat2 / DEG,
+        azimuth2: (alpha2 / DEG + 360) % 360
+    };
+}
+
+/**
+ * Ellipsoidal distance in meters between `{lon, lat}` points.
+ */
+export function geodesicDistance(a, b) {
+    return geodesicInverse(a.lon, a.lat, b.lon, b.lat).distance;
+}
+
+/**
+ * `segments + 1` points evenly spaced along the geodesic from `a` to `b` (endpoints included, exact).
+ * @returns {{lon: number, lat: number}[]}
+ */
+export function geodesicInterpolate(a, b, segments) {
+    const n = Math.max(1, Math.floor(Number(segments) || 1));
+    const inv = geodesicInverse(a.lon, a.lat, b.lon, b.lat);
+    const out = [{ lon: Number(a.lon), lat: Number(a.lat) }];
+    for (let i = 1; i < n; i++) {
+        const p = geodesicDirect(a.lon, a.lat, inv.azimuth1, inv.distance * i / n);
+        out.push({ lon: p.lon, lat: p.lat });
+    }
+    out.push({ lon: Number(b.lon), lat: Number(b.lat) });
+    return out;
+}
+
+/**
+ * Sum of geodesic edge lengths (meters); `closed` adds the last -> first edge.
+ */
+export function geodesicLength(points, closed = false) {
+    const n = points?.length ?? 0;
+    let total = 0;
+    for (let i = 0; i + 1 < n; i++) total += geodesicDistance(points[i], points[i + 1]);
+    if (closed && n > 2) total += geodesicDistance(points[n - 1], points[0]);
+    return total;
+}
+
+/**
+ * Area (m², unsigned) of a simple polygon on the ellipsoid; the ring may be open or closed, any winding.
+ */
+export function ellipsoidalPolygonArea(points) {
+    const ring = Array.isArray(points) ? points.slice() : [];
+    if (ring.length > 1) {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first.lon === last.lon && first.lat === last.lat) ring.pop();
+    }
+    const n = ring.length;
+    if (n < 3) return 0;
+
+    // Signed sum of the spherical excess of each edge's trapezoid down to the equator.
+    let excess = 0;
+    for (let i = 0; i < n; i++) {
+        const p1 = ring[i];
+        const p2 = ring[(i + 1) % n];
+        const t1 = Math.tan(authalicLatitude(Number(p1.lat) * DEG) / 2);
+        const t2 = Math.tan(authalicLatitude(Number(p2.lat) * DEG) / 2);
+        const dLon = normalizeLon(Number(p2.lon) - Number(p1.lon)) * DEG;
+        excess += 2 * Math.atan2(Math.tan(dLon / 2) * (t1 + t2), 1 + t1 * t2);
+    }
+    const r2 = AUTHALIC_R * AUTHALIC_R;
+    let area = Math.abs(excess) * r2;
+    // The smaller of the two regions bounded by the ring.
+    const total = 4 * Math.PI * r2;
+    if (area > total / 2) area = total - area;
+    return area;
+}
+
+/**
+ * 3D length (meters) of a `{lon, lat, elevation}` polyline: each step is the hypotenuse of its geodesic horizontal
+ * length and its height difference. Densify the polyline (e.g. `geodesicInterpolate`) to follow a terrain profile.
+ * @returns {{horizontal: number, surface: number}}
+ */
+export function surfaceDistance(points) {
+    let horizontal = 0;
+    let surface = 0;
+    for (let i = 0; i + 1 < (points?.length ?? 0); i++) {
+        const d = geodesicDistance(points[i], points[i + 1]);
+        const dh = (Number(points[i + 1].elevation) || 0) - (Number(points[i].elevation) || 0);
+        horizontal += d;
+        surface += Math.hypot(d, dh);
+    }
+    return { horizontal, surface };
+}
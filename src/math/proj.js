@@ -1,5 +1,19 @@
 import * as THREE from 'three';
 import { SCENE_UNITS_PER_METER } from './scale.js';
+import { transverseMercatorForward, transverseMercatorInverse } from './transverseMercator.js';
+import { resolveCrs, crsOptionsForLonLat } from './crs.js';
+import {
+    wgs84ToGcj02,
+    gcj02ToWgs84,
+    gcj02ToBd09,
+    bd09ToGcj02,
+    wgs84ToBd09,
+    bd09ToWgs84,
+    wgs84ToDatum,
+    datumToWgs84
+} from './chinaDatum.js';
+import { createEnuFrame } from './enu.js';
+import { geodesicDistance } from './geodesic.js';
 
 /**
  * 坐标转换工具类
@@ -9,6 +23,13 @@ import { SCENE_UNITS_PER_METER } from './scale.js';
  * 3. 经纬度 ↔ Three.js场景坐标
  * 4. 纹理坐标 ↔ Web墨卡托
  * 5. 纹理坐标 ↔ Three.js场景坐标
+ * 6. 工程坐标系（CGCS2000 高斯-克吕格 3°/6° 带、UTM、EPSG 代码，见 `crs.js`）↔ 经纬度 / Three.js场景坐标
+ * 7. 国内加偏坐标（GCJ-02 火星坐标 / BD-09 百度坐标，见 `chinaDatum.js`）↔ WGS84
+ *
+ * 场景坐标框架（`sceneFrame`）：
+ * - 'mercator'（默认）：three 水平坐标 = 相对中心的 Web墨卡托米，离中心纬度越远尺度误差越大（约 1/cos(lat)）
+ * - 'enu'：以场景中心为原点的局部切平面（东-北-天，见 `enu.js`），整个 AOI 内水平距离为真实米；
+ *   墨卡托 ↔ three 的转换经由经纬度完成，瓦片 / 影像 / 工具均通过本类转换，无需区分框架
  * 
  * 坐标轴对齐规则（严格遵循）：
  * - three X轴：指向正东（与Web墨卡托X一致）
@@ -28,7 +49,9 @@ export class MathProj {
      * @param {number} options.centerLon - 场景中心经度
      * @param {number} options.centerLat - 场景中心纬度
      * @param {number} [options.earthRadius] - 地球半径（默认6378137米，WGS84椭球长半轴）
-     * @param {number} [options.geodeticRadius] - 测地距离计算使用的地球半径（默认6371000米，地球平均半径）
+     * @param {number} [options.geodeticRadius] - 地球平均半径（默认6371000米；测地距离已按 WGS84 椭球计算，见 `geodesic.js`）
+     * @param {number|string|Object} [options.workingCrs] - 工程坐标系（默认 'EPSG:4326'），见 `setWorkingCrs`
+     * @param {'mercator'|'enu'} [options.sceneFrame] - 场景坐标框架（默认 'mercator'）
      */
     constructor(options = {}) {
         const toFiniteOr = (v, fallback) => {
@@ -55,6 +78,14 @@ export class MathProj {
 
         // 计算场景中心的Web墨卡托坐标
         this.centerMercator = this.lonLatToMercator(this.options.centerLon, this.options.centerLat);
+
+        // 场景坐标框架：'enu' 时以场景中心为原点的局部切平面
+        this.sceneFrame = String(options?.sceneFrame ?? 'mercator').toLowerCase() === 'enu' ? 'enu' : 'mercator';
+        this._enu = this.sceneFrame === 'enu' ? createEnuFrame(this.options.centerLon, this.options.centerLat) : null;
+
+        // 工程坐标系：修整/填挖方 JSON 输入与拾取坐标显示共用
+        this.workingCrs = 'EPSG:4326';
+        if (options?.workingCrs !== undefined) this.setWorkingCrs(options.workingCrs);
     }
 
     // ===================== Scale (meters <-> three units) =====================
@@ -175,6 +206,10 @@ export class MathProj {
      * - three.z = centerY - mercatorY      (南 → +Z, 北 → -Z)
      */
     mercatorToThree(mercatorX, mercatorY, mercatorZ = 0) {
+        if (this._enu) {
+            const ll = this.mercatorToLonLat(Number(mercatorX), Number(mercatorY));
+            return this.lonLatToThree(ll.lon, ll.lat, mercatorZ);
+        }
         // Three.js单位直接对应Web墨卡托坐标（不使用比例尺因子）
         const threeX = mercatorX - this.centerMercator.x; // 东 → +X
 
@@ -218,6 +253,12 @@ export class MathProj {
         threeY = Number(threeY);
         threeZ = Number(threeZ);
 
+        if (this._enu) {
+            const ll = this.threeToLonLat(threeX, threeY, threeZ);
+            const m = this.lonLatToMercator(ll.lon, ll.lat);
+            return { x: m.x, y: m.y, z: ll.elevation };
+        }
+
         // 严格按照逆运算计算
         const mercatorX = threeX + this.centerMercator.x; // +X → 东
         const mercatorY = this.centerMercator.y - threeZ; // +Z → 南，-Z → 北
@@ -237,6 +278,11 @@ export class MathProj {
      * @returns {THREE.Vector3} Three.js场景坐标
      */
     lonLatToThree(lon, lat, elevation = 0) {
+        if (this._enu) {
+            const p = this._enu.forward(Number(lon), Number(lat));
+            const scale = this.unitsPerMeter;
+            return new THREE.Vector3(p.east * scale, Number(elevation) * scale, -p.north * scale);
+        }
         const mercator = this.lonLatToMercator(lon, lat);
         return this.mercatorToThree(mercator.x, mercator.y, elevation);
     }
@@ -249,6 +295,16 @@ export class MathProj {
      * @returns {Object} 经纬度及高程 {lon, lat, elevation}
      */
     threeToLonLat(threeX, threeY = 0, threeZ = 0) {
+        if (this._enu) {
+            if (threeX && typeof threeX === 'object') {
+                threeZ = threeX.z;
+                threeY = threeX.y;
+                threeX = threeX.x;
+            }
+            const scale = this.metersPerUnit;
+            const ll = this._enu.inverse(Number(threeX) * scale, -Number(threeZ) * scale);
+            return { lon: ll.lon, lat: ll.lat, elevation: (Number(threeY) || 0) * scale };
+        }
         const mercator = this.threeToMercator(threeX, threeY, threeZ);
         const lonLat = this.mercatorToLonLat(mercator.x, mercator.y);
         return {
@@ -258,6 +314,206 @@ export class MathProj {
         };
     }
 
+    // ===================== 工程坐标系（CGCS2000 / 高斯-克吕格 / UTM） =====================
+
+    /**
+     * 经纬度转横轴墨卡托（高斯-克吕格 / UTM）平面坐标
+     * @param {number} lon - 经度
+     * @param {number} lat - 纬度
+     * @param {Object} params - 投影参数 { ellipsoid, centralMeridian, scaleFactor, falseEasting, falseNorthing }
+     * @returns {Object} 平面坐标 {x: 东坐标, y: 北坐标}（米）
+     */
+    lonLatToTransverseMercator(lon, lat, params) {
+        return transverseMercatorForward(lon, lat, params);
+    }
+
+    /**
+     * 横轴墨卡托（高斯-克吕格 / UTM）平面坐标转经纬度
+     * @param {number} x - 东坐标（米）
+     * @param {number} y - 北坐标（米）
+     * @param {Object} params - 投影参数，同 `lonLatToTransverseMercator`
+     * @returns {Object} 经纬度 {lon, lat}
+     */
+    transverseMercatorToLonLat(x, y, params) {
+        return transverseMercatorInverse(x, y, params);
+    }
+
+    /**
+     * 经纬度转指定坐标系坐标
+     * @param {number} lon - 经度
+     * @param {number} lat - 纬度
+     * @param {number|string|Object} [crs] - EPSG 代码（4326/4490/3857/4513-4554/4491-4512/326xx/327xx）、'UTM50N'、
+     *   投影参数或 { fromLonLat, toLonLat }；默认为工程坐标系
+     * @returns {Object} 坐标 {x, y}（经纬度坐标系时 x=经度、y=纬度）
+     */
+    lonLatToCrs(lon, lat, crs = this.workingCrs) {
+        return this._resolveCrs(crs).fromLonLat(Number(lon), Number(lat));
+    }
+
+    /**
+     * 指定坐标系坐标转经纬度
+     * @param {number} x - 东坐标（或经度）
+     * @param {number} y - 北坐标（或纬度）
+     * @param {number|string|Object} [crs] - 同 `lonLatToCrs`
+     * @returns {Object} 经纬度 {lon, lat}
+     */
+    crsToLonLat(x, y, crs = this.workingCrs) {
+        return this._resolveCrs(crs).toLonLat(Number(x), Number(y));
+    }
+
+    /**
+     * 指定坐标系坐标转Three.js场景坐标
+     * @param {number} x - 东坐标（或经度）
+     * @param {number} y - 北坐标（或纬度）
+     * @param {number} [elevation] - 高程（米，默认0）
+     * @param {number|string|Object} [crs] - 同 `lonLatToCrs`
+     * @returns {THREE.Vector3} Three.js场景坐标
+     */
+    crsToThree(x, y, elevation = 0, crs = this.workingCrs) {
+        const ll = this.crsToLonLat(x, y, crs);
+        return this.lonLatToThree(ll.lon, ll.lat, elevation);
+    }
+
+    /**
+     * Three.js场景坐标转指定坐标系坐标
+     * @param {THREE.Vector3|{x: number, y: number, z: number}} point - Three.js场景坐标
+     * @param {number|string|Object} [crs] - 同 `lonLatToCrs`
+     * @returns {Object} 坐标及高程 {x, y, elevation}
+     */
+    threeToCrs(point, crs = this.workingCrs) {
+        const ll = this.threeToLonLat(Number(point?.x) || 0, Number(point?.y) || 0, Number(point?.z) || 0);
+        const p = this.lonLatToCrs(ll.lon, ll.lat, crs);
+        return { x: p.x, y: p.y, elevation: ll.elevation };
+    }
+
+    /**
+     * 设置工程坐标系（地形修整 / 填挖方 JSON 输入与拾取坐标显示使用）
+     * @param {number|string|Object} crs - 同 `lonLatToCrs`
+     */
+    setWorkingCrs(crs) {
+        this._resolveCrs(crs);
+        this.workingCrs = crs;
+    }
+
+    /**
+     * 获取工程坐标系
+     * @returns {number|string|Object} 当前工程坐标系
+     */
+    getWorkingCrs() {
+        return this.workingCrs;
+    }
+
+    /**
+     * 工程坐标系描述
+     * @param {number|string|Object} [crs] - 默认为工程坐标系
+     * @returns {Object} {code, name, projected}
+     */
+    describeCrs(crs = this.workingCrs) {
+        const { code, name, projected } = this._resolveCrs(crs);
+        return { code, name, projected };
+    }
+
+    /**
+     * 场景中心适用的坐标系选项（经纬度、CGCS2000 3°/6° 带、UTM 带、Web 墨卡托），供界面下拉框使用
+     * @returns {Array<{value: string, label: string}>}
+     */
+    getCrsOptions() {
+        return crsOptionsForLonLat(this.options.centerLon, this.options.centerLat);
+    }
+
+    _resolveCrs(crs) {
+        const resolved = resolveCrs(crs);
+        if (!resolved) throw new Error(`不支持的坐标系：${typeof crs === 'object' ? JSON.stringify(crs) : crs}`);
+        return resolved;
+    }
+
+    // ===================== 国内加偏坐标（GCJ-02 / BD-09） =====================
+
+    /**
+     * WGS84 转 GCJ-02（高德 / 腾讯 / google.cn 使用的火星坐标），中国境外不变
+     * @param {number} lon - 经度
+     * @param {number} lat - 纬度
+     * @returns {Object} 经纬度 {lon, lat}
+     */
+    wgs84ToGcj02(lon, lat) {
+        return wgs84ToGcj02(lon, lat);
+    }
+
+    /**
+     * GCJ-02 转 WGS84（迭代求逆，误差 < 1e-9°）
+     * @param {number} lon - 经度
+     * @param {number} lat - 纬度
+     * @returns {Object} 经纬度 {lon, lat}
+     */
+    gcj02ToWgs84(lon, lat) {
+        return gcj02ToWgs84(lon, lat);
+    }
+
+    /**
+     * GCJ-02 转 BD-09（百度坐标）
+     * @param {number} lon - 经度
+     * @param {number} lat - 纬度
+     * @returns {Object} 经纬度 {lon, lat}
+     */
+    gcj02ToBd09(lon, lat) {
+        return gcj02ToBd09(lon, lat);
+    }
+
+    /**
+     * BD-09 转 GCJ-02
+     * @param {number} lon - 经度
+     * @param {number} lat - 纬度
+     * @returns {Object} 经纬度 {lon, lat}
+     */
+    bd09ToGcj02(lon, lat) {
+        return bd09ToGcj02(lon, lat);
+    }
+
+    /**
+     * WGS84 转 BD-09
+     * @param {number} lon - 经度
+     * @param {number} lat - 纬度
+     * @returns {Object} 经纬度 {lon, lat}
+     */
+    wgs84ToBd09(lon, lat) {
+        return wgs84ToBd09(lon, lat);
+    }
+
+    /**
+     * BD-09 转 WGS84
+     * @param {number} lon - 经度
+     * @param {number} lat - 纬度
+     * @returns {Object} 经纬度 {lon, lat}
+     */
+    bd09ToWgs84(lon, lat) {
+        return bd09ToWgs84(lon, lat);
+    }
+
+    /**
+     * 加偏坐标转Three.js场景坐标（如高德 / 百度 API 返回的点位）
+     * @param {number} lon - 经度
+     * @param {number} lat - 纬度
+     * @param {number} [elevation] - 高程（米，默认0）
+     * @param {'wgs84'|'gcj02'|'bd09'} [datum] - 输入坐标的基准（默认 'gcj02'）
+     * @returns {THREE.Vector3} Three.js场景坐标
+     */
+    datumToThree(lon, lat, elevation = 0, datum = 'gcj02') {
+        const ll = datumToWgs84(lon, lat, datum);
+        return this.lonLatToThree(ll.lon, ll.lat, elevation);
+    }
+
+    /**
+     * Three.js场景坐标转加偏坐标
+     * @param {THREE.Vector3|{x: number, y: number, z: number}} point - Three.js场景坐标
+     * @param {'wgs84'|'gcj02'|'bd09'} [datum] - 输出坐标的基准（默认 'gcj02'）
+     * @returns {Object} 经纬度及高程 {lon, lat, elevation}
+     */
+    threeToDatum(point, datum = 'gcj02') {
+        const ll = this.threeToLonLat(Number(point?.x) || 0, Number(point?.y) || 0, Number(point?.z) || 0);
+        const p = wgs84ToDatum(ll.lon, ll.lat, datum);
+        return { lon: p.lon, lat: p.lat, elevation: ll.elevation };
+    }
+
     // ===================== 瓦片相关转换 =====================
 
     /**
@@ -375,6 +631,79 @@ export class MathProj {
         this.options.centerLon = centerLon;
         this.options.centerLat = centerLat;
         this.centerMercator = this.lonLatToMercator(centerLon, centerLat);
+        if (this._enu) this._enu = createEnuFrame(centerLon, centerLat);
+    }
+
+    /**
+     * 当前场景坐标框架
+     * @returns {'mercator'|'enu'}
+     */
+    getSceneFrame() {
+        return this.sceneFrame;
+    }
+
+    /**
+     * Web墨卡托局部邻域 → Three.js场景的相似变换（平移 + 绕Y旋转 + 均匀缩放），用于放置地形瓦片等按墨卡托网格构建的对象。
+     * 'mercator' 框架下为纯平移；'enu' 框架下缩放约为 cos(纬度)，旋转为子午线收敛角。
+     * @param {number} mercatorX - Web墨卡托X坐标
+     * @param {number} mercatorY - Web墨卡托Y坐标
+     * @returns {{position: THREE.Vector3, rotationY: number, scale: number}} 场景位置（高程0）、绕Y旋转（弧度）、
+     *   场景长度 / 墨卡托长度
+     */
+    mercatorFrameAt(mercatorX, mercatorY) {
+        const position = this.mercatorToThree(mercatorX, mercatorY, 0);
+        if (!this._enu) return { position, rotationY: 0, scale: 1 };
+        // 向东 1 米墨卡托步长在场景中的方向与长度（墨卡托共形，南北方向同比例）
+        const step = 1;
+        const east = this.mercatorToThree(Number(mercatorX) + step, mercatorY, 0).sub(position);
+        return {
+            position,
+            rotationY: Math.atan2(-east.z, east.x),
+            scale: east.length() / (step * this.unitsPerMeter)
+        };
+    }
+
+    /**
+     * Web墨卡托矩形在场景 XZ 平面上的外包框（单位：three）
+     * @param {Object} bounds - Web墨卡托范围 {min: {x, y}, max: {x, y}}
+     * @returns {{minX: number, maxX: number, minZ: number, maxZ: number}}
+     */
+    mercatorBoundsToThreeBox(bounds) {
+        const xs = [bounds.min.x, bounds.max.x];
+        const ys = [bounds.min.y, bounds.max.y];
+        const box = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+        for (const mx of xs) {
+            for (const my of ys) {
+                const p = this.mercatorToThree(mx, my, 0);
+                box.minX = Math.min(box.minX, p.x);
+                box.maxX = Math.max(box.maxX, p.x);
+                box.minZ = Math.min(box.minZ, p.z);
+                box.maxZ = Math.max(box.maxZ, p.z);
+            }
+        }
+        return box;
+    }
+
+    /**
+     * 场景中心 ± 东西/南北范围（米，按场景框架度量）对应的Web墨卡托外包框
+     * @param {number} rangeEastWest - 东西半径（米）
+     * @param {number} rangeNorthSouth - 南北半径（米）
+     * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+     */
+    sceneRangeToMercatorBounds(rangeEastWest, rangeNorthSouth) {
+        const ew = this.metersToUnits(Number(rangeEastWest) || 0);
+        const ns = this.metersToUnits(Number(rangeNorthSouth) || 0);
+        const box = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+        for (const x of [-ew, ew]) {
+            for (const z of [-ns, ns]) {
+                const m = this.threeToMercator(x, 0, z);
+                box.minX = Math.min(box.minX, m.x);
+                box.maxX = Math.max(box.maxX, m.x);
+                box.minY = Math.min(box.minY, m.y);
+                box.maxY = Math.max(box.maxY, m.y);
+            }
+        }
+        return box;
     }
 
     /**
@@ -406,34 +735,13 @@ export class MathProj {
     }
 
     /**
-     * 计算两点之间的实际地理距离（使用哈弗辛公式）
+     * 计算两点之间的实际地理距离（WGS84 椭球测地线，Vincenty 反算，见 `geodesic.js`）
      * @param {Object} point1 - 第一个点的经纬度 {lon, lat}
      * @param {Object} point2 - 第二个点的经纬度 {lon, lat}
      * @returns {number} 实际地理距离（米）
      */
     calculateGeographicDistance(point1, point2) {
-        // 使用高精度地球平均半径（WGS84椭球的平均半径）
-        const R = this.geodeticRadius;
-
-        // 将经纬度转换为弧度，使用高精度计算
-        const φ1 = point1.lat * Math.PI / 180.0;
-        const φ2 = point2.lat * Math.PI / 180.0;
-        const Δφ = (point2.lat - point1.lat) * Math.PI / 180.0;
-        const Δλ = (point2.lon - point1.lon) * Math.PI / 180.0;
-
-        // 哈弗辛公式计算，确保所有运算使用高精度
-        const sinΔφ2 = Math.sin(Δφ / 2.0);
-        const sinΔλ2 = Math.sin(Δλ / 2.0);
-
-        const a = sinΔφ2 * sinΔφ2 +
-            Math.cos(φ1) * Math.cos(φ2) *
-            sinΔλ2 * sinΔλ2;
-
-        // 使用Math.atan2的高精度特性
-        const c = 2.0 * Math.atan2(Math.sqrt(a), Math.sqrt(1.0 - a));
-
-        // 返回高精度距离结果
-        return R * c;
+        return geodesicDistance(point1, point2);
     }
 
     /**
@@ -0,0 +1,160 @@
+/**
+ * Transverse Mercator (Gauss-Krüger / UTM) projection, Krüger n-series (4th order, ~mm inside a zone).
+ *
+ * Also resolves the projected CRSs we receive survey data in (EPSG codes) to projection parameters:
+ * - WGS84 UTM north/south zones: EPSG:32601-32660 / 32701-32760
+ * - CGCS2000 3° Gauss-Krüger: EPSG:4513-4533 (zone-prefixed easting) / 4534-4554 (central meridian only)
+ * - CGCS2000 6° Gauss-Krüger: EPSG:4491-4501 (zone-prefixed easting) / 4502-4512 (central meridian only)
+ */
+
+export const ELLIPSOIDS = {
+    WGS84: { a: 6378137.0, f: 1 / 298.257223563 },
+    CGCS2000: { a: 6378137.0, f: 1 / 298.257222101 }
+};
+
+const seriesCache = new Map();
+
+function getSeries(a, f) {
+    const key = `${a}:${f}`;
+    const hit = seriesCache.get(key);
+    if (hit) return hit;
+
+    const n = f / (2 - f);
+    const n2 = n * n;
+    const n3 = n2 * n;
+    const n4 = n3 * n;
+    const out = {
+        e: 2 * Math.sqrt(n) / (1 + n),
+        A: a / (1 + n) * (1 + n2 / 4 + n4 / 64),
+        alpha: [
+            n / 2 - 2 / 3 * n2 + 5 / 16 * n3 + 41 / 180 * n4,
+            13 / 48 * n2 - 3 / 5 * n3 + 557 / 1440 * n4,
+            61 / 240 * n3 - 103 / 140 * n4,
+            49561 / 161280 * n4
+        ],
+        beta: [
+            n / 2 - 2 / 3 * n2 + 37 / 96 * n3 - 1 / 360 * n4,
+            1 / 48 * n2 + 1 / 15 * n3 - 437 / 1440 * n4,
+            17 / 480 * n3 - 37 / 840 * n4,
+            4397 / 161280 * n4
+        ],
+        delta: [
+            2 * n - 2 / 3 * n2 - 2 * n3 + 116 / 45 * n4,
+            7 / 3 * n2 - 8 / 5 * n3 - 227 / 45 * n4,
+            56 / 15 * n3 - 136 / 35 * n4,
+            4279 / 630 * n4
+        ]
+    };
+    seriesCache.set(key, out);
+    return out;
+}
+
+function normalizeParams(params = {}) {
+    const ell = params.ellipsoid && typeof params.ellipsoid === 'object'
+        ? params.ellipsoid
+        : (ELLIPSOIDS[String(params.ellipsoid ?? 'WGS84').toUpperCase()] ?? ELLIPSOIDS.WGS84);
+    return {
+        a: Number(ell.a),
+        f: Number(ell.f),
+        lon0: Number(params.centralMeridian ?? params.lon0 ?? 0),
+        k0: Number(params.scaleFactor ?? params.k0 ?? 1),
+        falseEasting: Number(params.falseEasting ?? 500000),
+        falseNorthing: Number(params.falseNorthing ?? 0)
+    };
+}
+
+/**
+ * Geodetic lon/lat (degrees) -> projected easting/northing (meters).
+ * @param {number} lon
+ * @param {number} lat
+ * @param {{ellipsoid?: string|{a:number,f:number}, centralMeridian: number, scaleFactor?: number, falseEasting?: number, falseNorthing?: number}} params
+ * @returns {{x: number, y: number}}
+ */
+export function transverseMercatorForward(lon, lat, params) {
+    const p = normalizeParams(params);
+    const s = getSeries(p.a, p.f);
+    const phi = Number(lat) * Math.PI / 180;
+    const dLambda = (Number(lon) - p.lon0) * Math.PI / 180;
+
+    const sinPhi = Math.sin(phi);
+    const t = Math.sinh(Math.atanh(sinPhi) - s.e * Math.atanh(s.e * sinPhi));
+    const xiP = Math.atan2(t, Math.cos(dLambda));
+    const etaP = Math.atanh(Math.sin(dLambda) / Math.sqrt(1 + t * t));
+
+    let xi = xiP;
+    let eta = etaP;
+    for (let j = 1; j <= 4; j++) {
+        const a = s.alpha[j - 1];
+        xi += a * Math.sin(2 * j * xiP) * Math.cosh(2 * j * etaP);
+        eta += a * Math.cos(2 * j * xiP) * Math.sinh(2 * j * etaP);
+    }
+
+    return {
+        x: p.falseEasting + p.k0 * s.A * eta,
+        y: p.falseNorthing + p.k0 * s.A * xi
+    };
+}
+
+/**
+ * Projected easting/northing (meters) -> geodetic lon/lat (degrees).
+ * @returns {{lon: number, lat: number}}
+ */
+export function transverseMercatorInverse(x, y, params) {
+    const p = normalizeParams(params);
+    const s = getSeries(p.a, p.f);
+    const xi = (Number(y) - p.falseNorthing) / (p.k0 * s.A);
+    const eta = (Number(x) - p.falseEasting) / (p.k0 * s.A);
+
+    let xiP = xi;
+    let etaP = eta;
+    for (let j = 1; j <= 4; j++) {
+        const b = s.beta[j - 1];
+        xiP -= b * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+        etaP -= b * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+    }
+
+    const chi = Math.asin(Math.sin(xiP) / Math.cosh(etaP));
+    let phi = chi;
+    for (let j = 1; j <= 4; j++) phi += s.delta[j - 1] * Math.sin(2 * j * chi);
+    const lambda = Math.atan2(Math.sinh(etaP), Math.cos(xiP));
+
+    return {
+        lon: p.lon0 + lambda * 180 / Math.PI,
+        lat: phi * 180 / Math.PI
+    };
+}
+
+/**
+ * Resolve a transverse-Mercator EPSG code to projection params (null if not a known TM code).
+ * @param {number|string} epsg - e.g. 32650, 'EPSG:4527'
+ */
+export function transverseMercatorParamsFromEpsg(epsg) {
+    const code = Number(String(epsg ?? '').replace(/^epsg:/i, ''));
+    if (!Number.isFinite(code)) return null;
+
+    if (code >= 32601 && code <= 32660) {
+        const zone = code - 32600;
+        return { ellipsoid: 'WGS84', centralMeridian: zone * 6 - 183, scaleFactor: 0.9996, falseEasting: 500000, falseNorthing: 0, zone };
+    }
+    if (code >= 32701 && code <= 32760) {
+        const zone = code - 32700;
+        return { ellipsoid: 'WGS84', centralMeridian: zone * 6 - 183, scaleFactor: 0.9996, falseEasting: 500000, falseNorthing: 10000000, zone };
+    }
+    if (code >= 4513 && code <= 4533) {
+        const zone = code - 4513 + 25;
+        return { ellipsoid: 'CGCS2000', centralMeridian: zone * 3, scaleFactor: 1, falseEasting: zone * 1000000 + 500000, falseNorthing: 0, zone };
+    }
+    if (code >= 4534 && code <= 4554) {
+        const zone = code - 4534 + 25;
+        return { ellipsoid: 'CGCS2000', centralMeridian: zone * 3, scaleFactor: 1, falseEasting: 500000, falseNorthing: 0, zone };
+    }
+    if (code >= 4491 && code <= 4501) {
+        const zone = code - 4491 + 13;
+        return { ellipsoid: 'CGCS2000', centralMeridian: zone * 6 - 3, scaleFactor: 1, falseEasting: zone * 1000000 + 500000, falseNorthing: 0, zone };
+    }
+    if (code >= 4502 && code <= 4512) {
+        const zone = code - 4502 + 13;
+        return { ellipsoid: 'CGCS2000', centralMeridian: zone * 6 - 3, scaleFactor: 1, falseEasting: 500000, falseNorthing: 0, zone };
+    }
+    return null;
+}
@@ -0,0 +1,404 @@
+import * as THREE from 'three';
+
+/**
+ * CutFillHeatmap
+ * --------------
+ * Color-ramped elevation-difference map (ground minus design) draped on the terrain inside the cut/fill polygons.
+ *
+ * - The design surface is rasterized once on the CPU into a float texture over the polygons' XZ bounds
+ *   (R = design height in scene units, G = coverage: inside a polygon and covered by the design).
+ * - The terrain surface shader (same onBeforeCompile wrapping as CustomTerrainSurface) compares the fragment's
+ *   world Y with the bilinearly interpolated design height, so the ground side is always the rendered terrain
+ *   and the map stays exact at any zoom. It is installed through `Terrain.addSurfaceMaterialHook` on base tiles and
+ *   on edit patch tops (executed edits mask the base tiles underneath), as they are created; nothing is hooked
+ *   while no design is set.
+ * - Differences are classified by ascending `breaks` (meters); class i covers [breaks[i-1], breaks[i]) and is drawn
+ *   with `colors[i]` (`breaks.length + 1` colors). Positive = cut (ground above design), negative = fill.
+ */
+
+const MAX_BREAKS = 15;
+const MAX_CLASSES = MAX_BREAKS + 1;
+
+const NEUTRAL_COLOR = '#f7f7f7';
+const FILL_RAMP = ['#c6dbef', '#08306b'];
+const CUT_RAMP = ['#fcbba1', '#67000d'];
+
+export const CUT_FILL_HEATMAP_DEFAULT_BREAKS = [-5, -2, -1, -0.2, 0.2, 1, 2, 5];
+
+export class CutFillHeatmap {
+    /**
+     * @param {Object} rgbTerrainOrViewer - Viewer (with `.terrain`) or Terrain instance
+     * @param {Object} [options]
+     * @param {number} [options.metersPerPixel=0.5] - target raster resolution of the design surface
+     * @param {number} [options.maxSize=512] - raster size clamp (per side)
+     * @param {number} [options.opacity=0.65]
+     * @param {number[]} [options.breaks] - class breaks in meters (ascending)
+     * @param {Array<number|string>} [options.colors] - `breaks.length + 1` colors; default diverging blue/red ramp
+     */
+    constructor(rgbTerrainOrViewer, options = {}) {
+        this.terrain = rgbTerrainOrViewer?.terrain || rgbTerrainOrViewer || null;
+        this._proj = this.terrain?.proj || null;
+
+        const toUnits = (v) => (this._proj?.metersToUnits ? this._proj.metersToUnits(v) : Number(v));
+        this._metersPerUnit = this._proj?.unitsToMeters ? this._proj.unitsToMeters(1) : 1;
+        this._unitsPerPixel = toUnits(Number.isFinite(Number(options.metersPerPixel)) ? Math.max(0.05, Number(options.metersPerPixel)) : 0.5);
+        this._maxSize = Number.isFinite(Number(options.maxSize)) ? Math.max(16, Number(options.maxSize) | 0) : 512;
+        this._opacity = Number.isFinite(Number(options.opacity)) ? Number(options.opacity) : 0.65;
+        this._visible = true;
+
+        this._texture = null;
+        this._texSize = new THREE.Vector2(1, 1);
+        this._bounds = new THREE.Vector4(0, 0, 0, 0); // minX, minZ, invW, invH
+
+        this._breaks = new Float32Array(MAX_BREAKS);
+        this._colors = new Float32Array(MAX_CLASSES * 3);
+        this._breakCount = 0;
+        this.classes = [];
+        this.setClasses(options.breaks ?? CUT_FILL_HEATMAP_DEFAULT_BREAKS, options.colors ?? null);
+
+        this._unhookMaterials = null;
+    }
+
+    /**
+     * Diverging default colors for a set of breaks: classes entirely below 0 get blues (deeper fill = darker),
+     * classes entirely above 0 get reds, the class straddling 0 is neutral.
+     * @param {number[]} breaks
+     * @returns {string[]} CSS hex colors, `breaks.length + 1`
+     */
+    static rampColors(breaks) {
+        const b = Array.isArray(breaks) ? breaks : [];
+        const n = b.length + 1;
+        const side = (i) => {
+            const lo = i > 0 ? b[i - 1] : -Infinity;
+            const hi = i < b.length ? b[i] : Infinity;
+            if (hi <= 0) return -1;
+            if (lo >= 0) return 1;
+            return 0;
+        };
+        const sides = Array.from({ length: n }, (_, i) => side(i));
+        const fillCount = sides.filter(s => s < 0).length;
+        const cutCount = sides.filter(s => s > 0).length;
+        // Interpolate in sRGB (perceptually closer than the linear working space for a legend ramp).
+        const lerp = (ramp, t) => {
+            const a = new THREE.Color(ramp[0]).getRGB({}, THREE.SRGBColorSpace);
+            const b = new THREE.Color(ramp[1]).getRGB({}, THREE.SRGBColorSpace);
+            return new THREE.Color().setRGB(a.r + (b.r - a.r) * t, a.g + (b.g - a.g) * t, a.b + (b.b - a.b) * t, THREE.SRGBColorSpace).getHexString();
+        };
+        return sides.map((s, i) => {
+            if (s === 0) return NEUTRAL_COLOR;
+            if (s < 0) {
+                // Closest to 0 is the last fill class.
+                const rank = fillCount - 1 - i;
+                return `#${lerp(FILL_RAMP, fillCount > 1 ? rank / (fillCount - 1) : 0)}`;
+            }
+            const rank = i - (n - cutCount);
+            return `#${lerp(CUT_RAMP, cutCount > 1 ? rank / (cutCount - 1) : 0)}`;
+        });
+    }
+
+    /**
+     * Set the classification. Breaks are sorted, de-duplicated and clamped to 15 (16 classes).
+     * @param {number[]} breaks - meters
+     * @param {Array<number|string>|null} [colors] - `breaks.length + 1` colors; default `rampColors(breaks)`
+     * @returns {Array<{min: number, max: number, color: string}>} resulting classes (min/max may be ±Infinity)
+     */
+    setClasses(breaks, colors = null) {
+        const sorted = [...new Set((Array.isArray(breaks) ? breaks : []).map(Number).filter(Number.isFinite))]
+            .sort((a, b) => a - b)
+            .slice(0, MAX_BREAKS);
+        const palette = Array.isArray(colors) && colors.length >= sorted.length + 1 ? colors : CutFillHeatmap.rampColors(sorted);
+
+        this._breaks.fill(0);
+        this._colors.fill(0);
+        this._breakCount = sorted.length;
+        sorted.forEach((v, i) => { this._breaks[i] = v; });
+        this.classes = [];
+        for (let i = 0; i <= sorted.length; i++) {
+            const c = new THREE.Color(palette[i]);
+            // The overlay is mixed after the colorspace conversion, so upload sRGB components.
+            const srgb = c.getRGB({}, THREE.SRGBColorSpace);
+            this._colors.set([srgb.r, srgb.g, srgb.b], i * 3);
+            this.classes.push({
+                min: i > 0 ? sorted[i - 1] : -Infinity,
+                max: i < sorted.length ? sorted[i] : Infinity,
+                color: `#${c.getHexString()}`
+            });
+        }
+        this._pushUniforms();
+        return this.classes;
+    }
+
+    /**
+     * Class index of a difference (meters), consistent with the shader.
+     */
+    classOf(diffMeters) {
+        let cls = 0;
+        for (let i = 0; i < this._breakCount; i++) {
+            if (diffMeters >= this._breaks[i]) cls = i + 1;
+        }
+        return cls;
+    }
+
+    setOpacity(opacity) {
+        if (Number.isFinite(Number(opacity))) this._opacity = Math.max(0, Math.min(1, Number(opacity)));
+        this._pushUniforms();
+    }
+
+    setVisible(visible) {
+        this._visible = !!visible;
+        this._pushUniforms();
+    }
+
+    /**
+     * Rasterize the design surface under the polygons.
+     * @param {Array<Array<{x: number, z: number}>>} polygons - scene XZ rings
+     * @param {(x: number, z: number, polygonIndex: number) => number|null} heightAt - design Y (scene units),
+     *   null where the design does not cover
+     */
+    setDesign(polygons, heightAt) {
+        const rings = (Array.isArray(polygons) ? polygons : [])
+            .map((poly, index) => ({
+                index,
+                ring: (Array.isArray(poly) ? poly : []).filter(p => Number.isFinite(Number(p?.x)) && Number.isFinite(Number(p?.z)))
+            }))
+            .filter(({ ring }) => ring.length >= 3);
+        if (!rings.length || typeof heightAt !== 'function') {
+            this.clear();
+            return;
+        }
+
+        let minX = Infinity, minZ = Infinity, maxX = -Infinity, maxZ = -Infinity;
+        for (const { ring } of rings) {
+            for (const p of ring) {
+                minX = Math.min(minX, p.x);
+                minZ = Math.min(minZ, p.z);
+                maxX = Math.max(maxX, p.x);
+                maxZ = Math.max(maxZ, p.z);
+            }
+        }
+        const w = Math.max(1e-6, maxX - minX);
+        const h = Math.max(1e-6, maxZ - minZ);
+        const cols = Math.max(2, Math.min(this._maxSize, Math.ceil(w / this._unitsPerPixel)));
+        const rows = Math.max(2, Math.min(this._maxSize, Math.ceil(h / this._unitsPerPixel)));
+        const dx = w / cols;
+        const dz = h / rows;
+
+        const data = new Float32Array(cols * rows * 2);
+        for (let r = 0; r < rows; r++) {
+            const z = minZ + (r + 0.5) * dz;
+            for (const { ring, index } of rings) {
+                for (const [x0, x1] of this._scanlineSpans(ring, z)) {
+                    const c0 = Math.max(0, Math.ceil((x0 - minX) / dx - 0.5));
+                    const c1 = Math.min(cols - 1, Math.floor((x1 - minX) / dx - 0.5));
+                    for (let c = c0; c <= c1; c++) {
+                        const k = (r * cols + c) * 2;
+                        if (data[k + 1] > 0) continue;
+                        const y = heightAt(minX + (c + 0.5) * dx, z, index);
+                        if (y === null || !Number.isFinite(Number(y))) continue;
+                        data[k] = Number(y);
+                        data[k + 1] = 1;
+                    }
+                }
+            }
+        }
+
+        this._texture?.dispose?.();
+        const tex = new THREE.DataTexture(data, cols, rows, THREE.RGFormat, THREE.FloatType);
+        tex.minFilter = THREE.NearestFilter;
+        tex.magFilter = THREE.NearestFilter;
+        tex.wrapS = THREE.ClampToEdgeWrapping;
+        tex.wrapT = THREE.ClampToEdgeWrapping;
+        tex.generateMipmaps = false;
+        tex.needsUpdate = true;
+        this._texture = tex;
+        this._texSize.set(cols, rows);
+        this._bounds.set(minX, minZ, 1 / w, 1 / h);
+
+        if (!this._unhookMaterials) {
+            // Installs on the current surface materials, then on each new tile / patch material.
+            this._unhookMaterials = this.terrain?.addSurfaceMaterialHook?.((mat) => this._syncMaterial(mat)) ?? null;
+        }
+        this._pushUniforms();
+    }
+
+    /**
+     * Drop the design and stop hooking new terrain materials (already wrapped ones just disable the overlay).
+     */
+    clear() {
+        this._unhookMaterials?.();
+        this._unhookMaterials = null;
+        this._texture?.dispose?.();
+        this._texture = null;
+        this._pushUniforms();
+    }
+
+    dispose() {
+        this.clear();
+        this.terrain = null;
+        this._proj = null;
+    }
+
+    // ---------------- internal ----------------
+
+    // Sorted [x0, x1] spans of a ring on the horizontal line z (even-odd rule).
+    _scanlineSpans(ring, z) {
+        const xs = [];
+        const n = ring.length;
+        for (let i = 0; i < n; i++) {
+            const a = ring[i];
+            const b = ring[(i + 1) % n];
+            if ((a.z <= z && b.z > z) || (b.z <= z && a.z > z)) {
+                xs.push(a.x + (z - a.z) / (b.z - a.z) * (b.x - a.x));
+            }
+        }
+        xs.sort((p, q) => p - q);
+        const spans = [];
+        for (let i = 0; i + 1 < xs.length; i += 2) spans.push([xs[i], xs[i + 1]]);
+        return spans;
+    }
+
+    _syncMaterial(mat) {
+        // Other overlays (CustomTerrainSurface) re-wrap on top of us and keep our key in the chain;
+        // only re-install when a later hook replaced the chain (e.g. TerrainEditor's polygon mask).
+        let key = '';
+        try { key = String(mat.customProgramCacheKey?.() ?? ''); } catch { /* ignore */ }
+        if (!key.includes('|cfh_v1')) {
+            this._installOnMaterial(mat);
+            mat.needsUpdate = true;
+        } else {
+            this._pushUniformsToMaterial(mat);
+        }
+    }
+
+    _installOnMaterial(material) {
+        if (!material?.isMaterial) return;
+        material.userData = material.userData || {};
+
+        const self = this;
+        const priorOnBeforeCompile = material.onBeforeCompile;
+        const priorKey = material.customProgramCacheKey;
+
+        material.onBeforeCompile = (shader, renderer) => {
+            if (typeof priorOnBeforeCompile === 'function') priorOnBeforeCompile.call(material, shader, renderer);
+
+            shader.uniforms.uCFH_Enabled = { value: 0 };
+            shader.uniforms.uCFH_Tex = { value: null };
+            shader.uniforms.uCFH_TexSize = { value: new THREE.Vector2(1, 1) };
+            shader.uniforms.uCFH_Bounds = { value: new THREE.Vector4(0, 0, 0, 0) };
+            shader.uniforms.uCFH_MetersPerUnit = { value: 1 };
+            shader.uniforms.uCFH_Opacity = { value: 0.65 };
+            shader.uniforms.uCFH_BreakCount = { value: 0 };
+            shader.uniforms.uCFH_Breaks = { value: new Float32Array(MAX_BREAKS) };
+            shader.uniforms.uCFH_Colors = { value: new Float32Array(MAX_CLASSES * 3) };
+
+            material.userData.cutFillHeatmapUniforms = shader.uniforms;
+            self._pushUniformsToMaterial(material);
+
+            const varyName = 'vCFH_WorldPos';
+            if (!shader.vertexShader.includes(`varying vec3 ${varyName};`)) {
+                shader.vertexShader = shader.vertexShader
+                    .replace('#include <common>', `#include <common>\nvarying vec3 ${varyName};`)
+                    .replace('#include <begin_vertex>', `#include <begin_vertex>\n${varyName} = (modelMatrix * vec4(transformed, 1.0)).xyz;`);
+            }
+
+            // Idempotency markers (stacked wrappers must not inject twice).
+            const CFH_HEADER_MARKER = '/* CFH_v1_header */';
+            const CFH_APPLY_MARKER = '/* CFH_v1_apply */';
+
+            const header = `
+${CFH_HEADER_MARKER}
+#define CFH_MAX_BREAKS ${MAX_BREAKS}
+#define CFH_MAX_CLASSES ${MAX_CLASSES}
+uniform float uCFH_Enabled;
+uniform sampler2D uCFH_Tex;
+uniform vec2 uCFH_TexSize;
+uniform vec4 uCFH_Bounds;
+uniform float uCFH_MetersPerUnit;
+uniform float uCFH_Opacity;
+uniform int uCFH_BreakCount;
+uniform float uCFH_Breaks[CFH_MAX_BREAKS];
+uniform vec3 uCFH_Colors[CFH_MAX_CLASSES];
+varying vec3 ${varyName};
+`;
+
+            if (!shader.fragmentShader.includes(CFH_HEADER_MARKER)) {
+                const beforeInject = shader.fragmentShader;
+                shader.fragmentShader = shader.fragmentShader.replace('#include <common>', `#include <common>\n${header}`);
+                if (shader.fragmentShader === beforeInject) {
+                    shader.fragmentShader = `${header}\n${shader.fragmentShader}`;
+                }
+            }
+
+            // Manual bilinear filtering (float textures are sampled NEAREST): design heights are weighted by coverage
+            // so edge texels outside the design don't pull the surface toward 0.
+            const applyOverlay = `
+${CFH_APPLY_MARKER}
+if (uCFH_Enabled > 0.5) {
+    vec2 uv = vec2((${varyName}.x - uCFH_Bounds.x) * uCFH_Bounds.z, (${varyName}.z - uCFH_Bounds.y) * uCFH_Bounds.w);
+    if (uv.x >= 0.0 && uv.x <= 1.0 && uv.y >= 0.0 && uv.y <= 1.0) {
+        vec2 p = uv * uCFH_TexSize - 0.5;
+        vec2 f = fract(p);
+        vec2 base = floor(p) + 0.5;
+        vec2 t00 = texture2D(uCFH_Tex, clamp(base, vec2(0.5), uCFH_TexSize - 0.5) / uCFH_TexSize).rg;
+        vec2 t10 = texture2D(uCFH_Tex, clamp(base + vec2(1.0, 0.0), vec2(0.5), uCFH_TexSize - 0.5) / uCFH_TexSize).rg;
+        vec2 t01 = texture2D(uCFH_Tex, clamp(base + vec2(0.0, 1.0), vec2(0.5), uCFH_TexSize - 0.5) / uCFH_TexSize).rg;
+        vec2 t11 = texture2D(uCFH_Tex, clamp(base + vec2(1.0, 1.0), vec2(0.5), uCFH_TexSize - 0.5) / uCFH_TexSize).rg;
+        float w00 = (1.0 - f.x) * (1.0 - f.y) * t00.g;
+        float w10 = f.x * (1.0 - f.y) * t10.g;
+        float w01 = (1.0 - f.x) * f.y * t01.g;
+        float w11 = f.x * f.y * t11.g;
+        float cover = w00 + w10 + w01 + w11;
+        if (cover >= 0.5) {
+            float designY = (t00.r * w00 + t10.r * w10 + t01.r * w01 + t11.r * w11) / cover;
+            float d = (${varyName}.y - designY) * uCFH_MetersPerUnit;
+            int cls = 0;
+            for (int i = 0; i < CFH_MAX_BREAKS; i++) {
+                if (i < uCFH_BreakCount && d >= uCFH_Breaks[i]) cls = i + 1;
+            }
+            vec3 heat = uCFH_Colors[0];
+            for (int i = 1; i < CFH_MAX_CLASSES; i++) {
+                if (i == cls) heat = uCFH_Colors[i];
+            }
+            gl_FragColor.rgb = mix(gl_FragColor.rgb, heat, clamp(uCFH_Opacity, 0.0, 1.0));
+        }
+    }
+}
+`;
+
+            if (!shader.fragmentShader.includes(CFH_APPLY_MARKER)) {
+                if (shader.fragmentShader.includes('#include <dithering_fragment>')) {
+                    shader.fragmentShader = shader.fragmentShader.replace('#include <dithering_fragment>', `${applyOverlay}\n#include <dithering_fragment>`);
+                } else if (shader.fragmentShader.includes('#include <output_fragment>')) {
+                    shader.fragmentShader = shader.fragmentShader.replace('#include <output_fragment>', `#include <output_fragment>\n${applyOverlay}`);
+                } else {
+                    shader.fragmentShader += `\n${applyOverlay}\n`;
+                }
+            }
+        };
+
+        material.customProgramCacheKey = function () {
+            const base = typeof priorKey === 'function' ? String(priorKey.call(this)) : '';
+            return base.includes('|cfh_v1') ? base : `${base}|cfh_v1`;
+        };
+    }
+
+    _pushUniforms() {
+        for (const mat of this.terrain?.getSurfaceMaterials?.() ?? []) this._pushUniformsToMaterial(mat);
+    }
+
+    _pushUniformsToMaterial(material) {
+        const u = material?.userData?.cutFillHeatmapUniforms;
+        if (!u) return;
+
+        const enabled = this._visible && !!this._texture;
+        if (u.uCFH_Enabled) u.uCFH_Enabled.value = enabled ? 1 : 0;
+        if (u.uCFH_Tex) u.uCFH_Tex.value = enabled ? this._texture : null;
+        if (u.uCFH_TexSize?.value?.copy) u.uCFH_TexSize.value.copy(this._texSize);
+        if (u.uCFH_Bounds?.value?.copy) u.uCFH_Bounds.value.copy(this._bounds);
+        if (u.uCFH_MetersPerUnit) u.uCFH_MetersPerUnit.value = this._metersPerUnit;
+        if (u.uCFH_Opacity) u.uCFH_Opacity.value = Number.isFinite(this._opacity) ? Math.max(0, Math.min(1, this._opacity)) : 0.65;
+        if (u.uCFH_BreakCount) u.uCFH_BreakCount.value = this._breakCount;
+        if (u.uCFH_Breaks?.value?.set) u.uCFH_Breaks.value.set(this._breaks);
+        if (u.uCFH_Colors?.value?.set) u.uCFH_Colors.value.set(this._colors);
+    }
+}
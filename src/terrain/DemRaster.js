@@ -0,0 +1,137 @@
+import { fromArrayBuffer } from 'geotiff';
+import { resolveCrs } from '../math/crs.js';
+
+/**
+ * Build a lon/lat -> raster CRS function.
+ * @param {number|string|Object|null} crs - EPSG code, TM params object, or `{ fromLonLat(lon, lat) => {x, y} }`
+ */
+function resolveFromLonLat(crs) {
+    const resolved = resolveCrs(crs);
+    if (resolved) return resolved.fromLonLat;
+    console.warn(`[DemRaster] Unsupported CRS ${String(crs)}; pass options.crs = { fromLonLat } to reproject.`);
+    return null;
+}
+
+/**
+ * Single-band elevation raster (meters) with an affine georeference in its own CRS.
+ *
+ * Grid layout: row 0 is the first raster row (north-up for typical GeoTIFFs),
+ * pixel center of (col, row) = (originX + (col + c) * resX, originY + (row + c) * resY),
+ * with c = 0.5 for PixelIsArea rasters and 0 for PixelIsPoint.
+ */
+export class DemRaster {
+    constructor(options = {}) {
+        this.width = options.width | 0;
+        this.height = options.height | 0;
+        this.data = options.data;
+        this.originX = Number(options.originX);
+        this.originY = Number(options.originY);
+        this.resX = Number(options.resX);
+        this.resY = Number(options.resY);
+        this.pixelIsArea = options.pixelIsArea !== false;
+        this.noData = (options.noData !== null && options.noData !== undefined && Number.isFinite(Number(options.noData)))
+            ? Number(options.noData)
+            : null;
+        this.epsg = options.epsg ?? null;
+        this.verticalScale = Number.isFinite(options.verticalScale) ? options.verticalScale : 1;
+        this.verticalOffset = Number.isFinite(options.verticalOffset) ? options.verticalOffset : 0;
+        this._fromLonLat = resolveFromLonLat(options.crs ?? this.epsg);
+    }
+
+    /**
+     * Parse a GeoTIFF (File / Blob / ArrayBuffer). Only band 0 is read.
+     * @param {File|Blob|ArrayBuffer} source
+     * @param {{crs?: any, noData?: number, verticalScale?: number, verticalOffset?: number}} options
+     * @returns {Promise<DemRaster>}
+     */
+    static async fromGeoTIFF(source, options = {}) {
+        const buffer = source instanceof ArrayBuffer
+            ? source
+            : (ArrayBuffer.isView(source) ? source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength) : await source.arrayBuffer());
+        const tiff = await fromArrayBuffer(buffer);
+        const image = await tiff.getImage();
+
+        const [originX, originY] = image.getOrigin();
+        const [resX, resY] = image.getResolution();
+        const rasters = await image.readRasters({ samples: [0], interleave: true });
+        const geoKeys = image.getGeoKeys?.() ?? {};
+        const epsg = geoKeys.ProjectedCSTypeGeoKey ?? geoKeys.GeographicTypeGeoKey ?? null;
+
+        return new DemRaster({
+            width: image.getWidth(),
+            height: image.getHeight(),
+            data: rasters,
+            originX,
+            originY,
+            resX,
+            resY,
+            pixelIsArea: geoKeys.GTRasterTypeGeoKey !== 2,
+            noData: options.noData ?? image.getGDALNoData?.(),
+            epsg: (epsg === 32767 ? null : epsg),
+            crs: options.crs ?? null,
+            verticalScale: options.verticalScale,
+            verticalOffset: options.verticalOffset
+        });
+    }
+
+    /**
+     * Raster extent in its own CRS.
+     * @returns {{minX:number,minY:number,maxX:number,maxY:number}}
+     */
+    getExtent() {
+        const x0 = this.originX;
+        const x1 = this.originX + this.width * this.resX;
+        const y0 = this.originY;
+        const y1 = this.originY + this.height * this.resY;
+        return { minX: Math.min(x0, x1), maxX: Math.max(x0, x1), minY: Math.min(y0, y1), maxY: Math.max(y0, y1) };
+    }
+
+    _value(col, row) {
+        const v = this.data[row * this.width + col];
+        if (!Number.isFinite(v)) return NaN;
+        if (this.noData !== null && v === this.noData) return NaN;
+        return v * this.verticalScale + this.verticalOffset;
+    }
+
+    /**
+     * Bilinear sample in raster CRS coordinates. Returns NaN outside the raster or on nodata.
+     */
+    sampleAtCrs(x, y) {
+        const c = this.pixelIsArea ? 0.5 : 0;
+        const fx = (x - this.originX) / this.resX - c;
+        const fy = (y - this.originY) / this.resY - c;
+        if (!(fx >= -0.5 && fy >= -0.5 && fx <= this.width - 0.5 && fy <= this.height - 0.5)) return NaN;
+
+        const cx = Math.min(this.width - 1, Math.max(0, fx));
+        const cy = Math.min(this.height - 1, Math.max(0, fy));
+        const x0 = Math.floor(cx);
+        const y0 = Math.floor(cy);
+        const x1 = Math.min(this.width - 1, x0 + 1);
+        const y1 = Math.min(this.height - 1, y0 + 1);
+        const tx = cx - x0;
+        const ty = cy - y0;
+
+        const a = this._value(x0, y0);
+        const b = this._value(x1, y0);
+        const d = this._value(x0, y1);
+        const e = this._value(x1, y1);
+
+        // Next to voids, use the nearest pixel (NaN if that is nodata too) instead of blending with nodata.
+        if (!Number.isFinite(a) || !Number.isFinite(b) || !Number.isFinite(d) || !Number.isFinite(e)) {
+            return this._value(Math.round(cx), Math.round(cy));
+        }
+        const ab = a * (1 - tx) + b * tx;
+        const de = d * (1 - tx) + e * tx;
+        return ab * (1 - ty) + de * ty;
+    }
+
+    /**
+     * Sample at WGS84 lon/lat (meters). Returns NaN outside the raster / on nodata / unknown CRS.
+     */
+    sampleAtLonLat(lon, lat) {
+        if (!this._fromLonLat) return NaN;
+        const p = this._fromLonLat(lon, lat);
+        if (!p) return NaN;
+        return this.sampleAtCrs(p.x, p.y);
+    }
+}
@@ -0,0 +1,169 @@
+import * as THREE from 'three';
+import { coordinatesToLonLat } from '../math/crs.js';
+
+/**
+ * DesignSurface
+ * -------------
+ * A designed ground surface (TIN from LandXML / DXF 3DFACE, see `vector/designSurface.js`) placed in the scene:
+ * - converted from its CRS to lon/lat, then to Three.js coordinates through `MathProj` (elevation -> Y)
+ * - rendered as a translucent shaded mesh with its triangle edges
+ * - `heightAt(x, z)` interpolates the design elevation (scene units) under a scene XZ point, or null outside the TIN
+ *
+ * CRS: `options.crs`, else the file's declared CRS, else lon/lat when every vertex is within lon/lat range,
+ * else the working CRS of `MathProj` (engineering drawings are usually in the project's Gauss-Krüger zone).
+ */
+export class DesignSurface {
+    /**
+     * @param {{name?: string, crs?: string|null, vertices: number[][], triangles: number[][]}} surface
+     * @param {import('../math/proj.js').MathProj} proj
+     * @param {Object} [options]
+     * @param {number|string|Object} [options.crs] - CRS of the vertex coordinates (overrides the file's)
+     * @param {number} [options.color=0x26a69a]
+     * @param {number} [options.opacity=0.5]
+     */
+    constructor(surface, proj, options = {}) {
+        if (!surface?.vertices?.length || !surface?.triangles?.length) throw new Error('DesignSurface: empty surface');
+        if (!proj) throw new Error('DesignSurface: MathProj is required');
+        this.proj = proj;
+        this.name = surface.name || 'design';
+        this.crs = options.crs ?? surface.crs ?? (DesignSurface._looksLikeLonLat(surface.vertices) ? 'EPSG:4326' : proj.getWorkingCrs());
+
+        const lonLats = coordinatesToLonLat(surface.vertices, this.crs);
+        const positions = new Float32Array(lonLats.length * 3);
+        this.bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity, minY: Infinity, maxY: -Infinity };
+        lonLats.forEach(([lon, lat, z], i) => {
+            const p = proj.lonLatToThree(lon, lat, Number(z) || 0);
+            positions[i * 3] = p.x;
+            positions[i * 3 + 1] = p.y;
+            positions[i * 3 + 2] = p.z;
+            this.bounds.minX = Math.min(this.bounds.minX, p.x);
+            this.bounds.maxX = Math.max(this.bounds.maxX, p.x);
+            this.bounds.minZ = Math.min(this.bounds.minZ, p.z);
+            this.bounds.maxZ = Math.max(this.bounds.maxZ, p.z);
+            this.bounds.minY = Math.min(this.bounds.minY, p.y);
+            this.bounds.maxY = Math.max(this.bounds.maxY, p.y);
+        });
+        this.positions = positions;
+        this.triangles = new Uint32Array(surface.triangles.flat());
+        this.triangleCount = this.triangles.length / 3;
+
+        this._buildIndex();
+        this.object = this._buildObject(options);
+    }
+
+    static _looksLikeLonLat(vertices) {
+        return vertices.every((v) => Math.abs(v[0]) <= 180 && Math.abs(v[1]) <= 90);
+    }
+
+    // Uniform XZ grid of triangle ids (cell ~ 2x the mean triangle size).
+    _buildIndex() {
+        const b = this.bounds;
+        const area = Math.max(1e-12, (b.maxX - b.minX) * (b.maxZ - b.minZ));
+        this._cell = Math.max(1e-9, Math.sqrt(area / this.triangleCount) * 2);
+        this._cols = Math.max(1, Math.ceil((b.maxX - b.minX) / this._cell));
+        this._rows = Math.max(1, Math.ceil((b.maxZ - b.minZ) / this._cell));
+        this._grid = new Map();
+        const pos = this.positions;
+        const tri = this.triangles;
+        for (let t = 0; t < this.triangleCount; t++) {
+            let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+            for (let k = 0; k < 3; k++) {
+                const i = tri[t * 3 + k];
+                minX = Math.min(minX, pos[i * 3]);
+                maxX = Math.max(maxX, pos[i * 3]);
+                minZ = Math.min(minZ, pos[i * 3 + 2]);
+                maxZ = Math.max(maxZ, pos[i * 3 + 2]);
+            }
+            const c0 = this._colOf(minX), c1 = this._colOf(maxX);
+            const r0 = this._rowOf(minZ), r1 = this._rowOf(maxZ);
+            for (let r = r0; r <= r1; r++) {
+                for (let c = c0; c <= c1; c++) {
+                    const key = r * this._cols + c;
+                    let list = this._grid.get(key);
+                    if (!list) this._grid.set(key, (list = []));
+                    list.push(t);
+                }
+            }
+        }
+    }
+
+    _colOf(x) {
+        return THREE.MathUtils.clamp(Math.floor((x - this.bounds.minX) / this._cell), 0, this._cols - 1);
+    }
+
+    _rowOf(z) {
+        return THREE.MathUtils.clamp(Math.floor((z - this.bounds.minZ) / this._cell), 0, this._rows - 1);
+    }
+
+    _buildObject(options) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+        geometry.setIndex(new THREE.BufferAttribute(this.triangles, 1));
+        geometry.computeVertexNormals();
+        geometry.computeBoundingSphere();
+
+        const color = options.color ?? 0x26a69a;
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({
+            color,
+            transparent: true,
+            opacity: Number.isFinite(Number(options.opacity)) ? Number(options.opacity) : 0.5,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+            polygonOffset: true,
+            polygonOffsetFactor: -1,
+            polygonOffsetUnits: -1
+        }));
+        mesh.renderOrder = 9300;
+        mesh.raycast = () => {};
+
+        const edges = new THREE.LineSegments(
+            new THREE.WireframeGeometry(geometry),
+            new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.6, depthWrite: false })
+        );
+        edges.renderOrder = 9301;
+        edges.raycast = () => {};
+
+        const group = new THREE.Group();
+        group.name = `designSurface:${this.name}`;
+        group.userData.isDesignSurface = true;
+        group.add(mesh, edges);
+        return group;
+    }
+
+    /**
+     * Design elevation (scene units, Y) under the scene point `x, z`; null outside the TIN.
+     */
+    heightAt(x, z) {
+        const b = this.bounds;
+        if (!(x >= b.minX && x <= b.maxX && z >= b.minZ && z <= b.maxZ)) return null;
+        const list = this._grid.get(this._rowOf(z) * this._cols + this._colOf(x));
+        if (!list) return null;
+        const pos = this.positions;
+        const tri = this.triangles;
+        const eps = 1e-9;
+        for (const t of list) {
+            const i0 = tri[t * 3] * 3, i1 = tri[t * 3 + 1] * 3, i2 = tri[t * 3 + 2] * 3;
+            const ax = pos[i0], az = pos[i0 + 2];
+            const v0x = pos[i1] - ax, v0z = pos[i1 + 2] - az;
+            const v1x = pos[i2] - ax, v1z = pos[i2 + 2] - az;
+            const det = v0x * v1z - v1x * v0z;
+            if (Math.abs(det) < 1e-18) continue;
+            const px = x - ax, pz = z - az;
+            const u = (px * v1z - v1x * pz) / det;
+            const v = (v0x * pz - px * v0z) / det;
+            if (u < -eps || v < -eps || u + v > 1 + eps) continue;
+            return pos[i0 + 1] + u * (pos[i1 + 1] - pos[i0 + 1]) + v * (pos[i2 + 1] - pos[i0 + 1]);
+        }
+        return null;
+    }
+
+    dispose() {
+        this.object?.removeFromParent();
+        this.object?.traverse((o) => {
+            o.geometry?.dispose?.();
+            o.material?.dispose?.();
+        });
+        this.object = null;
+        this._grid = null;
+    }
+}
@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+
+/**
+ * Terrain material hook compositing imagery overlay layers (see `ImageryLayerCollection`) over the base drape.
+ *
+ * Each slot is a per-tile texture (from the layer's `ImageryTiles.getTextureForTerrainTile`) sampled with the
+ * tile's plane UVs and its texture matrix (sub-tile offset/repeat), blended in `map` order after `map_fragment`
+ * (i.e. after the base drape). Fragments colored by the `TerrainMapAtlas` patch are skipped: the atlas composites
+ * the same layers itself. Slot changes only touch uniforms (no recompile).
+ */
+export const MAX_MATERIAL_IMAGERY_LAYERS = 4;
+
+const SHADER_VERSION = 1;
+
+// material -> uniforms (kept off `material.userData`, which `Material.clone()` deep-copies).
+const _installed = new WeakMap();
+
+function createUniforms() {
+    const uniforms = { uImageryLayerCount: { value: 0 } };
+    for (let i = 0; i < MAX_MATERIAL_IMAGERY_LAYERS; i++) {
+        uniforms[`uImageryLayerTex${i}`] = { value: null };
+        uniforms[`uImageryLayerUv${i}`] = { value: new THREE.Matrix3() };
+        // x = opacity, y = blend mode id (IMAGERY_BLEND_MODES)
+        uniforms[`uImageryLayerParams${i}`] = { value: new THREE.Vector2(0, 0) };
+    }
+    return uniforms;
+}
+
+function fragmentHeader() {
+    let s = 'uniform float uImageryLayerCount;\nvarying vec2 vImageryLayerUv;\n';
+    for (let i = 0; i < MAX_MATERIAL_IMAGERY_LAYERS; i++) {
+        s += `uniform sampler2D uImageryLayerTex${i};\nuniform mat3 uImageryLayerUv${i};\nuniform vec2 uImageryLayerParams${i};\n`;
+    }
+    return `${s}
+vec3 imageryLayerBlend(vec3 dst, vec4 src, vec2 params) {
+    float a = clamp(src.a * params.x, 0.0, 1.0);
+    int mode = int(params.y + 0.5);
+    if (mode == 1) return mix(dst, dst * src.rgb, a);
+    if (mode == 2) return mix(dst, 1.0 - (1.0 - dst) * (1.0 - src.rgb), a);
+    if (mode == 3) return min(dst + src.rgb * a, vec3(1.0));
+    return mix(dst, src.rgb, a);
+}
+`;
+}
+
+function fragmentComposite() {
+    // Where the TerrainMapAtlas patch supplied the color, the overlays are already composited into the atlas.
+    let s = `    float imageryLayerCount = uImageryLayerCount;
+#ifdef MAP_ATLAS_COVERAGE
+    if (mapAtlasCovered > 0.5) imageryLayerCount = 0.0;
+#endif
+`;
+    for (let i = 0; i < MAX_MATERIAL_IMAGERY_LAYERS; i++) {
+        s += `    if (imageryLayerCount > ${i}.5) {
+        vec4 layerColor${i} = texture2D(uImageryLayerTex${i}, (uImageryLayerUv${i} * vec3(vImageryLayerUv, 1.0)).xy);
+        diffuseColor.rgb = imageryLayerBlend(diffuseColor.rgb, layerColor${i}, uImageryLayerParams${i});
+    }
+`;
+    }
+    return s;
+}
+
+/**
+ * Install the overlay hook (idempotent).
+ * @param {THREE.Material} material
+ * @returns {Object|null} uniforms
+ */
+export function installImageryLayersOnMaterial(material) {
+    if (!material?.isMaterial) return null;
+    const existing = _installed.get(material);
+    if (existing) return existing;
+
+    const uniforms = createUniforms();
+    _installed.set(material, uniforms);
+
+    const priorOnBeforeCompile = material.onBeforeCompile;
+    const priorKey = material.customProgramCacheKey;
+    material.onBeforeCompile = (shader, renderer) => {
+        if (typeof priorOnBeforeCompile === 'function') priorOnBeforeCompile.call(material, shader, renderer);
+        Object.assign(shader.uniforms, uniforms);
+
+        if (!shader.vertexShader.includes('vImageryLayerUv')) {
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', '#include <common>\nvarying vec2 vImageryLayerUv;')
+                .replace('#include <begin_vertex>', '#include <begin_vertex>\nvImageryLayerUv = uv;');
+        }
+        if (!shader.fragmentShader.includes('uImageryLayerCount')) {
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>\n${fragmentHeader()}`)
+                .replace('#include <color_fragment>', `${fragmentComposite()}#include <color_fragment>`);
+        }
+    };
+    material.customProgramCacheKey = function () {
+        const base = typeof priorKey === 'function' ? String(priorKey.call(this)) : '';
+        return `${base}|imageryLayers-v${SHADER_VERSION}`;
+    };
+    material.needsUpdate = true;
+    return uniforms;
+}
+
+/**
+ * @param {THREE.Material} material
+ * @param {{texture: THREE.Texture, opacity: number, blendId: number}[]} slots - bottom -> top; extra slots are dropped
+ */
+export function setMaterialImageryLayers(material, slots = []) {
+    if (!slots.length && !_installed.has(material)) return;
+    const u = installImageryLayersOnMaterial(material);
+    if (!u) return;
+    const n = Math.min(MAX_MATERIAL_IMAGERY_LAYERS, slots.length);
+    u.uImageryLayerCount.value = n;
+    for (let i = 0; i < MAX_MATERIAL_IMAGERY_LAYERS; i++) {
+        const slot = i < n ? slots[i] : null;
+        const tex = slot?.texture ?? null;
+        u[`uImageryLayerTex${i}`].value = tex;
+        if (tex) {
+            tex.updateMatrix?.();
+            u[`uImageryLayerUv${i}`].value.copy(tex.matrix);
+        }
+        u[`uImageryLayerParams${i}`].value.set(slot ? slot.opacity : 0, slot ? slot.blendId : 0);
+    }
+}
@@ -123,9 +123,6 @@ export class MapDrapeLodVisualizer {
             const vertexCount = take * 8;
             const positions = new Float32Array(vertexCount * 3);
 
-            const cx = Number(proj?.centerMercator?.x ?? 0);
-            const cy = Number(proj?.centerMercator?.y ?? 0);
-
             let out = 0;
             let i = 0;
             for (const key of keys) {
@@ -146,23 +143,17 @@ export class MapDrapeLodVisualizer {
                 const south = Number(b.max.y);
                 if (!Number.isFinite(west) || !Number.isFinite(north) || !Number.isFinite(east) || !Number.isFinite(south)) continue;
 
-                const xW = toUnits(west - cx);
-                const xE = toUnits(east - cx);
-                const zN = toUnits(cy - north);
-                const zS = toUnits(cy - south);
+                // Corners through the projection (tile edges are not axis-aligned in an ENU scene frame).
+                const nw = proj.mercatorToThree(west, north);
+                const ne = proj.mercatorToThree(east, north);
+                const se = proj.mercatorToThree(east, south);
+                const sw = proj.mercatorToThree(west, south);
 
                 // 4 edges => 8 vertices
-                positions[out++] = xW; positions[out++] = baseY; positions[out++] = zN;
-                positions[out++] = xE; positions[out++] = baseY; positions[out++] = zN;
-
-                positions[out++] = xE; positions[out++] = baseY; positions[out++] = zN;
-                positions[out++] = xE; positions[out++] = baseY; positions[out++] = zS;
-
-                positions[out++] = xE; positions[out++] = baseY; positions[out++] = zS;
-                positions[out++] = xW; positions[out++] = baseY; positions[out++] = zS;
-
-                positions[out++] = xW; positions[out++] = baseY; positions[out++] = zS;
-                positions[out++] = xW; positions[out++] = baseY; positions[out++] = zN;
+                for (const [a, b] of [[nw, ne], [ne, se], [se, sw], [sw, nw]]) {
+                    positions[out++] = a.x; positions[out++] = baseY; positions[out++] = a.z;
+                    positions[out++] = b.x; positions[out++] = baseY; positions[out++] = b.z;
+                }
             }
 
             let line = this._linesByZoom.get(z);
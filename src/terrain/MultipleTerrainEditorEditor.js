@@ -1,3 +1,5 @@
+import { isSlopedDesign, resolveDesignPlane } from '../math/designPlane.js';
+
 export class MultipleTerrainEditorEditor {
     /**
      * @param {import('./Terrain.js').Terrain} terrain
@@ -65,6 +67,27 @@ export class MultipleTerrainEditorEditor {
         this.editor?._removePatchesByPrefix?.(prefix);
     }
 
+    /**
+     * 设计面平台补丁（倾斜平面，见 math/designPlane.js）；参数无效时返回 false
+     */
+    _applyPlanePatch(kind, i, it, polygon, patchKey) {
+        let plane;
+        try {
+            plane = resolveDesignPlane(it, polygon);
+        } catch (e) {
+            this._warn(`${kind}[${i}] ${e.message}，已跳过`, it);
+            return false;
+        }
+        if (!plane) {
+            this._warn(`${kind}[${i}] 设计面缺少高程，已跳过`, it);
+            return false;
+        }
+        const boundaryPolygonXZ = this.editor._buildBoundaryXZ(polygon);
+        const polygonKey = JSON.stringify({ type: 'plane', i, polygon, plane });
+        this.editor.createOrUpdateEditPatch(boundaryPolygonXZ, { polygonKey, mode: 'plane', value: plane }, patchKey);
+        return true;
+    }
+
     /**
      * Δ 批量：[{ polygon: [[lon,lat],...], delta?: number }]
      */
@@ -105,6 +128,8 @@ export class MultipleTerrainEditorEditor {
 
     /**
      * 整平批量：[{ polygon: [[lon,lat],...], targetElevation?: number }]
+     * 倾斜/分台平台：每项可带 longGrade/crossGrade（%）+ azimuth（°）+ origin、三点 points 或已解析的 plane
+     * （见 math/designPlane.js），生成与填挖方计算同一设计面的补丁
      */
     applyFlatten(list) {
         const items = Array.isArray(list) ? list : [];
@@ -127,6 +152,12 @@ export class MultipleTerrainEditorEditor {
                 this._warn(`flatten[${i}] polygon 不是凸多边形，将按凹多边形处理（自动三角化顶面/按边界建墙&裁剪）`, polygon);
             }
 
+            if (isSlopedDesign(it)) {
+                const spec = Number.isFinite(Number(it.targetElevation ?? it.height ?? it.elevation)) ? it : { ...it, targetElevation: last };
+                this._applyPlanePatch('flatten', i, spec, polygon, `${prefix}${i}`);
+                continue;
+            }
+
             const h = Number(it.targetElevation ?? it.height ?? it.elevation);
             if (Number.isFinite(h)) last = h;
             else this._warn(`flatten[${i}] 缺少 targetElevation，使用最近有效值 ${last}`, it);
@@ -143,6 +174,8 @@ export class MultipleTerrainEditorEditor {
 
     /**
      * 坡面批量：[{ aLonLat:[lon,lat], bLonLat:[lon,lat], side?, widthHeightRatio?, maxHeight?, highEdgeSamples? }]
+     * 也可为倾斜平台：{ polygon:[[lon,lat],...], targetElevation, longGrade?, crossGrade?, azimuth?, origin? }
+     * 或 { polygon, points:[[lon,lat,h] x3] } / { polygon, plane }
      */
     applySlopes(list) {
         const items = Array.isArray(list) ? list : [];
@@ -154,6 +187,11 @@ export class MultipleTerrainEditorEditor {
         let last = { ...this._lastSlope };
         for (let i = 0; i < items.length; i++) {
             const it = items[i] || {};
+            const polygon = it.polygon ?? it.vertices ?? it.poly;
+            if (Array.isArray(polygon) && polygon.length >= 3) {
+                this._applyPlanePatch('slope', i, it, polygon, `${prefix}${i}`);
+                continue;
+            }
             const aLonLat = it.aLonLat ?? it.a;
             const bLonLat = it.bLonLat ?? it.b;
             if (!Array.isArray(aLonLat) || aLonLat.length < 2 || !Array.isArray(bLonLat) || bLonLat.length < 2) {
@@ -0,0 +1,138 @@
+import { createZip, readZip } from '../utils/zip.js';
+
+export const OFFLINE_PACKAGE_FORMAT = 'threegis-offline-package';
+export const OFFLINE_PACKAGE_VERSION = 1;
+
+const MANIFEST = 'manifest.json';
+
+function terrainPath(z, x, y) {
+    return `terrain/${z}/${x}/${y}.f32`;
+}
+
+/**
+ * Offline AOI package: terrain heightmaps + raw imagery tiles + scene config in one zip archive.
+ *
+ * Layout:
+ * - `manifest.json`: `{ format, version, created, bounds, config, terrain: { tiles: [{z, x, y, segments}] },
+ *   imagery: [{ role: 'base'|'atlas', layer, minZoom, maxZoom, tiles: [[z, x, y], ...] }] }`
+ * - `terrain/{z}/{x}/{y}.f32`: (segments+1)^2 Float32 heights in meters, little-endian, row 0 = north
+ * - `imagery/{i}/{z}/{x}/{y}`: tile bytes as served by the source (imagery layer `i` of the manifest)
+ *
+ * Terrain is stored as decoded heightmaps (keys of `Terrain.tileMap`), so packages do not depend on the
+ * terrain source format (terrain-rgb, quantized-mesh, local DEM overrides are baked in).
+ * Imagery is keyed like the persistent tile cache; a loaded package is plugged into `ImageryTiles` as a
+ * read-only `persistentCache` (same interface as `TileStore`).
+ */
+export class OfflinePackage {
+    constructor(manifest, zip) {
+        this.manifest = manifest;
+        this._zip = zip;
+        this._imageryPaths = new Map(); // `${layer}|${z}/${x}/${y}` -> path
+        (manifest.imagery ?? []).forEach((layer, i) => {
+            for (const [z, x, y] of layer.tiles ?? []) {
+                this._imageryPaths.set(`${layer.layer}|${z}/${x}/${y}`, `imagery/${i}/${z}/${x}/${y}`);
+            }
+        });
+    }
+
+    /**
+     * @param {File|Blob|ArrayBuffer|Uint8Array} source - archive written by `OfflinePackage.write`
+     * @returns {Promise<OfflinePackage>}
+     */
+    static async read(source) {
+        const zip = await readZip(source);
+        const raw = await zip.read(MANIFEST);
+        if (!raw) throw new Error('Offline package: manifest.json missing');
+        const manifest = JSON.parse(new TextDecoder().decode(raw));
+        if (manifest?.format !== OFFLINE_PACKAGE_FORMAT) throw new Error('Offline package: unknown format');
+        if (!(manifest.version <= OFFLINE_PACKAGE_VERSION)) {
+            throw new Error(`Offline package: version ${manifest.version} is newer than supported (${OFFLINE_PACKAGE_VERSION})`);
+        }
+        return new OfflinePackage(manifest, zip);
+    }
+
+    /**
+     * @param {Object} manifest - without `terrain.tiles` / `imagery[].tiles` (filled from the lists below)
+     * @param {{z: number, x: number, y: number, segments: number, heightmap: Float32Array}[]} terrainTiles - meters
+     * @param {Array<{z: number, x: number, y: number, blob: Blob}[]>} imageryTiles - per `manifest.imagery` entry
+     * @returns {Promise<Blob>}
+     */
+    static async write(manifest, terrainTiles, imageryTiles = []) {
+        const entries = [];
+        const out = {
+            ...manifest,
+            format: OFFLINE_PACKAGE_FORMAT,
+            version: OFFLINE_PACKAGE_VERSION,
+            created: manifest.created ?? new Date().toISOString(),
+            terrain: { ...(manifest.terrain ?? {}), tiles: [] },
+            imagery: (manifest.imagery ?? []).map((l) => ({ ...l, tiles: [] }))
+        };
+
+        for (const t of terrainTiles) {
+            // Copy: heightmaps may be views into larger buffers; the format is fixed little-endian.
+            const bytes = new Uint8Array(t.heightmap.length * 4);
+            const view = new DataView(bytes.buffer);
+            for (let i = 0; i < t.heightmap.length; i++) view.setFloat32(i * 4, t.heightmap[i], true);
+            entries.push({ name: terrainPath(t.z, t.x, t.y), data: bytes });
+            out.terrain.tiles.push({ z: t.z, x: t.x, y: t.y, segments: t.segments });
+        }
+
+        imageryTiles.forEach((tiles, i) => {
+            if (!out.imagery[i]) return;
+            for (const t of tiles) {
+                entries.push({ name: `imagery/${i}/${t.z}/${t.x}/${t.y}`, data: t.blob });
+                out.imagery[i].tiles.push([t.z, t.x, t.y]);
+            }
+        });
+
+        entries.unshift({ name: MANIFEST, data: JSON.stringify(out) });
+        return createZip(entries);
+    }
+
+    /**
+     * Scene config stored at export time (tokens are not exported).
+     */
+    get config() {
+        return this.manifest.config ?? {};
+    }
+
+    get terrainTiles() {
+        return this.manifest.terrain?.tiles ?? [];
+    }
+
+    /**
+     * Persistent-cache layer id of an imagery role ('base' | 'atlas'), or null.
+     */
+    imageryLayer(role) {
+        return (this.manifest.imagery ?? []).find((l) => l.role === role)?.layer ?? null;
+    }
+
+    /**
+     * @returns {Promise<Float32Array|null>} heightmap in meters
+     */
+    async getHeightmap(x, y, z) {
+        const bytes = await this._zip.read(terrainPath(z, x, y));
+        if (!bytes) return null;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const out = new Float32Array(bytes.byteLength / 4);
+        for (let i = 0; i < out.length; i++) out[i] = view.getFloat32(i * 4, true);
+        return out;
+    }
+
+    // --- Read-only `TileStore` interface (ImageryTiles `persistentCache`) ---
+
+    async get(key) {
+        const path = this._imageryPaths.get(key);
+        const bytes = path ? await this._zip.read(path) : null;
+        if (!bytes) return null;
+        return { blob: new Blob([bytes]), created: Date.parse(this.manifest.created) || 0, expired: false };
+    }
+
+    async has(key) {
+        return this._imageryPaths.has(key);
+    }
+
+    async put() {
+        // read-only
+    }
+}
@@ -0,0 +1,440 @@
+import { ImageryTiles } from '../maptiles/imageryTiles.js';
+
+const QM_MAX = 32767;
+const HEADER_BYTES = 88;
+
+const EXT_OCT_NORMALS = 1;
+const EXT_WATER_MASK = 2;
+const EXT_METADATA = 4;
+
+function zigZagDecode(n) {
+    return (n >> 1) ^ (-(n & 1));
+}
+
+function octDecode(bx, by) {
+    let x = bx / 255 * 2 - 1;
+    let y = by / 255 * 2 - 1;
+    const z = 1 - Math.abs(x) - Math.abs(y);
+    if (z < 0) {
+        const ox = x;
+        x = (1 - Math.abs(y)) * (ox >= 0 ? 1 : -1);
+        y = (1 - Math.abs(ox)) * (y >= 0 ? 1 : -1);
+    }
+    const len = Math.hypot(x, y, z) || 1;
+    return [x / len, y / len, z / len];
+}
+
+async function maybeGunzip(buffer) {
+    const head = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+    if (head[0] !== 0x1f || head[1] !== 0x8b) return buffer;
+    // Served as a raw .gz file (no Content-Encoding header): inflate ourselves.
+    if (typeof DecompressionStream === 'undefined') throw new Error('gzip tile but DecompressionStream is unavailable');
+    const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return await new Response(stream).arrayBuffer();
+}
+
+/**
+ * Decode a quantized-mesh-1.0 tile.
+ * @param {ArrayBuffer} buffer
+ * @returns {{
+ *   minHeight: number, maxHeight: number, vertexCount: number,
+ *   u: Uint16Array, v: Uint16Array, h: Uint16Array, heights: Float32Array,
+ *   indices: Uint16Array|Uint32Array,
+ *   westIndices: Uint16Array|Uint32Array, southIndices: Uint16Array|Uint32Array,
+ *   eastIndices: Uint16Array|Uint32Array, northIndices: Uint16Array|Uint32Array,
+ *   normals: Float32Array|null, waterMask: Uint8Array|null, metadata: Object|null
+ * }}
+ */
+export function decodeQuantizedMesh(buffer) {
+    const view = new DataView(buffer);
+    let pos = 0;
+
+    // Header: center(3d) minH(f) maxH(f) boundingSphere(4d) horizonOcclusionPoint(3d)
+    const minHeight = view.getFloat32(24, true);
+    const maxHeight = view.getFloat32(28, true);
+    pos = HEADER_BYTES;
+
+    const vertexCount = view.getUint32(pos, true);
+    pos += 4;
+
+    const readZigZag = () => {
+        const out = new Uint16Array(vertexCount);
+        let value = 0;
+        for (let i = 0; i < vertexCount; i++) {
+            value += zigZagDecode(view.getUint16(pos, true));
+            out[i] = value;
+            pos += 2;
+        }
+        return out;
+    };
+    const u = readZigZag();
+    const v = readZigZag();
+    const h = readZigZag();
+
+    const heights = new Float32Array(vertexCount);
+    const hRange = maxHeight - minHeight;
+    for (let i = 0; i < vertexCount; i++) heights[i] = minHeight + (h[i] / QM_MAX) * hRange;
+
+    const use32 = vertexCount > 65536;
+    const bytesPerIndex = use32 ? 4 : 2;
+    if (pos % bytesPerIndex !== 0) pos += bytesPerIndex - (pos % bytesPerIndex);
+    const IndexArray = use32 ? Uint32Array : Uint16Array;
+    const readIndex = (at) => (use32 ? view.getUint32(at, true) : view.getUint16(at, true));
+
+    const triangleCount = view.getUint32(pos, true);
+    pos += 4;
+    const indices = new IndexArray(triangleCount * 3);
+    let highest = 0;
+    for (let i = 0; i < indices.length; i++) {
+        // High-water-mark encoding
+        const code = readIndex(pos);
+        pos += bytesPerIndex;
+        indices[i] = highest - code;
+        if (code === 0) highest++;
+    }
+
+    const readEdge = () => {
+        const count = view.getUint32(pos, true);
+        pos += 4;
+        const out = new IndexArray(count);
+        for (let i = 0; i < count; i++) {
+            out[i] = readIndex(pos);
+            pos += bytesPerIndex;
+        }
+        return out;
+    };
+    const westIndices = readEdge();
+    const southIndices = readEdge();
+    const eastIndices = readEdge();
+    const northIndices = readEdge();
+
+    let normals = null;
+    let waterMask = null;
+    let metadata = null;
+    while (pos + 5 <= buffer.byteLength) {
+        const id = view.getUint8(pos);
+        const length = view.getUint32(pos + 1, true);
+        pos += 5;
+        if (pos + length > buffer.byteLength) break;
+        if (id === EXT_OCT_NORMALS) {
+            normals = new Float32Array(vertexCount * 3);
+            for (let i = 0; i < vertexCount; i++) {
+                const n = octDecode(view.getUint8(pos + i * 2), view.getUint8(pos + i * 2 + 1));
+                normals[i * 3] = n[0];
+                normals[i * 3 + 1] = n[1];
+                normals[i * 3 + 2] = n[2];
+            }
+        } else if (id === EXT_WATER_MASK) {
+            waterMask = new Uint8Array(buffer.slice(pos, pos + length));
+        } else if (id === EXT_METADATA) {
+            try {
+                const jsonLength = view.getUint32(pos, true);
+                const bytes = new Uint8Array(buffer, pos + 4, jsonLength);
+                metadata = JSON.parse(new TextDecoder().decode(bytes));
+            } catch {
+                // ignore malformed metadata
+            }
+        }
+        pos += length;
+    }
+
+    return {
+        minHeight,
+        maxHeight,
+        vertexCount,
+        u,
+        v,
+        h,
+        heights,
+        indices,
+        westIndices,
+        southIndices,
+        eastIndices,
+        northIndices,
+        normals,
+        waterMask,
+        metadata
+    };
+}
+
+/**
+ * Point sampler over a decoded quantized-mesh tile (u/v in [0, 1], v = 0 at the south edge).
+ * Triangles are bucketed on a coarse grid; points that miss every triangle by float error
+ * (typically exactly on the tile border) fall back to the edge index lists.
+ */
+class QuantizedMeshSampler {
+    constructor(mesh, bucketsPerSide = 32) {
+        this.mesh = mesh;
+        this.n = bucketsPerSide;
+        this.buckets = Array.from({ length: bucketsPerSide * bucketsPerSide }, () => []);
+
+        const { u, v, indices } = mesh;
+        const n = this.n;
+        for (let t = 0; t < indices.length; t += 3) {
+            const a = indices[t];
+            const b = indices[t + 1];
+            const c = indices[t + 2];
+            const minU = Math.min(u[a], u[b], u[c]) / QM_MAX;
+            const maxU = Math.max(u[a], u[b], u[c]) / QM_MAX;
+            const minV = Math.min(v[a], v[b], v[c]) / QM_MAX;
+            const maxV = Math.max(v[a], v[b], v[c]) / QM_MAX;
+            const i0 = Math.min(n - 1, Math.floor(minU * n));
+            const i1 = Math.min(n - 1, Math.floor(maxU * n));
+            const j0 = Math.min(n - 1, Math.floor(minV * n));
+            const j1 = Math.min(n - 1, Math.floor(maxV * n));
+            for (let j = j0; j <= j1; j++) {
+                for (let i = i0; i <= i1; i++) this.buckets[j * n + i].push(t);
+            }
+        }
+
+        const sortEdge = (list, key) => Array.from(list).sort((p, q) => key[p] - key[q]);
+        this.edges = {
+            west: sortEdge(mesh.westIndices, v),
+            east: sortEdge(mesh.eastIndices, v),
+            south: sortEdge(mesh.southIndices, u),
+            north: sortEdge(mesh.northIndices, u)
+        };
+    }
+
+    _sampleEdge(list, key, t) {
+        if (!list.length) return NaN;
+        const { heights } = this.mesh;
+        const q = t * QM_MAX;
+        if (q <= key[list[0]]) return heights[list[0]];
+        for (let i = 1; i < list.length; i++) {
+            const a = list[i - 1];
+            const b = list[i];
+            if (q <= key[b]) {
+                const span = key[b] - key[a];
+                const w = span > 0 ? (q - key[a]) / span : 0;
+                return heights[a] * (1 - w) + heights[b] * w;
+            }
+        }
+        return heights[list[list.length - 1]];
+    }
+
+    sample(uu, vv) {
+        const { u, v, heights, indices } = this.mesh;
+        const n = this.n;
+        const i = Math.min(n - 1, Math.max(0, Math.floor(uu * n)));
+        const j = Math.min(n - 1, Math.max(0, Math.floor(vv * n)));
+        const px = uu * QM_MAX;
+        const py = vv * QM_MAX;
+        const eps = 1e-6;
+
+        for (const t of this.buckets[j * n + i]) {
+            const a = indices[t];
+            const b = indices[t + 1];
+            const c = indices[t + 2];
+            const x1 = u[a], y1 = v[a];
+            const x2 = u[b], y2 = v[b];
+            const x3 = u[c], y3 = v[c];
+            const det = (y2 - y3) * (x1 - x3) + (x3 - x2) * (y1 - y3);
+            if (det === 0) continue;
+            const l1 = ((y2 - y3) * (px - x3) + (x3 - x2) * (py - y3)) / det;
+            const l2 = ((y3 - y1) * (px - x3) + (x1 - x3) * (py - y3)) / det;
+            const l3 = 1 - l1 - l2;
+            if (l1 < -eps || l2 < -eps || l3 < -eps) continue;
+            return l1 * heights[a] + l2 * heights[b] + l3 * heights[c];
+        }
+
+        // Border fallback: interpolate along the nearest edge's vertex list.
+        const dW = uu, dE = 1 - uu, dS = vv, dN = 1 - vv;
+        const m = Math.min(dW, dE, dS, dN);
+        if (m === dW) return this._sampleEdge(this.edges.west, v, vv);
+        if (m === dE) return this._sampleEdge(this.edges.east, v, vv);
+        if (m === dS) return this._sampleEdge(this.edges.south, u, uu);
+        return this._sampleEdge(this.edges.north, u, uu);
+    }
+}
+
+/**
+ * Quantized-mesh terrain source (Cesium-style `.terrain` tiles + optional `layer.json`).
+ *
+ * Quantized-mesh tiling (geographic EPSG:4326 by default, or EPSG:3857) does not line up with our
+ * Web Mercator terrain tiles, so each terrain tile is built by sampling the covering mesh tiles
+ * at every heightmap vertex. The result is the same (segments+1)^2 heightmap `createTerrainFromTexture`
+ * produces, so stitching, sampling and editing keep working unchanged.
+ */
+export class QuantizedMeshSource {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - `.../layer.json` (or its directory), or a tile template like `.../{z}/{x}/{y}.terrain`
+     * @param {import('../math/proj.js').MathProj} options.proj
+     * @param {'EPSG:4326'|'EPSG:3857'} [options.projection] - overrides layer.json
+     * @param {'tms'|'xyz'} [options.scheme] - overrides layer.json (default 'tms')
+     * @param {number} [options.maxZoom]
+     * @param {number} [options.heightOffset] - meters added to every height (e.g. ellipsoid -> MSL correction)
+     * @param {Object} [options.loader] - ImageryTiles throttling/retry options (incl. `persistentCache`)
+     */
+    constructor(options = {}) {
+        this.options = {
+            url: options.url ?? '',
+            projection: options.projection ?? null,
+            scheme: options.scheme ?? null,
+            maxZoom: Number.isFinite(options.maxZoom) ? options.maxZoom : null,
+            heightOffset: Number.isFinite(options.heightOffset) ? options.heightOffset : 0,
+            extensions: options.extensions ?? ['octvertexnormals', 'metadata'],
+            cacheSize: Math.max(4, (options.cacheSize ?? 64) | 0),
+            loader: options.loader ?? {}
+        };
+        this.proj = options.proj ?? null;
+        this.layer = null;
+        this._readyPromise = null;
+        this._cache = new Map(); // `${z}/${x}/${y}` -> Promise<sampler|null>
+    }
+
+    /**
+     * Resolve layer.json (if any) and build the tile loader.
+     */
+    ready() {
+        if (this._readyPromise) return this._readyPromise;
+        this._readyPromise = (async () => {
+            const url = String(this.options.url ?? '').trim();
+            let template = url;
+            let layer = null;
+            if (!url.includes('{z}')) {
+                const layerUrl = /layer\.json(\?.*)?$/i.test(url) ? url : `${url.replace(/\/+$/, '')}/layer.json`;
+                const res = await fetch(layerUrl, { mode: 'cors' });
+                if (!res.ok) throw new Error(`[QuantizedMesh] layer.json HTTP ${res.status}`);
+                layer = await res.json();
+                const base = new URL(layerUrl, typeof location !== 'undefined' ? location.href : undefined);
+                const rel = Array.isArray(layer?.tiles) && layer.tiles.length ? layer.tiles[0] : '{z}/{x}/{y}.terrain?v={version}';
+                template = decodeURI(new URL(rel, base).href);
+            }
+            this.layer = layer;
+            this.projection = String(this.options.projection ?? layer?.projection ?? 'EPSG:4326').toUpperCase();
+            this.scheme = String(this.options.scheme ?? layer?.scheme ?? 'tms').toLowerCase();
+            this.maxZoom = this.options.maxZoom ?? (Number.isFinite(layer?.maxzoom) ? layer.maxzoom : 20);
+            this.minZoom = Number.isFinite(layer?.minzoom) ? layer.minzoom : 0;
+
+            const ext = (Array.isArray(layer?.extensions) ? layer.extensions : this.options.extensions)
+                .filter((e) => this.options.extensions.includes(e));
+            this._accept = `application/vnd.quantized-mesh${ext.length ? `;extensions=${ext.join('-')}` : ''},application/octet-stream;q=0.9`;
+
+            this.loader = new ImageryTiles({
+                ...this.options.loader,
+                tileUrl: template,
+                tileScheme: this.scheme,
+                templateVars: { version: layer?.version ?? '1.0.0' },
+                maxEntries: 1
+            });
+            return this;
+        })();
+        return this._readyPromise;
+    }
+
+    _isGeographic() {
+        return this.projection !== 'EPSG:3857' && this.projection !== 'EPSG:900913';
+    }
+
+    /**
+     * Tile (x, yTop) and bounds at `level` containing lon/lat. yTop counts from the north edge
+     * (the loader flips it for TMS).
+     */
+    _tileAt(lon, lat, level) {
+        if (this._isGeographic()) {
+            const size = 180 / (2 ** level);
+            const x = Math.min(2 ** (level + 1) - 1, Math.max(0, Math.floor((lon + 180) / size)));
+            const y = Math.min(2 ** level - 1, Math.max(0, Math.floor((90 - lat) / size)));
+            return { x, y, west: -180 + x * size, east: -180 + (x + 1) * size, north: 90 - y * size, south: 90 - (y + 1) * size };
+        }
+        const t = this.proj.lonLatToTile(lon, lat, level);
+        const b = this.proj.tileToMercatorBounds(t.x, t.y, level);
+        return { x: t.x, y: t.y, west: b.min.x, east: b.max.x, north: b.min.y, south: b.max.y };
+    }
+
+    _uvInTile(lon, lat, tile) {
+        let px = lon;
+        let py = lat;
+        if (!this._isGeographic()) {
+            const m = this.proj.lonLatToMercator(lon, lat);
+            px = m.x;
+            py = m.y;
+        }
+        const uu = (px - tile.west) / (tile.east - tile.west);
+        const vv = (py - tile.south) / (tile.north - tile.south);
+        return { u: Math.min(1, Math.max(0, uu)), v: Math.min(1, Math.max(0, vv)) };
+    }
+
+    _getSampler(level, x, y) {
+        const key = `${level}/${x}/${y}`;
+        const hit = this._cache.get(key);
+        if (hit) {
+            this._cache.delete(key);
+            this._cache.set(key, hit);
+            return hit;
+        }
+        const promise = this.loader
+            .loadTileArrayBuffer(x, y, level, { headers: { Accept: this._accept } })
+            .then(maybeGunzip)
+            .then((buf) => new QuantizedMeshSampler(decodeQuantizedMesh(buf)))
+            .catch(() => null);
+        this._cache.set(key, promise);
+        while (this._cache.size > this.options.cacheSize) {
+            this._cache.delete(this._cache.keys().next().value);
+        }
+        return promise;
+    }
+
+    /**
+     * Decoded mesh tile at `level` covering lon/lat, walking up to coarser levels when a tile is unavailable.
+     */
+    async _samplerFor(lon, lat, level) {
+        for (let z = level; z >= this.minZoom; z--) {
+            const tile = this._tileAt(lon, lat, z);
+            const sampler = await this._getSampler(z, tile.x, tile.y);
+            if (sampler) return { sampler, tile };
+        }
+        return null;
+    }
+
+    /**
+     * Download (into the loader's persistent cache) every mesh tile `buildHeightmap` would read for a
+     * Web Mercator XYZ tile. Used for offline pre-seeding.
+     * @returns {Promise<string[]>} per mesh tile: 'cached' | 'fetched' | 'failed' | 'disabled'
+     */
+    async prefetchTile(tileX, tileY, tileZ) {
+        await this.ready();
+        const b = this.proj.tileToMercatorBounds(tileX, tileY, tileZ);
+        const nw = this.proj.mercatorToLonLat(b.min.x, b.min.y);
+        const se = this.proj.mercatorToLonLat(b.max.x, b.max.y);
+        const level = Math.max(this.minZoom, Math.min(this.maxZoom, this._isGeographic() ? tileZ - 1 : tileZ));
+        const a = this._tileAt(nw.lon, nw.lat, level);
+        const c = this._tileAt(se.lon, se.lat, level);
+        const jobs = [];
+        for (let x = Math.min(a.x, c.x); x <= Math.max(a.x, c.x); x++) {
+            for (let y = Math.min(a.y, c.y); y <= Math.max(a.y, c.y); y++) {
+                jobs.push(this.loader.prefetchTile(x, y, level, { headers: { Accept: this._accept } }));
+            }
+        }
+        return Promise.all(jobs);
+    }
+
+    /**
+     * Build a heightmap (meters) for a Web Mercator XYZ terrain tile.
+     * @returns {Promise<Float32Array>} (segments+1)^2, row 0 = north edge
+     */
+    async buildHeightmap(tileX, tileY, tileZ, segments) {
+        await this.ready();
+        const n = segments + 1;
+        const out = new Float32Array(n * n);
+        const b = this.proj.tileToMercatorBounds(tileX, tileY, tileZ);
+        // Geographic level L has the same tile width in degrees as Mercator zoom L+1.
+        const level = Math.max(this.minZoom, Math.min(this.maxZoom, this._isGeographic() ? tileZ - 1 : tileZ));
+
+        for (let row = 0; row < n; row++) {
+            const my = b.min.y + (b.max.y - b.min.y) * (row / segments);
+            for (let col = 0; col < n; col++) {
+                const mx = b.min.x + (b.max.x - b.min.x) * (col / segments);
+                const ll = this.proj.mercatorToLonLat(mx, my);
+                const hit = await this._samplerFor(ll.lon, ll.lat, level);
+                if (!hit) continue;
+                const { u, v } = this._uvInTile(ll.lon, ll.lat, hit.tile);
+                const h = hit.sampler.sample(u, v);
+                out[row * n + col] = Number.isFinite(h) ? h + this.options.heightOffset : 0;
+            }
+        }
+        return out;
+    }
+}
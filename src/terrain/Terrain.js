@@ -1,12 +1,46 @@
 ﻿﻿import * as THREE from 'three';
 import { MathProj } from '../math/proj.js';
 import { ImageryTiles } from '../maptiles/imageryTiles.js';
+import { TileStore } from '../maptiles/TileStore.js';
+import { ImageryLayerCollection } from '../maptiles/ImageryLayers.js';
 import { resolveBaseMapConfig } from '../maptiles/basemaps.js';
+import { resolveElevationDecoder } from './elevationDecoders.js';
+import { resolveTerrainSourceConfig } from './terrainSources.js';
 import { TerrainTile } from './TerrainTile.js';
+import { DemRaster } from './DemRaster.js';
+import { QuantizedMeshSource } from './QuantizedMeshSource.js';
+import { OfflinePackage } from './OfflinePackage.js';
 import { TerrainEditor } from './TerrainEditor.js';
 import { MultipleTerrainEditorEditor } from './MultipleTerrainEditorEditor.js';
 import { TerrainMapAtlas } from './TerrainMapAtlas.js';
+import { setMaterialImageryLayers, MAX_MATERIAL_IMAGERY_LAYERS } from './ImageryLayerMaterial.js';
 import { MapDrapeLodVisualizer } from './MapDrapeLodVisualizer.js';
+import { TerrainLod } from './TerrainLod.js';
+import { isCredentialKey, withoutCredentials } from '../utils/credentials.js';
+
+// Tile edges: neighbour offset, opposite edge and TerrainTile.edgeStatus name.
+const TILE_EDGES = {
+    N: { dx: 0, dy: -1, opposite: 'S', name: 'north' },
+    S: { dx: 0, dy: 1, opposite: 'N', name: 'south' },
+    E: { dx: 1, dy: 0, opposite: 'W', name: 'east' },
+    W: { dx: -1, dy: 0, opposite: 'E', name: 'west' }
+};
+
+function emptyEditJournal() {
+    return {
+        raiseLower: null,
+        raiseLowerMultiple: [],
+        flatten: null,
+        flattenMultiple: [],
+        slope: null,
+        slopeMultiple: [],
+        clips: []
+    };
+}
+
+function journalCopy(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
 
 /**
  * Terrain renderer and editor integration.
@@ -72,13 +106,42 @@ export class Terrain {
             }
         }
 
+        // Terrain (elevation) tile source: preset or user template, same addressing rules as imagery.
+        this._terrainSource = resolveTerrainSourceConfig(this.config);
+        if (this.config.terrainDecoder === undefined || this.config.terrainDecoder === null) {
+            applyDefault('terrainEncoding', this._terrainSource?.terrainEncoding);
+        }
+        applyDefault('terrainMaxConcurrent', this._terrainSource?.terrainMaxConcurrent);
+        {
+            const url = String(this._terrainSource?.terrainTileUrl ?? '');
+            if (/\{(token|key|apiKey|apikey|accessToken|access_token)\}/.test(url) && !this._terrainSource.templateToken) {
+                console.warn(`[Terrain] terrain source "${this._terrainSource.terrainSourceType ?? 'custom'}" requires a token; set config.terrainToken.`);
+            }
+        }
+
+        // Pixel -> meters decoder for terrain tiles (mapbox / terrarium / custom base+interval / callback).
+        this._elevationDecoder = resolveElevationDecoder(this.config);
+
         // Terrain surface version: increments whenever heightmaps/geometry are updated due to stitching etc.
         this.surfaceVersion = 0;
 
         // 
         this.tileConfig = {
             zoom: this.config?.terrainZoom ?? 13,
-            tileUrl: 'https://tiles1.geovisearth.com/base/v1/terrain-rgb/{z}/{x}/{y}?format=png&tmsIds=w&token=a1b140c94dba53eef3541ed85e72e2df16bfa63d8065f0d8a6e16604a035cbe0',
+            // Terrain tile source (resolved from terrainSourceType / user terrainTileUrl / defaults).
+            tileUrl: this._terrainSource.terrainTileUrl,
+            // 'xyz' | 'tms' for `{y}` in tileUrl (`{-y}` always means TMS row).
+            tileYtype: this._terrainSource.terrainYtype ?? 'xyz',
+            tileSubdomains: this._terrainSource.terrainSubdomains ?? null,
+            tileToken: this._terrainSource.templateToken ?? null,
+            // 'rgb' (terrain-rgb raster) | 'quantized-mesh' (tileUrl = layer.json / tileset root)
+            tileFormat: this._terrainSource.terrainFormat ?? 'rgb',
+            tileRateLimitBurst: this.config?.terrainRateLimitBurst ?? 100,
+            tileRateLimitWindowMs: this.config?.terrainRateLimitWindowMs ?? 1000,
+            tileRateLimitCooldownMs: this.config?.terrainRateLimitCooldownMs ?? 1000,
+            tileRetryCount: this.config?.terrainRetryCount ?? 2,
+            tileRetryBaseDelayMs: this.config?.terrainRetryBaseDelayMs ?? 250,
+            tileRetryMaxDelayMs: this.config?.terrainRetryMaxDelayMs ?? 2000,
             // Satellite/imagery drape (XYZ)
             // Max imagery zoom (upper bound). Prefer `config.maxMapZoom`; `config.mapZoom` kept as fallback.
             maxMapZoom: this.config?.maxMapZoom ?? this.config?.mapZoom ?? 18,
@@ -113,6 +176,9 @@ export class Terrain {
             wallMinHeight: 0.01
         };
 
+        // Shader hooks for terrain surface materials (see addSurfaceMaterialHook).
+        this._surfaceMaterialHooks = new Set();
+
         // 
         this.initProj();
 
@@ -126,6 +192,14 @@ export class Terrain {
         this.loadedTiles = 0;
         this.totalTilesToLoad = 0;
 
+        // View-dependent LOD: quadtree over the AOI, refined per frame from `updateLod(cameraManager)`.
+        this.lod = null;
+        if (this.config?.terrainLodsEnabled === true && !this.offlinePackage) {
+            this.lod = new TerrainLod(this);
+            this.lod.init();
+            return;
+        }
+
         // Pre-compute terrain load radius from configured AOI (meters) at terrain zoom.
         // These locals are referenced by the legacy block below; the results are stored on `this.*`.
         const zoom = this.tileConfig.zoom;
@@ -141,8 +215,10 @@ export class Terrain {
         //  1x1
         // rangeEastWest/rangeNorthSouth  2*range
         const bounds0 = this.proj.tileToMercatorBounds(tileCenter.x, tileCenter.y, zoom);
-        const tileW = Math.abs(bounds0.max.x - bounds0.min.x);
-        const tileH = Math.abs(bounds0.max.y - bounds0.min.y);
+        // Ranges are scene meters: convert the tile size into the scene frame (ENU shrinks it by ~cos(lat)).
+        const frameScale = this.proj.mercatorFrameAt?.(this.proj.centerMercator.x, this.proj.centerMercator.y)?.scale ?? 1;
+        const tileW = Math.abs(bounds0.max.x - bounds0.min.x) * frameScale;
+        const tileH = Math.abs(bounds0.max.y - bounds0.min.y) * frameScale;
         const halfW = tileW * 0.5;
         const halfH = tileH * 0.5;
 
@@ -192,12 +268,73 @@ export class Terrain {
         // 
         this.tileMap = new Map(); // key -> TerrainTile
 
+        // Optional persistent tile cache (IndexedDB) shared by every loader below; see `seedOfflineCache`.
+        const cfg = this.config ?? {};
+        this.tileStore = cfg.tileCacheEnabled
+            ? new TileStore({
+                dbName: cfg.tileCacheDbName,
+                maxBytes: Number.isFinite(cfg.tileCacheMaxMB) ? cfg.tileCacheMaxMB * 1024 * 1024 : undefined,
+                maxAgeMs: Number.isFinite(cfg.tileCacheMaxAgeDays) ? cfg.tileCacheMaxAgeDays * 24 * 3600 * 1000 : undefined
+            })
+            : null;
+
+        // Offline package (`config.offlinePackage`): terrain + imagery come from the archive only, no network.
+        /** @type {OfflinePackage|null} */
+        this.offlinePackage = cfg.offlinePackage ?? null;
+        const pkg = this.offlinePackage;
+
+        // Terrain-rgb tiles: reuse the imagery URL templating ({s}, TMS, tokens, quadkey), throttling and retries.
+        // Tiles are decoded once into heightmaps, so they bypass the LRU cache (see `loadTileTextureUncached`).
+        this.terrainTileLoader = new ImageryTiles({
+            tileUrl: this.tileConfig.tileUrl,
+            tileScheme: this.tileConfig.tileYtype,
+            subdomains: this.tileConfig.tileSubdomains,
+            token: this.tileConfig.tileToken,
+            rateLimitBurst: this.tileConfig.tileRateLimitBurst,
+            rateLimitWindowMs: this.tileConfig.tileRateLimitWindowMs,
+            rateLimitCooldownMs: this.tileConfig.tileRateLimitCooldownMs,
+            retryCount: this.tileConfig.tileRetryCount,
+            retryBaseDelayMs: this.tileConfig.tileRetryBaseDelayMs,
+            retryMaxDelayMs: this.tileConfig.tileRetryMaxDelayMs,
+            maxConcurrent: this.config?.terrainMaxConcurrent ?? 4,
+            maxEntries: 1,
+            flipY: false,
+            persistentCache: this.tileStore,
+            offline: !!pkg
+        });
+
+        // Quantized-mesh tilesets are resampled into the same per-tile heightmaps (see `_fetchAndCreateTile`).
+        this.quantizedMeshSource = null;
+        if (this.tileConfig.tileFormat === 'quantized-mesh' && !pkg) {
+            this.quantizedMeshSource = new QuantizedMeshSource({
+                url: this.tileConfig.tileUrl,
+                proj: this.proj,
+                scheme: this.config?.terrainYtype ?? this.config?.terrainYType ?? this.config?.terrainTileScheme ?? null,
+                projection: this.config?.quantizedMeshProjection ?? null,
+                maxZoom: this.config?.quantizedMeshMaxZoom,
+                heightOffset: this.config?.quantizedMeshHeightOffset,
+                loader: {
+                    subdomains: this.tileConfig.tileSubdomains,
+                    token: this.tileConfig.tileToken,
+                    rateLimitBurst: this.tileConfig.tileRateLimitBurst,
+                    rateLimitWindowMs: this.tileConfig.tileRateLimitWindowMs,
+                    rateLimitCooldownMs: this.tileConfig.tileRateLimitCooldownMs,
+                    retryCount: this.tileConfig.tileRetryCount,
+                    retryBaseDelayMs: this.tileConfig.tileRetryBaseDelayMs,
+                    retryMaxDelayMs: this.tileConfig.tileRetryMaxDelayMs,
+                    maxConcurrent: this.config?.terrainMaxConcurrent ?? 4,
+                    persistentCache: this.tileStore
+                }
+            });
+        }
+
         // Satellite imagery: concurrency-limited + LRU cached loader
         this.imageryTiles = new ImageryTiles({
             tileUrl: this.tileConfig.mapTileUrl,
             tileScheme: this.tileConfig.mapYtype,
             subdomains: this.tileConfig.mapSubdomains,
             token: this.tileConfig.mapToken,
+            ...this._mapTileLoaderOptions(),
             rateLimitBurst: this.tileConfig.mapRateLimitBurst,
             rateLimitWindowMs: this.tileConfig.mapRateLimitWindowMs,
             rateLimitCooldownMs: this.tileConfig.mapRateLimitCooldownMs,
@@ -207,7 +344,10 @@ export class Terrain {
             maxConcurrent: this.config?.mapMaxConcurrent ?? 8,
             maxEntries: this.config?.mapCacheSize ?? 256,
             maxAnisotropy: this.config?.mapMaxAnisotropy ?? 8,
-            flipY: true
+            flipY: true,
+            persistentCache: pkg ?? this.tileStore,
+            persistLayer: pkg?.imageryLayer('base') ?? null,
+            offline: !!pkg
         });
         this.imageryTiles.setRenderer?.(this.renderer);
 
@@ -219,6 +359,7 @@ export class Terrain {
             tileScheme: this.tileConfig.mapYtype,
             subdomains: this.tileConfig.mapSubdomains,
             token: this.tileConfig.mapToken,
+            ...this._mapTileLoaderOptions(),
             rateLimitBurst: this.tileConfig.mapRateLimitBurst,
             rateLimitWindowMs: this.tileConfig.mapRateLimitWindowMs,
             rateLimitCooldownMs: this.tileConfig.mapRateLimitCooldownMs,
@@ -228,7 +369,10 @@ export class Terrain {
             maxConcurrent: this.config?.mapDrapeMaxConcurrent ?? this.config?.mapMaxConcurrent ?? 8,
             maxEntries: this.config?.mapDrapeCacheSize ?? Math.max(64, (this.config?.mapCacheSize ?? 256) | 0),
             maxAnisotropy: this.config?.mapDrapeAtlasAnisotropy ?? this.config?.mapMaxAnisotropy ?? 8,
-            flipY: true
+            flipY: true,
+            persistentCache: pkg ?? this.tileStore,
+            persistLayer: pkg ? (pkg.imageryLayer('atlas') ?? pkg.imageryLayer('base')) : null,
+            offline: !!pkg
         });
         this.imageryTilesAtlas.setRenderer?.(this.renderer);
 
@@ -236,9 +380,26 @@ export class Terrain {
         this.mapAtlas = new TerrainMapAtlas(this);
         this.lodVisualizer = new MapDrapeLodVisualizer(this);
 
+        // Imagery overlay layers above the base map (annotations, planning overlays, ...).
+        this.imageryLayers = new ImageryLayerCollection({
+            loaderOptions: {
+                maxConcurrent: this.config?.mapMaxConcurrent ?? 8,
+                maxAnisotropy: this.config?.mapMaxAnisotropy ?? 8,
+                persistentCache: this.tileStore,
+                offline: !!pkg
+            },
+            onChange: (reason, layer) => this._onImageryLayersChanged(reason, layer)
+        });
+        for (const layerOptions of (Array.isArray(cfg.imageryLayers) ? cfg.imageryLayers : [])) {
+            this.imageryLayers.add(layerOptions);
+        }
+
         // Terrain editing tools
         this.editor = new TerrainEditor(this);
         this.multipleEditor = new MultipleTerrainEditorEditor(this);
+        // Lon/lat inputs of the active edits (see `getEditJournal`), replayed by `restoreEditJournal`.
+        this._editJournal = emptyEditJournal();
+        this._pendingEditJournal = null;
     }
 
     metersToUnits(value) {
@@ -262,6 +423,15 @@ export class Terrain {
      * 
      */
     loadTerrainTiles() {
+        // Offline package: exactly the packaged tile set (may mix zooms when exported from an LOD scene).
+        if (this.offlinePackage) {
+            const tiles = this.offlinePackage.terrainTiles;
+            this.loadedTilesCount = 0;
+            this.totalTilesToLoad = tiles.length;
+            for (const t of tiles) this.loadTile(t.x, t.y, t.z);
+            return;
+        }
+
         // Local scene: load ONLY tiles that intersect the configured AOI bounds (centerLon/Lat + ranges in meters).
         const debug = this.config?.terrainDebugLogs ?? false;
         const zoom = this.tileConfig.zoom;
@@ -273,10 +443,11 @@ export class Terrain {
         let minX = null, maxX = null, minY = null, maxY = null;
 
         if (ew !== null && ns !== null && c && Number.isFinite(c.x) && Number.isFinite(c.y)) {
-            const west = c.x - ew;
-            const east = c.x + ew;
-            const south = c.y - ns;
-            const north = c.y + ns;
+            const aoi = this.proj.sceneRangeToMercatorBounds(ew, ns);
+            const west = aoi.minX;
+            const east = aoi.maxX;
+            const south = aoi.minY;
+            const north = aoi.maxY;
             const nw = this.proj.mercatorToLonLat(west, north);
             const se = this.proj.mercatorToLonLat(east, south);
             const t1 = this.proj.lonLatToTile(nw.lon, nw.lat, zoom);
@@ -331,22 +502,48 @@ export class Terrain {
      * @param {number} z - 
      */
     loadTile(x, y, z) {
-        const tileUrl = this.tileConfig.tileUrl.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+        this._fetchAndCreateTile(x, y, z).catch((error) => {
+            console.error('Failed to load terrain tile:', error);
+        });
+    }
 
-        const loader = new THREE.TextureLoader();
-        loader.setCrossOrigin?.('anonymous');
-        loader.load(tileUrl, (texture) => {
-            this.createTerrainFromTexture(texture, x, y, z);
+    /**
+     * Fetch one terrain tile from the configured source and build its TerrainTile.
+     * - rgb: decode the terrain-rgb texture
+     * - quantized-mesh: resample the covering mesh tiles into a heightmap
+     * - offline package: stored heightmap
+     * @returns {Promise<TerrainTile>}
+     */
+    _fetchAndCreateTile(x, y, z, options = {}) {
+        if (this.offlinePackage) {
+            return this.offlinePackage.getHeightmap(x, y, z).then((heightmap) => {
+                if (!heightmap) throw new Error(`Terrain tile ${z}/${x}/${y} is not in the offline package`);
+                return this.createTerrainFromHeightmap(heightmap, x, y, z, options);
+            });
+        }
+        if (this.quantizedMeshSource) {
+            return this.quantizedMeshSource
+                .buildHeightmap(x, y, z, this.tileConfig.segments)
+                .then((heightmap) => this.createTerrainFromHeightmap(heightmap, x, y, z, options));
+        }
+        return this.terrainTileLoader.loadTileTextureUncached(x, y, z).then((texture) => {
+            const tile = this.createTerrainFromTexture(texture, x, y, z, options);
             try {
                 texture?.dispose?.();
             } catch {
                 // ignore
             }
-        }, undefined, (error) => {
-            console.error('Failed to load terrain tile:', error);
+            return tile;
         });
     }
 
+    /**
+     * Resolved terrain tile URL for (x, y, z) — same templating as the loader (first subdomain pick).
+     */
+    getTerrainTileUrl(x, y, z) {
+        return this.terrainTileLoader?._formatUrl?.(x, y, z) ?? null;
+    }
+
     loadTileAsync(x, y, z, options = {}) {
         const key = `${z}-${x}-${y}`;
         if (this.tileMap?.has?.(key)) return Promise.resolve(this.tileMap.get(key));
@@ -378,21 +575,7 @@ export class Terrain {
 
         const promise = new Promise((resolve, reject) => {
             this._terrainLoadQueue.queue.push({
-                start: () =>
-                    new Promise((res, rej) => {
-                        const tileUrl = this.tileConfig.tileUrl.replace('{z}', z).replace('{x}', x).replace('{y}', y);
-                        const loader = new THREE.TextureLoader();
-                        loader.setCrossOrigin?.('anonymous');
-                        loader.load(tileUrl, res, undefined, rej);
-                    }).then((texture) => {
-                        const tile = this.createTerrainFromTexture(texture, x, y, z, { dynamic: true, ...options });
-                        try {
-                            texture?.dispose?.();
-                        } catch {
-                            // ignore
-                        }
-                        return tile;
-                    }),
+                start: () => this._fetchAndCreateTile(x, y, z, { dynamic: true, ...options }),
                 resolve,
                 reject
             });
@@ -413,6 +596,7 @@ export class Terrain {
         const mesh = tile.mesh;
         if (mesh?.userData?.backgroundMapCacheKey) this.imageryTiles?.unpin?.(mesh.userData.backgroundMapCacheKey);
         if (mesh?.userData?.mapCacheKey) this.imageryTiles?.unpin?.(mesh.userData.mapCacheKey);
+        this._unpinImageryLayerTextures(mesh);
 
         const label = mesh?.userData?.tileLabel;
         if (label?.parent) {
@@ -429,8 +613,19 @@ export class Terrain {
             }
         }
 
+        this._disposeTileSkirt(tile);
         if (mesh?.parent) mesh.parent.remove(mesh);
 
+        // Tiles constrained to this one get their own edge heights back.
+        const computeNormals = this.config?.terrainStitchComputeNormals ?? false;
+        for (const other of this.tileMap.values()) {
+            let released = false;
+            for (const [edge, c] of Object.entries(other.edgeConstraints ?? {})) {
+                if (c.target === tile) released = this._releaseEdgeConstraint(other, edge) || released;
+            }
+            if (released) this.updateTileGeometryFast(other, { computeNormals });
+        }
+
         try {
             tile.geometry?.dispose?.();
         } catch {
@@ -471,6 +666,49 @@ export class Terrain {
         const tileKey0 = `${tileZ}-${tileX}-${tileY}`;
         if (this.tileMap?.has?.(tileKey0)) return this.tileMap.get(tileKey0);
 
+        const tileBounds = this.proj.tileToMercatorBounds(tileX, tileY, tileZ);
+        const tileWidth = this.metersToUnits(Math.abs(tileBounds.max.x - tileBounds.min.x));
+        const tileHeight = this.metersToUnits(Math.abs(tileBounds.max.y - tileBounds.min.y));
+        const geometry = new THREE.PlaneGeometry(tileWidth, tileHeight, segments, segments);
+
+        // Decode heightmap (meters) from the RGB-encoded texture.
+        const heightmap = this.buildHeightmapFromTexture(texture, geometry, tileBounds);
+        return this._createTerrainTile(geometry, heightmap, tileX, tileY, tileZ, options);
+    }
+
+    /**
+     * Create a terrain tile from an already decoded heightmap (meters).
+     * Used by non-RGB sources (local DEMs, quantized-mesh, offline packages).
+     * @param {Float32Array|number[]} heightmapMeters - (n x n) grid, row 0 = north edge, col 0 = west edge
+     * @param {number} tileX
+     * @param {number} tileY
+     * @param {number} tileZ
+     */
+    createTerrainFromHeightmap(heightmapMeters, tileX, tileY, tileZ, options = {}) {
+        const { segments } = this.tileConfig;
+        const tileKey0 = `${tileZ}-${tileX}-${tileY}`;
+        if (this.tileMap?.has?.(tileKey0)) return this.tileMap.get(tileKey0);
+
+        const tileBounds = this.proj.tileToMercatorBounds(tileX, tileY, tileZ);
+        const tileWidth = this.metersToUnits(Math.abs(tileBounds.max.x - tileBounds.min.x));
+        const tileHeight = this.metersToUnits(Math.abs(tileBounds.max.y - tileBounds.min.y));
+        const geometry = new THREE.PlaneGeometry(tileWidth, tileHeight, segments, segments);
+
+        const srcN = Math.round(Math.sqrt(heightmapMeters?.length ?? 0));
+        if (srcN < 2 || srcN * srcN !== heightmapMeters.length) {
+            console.warn('[Terrain] createTerrainFromHeightmap expects a square grid; got length', heightmapMeters?.length);
+            return null;
+        }
+        const heightmap = srcN === segments + 1
+            ? new Float32Array(heightmapMeters)
+            : this._resampleHeightmap(heightmapMeters, srcN - 1, segments);
+        return this._createTerrainTile(geometry, heightmap, tileX, tileY, tileZ, options);
+    }
+
+    _createTerrainTile(geometry, heightmap, tileX, tileY, tileZ, options = {}) {
+        const { segments } = this.tileConfig;
+        const tileKey0 = `${tileZ}-${tileX}-${tileY}`;
+
         // 1) Compute this tile's WebMercator bounds (meters).
         const tileBounds = this.proj.tileToMercatorBounds(tileX, tileY, tileZ);
 
@@ -480,13 +718,13 @@ export class Terrain {
         const tileWidth = this.metersToUnits(tileWidthMeters);
         const tileHeight = this.metersToUnits(tileHeightMeters);
 
-        // 3) Plane geometry in tile local space.
-        const geometry = new THREE.PlaneGeometry(tileWidth, tileHeight, segments, segments);
+        // 3) Local DEM overrides (survey ground beats web tiles wherever it has data).
+        this._applyDemRastersToHeightmap(heightmap, tileBounds, segments);
 
-        // 4) Decode heightmap from Terrain-RGB.
-        const heightmap = this.buildHeightmapFromTexture(texture, geometry, tileBounds);
+        // 4) Meters -> scene units.
         this._scaleHeightmapInPlace(heightmap, this.proj?.unitsPerMeter ?? 1);
         this.applyHeightmapToGeometry(geometry, heightmap);
+        const frame = this._fitTileGeometryToSceneFrame(geometry, tileBounds, segments);
         geometry.computeVertexNormals();
         geometry.computeBoundingBox();
         geometry.computeBoundingSphere();
@@ -526,7 +764,7 @@ export class Terrain {
         const tileCenterY = (tileBounds.min.y + tileBounds.max.y) / 2;
 
         // 8) WebMercator -> Three world coordinates.
-        const tileThreePos = this.proj.mercatorToThree(tileCenterX, tileCenterY);
+        const tileThreePos = frame?.position ?? this.proj.mercatorToThree(tileCenterX, tileCenterY);
 
         // 9) Stabilize the transform (avoid tiny float jitter).
         const preciseX = Number(tileThreePos.x.toFixed(6));
@@ -539,6 +777,11 @@ export class Terrain {
 
         // 11) PlaneGeometry is XY; rotate to XZ (Y-up world).
         terrainMesh.rotation.x = -Math.PI / 2;
+        if (frame) {
+            // ENU scene frame: mercator grid is rotated (meridian convergence) and scaled (~cos(lat)) in the scene.
+            terrainMesh.rotation.set(-Math.PI / 2, frame.rotationY, 0, 'YXZ');
+            terrainMesh.scale.set(frame.scale, frame.scale, 1);
+        }
 
         // 12) Finalize.
         terrainMesh.updateMatrixWorld(true);
@@ -556,6 +799,7 @@ export class Terrain {
             tileKey: tileKey0,
             dynamic: !!options.dynamic
         };
+        this._runSurfaceMaterialHooks(material);
 
         const imageryEnabled = this.config?.terrainImageryEnabled !== false;
         const patchOnly = !imageryEnabled && this.config?.mapDrapeShaderPatchEnabled === true && this.config?.mapDrapeSkipTileLoad !== true;
@@ -618,18 +862,12 @@ export class Terrain {
         });
 
         // Cache bounds in local Three.js X/Z coordinates for fast near-range checks.
-        // `tileBounds` is WebMercator; our local scene uses `three.z = centerY - mercatorY`.
+        // `tileBounds` is WebMercator; the projection maps its corners into the scene frame.
         if (tileBounds?.min && tileBounds?.max && this.proj?.centerMercator) {
-            const cx = this.proj.centerMercator.x;
-            const cy = this.proj.centerMercator.y;
-            tile.boundsThree = {
-                minX: this.metersToUnits(tileBounds.min.x - cx),
-                maxX: this.metersToUnits(tileBounds.max.x - cx),
-                minZ: this.metersToUnits(cy - tileBounds.max.y),
-                maxZ: this.metersToUnits(cy - tileBounds.min.y)
-            };
+            tile.boundsThree = this.proj.mercatorBoundsToThreeBox(tileBounds);
         }
         this.tileMap.set(tileKey, tile);
+        this._updateTileSkirt(tile);
 
         // If terrain elevation is currently disabled, keep the newly loaded tile flat.
         if (!this.terrainEnabled) {
@@ -662,6 +900,7 @@ export class Terrain {
             // Update edge stitching status for all tiles after full stitch
             this.tileMap.forEach(t => t.markAllEdgesStitched());
             this.updateAllTileGeometries(true);
+            if (this._pendingEditJournal) this.restoreEditJournal(this._pendingEditJournal);
             if (this.onTerrainLoaded) {
                 this.onTerrainLoaded();
             }
@@ -670,6 +909,21 @@ export class Terrain {
         return tile;
     }
 
+    /**
+     * Source-specific `ImageryTiles` options of the base map (WMS bbox CRS, WMTS TileMatrix labels).
+     * Always returns every key so switching to a plain XYZ source clears them.
+     */
+    _mapTileLoaderOptions() {
+        const o = this._baseMap?.mapTileOptions ?? {};
+        return {
+            bboxCrs: o.bboxCrs ?? null,
+            bboxAxisOrder: o.bboxAxisOrder ?? null,
+            tileMatrixLabels: o.tileMatrixLabels ?? null,
+            // GCJ-02 / BD-09 imagery is re-cut onto the WGS84 tile grid (see `ImageryTiles._datumShiftedTileRect`).
+            datum: this._baseMap?.mapDatum ?? 'wgs84'
+        };
+    }
+
     _getImageryCacheKeyForTerrainTile(tileX, tileY, terrainZoom, mapZoom, tileSize = 256) {
         const scheme = String(this.tileConfig?.mapYtype ?? 'xyz').toLowerCase();
         const z = mapZoom;
@@ -713,6 +967,7 @@ export class Terrain {
             tileScheme: this.tileConfig?.mapYtype,
             subdomains: this.tileConfig?.mapSubdomains,
             token: this.tileConfig?.mapToken,
+            ...this._mapTileLoaderOptions(),
             maxConcurrent: this.config?.mapMaxConcurrent ?? 8,
             maxEntries: this.config?.mapCacheSize ?? 256,
             maxAnisotropy: this.config?.mapMaxAnisotropy ?? 8,
@@ -728,6 +983,7 @@ export class Terrain {
             tileScheme: this.tileConfig?.mapYtype,
             subdomains: this.tileConfig?.mapSubdomains,
             token: this.tileConfig?.mapToken,
+            ...this._mapTileLoaderOptions(),
             maxConcurrent: this.config?.mapDrapeMaxConcurrent ?? this.config?.mapMaxConcurrent ?? 8,
             maxEntries: this.config?.mapDrapeCacheSize ?? Math.max(64, (this.config?.mapCacheSize ?? 256) | 0),
             maxAnisotropy: this.config?.mapDrapeAtlasAnisotropy ?? this.config?.mapMaxAnisotropy ?? 8,
@@ -803,6 +1059,7 @@ export class Terrain {
                 tileScheme: this.tileConfig?.mapYtype,
                 subdomains: this.tileConfig?.mapSubdomains,
                 token: this.tileConfig?.mapToken,
+                ...this._mapTileLoaderOptions(),
                 rateLimitBurst: this.tileConfig?.mapRateLimitBurst,
                 rateLimitWindowMs: this.tileConfig?.mapRateLimitWindowMs,
                 rateLimitCooldownMs: this.tileConfig?.mapRateLimitCooldownMs,
@@ -866,11 +1123,104 @@ export class Terrain {
 
             // Ensure newly cloned per-tile material inherits current edit masks/clipping.
             this.editor?.applyCurrentMaskAndClippingToMaterial?.(mat);
+            this._runSurfaceMaterialHooks(mat);
+            void this._applyImageryLayersToTerrainMesh(mesh, tileX, tileY, tileZ);
         } catch (e) {
             console.warn('[Terrain] Failed to apply satellite texture:', e);
         }
     }
 
+    /**
+     * Composite the visible imagery overlay layers onto a tile's (per-tile) drape material, at the zoom of its
+     * base drape. The topmost `MAX_MATERIAL_IMAGERY_LAYERS` layers are used; the atlas patch composites all.
+     */
+    async _applyImageryLayersToTerrainMesh(mesh, tileX, tileY, tileZ) {
+        if (!mesh?.isMesh || mesh.userData?.isEditPatch) return;
+        const mat = mesh.material;
+        if (!mat?.isMaterial || mat === this.sharedMaterial) return;
+
+        const zoom = mesh.userData.mapZoomApplied ?? mesh.userData.backgroundMapZoomApplied ?? tileZ;
+        const layers = (this.imageryLayers?.list() ?? [])
+            .filter((l) => l.isVisibleAt(zoom))
+            .slice(-MAX_MATERIAL_IMAGERY_LAYERS);
+        const tileSize = this.tileConfig?.tileSize ?? 256;
+        const request = (mesh.userData.imageryLayerRequest = (mesh.userData.imageryLayerRequest | 0) + 1);
+
+        const results = await Promise.all(layers.map(async (layer) => {
+            const mapZoom = layer.sourceZoom(zoom);
+            const key = layer.loader.getTerrainTileCacheKey(tileX, tileY, tileZ, mapZoom, tileSize);
+            layer.loader.pin(key);
+            try {
+                const texture = await layer.loader.getTextureForTerrainTile(tileX, tileY, tileZ, {
+                    mapZoom,
+                    maxZoomDiff: this.tileConfig?.mapMaxZoomDiff ?? 2,
+                    tileSize
+                });
+                return { layer, key, texture: texture ?? null };
+            } catch {
+                return { layer, key, texture: null };
+            }
+        }));
+
+        // A newer request (or tile disposal) superseded this one.
+        if (mesh.userData.imageryLayerRequest !== request || !mesh.parent) {
+            for (const r of results) r.layer.loader.unpin(r.key);
+            return;
+        }
+        this._unpinImageryLayerTextures(mesh);
+        mesh.userData.imageryLayerPins = results.map((r) => [r.layer, r.key]);
+
+        const slots = results
+            .filter((r) => r.texture)
+            .map((r) => ({ texture: r.texture, opacity: r.layer.opacity, blendId: r.layer.blendId }));
+        setMaterialImageryLayers(mesh.material, slots);
+    }
+
+    _unpinImageryLayerTextures(mesh) {
+        for (const [layer, key] of mesh?.userData?.imageryLayerPins ?? []) layer.loader.unpin(key);
+        if (mesh?.userData) mesh.userData.imageryLayerPins = null;
+    }
+
+    _onImageryLayersChanged(reason, layer) {
+        if (reason === 'add') layer.loader.setRenderer(this.renderer);
+        if (this.config?.terrainImageryEnabled !== false) {
+            for (const t of this.tileMap?.values?.() ?? []) {
+                if (t?.mesh) void this._applyImageryLayersToTerrainMesh(t.mesh, t.tileX, t.tileY, t.tileZ);
+            }
+        }
+        this.mapAtlas?.refreshImageryLayers();
+    }
+
+    /**
+     * Add an imagery overlay layer above the base map.
+     * @param {Object} options - see `ImageryLayer` (tileUrl | baseMapType, opacity, visible, blend, minZoom, maxZoom, ...)
+     * @param {number} [index] - position in the stack (default: top)
+     * @returns {import('../maptiles/ImageryLayers.js').ImageryLayer}
+     */
+    addImageryLayer(options = {}, index) {
+        return this.imageryLayers.add(options, index ?? this.imageryLayers.length);
+    }
+
+    removeImageryLayer(id) {
+        return this.imageryLayers.remove(id);
+    }
+
+    moveImageryLayer(id, index) {
+        return this.imageryLayers.move(id, index);
+    }
+
+    /**
+     * @param {string} id
+     * @param {{opacity?: number, visible?: boolean, blend?: string, minZoom?: number, maxZoom?: number, maxNativeZoom?: number}} patch
+     */
+    updateImageryLayer(id, patch = {}) {
+        return this.imageryLayers.update(id, patch);
+    }
+
+    getImageryLayers() {
+        return this.imageryLayers.list();
+    }
+
     async _applyBackgroundImageryToTerrainMesh(mesh, tileX, tileY, tileZ) {
         try {
             if (!mesh?.isMesh) return;
@@ -905,6 +1255,7 @@ export class Terrain {
                 tileScheme: this.tileConfig?.mapYtype,
                 subdomains: this.tileConfig?.mapSubdomains,
                 token: this.tileConfig?.mapToken,
+                ...this._mapTileLoaderOptions(),
                 rateLimitBurst: this.tileConfig?.mapRateLimitBurst,
                 rateLimitWindowMs: this.tileConfig?.mapRateLimitWindowMs,
                 rateLimitCooldownMs: this.tileConfig?.mapRateLimitCooldownMs,
@@ -944,6 +1295,8 @@ export class Terrain {
 
             // Ensure newly cloned per-tile material inherits current edit masks/clipping.
             this.editor?.applyCurrentMaskAndClippingToMaterial?.(mat);
+            this._runSurfaceMaterialHooks(mat);
+            void this._applyImageryLayersToTerrainMesh(mesh, tileX, tileY, tileZ);
         } catch (e) {
             console.warn('[Terrain] Failed to apply background imagery:', e);
         }
@@ -973,6 +1326,7 @@ export class Terrain {
             tileScheme: this.tileConfig?.mapYtype,
             subdomains: this.tileConfig?.mapSubdomains,
             token: this.tileConfig?.mapToken,
+            ...this._mapTileLoaderOptions(),
             rateLimitBurst: this.tileConfig?.mapRateLimitBurst,
             rateLimitWindowMs: this.tileConfig?.mapRateLimitWindowMs,
             rateLimitCooldownMs: this.tileConfig?.mapRateLimitCooldownMs,
@@ -985,6 +1339,238 @@ export class Terrain {
         this.lodVisualizer?.update(camera);
     }
 
+    /**
+     * Refine/coarsen the terrain quadtree for the current view (no-op unless `terrainLodsEnabled`).
+     * @param {import('../camera/CameraManager.js').CameraManager} cameraManager
+     */
+    updateLod(cameraManager) {
+        this.lod?.update(cameraManager);
+    }
+
+    /**
+     * AOI as a lon/lat box (center +- rangeEastWest/rangeNorthSouth meters), or null if no ranges are configured.
+     * @returns {{west: number, south: number, east: number, north: number}|null}
+     */
+    getAoiLonLatBounds() {
+        const ew = Number.isFinite(this.config?.rangeEastWest) ? this.config.rangeEastWest : null;
+        const ns = Number.isFinite(this.config?.rangeNorthSouth) ? this.config.rangeNorthSouth : null;
+        if (ew === null || ns === null || !this.proj?.centerMercator) return null;
+        const aoi = this.proj.sceneRangeToMercatorBounds(ew, ns);
+        const nw = this.proj.mercatorToLonLat(aoi.minX, aoi.maxY);
+        const se = this.proj.mercatorToLonLat(aoi.maxX, aoi.minY);
+        return { west: nw.lon, south: se.lat, east: se.lon, north: nw.lat };
+    }
+
+    _tileRangeForLonLatBounds(bounds, z) {
+        const t1 = this.proj.lonLatToTile(bounds.west, bounds.north, z);
+        const t2 = this.proj.lonLatToTile(bounds.east, bounds.south, z);
+        return {
+            minX: Math.min(t1.x, t2.x),
+            maxX: Math.max(t1.x, t2.x),
+            minY: Math.min(t1.y, t2.y),
+            maxY: Math.max(t1.y, t2.y)
+        };
+    }
+
+    /**
+     * Download AOI tiles into the persistent tile cache (`config.tileCacheEnabled`) for offline use.
+     *
+     * @param {Object} [options]
+     * @param {{west: number, south: number, east: number, north: number}} [options.bounds] - lon/lat box (default: AOI)
+     * @param {number} [options.minZoom] - imagery zoom range (default: terrain zoom .. maxMapZoom)
+     * @param {number} [options.maxZoom]
+     * @param {number} [options.terrainMinZoom] - terrain zoom range (default: terrain zoom, or the LOD range)
+     * @param {number} [options.terrainMaxZoom]
+     * @param {boolean} [options.imagery=true]
+     * @param {boolean} [options.terrain=true]
+     * @param {number} [options.maxTiles=20000] - refuse larger jobs
+     * @param {(p: {done: number, total: number, fetched: number, cached: number, failed: number}) => void} [options.onProgress]
+     * @returns {Promise<{done: number, total: number, fetched: number, cached: number, failed: number}>}
+     */
+    async seedOfflineCache(options = {}) {
+        if (!this.tileStore) throw new Error('Persistent tile cache is disabled (set config.tileCacheEnabled = true)');
+        const bounds = options.bounds ?? this.getAoiLonLatBounds();
+        if (!bounds) throw new Error('seedOfflineCache: no bounds (pass options.bounds or configure rangeEastWest/rangeNorthSouth)');
+
+        const baseZoom = this.tileConfig.zoom;
+        const lodOpts = this.lod?.options;
+        const zoomList = (min, max) => {
+            const out = [];
+            for (let z = Math.max(0, min | 0); z <= (max | 0); z++) out.push(z);
+            return out;
+        };
+        const jobs = [];
+        if (options.terrain !== false) {
+            const zMin = options.terrainMinZoom ?? lodOpts?.minZoom ?? baseZoom;
+            const zMax = options.terrainMaxZoom ?? lodOpts?.maxZoom ?? baseZoom;
+            for (const z of zoomList(zMin, zMax)) jobs.push({ kind: 'terrain', z, range: this._tileRangeForLonLatBounds(bounds, z) });
+        }
+        if (options.imagery !== false && this.imageryTiles) {
+            const zMin = options.minZoom ?? baseZoom;
+            const zMax = options.maxZoom ?? this.tileConfig.maxMapZoom;
+            const loaders = [this.imageryTiles];
+            if (this.imageryTilesAtlas && this.imageryTilesAtlas._persistLayer() !== this.imageryTiles._persistLayer()) {
+                loaders.push(this.imageryTilesAtlas);
+            }
+            for (const loader of loaders) {
+                for (const z of zoomList(zMin, zMax)) jobs.push({ kind: 'imagery', loader, z, range: this._tileRangeForLonLatBounds(bounds, z) });
+            }
+        }
+
+        const stats = { done: 0, total: 0, fetched: 0, cached: 0, failed: 0 };
+        for (const j of jobs) stats.total += (j.range.maxX - j.range.minX + 1) * (j.range.maxY - j.range.minY + 1);
+        const maxTiles = Number.isFinite(options.maxTiles) ? options.maxTiles : 20000;
+        if (stats.total > maxTiles) {
+            throw new Error(`seedOfflineCache: ${stats.total} tiles exceed maxTiles (${maxTiles}); narrow the bounds or zoom range`);
+        }
+
+        const record = (result) => {
+            const results = Array.isArray(result) ? result : [result];
+            if (results.some((r) => r === 'failed' || r === 'disabled')) stats.failed++;
+            else if (results.some((r) => r === 'fetched')) stats.fetched++;
+            else stats.cached++;
+            stats.done++;
+            options.onProgress?.({ ...stats });
+        };
+
+        for (const j of jobs) {
+            // One zoom level at a time: the loaders' queues throttle requests, this bounds pending promises.
+            const pending = [];
+            for (let x = j.range.minX; x <= j.range.maxX; x++) {
+                for (let y = j.range.minY; y <= j.range.maxY; y++) {
+                    let p;
+                    if (j.kind === 'imagery') p = j.loader.prefetchTile(x, y, j.z);
+                    else if (this.quantizedMeshSource) p = this.quantizedMeshSource.prefetchTile(x, y, j.z);
+                    else p = this.terrainTileLoader.prefetchTile(x, y, j.z);
+                    pending.push(p.catch(() => 'failed').then(record));
+                }
+            }
+            await Promise.all(pending);
+        }
+        return stats;
+    }
+
+    /**
+     * @returns {Promise<{count: number, bytes: number, byLayer: Object}|null>} persistent cache usage, null if disabled
+     */
+    async getOfflineCacheUsage() {
+        return this.tileStore ? this.tileStore.usage() : null;
+    }
+
+    /**
+     * Clear the persistent tile cache (all layers, or one `TileStore` layer id).
+     */
+    async clearOfflineCache(layer = null) {
+        await this.tileStore?.clear(layer);
+    }
+
+    /**
+     * Export the loaded AOI (terrain tiles of `tileMap`, imagery tiles at the chosen zooms, config) as an offline
+     * package archive; load it later with `OfflinePackage.read` + `config.offlinePackage` (no network needed).
+     *
+     * @param {Object} [options]
+     * @param {{west: number, south: number, east: number, north: number}} [options.bounds] - imagery lon/lat box (default: AOI)
+     * @param {number} [options.minZoom] - imagery zooms (default: terrain zoom .. terrain zoom + mapMaxZoomDiff)
+     * @param {number} [options.maxZoom]
+     * @param {boolean} [options.imagery=true]
+     * @param {number} [options.maxTiles=20000] - imagery tile limit
+     * @param {(p: {done: number, total: number, failed: number}) => void} [options.onProgress] - imagery download progress
+     * @returns {Promise<Blob>} zip archive
+     */
+    async exportOfflinePackage(options = {}) {
+        const bounds = options.bounds ?? this.getAoiLonLatBounds();
+        const unitsPerMeter = this.proj?.unitsPerMeter ?? 1;
+
+        // Terrain: the tiles currently making up the surface (with LOD, the rendered cut only, so levels don't overlap).
+        const rendered = this.lod ? new Set(this.lod.getRenderedTileKeys()) : null;
+        const terrainTiles = [];
+        for (const [key, tile] of this.tileMap) {
+            if (!tile?.mesh || tile.mesh.userData?.isEditPatch) continue;
+            if (rendered?.size && !rendered.has(key)) continue;
+            const src = tile.baseHeightmap ?? tile.heightmap;
+            if (!src) continue;
+            const heightmap = new Float32Array(src.length);
+            for (let i = 0; i < src.length; i++) heightmap[i] = src[i] / unitsPerMeter;
+            terrainTiles.push({ z: tile.tileZ, x: tile.tileX, y: tile.tileY, segments: tile.segments ?? this.tileConfig.segments, heightmap });
+        }
+        if (!terrainTiles.length) throw new Error('exportOfflinePackage: no terrain tiles loaded');
+
+        // Imagery: base drape loader, plus the atlas loader when it uses a different source.
+        const layers = [];
+        if (options.imagery !== false && bounds && this.imageryTiles) {
+            const zoom = this.tileConfig.zoom;
+            const minZoom = Math.max(0, (options.minZoom ?? zoom) | 0);
+            const maxZoom = (options.maxZoom ?? Math.min(this.tileConfig.maxMapZoom, zoom + (this.tileConfig.mapMaxZoomDiff ?? 2))) | 0;
+            layers.push({ role: 'base', loader: this.imageryTiles, minZoom, maxZoom });
+            if (this.imageryTilesAtlas && this.imageryTilesAtlas._persistLayer() !== this.imageryTiles._persistLayer()) {
+                layers.push({ role: 'atlas', loader: this.imageryTilesAtlas, minZoom, maxZoom });
+            }
+        }
+
+        const progress = { done: 0, total: 0, failed: 0 };
+        for (const l of layers) {
+            for (let z = l.minZoom; z <= l.maxZoom; z++) {
+                const r = this._tileRangeForLonLatBounds(bounds, z);
+                progress.total += (r.maxX - r.minX + 1) * (r.maxY - r.minY + 1);
+            }
+        }
+        const maxTiles = Number.isFinite(options.maxTiles) ? options.maxTiles : 20000;
+        if (progress.total > maxTiles) {
+            throw new Error(`exportOfflinePackage: ${progress.total} imagery tiles exceed maxTiles (${maxTiles}); narrow the bounds or zoom range`);
+        }
+
+        const imageryTiles = [];
+        for (const l of layers) {
+            const tiles = [];
+            for (let z = l.minZoom; z <= l.maxZoom; z++) {
+                const r = this._tileRangeForLonLatBounds(bounds, z);
+                const pending = [];
+                for (let x = r.minX; x <= r.maxX; x++) {
+                    for (let y = r.minY; y <= r.maxY; y++) {
+                        pending.push(l.loader.loadTileBlob(x, y, z)
+                            .then((blob) => { tiles.push({ z, x, y, blob }); })
+                            .catch(() => { progress.failed++; })
+                            .finally(() => {
+                                progress.done++;
+                                options.onProgress?.({ ...progress });
+                            }));
+                    }
+                }
+                await Promise.all(pending);
+            }
+            imageryTiles.push(tiles);
+        }
+
+        const manifest = {
+            bounds,
+            config: this._exportableConfig(),
+            terrain: { zoom: this.tileConfig.zoom, units: 'meters' },
+            imagery: layers.map((l) => ({ role: l.role, layer: l.loader._persistLayer(), minZoom: l.minZoom, maxZoom: l.maxZoom }))
+        };
+        return OfflinePackage.write(manifest, terrainTiles, imageryTiles);
+    }
+
+    /**
+     * JSON-safe copy of the config for offline packages: no functions/objects with state, no credentials
+     * (token / `*Key` / secret keys at any depth, e.g. `imageryLayers[].token`, and credential query parameters or
+     * user info in URLs), and packaged scenes load a fixed tile set (LOD and the persistent cache are switched off).
+     */
+    _exportableConfig() {
+        const out = {};
+        for (const [k, v] of Object.entries(this.config ?? {})) {
+            if (v === undefined || typeof v === 'function' || k === 'offlinePackage') continue;
+            if (isCredentialKey(k)) continue;
+            try {
+                out[k] = withoutCredentials(JSON.parse(JSON.stringify(v)));
+            } catch {
+                // not serializable
+            }
+        }
+        out.terrainLodsEnabled = false;
+        out.tileCacheEnabled = false;
+        return out;
+    }
+
     _clearTerrainImagery({ keepAtlas = false } = {}) {
         for (const t of this.tileMap?.values?.() ?? []) {
             const mesh = t?.mesh;
@@ -995,7 +1581,10 @@ export class Terrain {
                     mat.map = null;
                     mat.needsUpdate = true;
                 }
+                setMaterialImageryLayers(mat, []);
             }
+            mesh.userData.imageryLayerRequest = (mesh.userData.imageryLayerRequest | 0) + 1;
+            this._unpinImageryLayerTextures(mesh);
             if (mesh.userData?.mapCacheKey) {
                 try { this.imageryTiles?.unpin?.(mesh.userData.mapCacheKey); } catch { /* ignore */ }
                 mesh.userData.mapCacheKey = null;
@@ -1036,6 +1625,51 @@ export class Terrain {
                 mat.needsUpdate = true;
             }
             this.mapAtlas?.installOnMaterial?.(mat);
+            this._runSurfaceMaterialHooks(mat);
+        }
+    }
+
+    /**
+     * Register a shader hook for the terrain surface materials (base tiles and edit patch tops). It runs now on the
+     * current materials, then on every material a tile is created with, cloned to or re-masked with by the editor,
+     * so it must be idempotent.
+     * @param {(material: THREE.Material) => void} hook
+     * @returns {() => void} unregister
+     */
+    addSurfaceMaterialHook(hook) {
+        if (typeof hook !== 'function') return () => {};
+        this._surfaceMaterialHooks.add(hook);
+        for (const mat of this.getSurfaceMaterials()) this._runSurfaceMaterialHook(hook, mat);
+        return () => this._surfaceMaterialHooks.delete(hook);
+    }
+
+    /**
+     * Materials currently rendering the terrain surface: base tiles (shared or per-tile) and edit patch tops.
+     * @returns {THREE.Material[]}
+     */
+    getSurfaceMaterials() {
+        const out = new Set();
+        const add = (mesh) => {
+            const mats = Array.isArray(mesh?.material) ? mesh.material : [mesh?.material];
+            for (const mat of mats) if (mat?.isMaterial) out.add(mat);
+        };
+        for (const t of this.tileMap?.values?.() ?? []) add(t?.mesh);
+        for (const group of this.editor?.editPatchMeshes?.values?.() ?? []) {
+            group?.children?.forEach((child) => { if (child.userData?.isEditSurface) add(child); });
+        }
+        return [...out];
+    }
+
+    _runSurfaceMaterialHooks(material) {
+        if (!material?.isMaterial) return;
+        for (const hook of this._surfaceMaterialHooks ?? []) this._runSurfaceMaterialHook(hook, material);
+    }
+
+    _runSurfaceMaterialHook(hook, material) {
+        try {
+            hook(material);
+        } catch (e) {
+            console.warn('[Terrain] Surface material hook failed:', e);
         }
     }
 
@@ -1108,6 +1742,17 @@ export class Terrain {
         return this.tileMap.get(this.getTileKey(tileX, tileY, tileZ));
     }
 
+    /**
+     * Switch the terrain elevation decoder at runtime.
+     * Only affects tiles decoded afterwards; reload terrain to re-decode loaded tiles.
+     * @param {string|Function|Object} decoder - encoding name, `(r, g, b, a) => meters`, or `{ type, base, interval }`
+     */
+    setElevationDecoder(decoder) {
+        this.config = { ...this.config, terrainDecoder: decoder };
+        this._elevationDecoder = resolveElevationDecoder(this.config);
+        return this._elevationDecoder.type;
+    }
+
     /**
      *  RGB 
      * @param {THREE.Texture} texture - RGB
@@ -1126,6 +1771,7 @@ export class Terrain {
         const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
         const positions = geometry.attributes.position.array;
         const heightmap = new Float32Array(positions.length / 3);
+        const decode = (this._elevationDecoder ?? resolveElevationDecoder(this.config)).decode;
 
         const tileWidthMeters = Math.abs(tileBounds.max.x - tileBounds.min.x);
         const tileHeightMeters = Math.abs(tileBounds.max.y - tileBounds.min.y);
@@ -1150,7 +1796,9 @@ export class Terrain {
                 const r = pixels[pixelIndex];
                 const g = pixels[pixelIndex + 1];
                 const b = pixels[pixelIndex + 2];
-                heightmap[v] = -10000 + ((r * 256 * 256 + g * 256 + b) * 0.1);
+                const a = pixels[pixelIndex + 3];
+                const h = decode(r, g, b, a);
+                heightmap[v] = Number.isFinite(h) ? h : 0;
             }
         }
 
@@ -1165,12 +1813,60 @@ export class Terrain {
         geometry.attributes.position.needsUpdate = true;
     }
 
+    /**
+     * ENU scene frame only (no-op for the default mercator frame, returns null): the tile mesh gets the similarity
+     * transform of the mercator neighbourhood at its center (`proj.mercatorFrameAt`), and every vertex is moved to the
+     * exact mesh-local position of its mercator grid point, so tiles meet without gaps and all world-space consumers
+     * (raycasts, editors, drapes) stay consistent. Also stores the mercator-frame XZ per vertex (`sceneMercatorXZ`)
+     * for the map-atlas shader, which addresses imagery by mercator meters.
+     * Row 0 of the grid is the north edge, matching the heightmap order.
+     * @returns {{position: THREE.Vector3, rotationY: number, scale: number}|null}
+     */
+    _fitTileGeometryToSceneFrame(geometry, tileBounds, segments) {
+        const proj = this.proj;
+        if (proj?.getSceneFrame?.() !== 'enu' || !tileBounds?.min || !tileBounds?.max) return null;
+        const west = Math.min(tileBounds.min.x, tileBounds.max.x);
+        const east = Math.max(tileBounds.min.x, tileBounds.max.x);
+        const south = Math.min(tileBounds.min.y, tileBounds.max.y);
+        const north = Math.max(tileBounds.min.y, tileBounds.max.y);
+        const frame = proj.mercatorFrameAt((west + east) / 2, (south + north) / 2);
+        const cos = Math.cos(frame.rotationY);
+        const sin = Math.sin(frame.rotationY);
+        const invScale = 1 / frame.scale;
+        const cx = proj.centerMercator.x;
+        const cy = proj.centerMercator.y;
+        const u = proj.unitsPerMeter;
+
+        const n = segments + 1;
+        const positions = geometry.attributes.position.array;
+        const mercXZ = new Float32Array(n * n * 2);
+        for (let row = 0; row < n; row++) {
+            const my = north - (row / segments) * (north - south);
+            for (let col = 0; col < n; col++) {
+                const mx = west + (col / segments) * (east - west);
+                const i = row * n + col;
+                const p = proj.mercatorToThree(mx, my);
+                const dx = p.x - frame.position.x;
+                const dz = p.z - frame.position.z;
+                // Inverse of the mesh transform (scale, rotation.x = -PI/2, then rotation.y).
+                positions[i * 3] = (dx * cos - dz * sin) * invScale;
+                positions[i * 3 + 1] = -(dx * sin + dz * cos) * invScale;
+                mercXZ[i * 2] = (mx - cx) * u;
+                mercXZ[i * 2 + 1] = (cy - my) * u;
+            }
+        }
+        geometry.attributes.position.needsUpdate = true;
+        geometry.setAttribute('sceneMercatorXZ', new THREE.BufferAttribute(mercXZ, 2));
+        return frame;
+    }
+
     updateTileGeometry(tile, updateOriginalPositions = false) {
         if (this.terrainEnabled) {
             tile.applyHeightmapToGeometry();
         } else {
             this._flattenGeometryToZero(tile.geometry);
         }
+        this._updateTileSkirt(tile);
         tile.geometry.computeVertexNormals();
         tile.geometry.computeBoundingBox();
         tile.geometry.computeBoundingSphere();
@@ -1189,6 +1885,7 @@ export class Terrain {
         } else {
             this._flattenGeometryToZero(tile.geometry);
         }
+        this._updateTileSkirt(tile);
         if (computeNormals) {
             try {
                 tile.geometry.computeVertexNormals();
@@ -1205,6 +1902,117 @@ export class Terrain {
         });
     }
 
+    _skirtsEnabled() {
+        return this.config?.terrainSkirts ?? (this.config?.terrainLodsEnabled === true);
+    }
+
+    /**
+     * Vertical skirt hanging below the tile border: hides cracks between neighbours of different LOD.
+     * Child of the tile mesh (tile-local XY plane, height in Z), shares the tile material, never raycast.
+     */
+    _updateTileSkirt(tile) {
+        const mesh = tile?.mesh;
+        if (!mesh || !tile.heightmap || !this._skirtsEnabled()) return;
+        const seg = tile.segments ?? this.tileConfig.segments;
+        const n = seg + 1;
+
+        let skirt = mesh.userData?.skirt ?? null;
+        if (skirt && skirt.userData.segments !== seg) {
+            this._disposeTileSkirt(tile);
+            skirt = null;
+        }
+        if (!skirt) {
+            const geometry = new THREE.BufferGeometry();
+            const count = 4 * n * 2;
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+            geometry.setAttribute('uv', new THREE.BufferAttribute(new Float32Array(count * 2), 2));
+            geometry.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+            if (tile.geometry?.attributes?.sceneMercatorXZ) {
+                geometry.setAttribute('sceneMercatorXZ', new THREE.BufferAttribute(new Float32Array(count * 2), 2));
+            }
+            const index = [];
+            for (let e = 0; e < 4; e++) {
+                for (let i = 0; i < seg; i++) {
+                    const a = (e * n + i) * 2;
+                    const b = a + 2;
+                    index.push(a, a + 1, b, b, a + 1, b + 1);
+                }
+            }
+            geometry.setIndex(index);
+            skirt = new THREE.Mesh(geometry, mesh.material);
+            skirt.raycast = () => {};
+            skirt.userData = { isTerrainSkirt: true, segments: seg };
+            // Follow per-tile material swaps (imagery / atlas patch).
+            skirt.onBeforeRender = () => {
+                if (skirt.material !== mesh.material) skirt.material = mesh.material;
+            };
+            mesh.add(skirt);
+            mesh.userData.skirt = skirt;
+        }
+
+        const depthMeters = Number.isFinite(this.config?.terrainSkirtDepth)
+            ? this.config.terrainSkirtDepth
+            : this.unitsToMeters(tile.tileWidth / seg) * 2;
+        const depth = this.metersToUnits(depthMeters);
+        const pos = skirt.geometry.attributes.position.array;
+        const uv = skirt.geometry.attributes.uv.array;
+        const nor = skirt.geometry.attributes.normal.array;
+        // Border x/y come from the tile geometry (not a regular grid in an ENU scene frame).
+        const tilePos = tile.geometry.attributes.position.array;
+        const tileMerc = tile.geometry.attributes.sceneMercatorXZ?.array ?? null;
+        const merc = skirt.geometry.attributes.sceneMercatorXZ?.array ?? null;
+        // Edges walked clockwise: north (W->E), east (N->S), south (E->W), west (S->N).
+        const edgeRowCol = [
+            (i) => [0, i],
+            (i) => [i, seg],
+            (i) => [seg, seg - i],
+            (i) => [seg - i, 0]
+        ];
+        const outward = [[0, 1], [1, 0], [0, -1], [-1, 0]];
+        let v = 0;
+        for (let e = 0; e < 4; e++) {
+            for (let i = 0; i <= seg; i++) {
+                const [row, col] = edgeRowCol[e](i);
+                const idx = row * n + col;
+                const x = tilePos[idx * 3];
+                const y = tilePos[idx * 3 + 1];
+                const h = this.terrainEnabled ? tile.heightmap[idx] : 0;
+                for (let k = 0; k < 2; k++) {
+                    pos[v * 3] = x;
+                    pos[v * 3 + 1] = y;
+                    if (merc && tileMerc) {
+                        merc[v * 2] = tileMerc[idx * 2];
+                        merc[v * 2 + 1] = tileMerc[idx * 2 + 1];
+                    }
+                    pos[v * 3 + 2] = k === 0 ? h : h - depth;
+                    uv[v * 2] = col / seg;
+                    uv[v * 2 + 1] = 1 - row / seg;
+                    nor[v * 3] = outward[e][0];
+                    nor[v * 3 + 1] = outward[e][1];
+                    nor[v * 3 + 2] = 0;
+                    v++;
+                }
+            }
+        }
+        skirt.geometry.attributes.position.needsUpdate = true;
+        skirt.geometry.attributes.uv.needsUpdate = true;
+        skirt.geometry.attributes.normal.needsUpdate = true;
+        if (merc) skirt.geometry.attributes.sceneMercatorXZ.needsUpdate = true;
+        skirt.geometry.computeBoundingSphere();
+    }
+
+    _disposeTileSkirt(tile) {
+        const skirt = tile?.mesh?.userData?.skirt;
+        if (!skirt) return;
+        skirt.parent?.remove(skirt);
+        try {
+            skirt.geometry?.dispose?.();
+        } catch {
+            // ignore
+        }
+        tile.mesh.userData.skirt = null;
+    }
+
     _flattenGeometryToZero(geometry) {
         const pos = geometry?.attributes?.position;
         const arr = pos?.array;
@@ -1213,10 +2021,252 @@ export class Terrain {
         pos.needsUpdate = true;
     }
 
+    /**
+     * Heightmap indices along one tile edge, ordered W->E (north/south edges) or N->S (east/west edges).
+     */
+    _edgeVertexIndices(tile, edge) {
+        const seg = tile.segments ?? this.tileConfig.segments;
+        const n = seg + 1;
+        const out = new Array(n);
+        for (let i = 0; i <= seg; i++) {
+            if (edge === 'N') out[i] = i;
+            else if (edge === 'S') out[i] = seg * n + i;
+            else if (edge === 'W') out[i] = i * n;
+            else out[i] = i * n + seg;
+        }
+        return out;
+    }
+
+    /**
+     * Position of edge vertex `i` along the shared border line, as a monotonic WebMercator coordinate
+     * (x for north/south edges, -y for east/west edges), so tiles of any zoom/segments can be matched.
+     */
+    _edgeCoord(tile, edge, i) {
+        const seg = tile.segments ?? this.tileConfig.segments;
+        const b = tile.bounds;
+        if (edge === 'N' || edge === 'S') return b.min.x + (b.max.x - b.min.x) * (i / seg);
+        return -(b.min.y + (b.max.y - b.min.y) * (i / seg));
+    }
+
+    /**
+     * Same zoom, same segments: both sides take the average (heightmap + baseHeightmap).
+     */
+    _averageSharedEdge(a, edgeA, b) {
+        const edgeB = TILE_EDGES[edgeA].opposite;
+        const ia = this._edgeVertexIndices(a, edgeA);
+        const ib = this._edgeVertexIndices(b, edgeB);
+        for (const which of ['heightmap', 'baseHeightmap']) {
+            const hmA = a[which];
+            const hmB = b[which];
+            if (!hmA || !hmB) continue;
+            for (let i = 0; i < ia.length; i++) {
+                const h = (hmA[ia[i]] + hmB[ib[i]]) * 0.5;
+                hmA[ia[i]] = h;
+                hmB[ib[i]] = h;
+            }
+        }
+    }
+
+    /**
+     * Edge constraint for T-junctions: every vertex on `fine`'s edge that lies on `coarse`'s opposite edge
+     * takes the height of the coarse edge (piecewise linear) at that position. The coarse side is untouched,
+     * so the finer triangles end exactly on the coarser edge and no gap can open.
+     *
+     * Only `heightmap` is written; the original edge heights are kept in `fine.edgeConstraints` so
+     * `_releaseEdgeConstraint` can put them back when the neighbour changes.
+     */
+    _constrainEdgeToCoarser(fine, edgeF, coarse) {
+        const hf = fine.heightmap;
+        const hc = coarse.heightmap;
+        if (!hf || !hc) return false;
+        const edgeC = TILE_EDGES[edgeF].opposite;
+        const idxF = this._edgeVertexIndices(fine, edgeF);
+        const idxC = this._edgeVertexIndices(coarse, edgeC);
+        const cs = idxC.length - 1;
+        const c0 = this._edgeCoord(coarse, edgeC, 0);
+        const c1 = this._edgeCoord(coarse, edgeC, cs);
+        const span = c1 - c0;
+        if (!(Math.abs(span) > 0)) return false;
+
+        this._releaseEdgeConstraint(fine, edgeF);
+        const idx = [];
+        const heights = [];
+        for (let i = 0; i < idxF.length; i++) {
+            const u = (this._edgeCoord(fine, edgeF, i) - c0) / span;
+            if (u < -1e-9 || u > 1 + 1e-9) continue;
+            const x = THREE.MathUtils.clamp(u, 0, 1) * cs;
+            const j = Math.min(cs - 1, Math.floor(x));
+            const f = x - j;
+            idx.push(idxF[i]);
+            heights.push(hc[idxC[j]] * (1 - f) + hc[idxC[j + 1]] * f);
+        }
+        if (!idx.length) return false;
+
+        const original = new Float32Array(idx.length);
+        const written = new Float32Array(heights);
+        for (let i = 0; i < idx.length; i++) {
+            original[i] = hf[idx[i]];
+            hf[idx[i]] = written[i];
+        }
+        fine.edgeConstraints[edgeF] = { target: coarse, idx, original, written };
+        return true;
+    }
+
+    /**
+     * Undo `_constrainEdgeToCoarser` on one edge. Vertices changed since (DEM, corner averaging) keep their value.
+     * @returns {boolean} whether a constraint was removed
+     */
+    _releaseEdgeConstraint(tile, edge) {
+        const c = tile?.edgeConstraints?.[edge];
+        if (!c) return false;
+        const hm = tile.heightmap;
+        if (hm) {
+            for (let i = 0; i < c.idx.length; i++) {
+                if (hm[c.idx[i]] === c.written[i]) hm[c.idx[i]] = c.original[i];
+            }
+        }
+        delete tile.edgeConstraints[edge];
+        return true;
+    }
+
+    _releaseEdgeConstraints(tile) {
+        let released = false;
+        for (const edge of Object.keys(tile?.edgeConstraints ?? {})) {
+            released = this._releaseEdgeConstraint(tile, edge) || released;
+        }
+        return released;
+    }
+
+    /**
+     * Whether `tile` is on screen: every loaded tile without LOD, the selected cut with LOD.
+     */
+    _isTileRendered(tile) {
+        if (!tile) return false;
+        return this.lod ? this.lod.isTileRendered(tile.getKey()) : true;
+    }
+
+    /**
+     * Loaded tiles across one edge of `tile`:
+     * - `same`: same-zoom neighbour
+     * - `coarser`: nearest lower-zoom tile covering the adjacent area (up to `maxLevels` up)
+     * - `finer`: higher-zoom tiles touching the edge (up to `maxLevels` down)
+     *
+     * `accept` filters candidate tiles (e.g. rendered only); rejected ones are skipped as if not loaded.
+     */
+    _findEdgeNeighbors(tile, edge, { maxLevels = 4, accept = null } = {}) {
+        const { dx, dy } = TILE_EDGES[edge];
+        const x = tile.tileX;
+        const y = tile.tileY;
+        const z = tile.tileZ;
+        const get = (tx, ty, tz) => {
+            const t = this.getTileByCoords(tx, ty, tz) ?? null;
+            return t && (!accept || accept(t)) ? t : null;
+        };
+        const same = get(x + dx, y + dy, z);
+
+        let coarser = null;
+        for (let k = 1; k <= maxLevels && z - k >= 0; k++) {
+            const nx = (x + dx) >> k;
+            const ny = (y + dy) >> k;
+            // Edge is interior to our own ancestor at this level (and every coarser one).
+            if (nx === (x >> k) && ny === (y >> k)) break;
+            const t = get(nx, ny, z - k);
+            if (t) {
+                coarser = t;
+                break;
+            }
+        }
+
+        const finer = [];
+        for (let k = 1; k <= maxLevels; k++) {
+            const f = 1 << k;
+            for (let i = 0; i < f; i++) {
+                let cx;
+                let cy;
+                if (edge === 'E') { cx = (x + 1) * f; cy = y * f + i; }
+                else if (edge === 'W') { cx = x * f - 1; cy = y * f + i; }
+                else if (edge === 'S') { cx = x * f + i; cy = (y + 1) * f; }
+                else { cx = x * f + i; cy = y * f - 1; }
+                const t = get(cx, cy, z + k);
+                if (t) finer.push(t);
+            }
+        }
+
+        return { same, coarser, finer };
+    }
+
+    /**
+     * Seam with an equal-resolution same-zoom neighbour: both sides take the average.
+     * Mixed resolutions are constrained by `refreshEdgeConstraints`.
+     */
+    _stitchSameLevelEdge(tile, edge, same, affected) {
+        if (!same) return false;
+        const segA = tile.segments ?? this.tileConfig.segments;
+        const segB = same.segments ?? this.tileConfig.segments;
+        if (segA !== segB) return false;
+        this._averageSharedEdge(tile, edge, same);
+        affected?.add(tile);
+        affected?.add(same);
+        tile.markEdgeStitched(TILE_EDGES[edge].name);
+        same.markEdgeStitched(TILE_EDGES[TILE_EDGES[edge].opposite].name);
+        return true;
+    }
+
+    /**
+     * Re-evaluate T-junction constraints (`tiles`, default all loaded) against the rendered neighbourhood:
+     * each rendered edge follows its rendered coarser neighbour (or a lower-resolution same-zoom one),
+     * and constraints whose neighbour is gone or hidden are released.
+     * Called after streaming a tile in and by `TerrainLod` whenever the rendered cut changes.
+     * @param {Iterable<TerrainTile>} [tiles]
+     * @param {{updateGeometry?: boolean}} [options]
+     * @returns {Set<TerrainTile>} tiles whose heightmap changed
+     */
+    refreshEdgeConstraints(tiles = this.tileMap?.values?.() ?? [], options = {}) {
+        const segOf = (t) => t.segments ?? this.tileConfig.segments;
+        const rendered = (t) => this._isTileRendered(t);
+        const changed = new Set();
+
+        // Coarse -> fine, so a tile is constrained only after its coarser neighbours are final.
+        const ordered = Array.from(new Set(tiles))
+            .filter(Boolean)
+            .sort((a, b) => (a.tileZ - b.tileZ) || (segOf(a) - segOf(b)));
+        for (const tile of ordered) {
+            const on = rendered(tile);
+            for (const edge of Object.keys(TILE_EDGES)) {
+                let target = null;
+                if (on) {
+                    const nb = this._findEdgeNeighbors(tile, edge, { accept: rendered });
+                    target = nb.same
+                        ? (segOf(nb.same) < segOf(tile) ? nb.same : null)
+                        : nb.coarser;
+                }
+                const prev = tile.edgeConstraints[edge];
+                if (!target) {
+                    if (this._releaseEdgeConstraint(tile, edge)) changed.add(tile);
+                    continue;
+                }
+                if (!this._constrainEdgeToCoarser(tile, edge, target)) {
+                    if (prev) changed.add(tile);
+                    continue;
+                }
+                tile.markEdgeStitched(TILE_EDGES[edge].name);
+                const next = tile.edgeConstraints[edge];
+                const same = prev && prev.target === target && prev.written.length === next.written.length &&
+                    prev.written.every((h, i) => h === next.written[i]);
+                if (!same) changed.add(tile);
+            }
+        }
+
+        if ((options.updateGeometry ?? true) && changed.size) {
+            const computeNormals = this.config?.terrainStitchComputeNormals ?? false;
+            for (const t of changed) this.updateTileGeometryFast(t, { computeNormals });
+            this._markSurfaceDirty();
+        }
+        return changed;
+    }
+
     _stitchTileEdgesIncremental(tile) {
         if (!tile) return;
-        const { segments } = this.tileConfig;
-        const getIndex = (row, col) => row * (segments + 1) + col;
 
         const hmOf = (t, which) => {
             if (!t) return null;
@@ -1235,151 +2285,78 @@ export class Terrain {
         affected.add(tile);
 
         const tileZ = tile.tileZ;
-        const right = this.getTileByCoords(tile.tileX + 1, tile.tileY, tileZ);
-        const left = this.getTileByCoords(tile.tileX - 1, tile.tileY, tileZ);
-        const south = this.getTileByCoords(tile.tileX, tile.tileY + 1, tileZ);
-        const north = this.getTileByCoords(tile.tileX, tile.tileY - 1, tileZ);
+        const segOf = (t) => t?.segments ?? this.tileConfig.segments;
+        const idxOf = (t, row, col) => row * (segOf(t) + 1) + col;
+        const neighbors = {};
+        for (const edge of Object.keys(TILE_EDGES)) neighbors[edge] = this._findEdgeNeighbors(tile, edge);
+        const right = neighbors.E.same;
+        const left = neighbors.W.same;
+        const south = neighbors.S.same;
+        const north = neighbors.N.same;
         const southEast = this.getTileByCoords(tile.tileX + 1, tile.tileY + 1, tileZ);
         const southWest = this.getTileByCoords(tile.tileX - 1, tile.tileY + 1, tileZ);
         const northEast = this.getTileByCoords(tile.tileX + 1, tile.tileY - 1, tileZ);
         const northWest = this.getTileByCoords(tile.tileX - 1, tile.tileY - 1, tileZ);
 
-        const stitchEdge = (a, b, edge) => {
-            if (!a || !b) return;
-            affected.add(a);
-            affected.add(b);
-            if (edge === 'E') {
-                for (let row = 0; row <= segments; row++) {
-                    const ia = getIndex(row, segments);
-                    const ib = getIndex(row, 0);
-                    const h = (a.heightmap[ia] + b.heightmap[ib]) * 0.5;
-                    a.heightmap[ia] = h;
-                    b.heightmap[ib] = h;
-                    const ba = hmOf(a, 'baseHeightmap');
-                    const bb = hmOf(b, 'baseHeightmap');
-                    if (ba && bb) {
-                        const hb = (ba[ia] + bb[ib]) * 0.5;
-                        ba[ia] = hb;
-                        bb[ib] = hb;
-                    }
-                }
-            } else if (edge === 'W') {
-                for (let row = 0; row <= segments; row++) {
-                    const ia = getIndex(row, 0);
-                    const ib = getIndex(row, segments);
-                    const h = (a.heightmap[ia] + b.heightmap[ib]) * 0.5;
-                    a.heightmap[ia] = h;
-                    b.heightmap[ib] = h;
-                    const ba = hmOf(a, 'baseHeightmap');
-                    const bb = hmOf(b, 'baseHeightmap');
-                    if (ba && bb) {
-                        const hb = (ba[ia] + bb[ib]) * 0.5;
-                        ba[ia] = hb;
-                        bb[ib] = hb;
-                    }
-                }
-            } else if (edge === 'S') {
-                for (let col = 0; col <= segments; col++) {
-                    const ia = getIndex(segments, col);
-                    const ib = getIndex(0, col);
-                    const h = (a.heightmap[ia] + b.heightmap[ib]) * 0.5;
-                    a.heightmap[ia] = h;
-                    b.heightmap[ib] = h;
-                    const ba = hmOf(a, 'baseHeightmap');
-                    const bb = hmOf(b, 'baseHeightmap');
-                    if (ba && bb) {
-                        const hb = (ba[ia] + bb[ib]) * 0.5;
-                        ba[ia] = hb;
-                        bb[ib] = hb;
-                    }
-                }
-            } else if (edge === 'N') {
-                for (let col = 0; col <= segments; col++) {
-                    const ia = getIndex(0, col);
-                    const ib = getIndex(segments, col);
-                    const h = (a.heightmap[ia] + b.heightmap[ib]) * 0.5;
-                    a.heightmap[ia] = h;
-                    b.heightmap[ib] = h;
-                    const ba = hmOf(a, 'baseHeightmap');
-                    const bb = hmOf(b, 'baseHeightmap');
-                    if (ba && bb) {
-                        const hb = (ba[ia] + bb[ib]) * 0.5;
-                        ba[ia] = hb;
-                        bb[ib] = hb;
-                    }
-                }
-            }
-        };
-
-        // Stitch edges around this tile
-        if (right) {
-            stitchEdge(tile, right, 'E');
-            tile.markEdgeStitched('east');
-            right.markEdgeStitched('west');
-        }
-        if (left) {
-            stitchEdge(tile, left, 'W');
-            tile.markEdgeStitched('west');
-            left.markEdgeStitched('east');
-        }
-        if (south) {
-            stitchEdge(tile, south, 'S');
-            tile.markEdgeStitched('south');
-            south.markEdgeStitched('north');
-        }
-        if (north) {
-            stitchEdge(tile, north, 'N');
-            tile.markEdgeStitched('north');
-            north.markEdgeStitched('south');
-        }
+        // 1) Same-zoom seams
+        for (const edge of Object.keys(TILE_EDGES)) this._stitchSameLevelEdge(tile, edge, neighbors[edge].same, affected);
 
         const stitchCorner = (pairs) => {
-            // pairs: [{t, idx}, ...]
+            // pairs: [{t, row, col}, ...]; corners only average between equal-resolution tiles
+            // (mixed resolutions are handled by the edge constraints below).
+            const present = pairs.filter((p) => p.t);
+            if (present.some((p) => segOf(p.t) !== segOf(tile))) return;
             for (const which of ['heightmap', 'baseHeightmap']) {
                 const vals = [];
-                for (const p of pairs) {
+                for (const p of present) {
                     const hm = hmOf(p.t, which);
                     if (!hm) continue;
-                    const v = hm[p.idx];
+                    const v = hm[idxOf(p.t, p.row, p.col)];
                     if (Number.isFinite(v)) vals.push(v);
                 }
                 if (vals.length < 2) continue;
                 const vAvg = avgList(vals);
-                for (const p of pairs) {
+                for (const p of present) {
                     const hm = hmOf(p.t, which);
                     if (!hm) continue;
-                    hm[p.idx] = vAvg;
+                    hm[idxOf(p.t, p.row, p.col)] = vAvg;
                     affected.add(p.t);
                 }
             }
         };
 
-        // Corner smoothing (handle partial neighborhoods too)
+        // 2) Corner smoothing (handle partial neighborhoods too)
+        const s = segOf(tile);
         stitchCorner([
-            { t: tile, idx: getIndex(segments, segments) },
-            { t: right, idx: getIndex(segments, 0) },
-            { t: south, idx: getIndex(0, segments) },
-            { t: southEast, idx: getIndex(0, 0) }
+            { t: tile, row: s, col: s },
+            { t: right, row: s, col: 0 },
+            { t: south, row: 0, col: segOf(south) },
+            { t: southEast, row: 0, col: 0 }
         ]);
         stitchCorner([
-            { t: tile, idx: getIndex(segments, 0) },
-            { t: left, idx: getIndex(segments, segments) },
-            { t: south, idx: getIndex(0, 0) },
-            { t: southWest, idx: getIndex(0, segments) }
+            { t: tile, row: s, col: 0 },
+            { t: left, row: segOf(left), col: segOf(left) },
+            { t: south, row: 0, col: 0 },
+            { t: southWest, row: 0, col: segOf(southWest) }
         ]);
         stitchCorner([
-            { t: tile, idx: getIndex(0, segments) },
-            { t: right, idx: getIndex(0, 0) },
-            { t: north, idx: getIndex(segments, segments) },
-            { t: northEast, idx: getIndex(segments, 0) }
+            { t: tile, row: 0, col: s },
+            { t: right, row: 0, col: 0 },
+            { t: north, row: segOf(north), col: segOf(north) },
+            { t: northEast, row: segOf(northEast), col: 0 }
         ]);
         stitchCorner([
-            { t: tile, idx: getIndex(0, 0) },
-            { t: left, idx: getIndex(0, segments) },
-            { t: north, idx: getIndex(segments, 0) },
-            { t: northWest, idx: getIndex(segments, segments) }
+            { t: tile, row: 0, col: 0 },
+            { t: left, row: 0, col: segOf(left) },
+            { t: north, row: segOf(north), col: 0 },
+            { t: northWest, row: segOf(northWest), col: segOf(northWest) }
         ]);
 
+        // 3) Mixed-zoom seams (T-junctions): this tile follows its coarser neighbours, finer ones follow it.
+        const around = [tile];
+        for (const edge of Object.keys(TILE_EDGES)) around.push(neighbors[edge].same, ...neighbors[edge].finer);
+        for (const t of this.refreshEdgeConstraints(around, { updateGeometry: false })) affected.add(t);
+
         // Apply updated heights to geometry; normals optional for performance.
         const computeNormals = this.config?.terrainStitchComputeNormals ?? false;
         for (const t of affected) {
@@ -1393,110 +2370,68 @@ export class Terrain {
 
     /**
      * Stitch all loaded terrain tiles to remove cracks (full pass).
+     * Handles mixed zoom levels (LOD) and mixed segment counts (edit resolution) with edge constraints.
      */
     stitchTileEdges() {
-        const { segments } = this.tileConfig;
-        const getIndex = (row, col) => row * (segments + 1) + col;
-
         const hmOf = (tile, which) => {
             if (!tile) return null;
             if (which === 'baseHeightmap') return tile.baseHeightmap || null;
             return tile.heightmap || null;
         };
+        const segOf = (t) => t.segments ?? this.tileConfig.segments;
 
-        // Smooth stitching: set shared border vertices to the average of adjacent tiles.
+        // 1) Smooth stitching: set shared border vertices of equal-resolution neighbours to their average.
         // Notes:
         // - PlaneGeometry vertex rows are flipped (row 0 is the north edge).
         // - We average both `heightmap` and `baseHeightmap` so visualization + editing sampling stay consistent.
-        const avg2 = (a, b) => (a + b) * 0.5;
-
-        const setBoth = (tileA, idxA, tileB, idxB, value, which) => {
-            const hmA = hmOf(tileA, which);
-            const hmB = hmOf(tileB, which);
-            if (!hmA || !hmB) return;
-            hmA[idxA] = value;
-            hmB[idxB] = value;
-        };
-
         this.tileMap.forEach((tile) => {
             const right = this.getTileByCoords(tile.tileX + 1, tile.tileY, tile.tileZ);
             const south = this.getTileByCoords(tile.tileX, tile.tileY + 1, tile.tileZ);
 
             // East-West shared edge: tile east col=segments <-> right west col=0
-            if (right) {
-                for (let row = 0; row <= segments; row++) {
-                    const idxA = getIndex(row, segments);
-                    const idxB = getIndex(row, 0);
-                    const h = avg2(tile.heightmap[idxA], right.heightmap[idxB]);
-                    tile.heightmap[idxA] = h;
-                    right.heightmap[idxB] = h;
-
-                    const baseA = hmOf(tile, 'baseHeightmap');
-                    const baseB = hmOf(right, 'baseHeightmap');
-                    if (baseA && baseB) {
-                        const hb = avg2(baseA[idxA], baseB[idxB]);
-                        baseA[idxA] = hb;
-                        baseB[idxB] = hb;
-                    }
-                }
-                // Update edge stitching status
+            if (right && segOf(right) === segOf(tile)) {
+                this._averageSharedEdge(tile, 'E', right);
                 tile.markEdgeStitched('east');
                 right.markEdgeStitched('west');
             }
 
             // North-South shared edge: tile south row=segments <-> south north row=0
-            if (south) {
-                for (let col = 0; col <= segments; col++) {
-                    const idxA = getIndex(segments, col);
-                    const idxB = getIndex(0, col);
-                    const h = avg2(tile.heightmap[idxA], south.heightmap[idxB]);
-                    tile.heightmap[idxA] = h;
-                    south.heightmap[idxB] = h;
-
-                    const baseA = hmOf(tile, 'baseHeightmap');
-                    const baseB = hmOf(south, 'baseHeightmap');
-                    if (baseA && baseB) {
-                        const hb = avg2(baseA[idxA], baseB[idxB]);
-                        baseA[idxA] = hb;
-                        baseB[idxB] = hb;
-                    }
-                }
-                // Update edge stitching status
+            if (south && segOf(south) === segOf(tile)) {
+                this._averageSharedEdge(tile, 'S', south);
                 tile.markEdgeStitched('south');
                 south.markEdgeStitched('north');
             }
 
-            // 4-tile corner smoothing (SE corner of `tile`)
+            // 4-tile corner smoothing (SE corner of `tile`), equal resolutions only
             // tile (segments,segments), right (segments,0), south (0,segments), southEast (0,0)
             if (right && south) {
                 const southEast = this.getTileByCoords(tile.tileX + 1, tile.tileY + 1, tile.tileZ);
-                if (southEast) {
-                    const i00 = getIndex(segments, segments);
-                    const i10 = getIndex(segments, 0);
-                    const i01 = getIndex(0, segments);
-                    const i11 = getIndex(0, 0);
-
-                    const hAvg = (tile.heightmap[i00] + right.heightmap[i10] + south.heightmap[i01] + southEast.heightmap[i11]) * 0.25;
-                    tile.heightmap[i00] = hAvg;
-                    right.heightmap[i10] = hAvg;
-                    south.heightmap[i01] = hAvg;
-                    southEast.heightmap[i11] = hAvg;
-
-                    const b00 = hmOf(tile, 'baseHeightmap');
-                    const b10 = hmOf(right, 'baseHeightmap');
-                    const b01 = hmOf(south, 'baseHeightmap');
-                    const b11 = hmOf(southEast, 'baseHeightmap');
-                    if (b00 && b10 && b01 && b11) {
-                        const bAvg = (b00[i00] + b10[i10] + b01[i01] + b11[i11]) * 0.25;
-                        b00[i00] = bAvg;
-                        b10[i10] = bAvg;
-                        b01[i01] = bAvg;
-                        b11[i11] = bAvg;
+                const seg = segOf(tile);
+                if (southEast && [right, south, southEast].every((t) => segOf(t) === seg)) {
+                    const i00 = tile.getIndex(seg, seg);
+                    const i10 = tile.getIndex(seg, 0);
+                    const i01 = tile.getIndex(0, seg);
+                    const i11 = tile.getIndex(0, 0);
+
+                    for (const which of ['heightmap', 'baseHeightmap']) {
+                        const b00 = hmOf(tile, which);
+                        const b10 = hmOf(right, which);
+                        const b01 = hmOf(south, which);
+                        const b11 = hmOf(southEast, which);
+                        if (!(b00 && b10 && b01 && b11)) continue;
+                        const avg = (b00[i00] + b10[i10] + b01[i01] + b11[i11]) * 0.25;
+                        b00[i00] = avg;
+                        b10[i10] = avg;
+                        b01[i01] = avg;
+                        b11[i11] = avg;
                     }
                 }
             }
         });
 
+        // 2) T-junctions against the rendered neighbourhood (geometry is updated by the caller).
+        this.refreshEdgeConstraints(undefined, { updateGeometry: false });
+
         // Mark all tiles as fully stitched after complete stitch
         this.tileMap.forEach(t => t.markAllEdgesStitched());
 
@@ -1529,6 +2464,7 @@ export class Terrain {
      * /elta ?     */
     raiseLower(polygon, delta) {
         this.editor?.raiseLower(polygon, delta);
+        this._editJournal.raiseLower = journalCopy({ polygon, delta });
     }
 
     /**
@@ -1536,19 +2472,23 @@ export class Terrain {
      */
     raiseLowerMultiple(list) {
         this.multipleEditor?.applyDelta(list);
+        this._editJournal.raiseLowerMultiple = journalCopy(list) ?? [];
     }
 
     /**
      * argetElevation ?     */
     flattenTo(polygon, targetElevation) {
         this.editor?.flattenTo(polygon, targetElevation);
+        this._editJournal.flatten = journalCopy({ polygon, targetElevation });
     }
 
     /**
      * { polygon:[[lon,lat],...], targetElevation?: number }, ...]
+     * Items may also carry an inclined design plane (longGrade/crossGrade/azimuth/origin, points or plane; see math/designPlane.js).
      */
     flattenMultiple(list) {
         this.multipleEditor?.applyFlatten(list);
+        this._editJournal.flattenMultiple = journalCopy(list) ?? [];
     }
 
     /**
@@ -1559,14 +2499,17 @@ export class Terrain {
     slopeFromAB(aLonLat, bLonLat, options) {
         this.ensureEditResolution?.();
         this.editor?.slopeFromAB(aLonLat, bLonLat, options);
+        this._editJournal.slope = journalCopy({ aLonLat, bLonLat, options });
     }
 
     /**
      * { aLonLat:[lon,lat], bLonLat:[lon,lat], side?, widthHeightRatio?, maxHeight?, highEdgeSamples? }, ...]
+     * or inclined platforms { polygon:[[lon,lat],...], targetElevation, longGrade?, crossGrade?, azimuth?, origin? } / { polygon, points } / { polygon, plane }
      */
     slopeMultiple(list) {
         this.ensureEditResolution?.();
         this.multipleEditor?.applySlopes(list);
+        this._editJournal.slopeMultiple = journalCopy(list) ?? [];
     }
 
     /**
@@ -1576,44 +2519,15 @@ export class Terrain {
         if (this.tileConfig.segments >= targetSegments) return;
         if (this.tileMap.size === 0) return;
 
-        const oldSegments = this.tileConfig.segments;
-
-        const upsampleHeightmap = (oldHM, fromSeg, toSeg) => {
-            const fromN = fromSeg + 1;
-            const toN = toSeg + 1;
-            const out = new Float32Array(toN * toN);
-
-            const get = (row, col) => oldHM[row * fromN + col];
-
-            for (let row = 0; row < toN; row++) {
-                const v = row / toSeg;
-                const oy = v * fromSeg;
-                const y0 = Math.floor(oy);
-                const y1 = Math.min(fromSeg, y0 + 1);
-                const ty = oy - y0;
-
-                for (let col = 0; col < toN; col++) {
-                    const u = col / toSeg;
-                    const ox = u * fromSeg;
-                    const x0 = Math.floor(ox);
-                    const x1 = Math.min(fromSeg, x0 + 1);
-                    const tx = ox - x0;
-
-                    const a = get(y0, x0);
-                    const b = get(y0, x1);
-                    const c = get(y1, x0);
-                    const d = get(y1, x1);
-
-                    const ab = a * (1 - tx) + b * tx;
-                    const cd = c * (1 - tx) + d * tx;
-                    out[row * toN + col] = ab * (1 - ty) + cd * ty;
-                }
-            }
+        // Edits live in the loaded tiles: pin the current LOD cut so they are not unloaded/replaced.
+        this.lod?.setFrozen(true);
 
-            return out;
-        };
+        const oldSegments = this.tileConfig.segments;
+        const upsampleHeightmap = (oldHM, fromSeg, toSeg) => this._resampleHeightmap(oldHM, fromSeg, toSeg);
 
         this.tileMap.forEach((tile) => {
+            // Constraint indices refer to the old grid; resample the unconstrained edges.
+            this._releaseEdgeConstraints(tile);
             // rebuild heightmap at higher resolution
             const newHM = upsampleHeightmap(tile.heightmap, oldSegments, targetSegments);
             const newBaseHM = tile.baseHeightmap ? upsampleHeightmap(tile.baseHeightmap, oldSegments, targetSegments) : new Float32Array(newHM);
@@ -1625,6 +2539,7 @@ export class Terrain {
             const oldGeom = tile.mesh.geometry;
             const newGeom = new THREE.PlaneGeometry(tile.tileWidth, tile.tileHeight, targetSegments, targetSegments);
             this.applyHeightmapToGeometry(newGeom, newHM);
+            this._fitTileGeometryToSceneFrame(newGeom, tile.bounds, targetSegments);
             newGeom.computeVertexNormals();
             newGeom.computeBoundingBox();
             newGeom.computeBoundingSphere();
@@ -1632,6 +2547,7 @@ export class Terrain {
             tile.mesh.geometry = newGeom;
             tile.geometry = newGeom;
             tile.mesh.userData.geometry = newGeom;
+            this._updateTileSkirt(tile);
 
             if (oldGeom) oldGeom.dispose();
         });
@@ -1644,6 +2560,119 @@ export class Terrain {
         this.updateAllTileGeometries(true);
     }
 
+    /**
+     * Load a local DEM (single-band GeoTIFF, any supported CRS) and resample it into the tile heightmaps.
+     * Where the DEM has data it replaces the web-tile heights (both `heightmap` and `baseHeightmap`);
+     * elsewhere the web tiles are kept. Tiles streamed in later are resampled as well.
+     *
+     * Load DEMs before editing: existing edit patches are not rebuilt.
+     * @param {File|Blob|ArrayBuffer|DemRaster} source
+     * @param {{crs?: number|string|Object, noData?: number, verticalScale?: number, verticalOffset?: number}} options
+     * - `crs`: override the GeoTIFF's EPSG (e.g. 4547, 'EPSG:32650', TM params, or `{ fromLonLat }`)
+     * @returns {Promise<DemRaster>}
+     */
+    async loadDem(source, options = {}) {
+        const raster = source instanceof DemRaster ? source : await DemRaster.fromGeoTIFF(source, options);
+        if (!this._demRasters) this._demRasters = [];
+        this._demRasters.push(raster);
+
+        let changed = 0;
+        for (const tile of this.tileMap?.values?.() ?? []) {
+            if (this._applyDemRastersToTile(tile, [raster])) changed++;
+        }
+        if (changed > 0) {
+            this.stitchTileEdges();
+            this.updateAllTileGeometries(true);
+        }
+        if (this.config?.terrainDebugLogs ?? false) {
+            console.log(`[Terrain] DEM ${raster.width}x${raster.height} (EPSG:${raster.epsg ?? '?'}) applied to ${changed} tiles`);
+        }
+        return raster;
+    }
+
+    /**
+     * Forget loaded DEMs. Already resampled tiles keep their heights until they are reloaded.
+     */
+    clearDems() {
+        this._demRasters = [];
+    }
+
+    /**
+     * @param {Float32Array} heightmap - meters, (segments+1)^2, row 0 = north
+     * @returns {boolean} true if any vertex was overridden
+     */
+    _applyDemRastersToHeightmap(heightmap, tileBounds, segments, rasters = this._demRasters, toValue = (h) => h) {
+        if (!rasters?.length || !heightmap || !tileBounds) return false;
+        const n = segments + 1;
+        const { min, max } = tileBounds;
+        let changed = false;
+        for (let row = 0; row < n; row++) {
+            const my = min.y + (max.y - min.y) * (row / segments);
+            for (let col = 0; col < n; col++) {
+                const mx = min.x + (max.x - min.x) * (col / segments);
+                const ll = this.proj.mercatorToLonLat(mx, my);
+                // Later DEMs win where they overlap.
+                for (let i = rasters.length - 1; i >= 0; i--) {
+                    const h = rasters[i].sampleAtLonLat(ll.lon, ll.lat);
+                    if (!Number.isFinite(h)) continue;
+                    heightmap[row * n + col] = toValue(h);
+                    changed = true;
+                    break;
+                }
+            }
+        }
+        return changed;
+    }
+
+    _applyDemRastersToTile(tile, rasters) {
+        if (!tile?.heightmap) return false;
+        const segments = tile.segments ?? this.tileConfig.segments;
+        const toUnits = (h) => this.metersToUnits(h);
+        const changed = this._applyDemRastersToHeightmap(tile.heightmap, tile.bounds, segments, rasters, toUnits);
+        if (changed && tile.baseHeightmap) {
+            this._applyDemRastersToHeightmap(tile.baseHeightmap, tile.bounds, segments, rasters, toUnits);
+        }
+        return changed;
+    }
+
+    /**
+     * Bilinear resample of a (fromSeg+1)^2 heightmap grid to (toSeg+1)^2.
+     */
+    _resampleHeightmap(oldHM, fromSeg, toSeg) {
+        const fromN = fromSeg + 1;
+        const toN = toSeg + 1;
+        const out = new Float32Array(toN * toN);
+
+        const get = (row, col) => oldHM[row * fromN + col];
+
+        for (let row = 0; row < toN; row++) {
+            const v = row / toSeg;
+            const oy = v * fromSeg;
+            const y0 = Math.floor(oy);
+            const y1 = Math.min(fromSeg, y0 + 1);
+            const ty = oy - y0;
+
+            for (let col = 0; col < toN; col++) {
+                const u = col / toSeg;
+                const ox = u * fromSeg;
+                const x0 = Math.floor(ox);
+                const x1 = Math.min(fromSeg, x0 + 1);
+                const tx = ox - x0;
+
+                const a = get(y0, x0);
+                const b = get(y0, x1);
+                const c = get(y1, x0);
+                const d = get(y1, x1);
+
+                const ab = a * (1 - tx) + b * tx;
+                const cd = c * (1 - tx) + d * tx;
+                out[row * toN + col] = ab * (1 - ty) + cd * ty;
+            }
+        }
+
+        return out;
+    }
+
     /**
      * Sample height from the cached tile heightmaps (no raycasting).
      * @param {number} worldX
@@ -1652,19 +2681,35 @@ export class Terrain {
      */
     sampleHeightAtWorld(worldX, worldZ, which = 'heightmap') {
         if (!this.terrainEnabled) return 0;
-        // Only 3x3 tiles in this demo, linear scan is fine.
-        for (const tile of this.tileMap.values()) {
+        // Linear scan is fine for AOI-sized tile sets. With LOD, overlapping cached tiles are hidden:
+        // prefer the rendered (visible) cut, fall back to hidden tiles outside it.
+        const tiles = Array.from(this.tileMap.values());
+        if (this.lod) tiles.sort((a, b) => (b?.mesh?.visible === true) - (a?.mesh?.visible === true));
+        // ENU scene frame: tile grids are not affine in world space, locate the sample by its mercator position.
+        const merc = this.proj?.getSceneFrame?.() === 'enu' ? this.proj.threeToMercator(worldX, 0, worldZ) : null;
+        for (const tile of tiles) {
             if (!tile || !tile.mesh || !tile[which]) continue;
 
-            tile.mesh.updateMatrixWorld(true);
-            const invWorld = tile.mesh.matrixWorld.clone().invert();
-            const local = new THREE.Vector3(worldX, 0, worldZ).applyMatrix4(invWorld);
-
-            const u = (local.x + tile.tileWidth / 2) / tile.tileWidth;
-            // IMPORTANT: THREE.PlaneGeometry stores vertex positions with Y flipped (position.y = -y in generator).
-            // Our cached heightmap/baseHeightmap is in the same order as the geometry attribute array, so we must
-            // invert V here to match that row ordering (row 0 corresponds to +tileHeight/2).
-            const v = (tile.tileHeight / 2 - local.y) / tile.tileHeight;
+            let u;
+            let v;
+            if (merc && tile.bounds?.min && tile.bounds?.max) {
+                const west = Math.min(tile.bounds.min.x, tile.bounds.max.x);
+                const east = Math.max(tile.bounds.min.x, tile.bounds.max.x);
+                const south = Math.min(tile.bounds.min.y, tile.bounds.max.y);
+                const north = Math.max(tile.bounds.min.y, tile.bounds.max.y);
+                u = (merc.x - west) / (east - west);
+                v = (north - merc.y) / (north - south);
+            } else {
+                tile.mesh.updateMatrixWorld(true);
+                const invWorld = tile.mesh.matrixWorld.clone().invert();
+                const local = new THREE.Vector3(worldX, 0, worldZ).applyMatrix4(invWorld);
+
+                u = (local.x + tile.tileWidth / 2) / tile.tileWidth;
+                // IMPORTANT: THREE.PlaneGeometry stores vertex positions with Y flipped (position.y = -y in generator).
+                // Our cached heightmap/baseHeightmap is in the same order as the geometry attribute array, so we must
+                // invert V here to match that row ordering (row 0 corresponds to +tileHeight/2).
+                v = (tile.tileHeight / 2 - local.y) / tile.tileHeight;
+            }
             // Robust bounds handling:
             // - When sampling exactly on tile edges, floating point error can produce u/v slightly outside [0,1]
             // - Returning 0 creates "inverted triangle" gutters for imagery drape meshes
@@ -1673,7 +2718,7 @@ export class Terrain {
             const uu = THREE.MathUtils.clamp(u, 0, 1);
             const vv = THREE.MathUtils.clamp(v, 0, 1);
 
-            const seg = this.tileConfig.segments;
+            const seg = tile.segments ?? this.tileConfig.segments;
             const n = seg + 1;
             const x = uu * seg;
             const y = vv * seg;
@@ -1713,6 +2758,7 @@ export class Terrain {
 
     clipTerrain(polygon) {
         this.editor?.clipTerrain(polygon);
+        this._editJournal.clips.push(journalCopy(polygon));
     }
 
     /**
@@ -1720,10 +2766,15 @@ export class Terrain {
      */
     setClipTerrains(list) {
         this.multipleEditor?.setClips(list);
+        this._editJournal.clips = (Array.isArray(list) ? list : [])
+            .map((it) => it?.polygon ?? it?.vertices ?? it?.poly ?? it)
+            .filter((polygon) => Array.isArray(polygon) && polygon.length >= 3)
+            .map(journalCopy);
     }
 
     clearClipTerrain() {
         this.editor?.clearUserClip?.();
+        this._editJournal.clips = [];
     }
 
     /**
@@ -1731,6 +2782,48 @@ export class Terrain {
      */
     clearFlattenTerrain() {
         this.editor?.clearFlattenEdits?.();
+        this._editJournal.flatten = null;
+        this._editJournal.flattenMultiple = [];
+    }
+
+    /**
+     * Lon/lat inputs of the edits currently applied (JSON-safe copy), in the shape `restoreEditJournal` replays:
+     * `{ raiseLower, flatten, slope }` (last single edit or null), `{ raiseLowerMultiple, flattenMultiple, slopeMultiple }`
+     * (last batch lists) and `clips` (user hole polygons).
+     */
+    getEditJournal() {
+        return journalCopy(this._pendingEditJournal ?? this._editJournal);
+    }
+
+    /**
+     * Remove every edit patch and user clip.
+     */
+    clearEdits() {
+        this.editor?._removePatchesByPrefix?.('single:');
+        this.editor?._removePatchesByPrefix?.('multi:');
+        this.editor?.clearUserClip?.();
+        this._editJournal = emptyEditJournal();
+    }
+
+    /**
+     * Replace the current edits with a journal from `getEditJournal`. Before the first tiles are loaded the journal is
+     * kept and replayed once loading completes (edits need loaded tiles).
+     */
+    restoreEditJournal(journal) {
+        const j = { ...emptyEditJournal(), ...(journalCopy(journal) ?? {}) };
+        if (!this.terrainGroup || this.terrainGroup.children.length === 0) {
+            this._pendingEditJournal = j;
+            return;
+        }
+        this._pendingEditJournal = null;
+        this.clearEdits();
+        if (j.raiseLower) this.raiseLower(j.raiseLower.polygon, j.raiseLower.delta);
+        if (j.raiseLowerMultiple?.length) this.raiseLowerMultiple(j.raiseLowerMultiple);
+        if (j.flatten) this.flattenTo(j.flatten.polygon, j.flatten.targetElevation);
+        if (j.flattenMultiple?.length) this.flattenMultiple(j.flattenMultiple);
+        if (j.slope) this.slopeFromAB(j.slope.aLonLat, j.slope.bLonLat, j.slope.options);
+        if (j.slopeMultiple?.length) this.slopeMultiple(j.slopeMultiple);
+        if (j.clips?.length) this.setClipTerrains(j.clips.map((polygon) => ({ polygon })));
     }
 
     toggleTerrainVisibility() {
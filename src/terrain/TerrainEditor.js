@@ -1,8 +1,9 @@
 import * as THREE from 'three';
+import { designPlaneElevationAt } from '../math/designPlane.js';
 
 /**
  * TerrainEditor
- * - Handles terrain editing operations: raise/lower, flatten, clipping
+ * - Handles terrain editing operations: raise/lower, flatten (flat or inclined design plane), clipping
  * - Renders an "active edit surface" patch (top) + a connection wall to the base terrain
  *
  * Assumptions:
@@ -22,7 +23,7 @@ export class TerrainEditor {
         this.editPatchMeshes = new Map(); // key -> THREE.Group
         this.editPatchPolygonsXZ = new Map(); // key -> THREE.Vector2[] (for masking/clipping)
         this.editPatchEpsilon = this._toUnits(0.002); // meters -> units, avoid z-fighting while keeping patch tightly aligned
-        this.activeEditState = null; // { polygonKey, mode: 'delta'|'flatten'|'slope', value }
+        this.activeEditState = null; // { polygonKey, mode: 'delta'|'flatten'|'slope'|'plane', value }
 
         // Outline helper
         this.editPolygonHelper = null; // THREE.LineLoop
@@ -456,7 +457,7 @@ export class TerrainEditor {
         group.userData = { isEditPatch: true, patchKey };
 
         const topMesh = new THREE.Mesh(topGeom, topMat);
-        topMesh.userData = { isEditPatch: true };
+        topMesh.userData = { isEditPatch: true, isEditSurface: true };
 
         group.add(topMesh);
         if (wallGeomFill) {
@@ -471,6 +472,7 @@ export class TerrainEditor {
         }
 
         this.editPatchMeshes.set(patchKey, group);
+        this.terrain._runSurfaceMaterialHooks?.(topMat);
         // For masking the base terrain, only keep the real polygon corners (avoid using densified/truncated rings).
         this.editPatchPolygonsXZ.set(patchKey, this._polygonForMask(boundaryPolygonXZ, 64));
         this.terrain.terrainGroup.add(group);
@@ -534,7 +536,7 @@ export class TerrainEditor {
     /**
      * Dense triangulated patch for convex polygon, preserving boundary exactly.
      * @param {THREE.Vector2[]} ringXZ
-     * @param {'delta'|'flatten'|'slope'} mode
+     * @param {'delta'|'flatten'|'slope'|'plane'} mode
      * @param {number|Object} value
      * @param {number} subdiv
      */
@@ -749,6 +751,13 @@ export class TerrainEditor {
             return Number.isFinite(target) ? target : 0;
         }
 
+        // Design plane (math/designPlane.js, lon/lat + meters): same surface the cut/fill volumes are computed against.
+        if (mode === 'plane') {
+            const ll = this.terrain.proj.threeToLonLat(x, 0, z);
+            const h = designPlaneElevationAt(value, ll.lon, ll.lat);
+            return Number.isFinite(h) ? this._toUnits(h) : 0;
+        }
+
         if (mode === 'slope') {
             const v = value || {};
             const ax = Number(v?.a?.x);
@@ -896,6 +905,8 @@ export class TerrainEditor {
             const mat = child.material;
             if (!mat) return;
             this._updatePolygonMaskMaterial(mat, tris);
+            // The mask replaces the program cache key; let surface overlays re-install.
+            this.terrain._runSurfaceMaterialHooks?.(mat);
         });
     }
 
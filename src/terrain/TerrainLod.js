@@ -0,0 +1,286 @@
+import * as THREE from 'three';
+
+/**
+ * View-dependent terrain LOD: a quadtree of XYZ terrain tiles over `Terrain.loadTileAsync` /
+ * `Terrain.disposeTerrainTile`, refined by screen-space geometric error.
+ *
+ * - Roots are the tiles at `rootZoom` covering the configured AOI; children outside the AOI are never loaded.
+ * - Replacement refinement: a node is split only after all 4 children are loaded, so there are no holes
+ *   while tiles stream in (the parent keeps rendering until then).
+ * - Geometric error of a tile = its heightmap grid spacing (meters); it is refined while
+ *   `CameraManager.getScreenSpaceError(error, distance) > maxScreenSpaceError`.
+ * - Seams between levels are hidden by tile skirts (see `Terrain._updateTileSkirt`); rendered tiles are also
+ *   edge-constrained to their rendered coarser neighbours, re-evaluated whenever the cut changes
+ *   (see `Terrain.refreshEdgeConstraints`).
+ * - Unused tiles are disposed after `unloadDelayMs`, keeping at most `maxCachedTiles` hidden tiles around.
+ * - A failed tile keeps its parent selected and is retried after `retryDelayMs`, doubling per failure up to
+ *   `maxRetryDelayMs`.
+ *
+ * Config (`config.terrainLod`):
+ * `{ rootZoom?, minZoom?, maxZoom?, maxScreenSpaceError?, updateMs?, maxLoadsPerUpdate?, unloadDelayMs?, maxCachedTiles?,
+ *   retryDelayMs?, maxRetryDelayMs? }`
+ */
+export class TerrainLod {
+    /**
+     * @param {import('./Terrain.js').Terrain} terrain
+     */
+    constructor(terrain) {
+        this.terrain = terrain;
+        const cfg = terrain?.config?.terrainLod ?? {};
+        const zoom = terrain?.tileConfig?.zoom ?? 13;
+
+        this.options = {
+            minZoom: Number.isFinite(cfg.minZoom) ? cfg.minZoom : (terrain?.config?.terrainZoomMin ?? 5),
+            maxZoom: Number.isFinite(cfg.maxZoom) ? cfg.maxZoom : (terrain?.config?.terrainZoomMax ?? zoom + 2),
+            rootZoom: Number.isFinite(cfg.rootZoom) ? cfg.rootZoom : null,
+            maxScreenSpaceError: Number.isFinite(cfg.maxScreenSpaceError) ? cfg.maxScreenSpaceError : 4,
+            updateMs: Number.isFinite(cfg.updateMs) ? cfg.updateMs : 200,
+            maxLoadsPerUpdate: Number.isFinite(cfg.maxLoadsPerUpdate) ? Math.max(1, cfg.maxLoadsPerUpdate | 0) : 8,
+            unloadDelayMs: Number.isFinite(cfg.unloadDelayMs) ? cfg.unloadDelayMs : 5000,
+            maxCachedTiles: Number.isFinite(cfg.maxCachedTiles) ? Math.max(0, cfg.maxCachedTiles | 0) : 128,
+            retryDelayMs: Number.isFinite(cfg.retryDelayMs) ? Math.max(0, cfg.retryDelayMs) : 2000,
+            maxRetryDelayMs: Number.isFinite(cfg.maxRetryDelayMs) ? Math.max(0, cfg.maxRetryDelayMs) : 60000
+        };
+
+        this.frozen = false;
+        this.roots = [];
+        this.rootZoom = null;
+        this.aoi = null; // WebMercator AOI {minX, maxX, minY, maxY}
+
+        this._lastUpdate = 0;
+        this._lastUsed = new Map(); // tileKey -> ms
+        this._pending = new Set(); // tileKey
+        this._failed = new Map(); // tileKey -> { at, count } (the parent stays selected until a retry succeeds)
+        this._rendered = new Set(); // tileKey
+        this._box = new THREE.Box3();
+        this._point = new THREE.Vector3();
+    }
+
+    _now() {
+        return (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
+    }
+
+    /**
+     * Compute AOI + root tiles and start loading the roots (counted towards `onTerrainLoaded`).
+     */
+    init() {
+        const terrain = this.terrain;
+        const proj = terrain.proj;
+        const ew = Number.isFinite(terrain.config?.rangeEastWest) ? terrain.config.rangeEastWest : 5000;
+        const ns = Number.isFinite(terrain.config?.rangeNorthSouth) ? terrain.config.rangeNorthSouth : 5000;
+        this.aoi = proj.sceneRangeToMercatorBounds(ew, ns);
+
+        // Root zoom: coarsest level whose tiles are not much larger than the AOI (1-2 tiles per axis).
+        let rootZoom = this.options.rootZoom;
+        if (!Number.isFinite(rootZoom)) {
+            const world = 2 * Math.PI * 6378137;
+            rootZoom = Math.floor(Math.log2(world / (2 * Math.max(ew, ns))));
+        }
+        this.rootZoom = THREE.MathUtils.clamp(rootZoom | 0, this.options.minZoom, this.options.maxZoom);
+
+        const nw = proj.mercatorToLonLat(this.aoi.minX, this.aoi.maxY);
+        const se = proj.mercatorToLonLat(this.aoi.maxX, this.aoi.minY);
+        const t1 = proj.lonLatToTile(nw.lon, nw.lat, this.rootZoom);
+        const t2 = proj.lonLatToTile(se.lon, se.lat, this.rootZoom);
+        this.roots = [];
+        for (let x = Math.min(t1.x, t2.x); x <= Math.max(t1.x, t2.x); x++) {
+            for (let y = Math.min(t1.y, t2.y); y <= Math.max(t1.y, t2.y); y++) {
+                this.roots.push({ x, y, z: this.rootZoom });
+            }
+        }
+
+        terrain.loadedTilesCount = 0;
+        terrain.totalTilesToLoad = this.roots.length;
+        for (const r of this.roots) this._request(r, { counted: true });
+    }
+
+    /**
+     * Stop refining/unloading (e.g. while the loaded tile set carries terrain edits).
+     */
+    setFrozen(frozen) {
+        this.frozen = !!frozen;
+    }
+
+    _key(node) {
+        return `${node.z}-${node.x}-${node.y}`;
+    }
+
+    /**
+     * Whether a failed tile is still backing off (`retryDelayMs` doubled per failure, capped at `maxRetryDelayMs`).
+     */
+    _isBackingOff(key, now = this._now()) {
+        const failure = this._failed.get(key);
+        if (!failure) return false;
+        const delay = Math.min(this.options.maxRetryDelayMs, this.options.retryDelayMs * 2 ** (failure.count - 1));
+        return (now - failure.at) < delay;
+    }
+
+    _intersectsAoi(node) {
+        const b = this.terrain.proj.tileToMercatorBounds(node.x, node.y, node.z);
+        const a = this.aoi;
+        // bounds.min is the north-west corner (min.y > max.y).
+        return b.max.x > a.minX && b.min.x < a.maxX && b.min.y > a.minY && b.max.y < a.maxY;
+    }
+
+    _children(node) {
+        const out = [];
+        for (let dy = 0; dy < 2; dy++) {
+            for (let dx = 0; dx < 2; dx++) {
+                const child = { x: node.x * 2 + dx, y: node.y * 2 + dy, z: node.z + 1 };
+                if (this._intersectsAoi(child)) out.push(child);
+            }
+        }
+        return out;
+    }
+
+    _request(node, options = {}) {
+        const key = this._key(node);
+        if (this.terrain.tileMap.has(key) || this._pending.has(key) || this._isBackingOff(key)) return;
+        this._pending.add(key);
+        this.terrain.loadTileAsync(node.x, node.y, node.z, options)
+            .then((tile) => {
+                this._failed.delete(key);
+                // Stays hidden until the next traversal selects it.
+                if (tile?.mesh && !options.counted) tile.mesh.visible = false;
+            })
+            .catch((e) => {
+                this._failed.set(key, { at: this._now(), count: (this._failed.get(key)?.count ?? 0) + 1 });
+                if (this.terrain.config?.terrainDebugLogs ?? false) console.warn('[TerrainLod] tile failed', key, e);
+            })
+            .finally(() => {
+                this._pending.delete(key);
+            });
+    }
+
+    /**
+     * Height range (scene units) of a node: its own geometry if loaded, else the closest loaded ancestor's.
+     */
+    _heightRange(node) {
+        let n = node;
+        while (n && n.z >= this.rootZoom) {
+            const bb = this.terrain.tileMap.get(this._key(n))?.geometry?.boundingBox;
+            // PlaneGeometry is XY with height in local Z.
+            if (bb) return { min: bb.min.z, max: bb.max.z };
+            n = { x: n.x >> 1, y: n.y >> 1, z: n.z - 1 };
+        }
+        return { min: 0, max: 0 };
+    }
+
+    _nodeBox(node) {
+        const terrain = this.terrain;
+        const b = terrain.proj.tileToMercatorBounds(node.x, node.y, node.z);
+        const box = terrain.proj.mercatorBoundsToThreeBox(b);
+        const h = this._heightRange(node);
+        this._box.min.set(box.minX, h.min, box.minZ);
+        this._box.max.set(box.maxX, h.max, box.maxZ);
+        return this._box;
+    }
+
+    _geometricError(node) {
+        const b = this.terrain.proj.tileToMercatorBounds(node.x, node.y, node.z);
+        const segments = this.terrain.tileMap.get(this._key(node))?.segments ?? this.terrain.tileConfig.segments;
+        return Math.abs(b.max.x - b.min.x) / Math.max(1, segments);
+    }
+
+    /**
+     * @param {import('../camera/CameraManager.js').CameraManager} cameraManager
+     */
+    update(cameraManager) {
+        const camera = cameraManager?.getCamera?.();
+        if (!camera || !this.roots.length || this.frozen) return;
+        const now = this._now();
+        if ((now - this._lastUpdate) < this.options.updateMs) return;
+        this._lastUpdate = now;
+
+        const frustum = cameraManager.getFrustum();
+        const render = new Set();
+        const used = new Set();
+        let loads = 0;
+
+        const requestLimited = (node) => {
+            if (loads >= this.options.maxLoadsPerUpdate) return;
+            const key = this._key(node);
+            if (this.terrain.tileMap.has(key) || this._pending.has(key) || this._isBackingOff(key, now)) return;
+            loads++;
+            this._request(node);
+        };
+
+        const visit = (node) => {
+            const key = this._key(node);
+            const loaded = this.terrain.tileMap.has(key);
+            used.add(key);
+
+            const box = this._nodeBox(node);
+            if (frustum && !frustum.intersectsBox(box)) return;
+
+            const closest = box.clampPoint(camera.position, this._point);
+            const distance = cameraManager.distanceTo(closest);
+            const sse = cameraManager.getScreenSpaceError(this._geometricError(node), distance);
+
+            if (sse > this.options.maxScreenSpaceError && node.z < this.options.maxZoom) {
+                const children = this._children(node);
+                // A failed child keeps its parent selected (no holes).
+                const ready = children.length > 0 && children.every((ch) => this.terrain.tileMap.has(this._key(ch)));
+                if (ready) {
+                    for (const ch of children) visit(ch);
+                    return;
+                }
+                for (const ch of children) {
+                    used.add(this._key(ch));
+                    requestLimited(ch);
+                }
+            }
+            if (loaded) render.add(key);
+            else requestLimited(node);
+        };
+
+        for (const r of this.roots) visit(r);
+
+        // Show the selected cut, hide the rest (hidden tiles stay cached for fast zoom-out).
+        for (const [key, tile] of this.terrain.tileMap) {
+            if (!tile?.mesh || tile.mesh.userData?.isEditPatch) continue;
+            tile.mesh.visible = render.has(key);
+        }
+        for (const key of used) this._lastUsed.set(key, now);
+        const cutChanged = render.size !== this._rendered.size || [...render].some((key) => !this._rendered.has(key));
+        this._rendered = render;
+        if (cutChanged) this.terrain.refreshEdgeConstraints();
+
+        this._unloadStale(now);
+    }
+
+    _unloadStale(now) {
+        const stale = [];
+        for (const key of this.terrain.tileMap.keys()) {
+            if (this._rendered.has(key) || this._pending.has(key)) continue;
+            const t = this._lastUsed.get(key) ?? 0;
+            if ((now - t) >= this.options.unloadDelayMs) stale.push([key, t]);
+        }
+        const hidden = this.terrain.tileMap.size - this._rendered.size;
+        if (!stale.length || hidden <= this.options.maxCachedTiles) return;
+
+        stale.sort((a, b) => a[1] - b[1]);
+        const excess = Math.min(stale.length, hidden - this.options.maxCachedTiles);
+        for (let i = 0; i < excess; i++) {
+            const key = stale[i][0];
+            // Roots are the fallback for everything; never drop them.
+            if (this.roots.some((r) => this._key(r) === key)) continue;
+            this.terrain.disposeTerrainTile(key);
+            this._lastUsed.delete(key);
+        }
+    }
+
+    /**
+     * Tile keys currently selected for rendering.
+     */
+    getRenderedTileKeys() {
+        return Array.from(this._rendered);
+    }
+
+    /**
+     * Whether `key` is in the currently rendered cut.
+     */
+    isTileRendered(key) {
+        return this._rendered.has(key);
+    }
+}
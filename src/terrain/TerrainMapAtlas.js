@@ -7,7 +7,7 @@ export class TerrainMapAtlas {
         this.terrain = terrain;
         this._state = { byZoom: new Map(), lastUpdate: 0, pendingCellSizeByZoom: new Map() };
         this._debug = { last: 0 };
-        this._shaderVersion = 8;
+        this._shaderVersion = 10;
         // Internal defaults (keep external config minimal for now).
         this._opts = {
             mapDrapeAtlasFilter: 'linear',
@@ -42,6 +42,8 @@ export class TerrainMapAtlas {
 
         material.userData = material.userData || {};
         const version = this._shaderVersion | 0;
+        // ENU scene frame: world XZ is not linear in mercator, tiles carry their mercator-frame XZ as an attribute.
+        const enuFrame = this.terrain?.proj?.getSceneFrame?.() === 'enu';
         if (material.userData.mapAtlasInstalled === true && material.userData.mapAtlasVersion === version) return;
 
         const priorOnBeforeCompile = material.userData.mapAtlasPrevOnBeforeCompile ?? material.onBeforeCompile;
@@ -93,9 +95,13 @@ export class TerrainMapAtlas {
             material.userData.mapAtlasUniforms = shader.uniforms;
 
             const varyName = 'vMapAtlasWorldPos';
-            shader.vertexShader = shader.vertexShader
-                .replace('#include <common>', `#include <common>\nvarying vec3 ${varyName};`)
-                .replace('#include <begin_vertex>', `#include <begin_vertex>\n${varyName} = (modelMatrix * vec4(position, 1.0)).xyz;`);
+            shader.vertexShader = enuFrame
+                ? shader.vertexShader
+                    .replace('#include <common>', `#include <common>\nattribute vec2 sceneMercatorXZ;\nvarying vec3 ${varyName};`)
+                    .replace('#include <begin_vertex>', `#include <begin_vertex>\n${varyName} = vec3(sceneMercatorXZ.x, 0.0, sceneMercatorXZ.y);`)
+                : shader.vertexShader
+                    .replace('#include <common>', `#include <common>\nvarying vec3 ${varyName};`)
+                    .replace('#include <begin_vertex>', `#include <begin_vertex>\n${varyName} = (modelMatrix * vec4(position, 1.0)).xyz;`);
 
             const header = `
 uniform float uMapAtlasEnabled;
@@ -226,6 +232,9 @@ vec4 sampleMapAtlas(in sampler2D tex, in vec4 grid, in vec2 originLocal, in floa
             shader.fragmentShader = shader.fragmentShader.replace(
                 '#include <map_fragment>',
                 `#include <map_fragment>
+ // Atlas texels already contain the imagery overlay layers; the per-tile overlay pass skips them.
+ #define MAP_ATLAS_COVERAGE
+ float mapAtlasCovered = 0.0;
  #ifdef USE_MAP
      if (uMapAtlasEnabled > 0.5) {
         vec4 c0 = sampleMapAtlas(uMapAtlasTex0, uMapAtlasGrid0, uMapAtlasOriginLocal0, uMapAtlasInvCell0, uMapAtlasZoom0, ${varyName}, 0.0);
@@ -248,6 +257,7 @@ vec4 sampleMapAtlas(in sampler2D tex, in vec4 grid, in vec2 originLocal, in floa
 
         if (atlasColor.a > 0.0) {
             diffuseColor.rgb = atlasColor.rgb;
+            mapAtlasCovered = 1.0;
         }
     }
 #endif`
@@ -256,7 +266,7 @@ vec4 sampleMapAtlas(in sampler2D tex, in vec4 grid, in vec2 originLocal, in floa
 
         material.customProgramCacheKey = function () {
             const base = typeof priorKey === 'function' ? String(priorKey.call(this)) : '';
-            return `${base}|mapAtlas-v${version}`;
+            return `${base}|mapAtlas-v${version}${enuFrame ? '-enu' : ''}`;
         };
         material.userData.mapAtlasInstalled = true;
         material.userData.mapAtlasVersion = version;
@@ -610,8 +620,7 @@ vec4 sampleMapAtlas(in sampler2D tex, in vec4 grid, in vec2 originLocal, in floa
                 for (const [nx, ny] of ndc) {
                     const p = _groundHitAtNdc(nx, ny);
                     if (!p) continue;
-                    const mx = proj.centerMercator.x + toMeters(p.x);
-                    const my = proj.centerMercator.y - toMeters(p.z);
+                    const { x: mx, y: my } = proj.threeToMercator(p.x, 0, p.z);
                     if (!Number.isFinite(mx) || !Number.isFinite(my)) continue;
                     mercPts.push({ x: mx, y: my });
                 }
@@ -721,8 +730,7 @@ vec4 sampleMapAtlas(in sampler2D tex, in vec4 grid, in vec2 originLocal, in floa
 
                 const mx = clamp(camMerc.x, west, east);
                 const my = clamp(camMerc.y, south, north);
-                const wx = toUnits(mx - proj.centerMercator.x);
-                const wz = toUnits(proj.centerMercator.y - my);
+                const { x: wx, z: wz } = proj.mercatorToThree(mx, my);
                 const wy0 = this.terrain?.sampleHeightAtWorld?.(wx, wz, 'heightmap');
                 const wy = Number.isFinite(wy0) ? Number(wy0) : (Number.isFinite(groundHeightAtCam) ? Number(groundHeightAtCam) : 0);
 
@@ -1385,8 +1393,7 @@ vec4 sampleMapAtlas(in sampler2D tex, in vec4 grid, in vec2 originLocal, in floa
             for (const [nx, ny] of ndc) {
                 const p = _groundHitAtNdc(nx, ny);
                 if (!p) continue;
-                const mx = proj.centerMercator.x + toMeters(p.x);
-                const my = proj.centerMercator.y - toMeters(p.z);
+                const { x: mx, y: my } = proj.threeToMercator(p.x, 0, p.z);
                 if (!Number.isFinite(mx) || !Number.isFinite(my)) continue;
                 mercPts.push({ x: mx, y: my });
             }
@@ -2123,6 +2130,8 @@ vec4 sampleMapAtlas(in sampler2D tex, in vec4 grid, in vec2 originLocal, in floa
         const renderer = this.terrain?.renderer;
         if (!renderer || !st?.rt || !st?.scene || !st?.cam) return;
 
+        this._syncImageryLayerCells(st);
+
         const prevRT = renderer.getRenderTarget();
         const prevClear = new THREE.Color();
         try { renderer.getClearColor(prevClear); } catch {}
@@ -2145,6 +2154,162 @@ vec4 sampleMapAtlas(in sampler2D tex, in vec4 grid, in vec2 originLocal, in floa
         try { renderer.setClearColor(prevClear, prevAlpha); } catch {}
     }
 
+    /**
+     * Re-composite imagery overlay layers into every zoom atlas (after add/remove/reorder/opacity changes).
+     */
+    refreshImageryLayers() {
+        for (const st of this._state?.byZoom?.values?.() ?? []) this._renderZoom(st);
+    }
+
+    _imageryLayerCellMaterial() {
+        const mat = new THREE.ShaderMaterial({
+            uniforms: {
+                map: { value: null },
+                uvTransform: { value: new THREE.Matrix3() },
+                opacity: { value: 1 },
+                mode: { value: 0 }
+            },
+            vertexShader: `
+varying vec2 vUv;
+uniform mat3 uvTransform;
+void main() {
+    vUv = (uvTransform * vec3(uv, 1.0)).xy;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}`,
+            // Outputs are paired with the blend factors in `_applyImageryLayerBlend` (alpha keeps the base mask).
+            fragmentShader: `
+uniform sampler2D map;
+uniform float opacity;
+uniform float mode;
+varying vec2 vUv;
+void main() {
+    vec4 c = texture2D(map, vUv);
+    float a = clamp(c.a * opacity, 0.0, 1.0);
+    int m = int(mode + 0.5);
+    if (m == 1) gl_FragColor = vec4(mix(vec3(1.0), c.rgb, a), 1.0);
+    else if (m == 2 || m == 3) gl_FragColor = vec4(c.rgb * a, 1.0);
+    else gl_FragColor = vec4(c.rgb, a);
+}`,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false
+        });
+        mat.toneMapped = false;
+        return mat;
+    }
+
+    _applyImageryLayerBlend(mat, layer) {
+        const factors = [
+            [THREE.SrcAlphaFactor, THREE.OneMinusSrcAlphaFactor], // normal
+            [THREE.ZeroFactor, THREE.SrcColorFactor], // multiply
+            [THREE.OneFactor, THREE.OneMinusSrcColorFactor], // screen
+            [THREE.OneFactor, THREE.OneFactor] // add
+        ][layer.blendId] ?? [THREE.SrcAlphaFactor, THREE.OneMinusSrcAlphaFactor];
+        mat.blending = THREE.CustomBlending;
+        mat.blendEquation = THREE.AddEquation;
+        mat.blendSrc = factors[0];
+        mat.blendDst = factors[1];
+        mat.blendEquationAlpha = THREE.AddEquation;
+        mat.blendSrcAlpha = THREE.ZeroFactor;
+        mat.blendDstAlpha = THREE.OneFactor;
+        mat.uniforms.opacity.value = layer.opacity;
+        mat.uniforms.mode.value = layer.blendId;
+    }
+
+    /**
+     * Keep one overlay mesh per (layer, present base cell) in the zoom atlas scene; loads missing overlay tiles
+     * and re-renders the atlas when they arrive. Cells without a base tile stay empty (alpha is the presence mask).
+     */
+    _syncImageryLayerCells(st) {
+        const layers = this.terrain?.imageryLayers?.list?.() ?? [];
+        if (!st.imageryLayers) {
+            if (!layers.length) return;
+            st.imageryLayers = new Map(); // layerId -> Map(cellIdx -> { mesh, key, loaded })
+        }
+
+        const ids = new Set(layers.map((l) => l.id));
+        for (const [id, cells] of st.imageryLayers) {
+            if (ids.has(id)) continue;
+            for (const cell of cells.values()) {
+                st.scene.remove(cell.mesh);
+                cell.mesh.material.dispose();
+            }
+            st.imageryLayers.delete(id);
+        }
+
+        const tileSize = this.terrain?.tileConfig?.tileSize ?? 256;
+        const gridSize = st.grid.gridSize;
+        layers.forEach((layer, order) => {
+            let cells = st.imageryLayers.get(layer.id);
+            if (!cells) {
+                cells = new Map();
+                st.imageryLayers.set(layer.id, cells);
+            }
+            const active = layer.isVisibleAt(st.z);
+            const srcZ = layer.sourceZoom(st.z);
+
+            for (let idx = 0; idx < st.meshes.length; idx++) {
+                const baseMat = st.meshes[idx]?.material;
+                const present = !!baseMat?.map && baseMat.opacity > 0;
+                let cell = cells.get(idx);
+                if (!active || !present) {
+                    if (cell) cell.mesh.visible = false;
+                    continue;
+                }
+
+                if (!cell) {
+                    const mesh = new THREE.Mesh(st.meshes[idx].geometry, this._imageryLayerCellMaterial());
+                    mesh.position.copy(st.meshes[idx].position);
+                    mesh.visible = false;
+                    st.scene.add(mesh);
+                    cell = { mesh, key: null, loaded: false };
+                    cells.set(idx, cell);
+                }
+                cell.mesh.renderOrder = order + 1;
+                this._applyImageryLayerBlend(cell.mesh.material, layer);
+
+                const tileX = st.grid.originX + (idx % gridSize);
+                const tileY = st.grid.originY + Math.floor(idx / gridSize);
+                const key = `${layer.revision ?? 0}:${srcZ}/${tileX}/${tileY}`;
+                if (cell.key === key) {
+                    cell.mesh.visible = cell.loaded;
+                    continue;
+                }
+
+                cell.key = key;
+                cell.loaded = false;
+                cell.mesh.visible = false;
+                layer.loader
+                    .getTextureForTerrainTile(tileX, tileY, st.z, { mapZoom: srcZ, maxZoomDiff: 0, tileSize })
+                    .then((tex) => {
+                        if (!tex || cell.key !== key || st.imageryLayers?.get(layer.id) !== cells) return;
+                        const u = cell.mesh.material.uniforms;
+                        u.map.value = tex;
+                        tex.updateMatrix?.();
+                        u.uvTransform.value.copy(tex.matrix);
+                        cell.loaded = true;
+                        this._scheduleImageryLayerRender(st);
+                    })
+                    .catch(() => {});
+            }
+        });
+    }
+
+    _scheduleImageryLayerRender(st) {
+        if (!this._imageryLayerRenderQueue) this._imageryLayerRenderQueue = new Set();
+        this._imageryLayerRenderQueue.add(st);
+        if (this._imageryLayerRenderTimer) return;
+        // Coalesce tile arrivals into one atlas render per zoom.
+        this._imageryLayerRenderTimer = setTimeout(() => {
+            this._imageryLayerRenderTimer = null;
+            const queue = Array.from(this._imageryLayerRenderQueue);
+            this._imageryLayerRenderQueue.clear();
+            for (const q of queue) {
+                if (this._state?.byZoom?.get?.(q.z) === q) this._renderZoom(q);
+            }
+        }, 0);
+    }
+
     _mercatorToTileXY(mercX, mercY, zoom) {
         const proj = this.terrain?.proj;
         if (!proj?.mercatorToLonLat || !proj?.lonLatToTile) return null;
@@ -2157,25 +2322,15 @@ vec4 sampleMapAtlas(in sampler2D tex, in vec4 grid, in vec2 originLocal, in floa
         if (!frustum || !boundsMerc?.min || !boundsMerc?.max || !proj?.centerMercator) return true;
 
         const toUnits = (v) => (proj?.metersToUnits ? proj.metersToUnits(v) : Number(v));
-        const cx = proj.centerMercator.x;
-        const cy = proj.centerMercator.y;
-        const west = boundsMerc.min.x;
-        const east = boundsMerc.max.x;
-        const north = boundsMerc.min.y;
-        const south = boundsMerc.max.y;
-
-        const xW = toUnits(west - cx);
-        const xE = toUnits(east - cx);
-        const zN = toUnits(cy - north);
-        const zS = toUnits(cy - south);
+        const { minX, maxX, minZ, maxZ } = proj.mercatorBoundsToThreeBox(boundsMerc);
 
         const yPad = toUnits(10000);
         const y0 = Number.isFinite(yWorld) ? Math.min(-yPad, yWorld - yPad) : -yPad;
         const y1 = Number.isFinite(yWorld) ? (yWorld + yPad) : yPad;
 
         const box = new THREE.Box3(
-            new THREE.Vector3(Math.min(xW, xE), y0, Math.min(zN, zS)),
-            new THREE.Vector3(Math.max(xW, xE), y1, Math.max(zN, zS))
+            new THREE.Vector3(minX, y0, minZ),
+            new THREE.Vector3(maxX, y1, maxZ)
         );
         return frustum.intersectsBox(box);
     }
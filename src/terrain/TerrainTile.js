@@ -21,6 +21,9 @@ export class TerrainTile {
             east: false,
             west: false
         };
+        // T-junction constraints on `heightmap` edges, keyed by edge ('N'|'S'|'E'|'W'):
+        // { target, idx, original, written } (see `Terrain.refreshEdgeConstraints`)
+        this.edgeConstraints = {};
     }
 
     getKey() {
@@ -0,0 +1,95 @@
+/**
+ * Elevation decoders for RGB-encoded terrain tiles.
+ *
+ * A decoder turns one RGBA pixel into a height in meters:
+ *   decode(r, g, b, a) => number
+ *
+ * Built-in encodings:
+ * - 'mapbox'    : -10000 + (R*65536 + G*256 + B) * 0.1   (Mapbox terrain-rgb, geovisearth)
+ * - 'terrarium' : (R*256 + G + B/256) - 32768            (AWS/Mapzen Terrarium)
+ * - 'custom'    : base + (R*65536 + G*256 + B) * interval (in-house DEM tiles with their own base/scale)
+ */
+
+const decoderFactories = new Map();
+
+function toFiniteOr(v, fallback) {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : fallback;
+}
+
+function normalizeType(t) {
+    const s = String(t ?? '').trim().toLowerCase();
+    if (!s) return null;
+    if (s === 'mapbox' || s === 'terrain-rgb' || s === 'terrainrgb' || s === 'rgb') return 'mapbox';
+    if (s === 'terrarium' || s === 'mapzen' || s === 'aws') return 'terrarium';
+    if (s === 'custom' || s === 'base-interval') return 'custom';
+    return s;
+}
+
+/**
+ * Register (or replace) a named decoder factory.
+ * The factory receives the resolved options object and must return `(r, g, b, a) => meters`.
+ * @param {string} name
+ * @param {(options: Object) => Function} factory
+ */
+export function registerElevationDecoder(name, factory) {
+    const key = normalizeType(name);
+    if (!key || typeof factory !== 'function') return;
+    decoderFactories.set(key, factory);
+}
+
+registerElevationDecoder('mapbox', () => (r, g, b) => -10000 + (r * 65536 + g * 256 + b) * 0.1);
+
+registerElevationDecoder('terrarium', () => (r, g, b) => (r * 256 + g + b / 256) - 32768);
+
+registerElevationDecoder('custom', (options = {}) => {
+    const base = toFiniteOr(options.base, -10000);
+    const interval = toFiniteOr(options.interval, 0.1);
+    return (r, g, b) => base + (r * 65536 + g * 256 + b) * interval;
+});
+
+export function getElevationDecoderTypes() {
+    return Array.from(decoderFactories.keys());
+}
+
+/**
+ * Resolve the terrain elevation decoder from Viewer/Terrain config.
+ *
+ * Accepted forms (first match wins):
+ * - `config.terrainDecoder`  : function `(r, g, b, a) => meters`
+ * - `config.terrainDecoder`  : `{ type, base?, interval? }` or a registered type name
+ * - `config.terrainEncoding` : registered type name, with optional
+ *                              `config.terrainEncodingBase` / `config.terrainEncodingInterval`
+ * - default                  : 'mapbox'
+ *
+ * @returns {{ type: string, decode: Function }}
+ */
+export function resolveElevationDecoder(input = {}) {
+    const cfg = input || {};
+    const raw = cfg.terrainDecoder ?? null;
+
+    if (typeof raw === 'function') {
+        return { type: 'callback', decode: raw };
+    }
+
+    let type = null;
+    let options = {
+        base: cfg.terrainEncodingBase,
+        interval: cfg.terrainEncodingInterval
+    };
+    if (raw && typeof raw === 'object') {
+        if (typeof raw.decode === 'function') return { type: 'callback', decode: raw.decode };
+        type = normalizeType(raw.type ?? raw.encoding);
+        options = { ...options, ...raw };
+    } else if (typeof raw === 'string') {
+        type = normalizeType(raw);
+    }
+    if (!type) type = normalizeType(cfg.terrainEncoding) ?? 'mapbox';
+
+    const factory = decoderFactories.get(type);
+    if (!factory) {
+        console.warn(`[Terrain] Unknown terrain encoding "${type}", falling back to "mapbox".`);
+        return { type: 'mapbox', decode: decoderFactories.get('mapbox')(options) };
+    }
+    return { type, decode: factory(options) };
+}
@@ -0,0 +1,151 @@
+function pickFirstNonEmpty(...vals) {
+    for (const v of vals) {
+        if (typeof v === 'string' && v.trim()) return v.trim();
+    }
+    return null;
+}
+
+function normalizeType(t) {
+    const s = String(t ?? '').trim().toLowerCase();
+    if (!s) return null;
+    if (s === 'geovisearth' || s === 'geovis' || s === 'xingtu') return 'geovisearth';
+    if (s === 'mapbox' || s === 'mapbox-terrain' || s === 'mapbox-terrain-rgb') return 'mapbox';
+    if (s === 'maptiler' || s === 'map-tiler') return 'maptiler';
+    if (s === 'terrarium' || s === 'aws' || s === 'aws-terrarium' || s === 'mapzen') return 'terrarium';
+    if (s === 'quantized-mesh' || s === 'quantizedmesh' || s === 'qm' || s === 'cesium') return 'quantized-mesh';
+    if (s === 'custom') return 'custom';
+    return s;
+}
+
+export const TERRAIN_SOURCE_TYPES = [
+    'geovisearth',
+    'mapbox',
+    'maptiler',
+    'terrarium',
+    'quantized-mesh',
+    'custom'
+];
+
+/**
+ * Resolve the effective terrain (elevation) tile configuration.
+ * Mirrors `resolveBaseMapConfig` for imagery.
+ *
+ * Precedence:
+ * 1) If terrainSourceType is provided -> use preset (requires token for some providers)
+ * 2) Else if terrainTileUrl is provided -> use user URL
+ * 3) Else -> geovisearth terrain-rgb (token via config.terrainToken)
+ *
+ * Returned `terrainEncoding` is the preset's pixel encoding (see `elevationDecoders.js`);
+ * Terrain only applies it when the user did not set `terrainEncoding` / `terrainDecoder`.
+ *
+ * Returned `terrainFormat` is 'rgb' (raster terrain-rgb tiles) or 'quantized-mesh'
+ * (`terrainTileUrl` is then the tileset's layer.json / root URL, or a `.terrain` tile template).
+ */
+export function resolveTerrainSourceConfig(input = {}) {
+    const cfg = input || {};
+    const type = normalizeType(cfg.terrainSourceType);
+
+    const token = pickFirstNonEmpty(
+        cfg.terrainToken,
+        cfg.terrainKey,
+        cfg.geovisearthToken,
+        cfg.mapboxToken,
+        cfg.maptilerToken
+    );
+
+    const userYtype = pickFirstNonEmpty(cfg.terrainYtype, cfg.terrainYType, cfg.terrainTileScheme);
+    const userSubdomains = cfg.terrainSubdomains ?? cfg.terrainSubDomains ?? null;
+
+    const geovisearth = () => ({
+        terrainSourceType: 'geovisearth',
+        terrainTileUrl: 'https://tiles1.geovisearth.com/base/v1/terrain-rgb/{z}/{x}/{y}?format=png&tmsIds=w&token={token}',
+        terrainYtype: 'xyz',
+        terrainSubdomains: null,
+        terrainEncoding: 'mapbox',
+        terrainFormat: 'rgb',
+        templateToken: token
+    });
+
+    // 1) Presets by terrainSourceType
+    if (type && type !== 'custom') {
+        if (type === 'geovisearth') return geovisearth();
+
+        if (type === 'mapbox') {
+            return {
+                terrainSourceType: 'mapbox',
+                terrainTileUrl: 'https://api.mapbox.com/v4/mapbox.terrain-rgb/{z}/{x}/{y}.pngraw?access_token={token}',
+                terrainYtype: 'xyz',
+                terrainSubdomains: null,
+                terrainEncoding: 'mapbox',
+                terrainFormat: 'rgb',
+                templateToken: token
+            };
+        }
+
+        if (type === 'maptiler') {
+            return {
+                terrainSourceType: 'maptiler',
+                terrainTileUrl: 'https://api.maptiler.com/tiles/terrain-rgb-v2/{z}/{x}/{y}.webp?key={token}',
+                terrainYtype: 'xyz',
+                terrainSubdomains: null,
+                terrainEncoding: 'mapbox',
+                terrainFormat: 'rgb',
+                templateToken: token
+            };
+        }
+
+        if (type === 'terrarium') {
+            return {
+                terrainSourceType: 'terrarium',
+                terrainTileUrl: 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png',
+                terrainYtype: 'xyz',
+                terrainSubdomains: null,
+                terrainEncoding: 'terrarium',
+                terrainFormat: 'rgb',
+                // Public bucket, no key; keep bursts modest anyway.
+                terrainMaxConcurrent: 6,
+                templateToken: null
+            };
+        }
+
+        if (type === 'quantized-mesh') {
+            const url = pickFirstNonEmpty(cfg.terrainTileUrl, cfg.quantizedMeshUrl);
+            if (!url) {
+                console.warn('[Terrain] terrainSourceType="quantized-mesh" requires config.terrainTileUrl (layer.json URL); using geovisearth.');
+                return geovisearth();
+            }
+            return {
+                terrainSourceType: 'quantized-mesh',
+                terrainTileUrl: url,
+                terrainYtype: userYtype ?? 'tms',
+                terrainSubdomains: userSubdomains,
+                terrainEncoding: null,
+                terrainFormat: 'quantized-mesh',
+                templateToken: token
+            };
+        }
+
+        console.warn(`[Terrain] Unknown terrainSourceType "${cfg.terrainSourceType}", using terrainTileUrl/default.`);
+    }
+
+    // 2) Custom: user-supplied terrainTileUrl, but still treats terrainSourceType as explicit selection.
+    const userUrl = pickFirstNonEmpty(cfg.terrainTileUrl);
+    if (type === 'custom' || userUrl) {
+        if (!userUrl) {
+            console.warn('[Terrain] terrainSourceType="custom" requires config.terrainTileUrl; using geovisearth.');
+            return geovisearth();
+        }
+        return {
+            terrainSourceType: type === 'custom' ? 'custom' : null,
+            terrainTileUrl: userUrl,
+            terrainYtype: userYtype ?? 'xyz',
+            terrainSubdomains: userSubdomains,
+            terrainEncoding: null,
+            terrainFormat: String(cfg.terrainFormat ?? '').toLowerCase() === 'quantized-mesh' ? 'quantized-mesh' : 'rgb',
+            templateToken: token
+        };
+    }
+
+    // 3) Default: geovisearth terrain-rgb
+    return geovisearth();
+}
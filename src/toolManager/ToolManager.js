@@ -562,6 +562,9 @@ export class ToolManager {
         // 保存UI引用和实例
         tool.ui = this.uiContainer;
         tool.uiInstance = uiInstance;
+
+        // 恢复面板关闭期间加载的会话内容（绘制对象 / 填挖方多边形）
+        this.options.rgbTerrain?.restoreToolSession?.(toolId, uiInstance);
     }
     
     /**
@@ -0,0 +1,34 @@
+import { crsKey } from '../../math/crs.js';
+
+/**
+ * 用场景中心适用的坐标系填充下拉框，选中项即 MathProj 的工程坐标系（各面板共用）
+ * @param {HTMLSelectElement} selectEl - 下拉框
+ * @param {import('../../math/proj.js').MathProj} mathProj - 坐标转换工具
+ * @param {Function} [onChange] - 切换后回调，参数为新坐标系
+ */
+export function bindCrsSelect(selectEl, mathProj, onChange) {
+    if (!selectEl || !mathProj) return;
+    const options = mathProj.getCrsOptions();
+    const current = crsKey(mathProj.getWorkingCrs());
+    if (typeof current !== 'string') {
+        // 通过 API 设置的自定义坐标系（投影参数 / 函数）：只显示，不可重新选回
+        options.push({ value: '', label: mathProj.describeCrs().name });
+    } else if (!options.some(o => o.value === current)) {
+        options.push({ value: current, label: `${mathProj.describeCrs().name}（${current}）` });
+    }
+
+    selectEl.innerHTML = '';
+    for (const o of options) {
+        const opt = document.createElement('option');
+        opt.value = o.value;
+        opt.textContent = o.label;
+        selectEl.appendChild(opt);
+    }
+    selectEl.value = typeof current === 'string' ? current : '';
+
+    selectEl.addEventListener('change', () => {
+        if (!selectEl.value) return;
+        mathProj.setWorkingCrs(selectEl.value);
+        onChange?.(selectEl.value);
+    });
+}
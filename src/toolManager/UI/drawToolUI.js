@@ -3,6 +3,7 @@ import { drawToolHTML } from './html/drawToolHTML.js';
 import { drawToolStyles } from './style/drawToolStyles.js';
 import { DrawTool } from '../../drawTool/DrawTool.js';
 import { IMG } from '../../assets/img/urls.js';
+import { downloadFeatures } from '../../vector/featureExport.js';
 
 /**
  * 绘制工具UI类
@@ -61,7 +62,8 @@ export class DrawToolUI {
         this.drawTool = new DrawTool({
             scene: this.scene,
             rgbTerrain: this.rgbTerrain,
-            markerManager: this.markerManager
+            markerManager: this.markerManager,
+            mathProj: this.mathProj
         });
         // Ensure a valid marker manager exists for later updates
         this.markerManager = this.drawTool.markerManager;
@@ -246,6 +248,67 @@ export class DrawToolUI {
                 this.clearDrawing();
             });
         }
+
+        // 数据导入（KML/KMZ/GPX/GeoJSON）
+        const importInput = document.getElementById('drawImportFile');
+        if (importInput) {
+            importInput.addEventListener('change', async (e) => {
+                const file = e.target.files?.[0];
+                if (file) await this.importFile(file);
+                e.target.value = '';
+            });
+        }
+
+        // 导出绘制对象
+        const exportBtn = document.getElementById('drawExportBtn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                const format = document.getElementById('drawExportFormat')?.value || 'geojson';
+                this.exportDrawObjects(format);
+            });
+        }
+    }
+
+    /**
+     * 下载所有绘制对象
+     * @param {'geojson'|'kml'|'csv'} format - 导出格式
+     */
+    exportDrawObjects(format = 'geojson') {
+        const fc = this.drawTool.toGeoJson();
+        if (!fc.features.length) {
+            alert('没有可导出的绘制对象。');
+            return;
+        }
+        downloadFeatures(fc, format, 'draw_objects');
+    }
+
+    /**
+     * 导入 KML / KMZ / GPX / GeoJSON 文件：点 → 标记点，线/航迹 → 贴地线，面 → 贴地面
+     * 使用当前的贴地选项、颜色与透明度（文件中的线/点颜色优先）
+     * @param {File} file - 文件
+     * @returns {Promise<Object|null>} 新建对象ID（失败返回null）
+     */
+    async importFile(file) {
+        const status = document.getElementById('drawImportStatus');
+        const color = this.hexToThreeColor(this.drawColor);
+        try {
+            if (status) status.textContent = `正在导入 ${file.name} ...`;
+            const result = await this.drawTool.importFile(file, {
+                ground: this.isGroundDrawing,
+                pointColor: color,
+                lineColor: color,
+                areaColor: color,
+                areaOpacity: this.drawOpacity
+            });
+            if (status) {
+                status.textContent = `已导入 ${file.name}：点 ${result.points.length}，线 ${result.lines.length}，面 ${result.areas.length}`;
+            }
+            return result;
+        } catch (err) {
+            console.error('导入失败:', err);
+            if (status) status.textContent = `导入失败：${err?.message ?? err}`;
+            return null;
+        }
     }
 
     /**
@@ -75,6 +75,25 @@ export const drawToolHTML = `
             </div>
         </div>
         
+        <!-- 数据导入 -->
+        <div class="draw-import-section">
+            <h4>导入 / 导出</h4>
+            <div class="draw-option-item">
+                <input type="file" id="drawImportFile" accept=".kml,.kmz,.gpx,.geojson,.json">
+            </div>
+            <div class="draw-info-content">
+                <div id="drawImportStatus">支持 KML / KMZ / GPX / GeoJSON</div>
+            </div>
+            <div class="draw-option-item draw-export-row">
+                <select id="drawExportFormat">
+                    <option value="geojson">GeoJSON</option>
+                    <option value="kml">KML</option>
+                    <option value="csv">CSV</option>
+                </select>
+                <button id="drawExportBtn">导出绘制对象</button>
+            </div>
+        </div>
+        
         <!-- 绘制信息 -->
         <div class="draw-info-section">
             <h4>绘制信息</h4>
@@ -3,6 +3,7 @@
  * 负责导出测量工具的HTML布局
  */
 import { IMG } from '../../../assets/img/urls.js';
+import { EARTHWORK_MATERIALS } from '../../measureMath.js';
 
 export const measureToolHTML = `
     <div class="measure-tool-ui">
@@ -58,6 +59,16 @@ export const measureToolHTML = `
             <button id="undoBtn">撤销</button>
             <button id="clearBtn">清空</button>
         </div>
+
+        <!-- 测量结果导出 -->
+        <div class="control-section measure-export">
+            <select id="measureExportFormat">
+                <option value="geojson">GeoJSON</option>
+                <option value="kml">KML</option>
+                <option value="csv">CSV</option>
+            </select>
+            <button id="measureExportBtn">导出结果</button>
+        </div>
         
         <!-- 点测量结果 -->
         <div id="pointResultSection" class="control-section result-section point-result" style="display: block;">
@@ -99,6 +110,18 @@ export const measureToolHTML = `
                     <span class="point-label">3857 Z：</span>
                     <span id="point3857Z" class="point-value">-</span>
                 </div>
+                <div class="point-info-row">
+                    <span class="point-label">坐标系：</span>
+                    <select id="pointCrs" class="point-crs-select"></select>
+                </div>
+                <div class="point-info-row">
+                    <span class="point-label">X / 东：</span>
+                    <span id="pointCrsX" class="point-value">-</span>
+                </div>
+                <div class="point-info-row">
+                    <span class="point-label">Y / 北：</span>
+                    <span id="pointCrsY" class="point-value">-</span>
+                </div>
             </div>
         </div>
         
@@ -170,6 +193,15 @@ export const measureToolHTML = `
         <div id="multiDistanceResultSection" class="control-section result-section multi-distance-result" style="display: none;">
             <h4>多点路程测量结果</h4>
             <div class="distance-section">
+                <!-- 贴地路程模式：沿地形加密采样（运输道路规划） -->
+                <div class="cutfill-row">
+                    <label class="dist-label"><input id="surfaceDistanceMode" type="checkbox"> 贴地路程（沿地形）</label>
+                </div>
+                <div class="cutfill-row">
+                    <span class="dist-label">采样间距（米）</span>
+                    <input id="surfaceDistanceStep" class="cutfill-input" type="number" value="5" step="0.5" min="0.5">
+                </div>
+
                 <!-- 总距离 - 分门别类显示 -->
                 <div class="distance-category">
                     <h5>总距离</h5>
@@ -186,6 +218,36 @@ export const measureToolHTML = `
                         <span id="totalGroundGeodesicDistance" class="dist-value">0.00 米</span>
                     </div>
                 </div>
+
+                <!-- 贴地路程（仅贴地路程模式） -->
+                <div id="surfaceDistanceTotals" class="distance-category" style="display: none;">
+                    <div class="distance-divider"></div>
+                    <h5>贴地路程</h5>
+                    <div class="distance-row">
+                        <span class="dist-label">水平长度：</span>
+                        <span id="surfaceHorizontalLength" class="dist-value">-</span>
+                    </div>
+                    <div class="distance-row">
+                        <span class="dist-label">坡面长度：</span>
+                        <span id="surfaceSlopeLength" class="dist-value">-</span>
+                    </div>
+                    <div class="distance-row">
+                        <span class="dist-label">贴地三维长度：</span>
+                        <span id="surface3dLength" class="dist-value">-</span>
+                    </div>
+                    <div class="distance-row">
+                        <span class="dist-label">累计爬升 / 下降：</span>
+                        <span id="surfaceRiseFall" class="dist-value">-</span>
+                    </div>
+                    <div class="distance-row">
+                        <span class="dist-label">最大坡度：</span>
+                        <span id="surfaceMaxGrade" class="dist-value">-</span>
+                    </div>
+                    <div class="distance-row">
+                        <span class="dist-label">平均坡度：</span>
+                        <span id="surfaceAvgGrade" class="dist-value">-</span>
+                    </div>
+                </div>
                 
                 <!-- 分段距离 - 分门别类显示 -->
                 <div class="distance-divider"></div>
@@ -259,8 +321,13 @@ export const measureToolHTML = `
                     拾取：点击添加点，双击结束当前多边形；可多次“开始/结束”叠加多个多边形。支持凹多边形（三角化）。
                 </div>
 
+                <div class="cutfill-row">
+                    <span class="cut-fill-label">坐标系</span>
+                    <select id="cutfillCrs" class="cutfill-input"></select>
+                </div>
+
                 <div class="cutfill-field">
-                    <label for="cutfillPolygonsJson">多边形数组（JSON：[[[lon,lat],...], ...]）</label>
+                    <label for="cutfillPolygonsJson">多边形数组（JSON：[[[lon,lat],...], ...]，投影坐标系为 [[[X,Y],...], ...]；分台可写 {"polygon":[...],"targetElevation":H,"longGrade":i,"crossGrade":j,"azimuth":α} 或 {"polygon":[...],"points":[[X,Y,H] x3]}）</label>
                     <textarea id="cutfillPolygonsJson" rows="6" spellcheck="false" placeholder="示例：&#10;[&#10;  [[105.290,28.835],[105.293,28.834],[105.294,28.835],[105.294,28.838],[105.290,28.838]],&#10;  [[105.300,28.841],[105.303,28.840],[105.304,28.841],[105.304,28.844],[105.300,28.844]]&#10;]"></textarea>
                 </div>
 
@@ -269,6 +336,45 @@ export const measureToolHTML = `
                     <input id="cutfillTargetElevation" class="cutfill-input" type="number" value="0" step="0.1">
                 </div>
 
+                <div class="cutfill-row">
+                    <span class="cut-fill-label">平台设计面</span>
+                    <select id="cutfillPlaneMode" class="cutfill-input">
+                        <option value="flat">水平面（目标海拔 H）</option>
+                        <option value="grade">H + 纵坡 / 横坡</option>
+                        <option value="points">三点定面</option>
+                    </select>
+                </div>
+
+                <div id="cutfillGradeFields" style="display: none;">
+                    <div class="cutfill-row">
+                        <span class="cut-fill-label">纵坡（%）</span>
+                        <input id="cutfillLongGrade" class="cutfill-input" type="number" value="0" step="0.1">
+                    </div>
+                    <div class="cutfill-row">
+                        <span class="cut-fill-label">横坡（%）</span>
+                        <input id="cutfillCrossGrade" class="cutfill-input" type="number" value="0" step="0.1">
+                    </div>
+                    <div class="cutfill-row">
+                        <span class="cut-fill-label">纵坡方位角（°）</span>
+                        <input id="cutfillGradeAzimuth" class="cutfill-input" type="number" value="0" step="1">
+                    </div>
+                    <div class="cutfill-tip">H 为多边形中心处高程；纵坡沿方位角（北起顺时针）方向上升，横坡向其右侧上升。</div>
+                </div>
+
+                <div id="cutfillPointsFields" class="cutfill-field" style="display: none;">
+                    <label for="cutfillPlanePoints">三个参考点（JSON：[[lon,lat,H],...]，投影坐标系为 [[X,Y,H],...]）</label>
+                    <textarea id="cutfillPlanePoints" rows="3" spellcheck="false"></textarea>
+                </div>
+
+                <div class="cutfill-field">
+                    <label for="cutfillDesignFile">设计面（LandXML / DXF 3DFACE，替代目标海拔）</label>
+                    <div class="cutfill-row">
+                        <input id="cutfillDesignFile" class="cutfill-input" type="file" accept=".xml,.landxml,.dxf">
+                        <div class="cutfill-actions"><button id="cutfillDesignClearBtn">清除</button></div>
+                    </div>
+                    <div id="cutfillDesignStatus" class="cutfill-tip">未加载设计面（使用目标海拔 H）</div>
+                </div>
+
                 <div class="cutfill-row">
                     <span class="cut-fill-label">采样步长（米）</span>
                     <input id="cutfillSampleStep" class="cutfill-input" type="number" value="20" step="1" min="1">
@@ -303,9 +409,108 @@ export const measureToolHTML = `
                     <span class="cut-fill-label">净方（填-挖）</span>
                     <span id="cutfillNetVolumeGeodesic" class="cut-fill-value">0.00 立方米</span>
                 </div>
+                <div class="cut-fill-row">
+                    <span class="cut-fill-label">设计面未覆盖面积</span>
+                    <span id="cutfillUncoveredArea" class="cut-fill-value">0.00 平方米</span>
+                </div>
+                <div id="cutfillPolygonStats"></div>
+
+                <div class="distance-divider"></div>
+
+                <!-- 土方材料与运量 -->
+                <div class="cutfill-row">
+                    <span class="cut-fill-label">土质</span>
+                    <select id="cutfillMaterial" class="cutfill-input">
+                        ${EARTHWORK_MATERIALS.map(m => `<option value="${m.id}">${m.name}</option>`).join('')}
+                        <option value="custom">自定义</option>
+                    </select>
+                </div>
+                <div class="cutfill-row">
+                    <span class="cut-fill-label">松散系数（松方/自然方）</span>
+                    <input id="cutfillSwell" class="cutfill-input" type="number" value="${EARTHWORK_MATERIALS[0].swell}" step="0.01" min="0.01">
+                </div>
+                <div class="cutfill-row">
+                    <span class="cut-fill-label">压实系数（压实方/自然方）</span>
+                    <input id="cutfillShrink" class="cutfill-input" type="number" value="${EARTHWORK_MATERIALS[0].shrink}" step="0.01" min="0.01">
+                </div>
+                <div class="cutfill-row">
+                    <span class="cut-fill-label">单车装载（松方，立方米）</span>
+                    <input id="cutfillTruckCapacity" class="cutfill-input" type="number" value="15" step="1" min="1">
+                </div>
+                <div class="cut-fill-row">
+                    <span class="cut-fill-label">挖方 自然方/松方</span>
+                    <span id="cutfillCutBankLoose" class="cut-fill-value">0.00 / 0.00 立方米</span>
+                </div>
+                <div class="cut-fill-row">
+                    <span class="cut-fill-label">填方 压实方/需自然方</span>
+                    <span id="cutfillFillCompactedBank" class="cut-fill-value">0.00 / 0.00 立方米</span>
+                </div>
+                <div class="cut-fill-row">
+                    <span class="cut-fill-label">场内利用（自然方）</span>
+                    <span id="cutfillReuse" class="cut-fill-value">0.00 立方米（0 车）</span>
+                </div>
+                <div class="cut-fill-row">
+                    <span class="cut-fill-label">余方外运（自然方）</span>
+                    <span id="cutfillExport" class="cut-fill-value">0.00 立方米，松方 0.00（0 车）</span>
+                </div>
+                <div class="cut-fill-row">
+                    <span class="cut-fill-label">缺方外借（自然方）</span>
+                    <span id="cutfillImport" class="cut-fill-value">0.00 立方米，松方 0.00（0 车）</span>
+                </div>
+                <div class="cut-fill-row">
+                    <span class="cut-fill-label">合计车次</span>
+                    <span id="cutfillTotalTrucks" class="cut-fill-value">0 车</span>
+                </div>
+
+                <div class="distance-divider"></div>
+
+                <!-- 平衡标高（自然方填挖平衡；可选挖方按压实系数折算） -->
+                <div class="cutfill-row">
+                    <span class="cut-fill-label">外借(+)/外运(-)（立方米）</span>
+                    <input id="cutfillBalanceImport" class="cutfill-input" type="number" value="0" step="10">
+                </div>
+                <div class="cutfill-row">
+                    <label class="cut-fill-label" for="cutfillBalanceUseShrink">挖方按压实系数折算</label>
+                    <input id="cutfillBalanceUseShrink" type="checkbox">
+                </div>
+                <div class="cutfill-actions">
+                    <button id="cutfillBalanceSolveBtn">求解平衡标高</button>
+                    <button id="cutfillBalanceApplyBtn" class="primary">应用为目标海拔</button>
+                </div>
+                <div class="cut-fill-row">
+                    <span class="cut-fill-label">平衡标高 H</span>
+                    <span id="cutfillBalanceElevation" class="cut-fill-value">—</span>
+                </div>
+                <div class="cut-fill-row">
+                    <span class="cut-fill-label">设计面升降</span>
+                    <span id="cutfillBalanceOffset" class="cut-fill-value">—</span>
+                </div>
+                <div class="cut-fill-row">
+                    <span class="cut-fill-label">平衡时方量</span>
+                    <span id="cutfillBalanceVolumes" class="cut-fill-value">—</span>
+                </div>
+                <canvas id="cutfillBalanceChart" width="300" height="150"></canvas>
+
+                <div class="distance-divider"></div>
+
+                <!-- 填挖深度热力图（地面 - 设计面） -->
+                <div class="cutfill-row">
+                    <label class="cut-fill-label" for="cutfillHeatmapEnabled">填挖深度热力图</label>
+                    <input id="cutfillHeatmapEnabled" type="checkbox" checked>
+                </div>
+                <div class="cutfill-row">
+                    <span class="cut-fill-label">分级断点（米，逗号分隔）</span>
+                    <input id="cutfillHeatmapBreaks" class="cutfill-input" type="text" spellcheck="false">
+                </div>
+                <div class="cutfill-row">
+                    <span class="cut-fill-label">不透明度（0~1）</span>
+                    <input id="cutfillHeatmapOpacity" class="cutfill-input" type="number" value="0.65" step="0.05" min="0" max="1">
+                </div>
+                <div id="cutfillHeatmapLegend"></div>
 
                 <div class="cutfill-tip">
-                    场景显示：原始地表（贴地）、目标整平面+墙、填方面（蓝）、挖方面（红）。
+                    场景显示：原始地表（贴地）、目标整平面（或设计面）+墙、填方面（蓝）、挖方面（红）；
+                    热力图按 地面 - 设计面 分级贴地着色（正值为挖、负值为填）。
                 </div>
 
                 <!-- Backward compatible fields -->
@@ -5,10 +5,21 @@ export const terrainEditorHTML = `
     </div>
 
     <div class="terrain-editor-content">
+        <div class="terrain-editor-section">
+            <h4>输入坐标系</h4>
+            <div class="terrain-editor-field">
+                <label for="terrainInputCrs">多边形 / 批量 JSON / 坡面 A、B 点的坐标系</label>
+                <select id="terrainInputCrs"></select>
+            </div>
+            <div class="terrain-editor-hint">
+                投影坐标系下按 [东坐标 X, 北坐标 Y]（米）填写，带号前缀的 3°/6° 带 X 含带号（如 35500000）。
+            </div>
+        </div>
+
         <div class="terrain-editor-section">
             <h4>修整区域（凸多边形）</h4>
             <div class="terrain-editor-field">
-                <label for="terrainEditPolygon">多边形（JSON：[[lon,lat],...]）</label>
+                <label for="terrainEditPolygon">多边形（JSON：[[lon,lat],...] 或 [[X,Y],...]）</label>
                 <textarea id="terrainEditPolygon" rows="4" spellcheck="false">[[105.290,28.835],[105.293,28.834],[105.294,28.835],[105.294,28.838],[105.290,28.838]]</textarea>
             </div>
             <div class="terrain-editor-hint">
@@ -61,7 +72,7 @@ export const terrainEditorHTML = `
         <div class="terrain-editor-section">
             <h4>坡面（基于高坡边 AB）</h4>
             <div class="terrain-editor-field">
-                <label>高坡边 A（经纬度）</label>
+                <label>高坡边 A（经纬度 / X、Y）</label>
                 <div class="terrain-editor-row">
                     <label for="terrainSlopeALon">经度</label>
                     <input type="number" id="terrainSlopeALon" value="105.290" step="0.00001">
@@ -72,7 +83,7 @@ export const terrainEditorHTML = `
                 </div>
             </div>
             <div class="terrain-editor-field" style="margin-top: 10px;">
-                <label>高坡边 B（经纬度）</label>
+                <label>高坡边 B（经纬度 / X、Y）</label>
                 <div class="terrain-editor-row">
                     <label for="terrainSlopeBLon">经度</label>
                     <input type="number" id="terrainSlopeBLon" value="105.294" step="0.00001">
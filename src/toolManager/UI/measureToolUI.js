@@ -1,9 +1,16 @@
 import * as THREE from 'three';
 import { measureToolHTML } from './html/measureToolHTML.js';
 import { measureToolStyles } from './style/measureToolStyles.js';
-import { MeasureMath } from '../measureMath.js';
+import { EARTHWORK_MATERIALS, MeasureMath } from '../measureMath.js';
 import { CustomTerrainSurface } from '../../terrain/CustomTerrainSurface.js';
+import { CUT_FILL_HEATMAP_DEFAULT_BREAKS, CutFillHeatmap } from '../../terrain/CutFillHeatmap.js';
 import { IMG } from '../../assets/img/urls.js';
+import { threeToPosition, downloadFeatures } from '../../vector/featureExport.js';
+import { coordinatesToLonLat, resolveCrs } from '../../math/crs.js';
+import { bindCrsSelect } from './crsSelect.js';
+import { DesignSurface } from '../../terrain/DesignSurface.js';
+import { parseDesignSurfaceFile } from '../../vector/designSurface.js';
+import { designPlaneElevationAt, isSlopedDesign, resolveDesignPlane } from '../../math/designPlane.js';
 /**
  * 测量工具UI类
  * 负责测量工具的UI设计与数据更新
@@ -44,6 +51,7 @@ export class MeasureToolUI {
         this.markers = []; // 存储标记点ID
         this.measureLines = []; // 存储测量线段
         this.measureLineGroup = new THREE.Group(); // 线段组
+        this.measureResult = null; // 最近一次计算的测量结果（导出用）
         
         // 双击防抖相关
         this.clickTimeout = null;
@@ -76,6 +84,10 @@ export class MeasureToolUI {
             this.scene.add(this.groundSurfaceGroup);
         }
 
+        // 多点路程：贴地路程模式（逐段沿地形加密采样，输出水平/坡面/贴地长度与坡度）
+        this.surfaceDistanceMode = false;
+        this.surfaceDistanceStepMeters = 5;
+
         // ================= 填挖方（cutFill）专用状态（支持多多边形） =================
         this.cutFillPolygons = []; // Array<Array<THREE.Vector3>> (world XZ, y ignored)
         this.cutFillCurrentPoints = []; // Array<THREE.Vector3>
@@ -83,6 +95,22 @@ export class MeasureToolUI {
         this.cutFillPolygonMarkerIds = []; // Array<Array<string>>
         this.cutFillTargetElevation = 0;
         this.cutFillSampleStepMeters = 20;
+        // 平台设计面（math/designPlane.js）：水平面 / H + 纵横坡 / 三点定面；参考点为 [lon, lat, H]
+        this.cutFillPlane = { mode: 'flat', longGrade: 0, crossGrade: 0, azimuth: 0, points: null };
+        // 逐多边形覆盖（分台/台阶）：{ targetElevation?, longGrade?, crossGrade?, azimuth?, points? }，按多边形下标
+        this.cutFillPolygonDesigns = [];
+        // 土方材料：松散系数 swell（松方/自然方）、压实系数 shrink（压实方/自然方）、单车装载（松方）
+        const defaultMaterial = EARTHWORK_MATERIALS[0];
+        this.cutFillMaterial = { id: defaultMaterial.id, swell: defaultMaterial.swell, shrink: defaultMaterial.shrink, truckCapacityM3: 15 };
+        // 平衡标高求解：填方 = 挖方 × 折算系数 + importM3（外运为负）；折算系数默认 1（自然方挖填平衡），
+        // useShrink 时取材料压实系数；result 为最近一次求解结果（含所用 shrinkFactor）
+        this.cutFillBalance = { importM3: 0, useShrink: false, result: null };
+        // 设计面（LandXML / DXF TIN）：加载后替代目标海拔作为填挖基准面
+        this.cutFillDesignSurface = null;
+        // 填挖深度热力图（地面 - 设计面，米）：贴地着色，breaks 为分级断点（升序）
+        this.cutFillHeatmap = { enabled: true, breaks: [...CUT_FILL_HEATMAP_DEFAULT_BREAKS], opacity: 0.65 };
+        this._cutFillHeatmapStats = null; // 最近一次含 samples 的统计（图例面积）
+        this._cutFillHeatmap = null; // CutFillHeatmap，首次有多边形的重算时创建（_cutFillUpdateHeatmap）
 
         this.cutFillVisGroup = new THREE.Group();
         this.cutFillVisGroup.name = 'cutFillVisGroup';
@@ -181,6 +209,48 @@ export class MeasureToolUI {
         bindClick('cutfillExportJsonBtn', () => this._cutFillExportJson());
         bindClick('cutfillRecomputeBtn', () => this._cutFillRecompute());
         bindClick('cutfillExecuteBtn', () => this._cutFillExecuteFlatten());
+        bindClick('cutfillDesignClearBtn', () => this._cutFillClearDesignSurface());
+        bindClick('cutfillBalanceSolveBtn', () => this._cutFillSolveBalance());
+        bindClick('cutfillBalanceApplyBtn', () => this._cutFillApplyBalance());
+        const designInput = document.getElementById('cutfillDesignFile');
+        if (designInput) {
+            designInput.addEventListener('change', async (e) => {
+                const file = e.target.files?.[0];
+                if (file) await this._cutFillLoadDesignSurface(file);
+                e.target.value = '';
+            });
+        }
+        bindClick('measureExportBtn', () => {
+            const format = document.getElementById('measureExportFormat')?.value || 'geojson';
+            this.exportMeasurements(format);
+        });
+
+        // 工程坐标系：点信息显示与填挖方 JSON 共用（MathProj.workingCrs）
+        const crsSelects = ['pointCrs', 'cutfillCrs'].map(id => document.getElementById(id)).filter(Boolean);
+        for (const el of crsSelects) {
+            bindCrsSelect(el, this.mathProj, (value) => {
+                for (const other of crsSelects) other.value = value;
+                this.updatePointMeasurement(this._lastPointInfo ?? null);
+            });
+        }
+
+        const surfaceModeEl = document.getElementById('surfaceDistanceMode');
+        if (surfaceModeEl) {
+            surfaceModeEl.addEventListener('change', () => {
+                this.surfaceDistanceMode = surfaceModeEl.checked;
+                this._refreshMultiDistanceMeasurement();
+            });
+        }
+
+        const surfaceStepEl = document.getElementById('surfaceDistanceStep');
+        if (surfaceStepEl) {
+            surfaceStepEl.addEventListener('change', () => {
+                const v = Number(surfaceStepEl.value);
+                this.surfaceDistanceStepMeters = Number.isFinite(v) && v > 0 ? Math.max(0.5, v) : this.surfaceDistanceStepMeters;
+                surfaceStepEl.value = String(this.surfaceDistanceStepMeters);
+                this._refreshMultiDistanceMeasurement();
+            });
+        }
 
         const targetEl = document.getElementById('cutfillTargetElevation');
         if (targetEl) {
@@ -199,6 +269,133 @@ export class MeasureToolUI {
                 this._cutFillRecompute();
             });
         }
+
+        const balanceImportEl = document.getElementById('cutfillBalanceImport');
+        if (balanceImportEl) {
+            balanceImportEl.addEventListener('change', () => {
+                const v = Number(balanceImportEl.value);
+                if (Number.isFinite(v)) this.cutFillBalance.importM3 = v;
+                balanceImportEl.value = String(this.cutFillBalance.importM3);
+            });
+        }
+
+        const balanceUseShrinkEl = document.getElementById('cutfillBalanceUseShrink');
+        if (balanceUseShrinkEl) {
+            balanceUseShrinkEl.addEventListener('change', () => {
+                this.cutFillBalance.useShrink = balanceUseShrinkEl.checked;
+                if (this.cutFillBalance.result) this._cutFillSolveBalance();
+            });
+        }
+
+        const materialEl = document.getElementById('cutfillMaterial');
+        if (materialEl) {
+            materialEl.addEventListener('change', () => {
+                const preset = EARTHWORK_MATERIALS.find(m => m.id === materialEl.value);
+                this.cutFillMaterial.id = materialEl.value;
+                if (preset) Object.assign(this.cutFillMaterial, { swell: preset.swell, shrink: preset.shrink });
+                this._cutFillSyncMaterialInputs();
+                this._cutFillUpdateUiFromStats(this._cutFillComputeStats(false));
+            });
+        }
+
+        // 手动修改系数即为自定义材料
+        const materialInputs = { cutfillSwell: 'swell', cutfillShrink: 'shrink', cutfillTruckCapacity: 'truckCapacityM3' };
+        for (const [id, key] of Object.entries(materialInputs)) {
+            const el = document.getElementById(id);
+            if (!el) continue;
+            el.addEventListener('change', () => {
+                const v = Number(el.value);
+                if (Number.isFinite(v) && v > 0) {
+                    this.cutFillMaterial[key] = v;
+                    if (key !== 'truckCapacityM3') this.cutFillMaterial.id = 'custom';
+                }
+                this._cutFillSyncMaterialInputs();
+                this._cutFillUpdateUiFromStats(this._cutFillComputeStats(false));
+            });
+        }
+
+        const planeModeEl = document.getElementById('cutfillPlaneMode');
+        if (planeModeEl) {
+            planeModeEl.addEventListener('change', () => {
+                this.cutFillPlane.mode = planeModeEl.value;
+                this._cutFillSyncPlaneInputs();
+                this._cutFillRecompute();
+            });
+        }
+
+        const gradeInputs = { cutfillLongGrade: 'longGrade', cutfillCrossGrade: 'crossGrade', cutfillGradeAzimuth: 'azimuth' };
+        for (const [id, key] of Object.entries(gradeInputs)) {
+            const el = document.getElementById(id);
+            if (!el) continue;
+            el.addEventListener('change', () => {
+                const v = Number(el.value);
+                this.cutFillPlane[key] = Number.isFinite(v) ? v : 0;
+                this._cutFillRecompute();
+            });
+        }
+
+        const planePointsEl = document.getElementById('cutfillPlanePoints');
+        if (planePointsEl) {
+            planePointsEl.addEventListener('change', () => {
+                const raw = String(planePointsEl.value || '').trim();
+                const points = raw ? this._cutFillParsePlanePoints(raw) : null;
+                if (raw && !points) return;
+                this.cutFillPlane.points = points;
+                this._cutFillRecompute();
+            });
+        }
+
+        const heatmapEnabledEl = document.getElementById('cutfillHeatmapEnabled');
+        if (heatmapEnabledEl) {
+            heatmapEnabledEl.addEventListener('change', () => {
+                this.cutFillHeatmap.enabled = heatmapEnabledEl.checked;
+                this._cutFillApplyHeatmapSettings();
+                // 开启后需重新栅格化设计面并统计图例面积
+                if (this.cutFillPolygons.length) this._cutFillRecompute();
+            });
+        }
+
+        const heatmapBreaksEl = document.getElementById('cutfillHeatmapBreaks');
+        if (heatmapBreaksEl) {
+            heatmapBreaksEl.addEventListener('change', () => {
+                const breaks = String(heatmapBreaksEl.value || '')
+                    .split(/[,，\s]+/)
+                    .filter(Boolean)
+                    .map(Number);
+                if (breaks.length && breaks.every(Number.isFinite)) this.cutFillHeatmap.breaks = breaks;
+                else if (!String(heatmapBreaksEl.value || '').trim()) this.cutFillHeatmap.breaks = [...CUT_FILL_HEATMAP_DEFAULT_BREAKS];
+                this._cutFillApplyHeatmapSettings();
+            });
+        }
+
+        const heatmapOpacityEl = document.getElementById('cutfillHeatmapOpacity');
+        if (heatmapOpacityEl) {
+            heatmapOpacityEl.addEventListener('change', () => {
+                const v = Number(heatmapOpacityEl.value);
+                if (Number.isFinite(v)) this.cutFillHeatmap.opacity = Math.max(0, Math.min(1, v));
+                this._cutFillApplyHeatmapSettings();
+            });
+        }
+
+        // 分台：逐多边形平台高程（列表由 _cutFillUpdateUiFromStats 生成）
+        const polyStatsEl = document.getElementById('cutfillPolygonStats');
+        if (polyStatsEl) {
+            polyStatsEl.addEventListener('change', (e) => {
+                const index = Number(e.target?.dataset?.cutfillPoly);
+                if (!Number.isInteger(index)) return;
+                const raw = String(e.target.value ?? '').trim();
+                const v = Number(raw);
+                const own = { ...(this.cutFillPolygonDesigns[index] ?? {}) };
+                delete own.points;
+                if (raw && Number.isFinite(v)) own.targetElevation = v;
+                else delete own.targetElevation;
+                this.cutFillPolygonDesigns[index] = Object.keys(own).length ? own : null;
+                this._cutFillRecompute();
+            });
+        }
+
+        // 热力图输入框与图例初始状态
+        this._cutFillApplyHeatmapSettings();
     }
 
 
@@ -208,6 +405,7 @@ export class MeasureToolUI {
      * @param {Object} pointInfo - 点信息对象，包含经纬度、海拔、3857坐标和Three坐标
      */
     updatePointMeasurement(pointInfo) {
+        this._lastPointInfo = pointInfo;
         // 重置所有值为默认状态
         document.getElementById('pointLon').textContent = '-';
         document.getElementById('pointLat').textContent = '-';
@@ -218,6 +416,10 @@ export class MeasureToolUI {
         document.getElementById('point3857X').textContent = '-';
         document.getElementById('point3857Y').textContent = '-';
         document.getElementById('point3857Z').textContent = '-';
+        const crsX = document.getElementById('pointCrsX');
+        const crsY = document.getElementById('pointCrsY');
+        if (crsX) crsX.textContent = '-';
+        if (crsY) crsY.textContent = '-';
 
         if (pointInfo) {
             const toNum = (v) => {
@@ -267,6 +469,18 @@ export class MeasureToolUI {
             if (Number.isFinite(lat)) document.getElementById('pointLat').textContent = lat.toFixed(7);
             if (Number.isFinite(elevation)) document.getElementById('pointAlt').textContent = elevation.toFixed(2);
 
+            // 工程坐标系坐标：投影坐标 3 位小数（毫米），经纬度 7 位小数
+            if (Number.isFinite(lon) && Number.isFinite(lat) && this.mathProj && crsX && crsY) {
+                try {
+                    const p = this.mathProj.lonLatToCrs(lon, lat);
+                    const digits = this.mathProj.describeCrs().projected ? 3 : 7;
+                    crsX.textContent = p.x.toFixed(digits);
+                    crsY.textContent = p.y.toFixed(digits);
+                } catch (e) {
+                    console.warn('工程坐标系转换失败', e);
+                }
+            }
+
             // 检查并更新Three坐标，精度：2位小数
             if (pointInfo.three) {
                 document.getElementById('pointThreeX').textContent = toNum(pointInfo.three.x).toFixed(2);
@@ -283,6 +497,31 @@ export class MeasureToolUI {
         }
     }
 
+    /**
+     * 经纬度处地形高程（米）采样函数，供贴地测地距离使用；无地形时返回 null
+     * （viewer 适配器的 getElevationAtThreePosition 即 `Terrain.sampleHeightAtWorld`，按瓦片高度图插值，不做射线求交）
+     * 采样点不在已加载瓦片上时返回 NaN（而不是 0 米），由 `MeasureMath.calculateSurfaceDistance` 按相邻采样插值
+     * @returns {Function|null} (lon, lat) => 高程（米）
+     */
+    _terrainElevationAtLonLat() {
+        if (!this.rgbTerrain?.getElevationAtThreePosition || !this.mathProj) return null;
+        return (lon, lat) => {
+            const p = this.mathProj.lonLatToThree(lon, lat, 0);
+            const y = Number(this.rgbTerrain.getElevationAtThreePosition(p.x, p.z));
+            return Number.isFinite(y) ? this.mathProj.unitsToMeters(y) : NaN;
+        };
+    }
+
+    /**
+     * 贴地路程模式或采样间距变化后重新计算多点路程
+     */
+    _refreshMultiDistanceMeasurement() {
+        const totalsEl = document.getElementById('surfaceDistanceTotals');
+        if (totalsEl) totalsEl.style.display = this.surfaceDistanceMode ? 'block' : 'none';
+        if (this.currentMeasureType !== 'multiDistance') return;
+        this.updateMultiDistanceMeasurement(this.pickedPoints.length >= 2 ? this.pickedPoints : { total: 0, segments: [] });
+    }
+
     /**
      * 更新多点路程测量结果
      * @param {Object|Array} data - 多点路程信息对象或点列表数组
@@ -293,6 +532,11 @@ export class MeasureToolUI {
         const totalGroundThreeDistanceEl = document.getElementById('totalGroundThreeDistance');
         const totalGroundGeodesicDistanceEl = document.getElementById('totalGroundGeodesicDistance');
         const segmentDistancesDiv = document.getElementById('segmentDistances');
+        const setTextIfExists = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        };
+        const surfaceTotalIds = ['surfaceHorizontalLength', 'surfaceSlopeLength', 'surface3dLength', 'surfaceRiseFall', 'surfaceMaxGrade', 'surfaceAvgGrade'];
         
         // 确保元素存在
         if (!totalProjectionDistanceEl || !totalGroundThreeDistanceEl || !totalGroundGeodesicDistanceEl || !segmentDistancesDiv) return;
@@ -302,6 +546,7 @@ export class MeasureToolUI {
             totalProjectionDistanceEl.textContent = '0.00 米';
             totalGroundThreeDistanceEl.textContent = '0.00 米';
             totalGroundGeodesicDistanceEl.textContent = '0.00 米';
+            for (const id of surfaceTotalIds) setTextIfExists(id, '-');
             segmentDistancesDiv.innerHTML = '';
             return;
         }
@@ -315,6 +560,12 @@ export class MeasureToolUI {
         let totalGroundGeodesicDistance = 0;
         const segments = [];
 
+        // 贴地路程模式：水平 / 坡面 / 贴地三维长度与坡度（逐段 + 总计），其贴地长度同时作为各段贴地测地距离
+        const surfaceOptions = { stepMeters: this.surfaceDistanceStepMeters };
+        const surfacePath = this.surfaceDistanceMode
+            ? MeasureMath.calculateSurfacePath(points.map(p => p.lonLat), this._terrainElevationAtLonLat(), surfaceOptions)
+            : null;
+
         // 计算总路程和分段距离
         for (let i = 0; i < points.length - 1; i++) {
             const point1 = points[i];
@@ -330,8 +581,10 @@ export class MeasureToolUI {
             const groundThreeDistanceUnits = MeasureMath.calculateGroundDistance(point1.three, point2.three, this.rgbTerrain);
             const groundThreeDistance = this.mathProj?.unitsToMeters ? this.mathProj.unitsToMeters(groundThreeDistanceUnits) : groundThreeDistanceUnits;
 
-            // 3. 计算贴地测地距离（测地坐标系中的距离）
-            const groundGeodesicDistance = this.mathProj.calculateGeographicDistance(point1.lonLat, point2.lonLat);
+            // 3. 计算贴地测地距离（沿椭球测地线采样地形的三维长度）
+            const groundGeodesicDistance = surfacePath
+                ? surfacePath.segments[i].surfaceM
+                : MeasureMath.calculateSurfaceDistance(point1.lonLat, point2.lonLat, this._terrainElevationAtLonLat(), surfaceOptions).surface;
 
             segments.push({
                 projection: projectionDistance,
@@ -344,6 +597,44 @@ export class MeasureToolUI {
             totalGroundGeodesicDistance += groundGeodesicDistance;
         }
 
+        this.measureResult = {
+            type: 'multiDistance',
+            totalProjectionDistanceM: totalProjectionDistance,
+            totalGroundThreeDistanceM: totalGroundThreeDistance,
+            totalGroundGeodesicDistanceM: totalGroundGeodesicDistance,
+            segments
+        };
+
+        if (surfacePath) {
+            surfacePath.segments.forEach((s, i) => Object.assign(segments[i], {
+                horizontalM: s.horizontalM,
+                slopeM: s.slopeM,
+                surfaceM: s.surfaceM,
+                maxGradePct: s.maxGradePct,
+                avgGradePct: s.avgGradePct
+            }));
+            Object.assign(this.measureResult, {
+                // 实际采样间距：段过长时分段数封顶，间距会大于设定值
+                surfaceStepM: surfacePath.stepM,
+                surfaceStepCapped: surfacePath.capped,
+                surfaceHorizontalM: surfacePath.horizontalM,
+                surfaceSlopeM: surfacePath.slopeM,
+                surface3dM: surfacePath.surfaceM,
+                surfaceRiseM: surfacePath.riseM,
+                surfaceFallM: surfacePath.fallM,
+                maxGradePct: surfacePath.maxGradePct,
+                avgGradePct: surfacePath.avgGradePct
+            });
+            setTextIfExists('surfaceHorizontalLength', `${surfacePath.horizontalM.toFixed(2)} 米`);
+            setTextIfExists('surfaceSlopeLength', `${surfacePath.slopeM.toFixed(2)} 米`);
+            setTextIfExists('surface3dLength', `${surfacePath.surfaceM.toFixed(2)} 米${surfacePath.capped ? `（采样间距放宽至 ${surfacePath.stepM.toFixed(2)} 米）` : ''}`);
+            setTextIfExists('surfaceRiseFall', `+${surfacePath.riseM.toFixed(2)} / -${surfacePath.fallM.toFixed(2)} 米`);
+            setTextIfExists('surfaceMaxGrade', `${surfacePath.maxGradePct.toFixed(2)} %`);
+            setTextIfExists('surfaceAvgGrade', `${surfacePath.avgGradePct.toFixed(2)} %`);
+        } else {
+            for (const id of surfaceTotalIds) setTextIfExists(id, '-');
+        }
+
         // 更新UI - 总距离
         totalProjectionDistanceEl.textContent = `${totalProjectionDistance.toFixed(2)} 米`;
         totalGroundThreeDistanceEl.textContent = `${totalGroundThreeDistance.toFixed(2)} 米`;
@@ -366,6 +657,15 @@ export class MeasureToolUI {
                         <span style="color: #666;">贴地测地距离：</span>
                         <span style="color: #FF9800; font-weight: bold;">${segment.groundGeodesic.toFixed(2)} 米</span>
                     </div>
+                    ${surfacePath ? `
+                    <div style="display: flex; justify-content: space-between; margin: 2px 0; font-size: 11px;">
+                        <span style="color: #666;">水平 / 坡面 / 贴地：</span>
+                        <span style="color: #795548; font-weight: bold;">${segment.horizontalM.toFixed(2)} / ${segment.slopeM.toFixed(2)} / ${segment.surfaceM.toFixed(2)} 米</span>
+                    </div>
+                    <div style="display: flex; justify-content: space-between; margin: 2px 0; font-size: 11px;">
+                        <span style="color: #666;">最大 / 平均坡度：</span>
+                        <span style="color: #795548; font-weight: bold;">${segment.maxGradePct.toFixed(2)} % / ${segment.avgGradePct.toFixed(2)} %</span>
+                    </div>` : ''}
                 </div>
             `;
         }).join('');
@@ -435,8 +735,9 @@ export class MeasureToolUI {
         // 2.2 3857贴地面积（简化处理，使用Three贴地面积）
         const ground3857Area = threeTerrainAreaM2;
         
-        // 2.3 测地贴地面积（简化处理，使用测地投影面积）
-        const groundGeodesicArea = horizontalGeodesicArea;
+        // 2.3 测地贴地面积：椭球投影面积按 Three 贴地面积 / 水平面积的起伏系数放大
+        const reliefFactor = horizontal3857Area > 0 ? threeTerrainArea / horizontal3857Area : 1;
+        const groundGeodesicArea = horizontalGeodesicArea * (Number.isFinite(reliefFactor) ? Math.max(1, reliefFactor) : 1);
         
         // 3. 计算周长
         // 3.1 投影周长（水平面投影）
@@ -467,6 +768,16 @@ export class MeasureToolUI {
         const projectionPerimeterM = this.mathProj?.unitsToMeters ? this.mathProj.unitsToMeters(projectionPerimeter) : projectionPerimeter;
         const threePerimeterM = this.mathProj?.unitsToMeters ? this.mathProj.unitsToMeters(threePerimeter) : threePerimeter;
 
+        this.measureResult = {
+            type: 'area',
+            horizontal3857AreaM2,
+            horizontalGeodesicAreaM2: horizontalGeodesicArea,
+            terrainAreaM2: threeTerrainAreaM2,
+            projectionPerimeterM,
+            terrainPerimeterM: threePerimeterM,
+            geodesicPerimeterM: geodesicPerimeter
+        };
+
         // 更新UI
         // 投影面积
         horizontal3857AreaEl.textContent = `${horizontal3857AreaM2.toFixed(2)} 平方米`;
@@ -501,11 +812,8 @@ export class MeasureToolUI {
             const geodesic = Number.isFinite(Number(data.geodesic)) ? Number(data.geodesic) : 0;
             setText('threeCutFillVolume', `${fmt(three)} 立方米`);
             setText('geodesicCutFillVolume', `${fmt(geodesic)} 立方米`);
+            this._cutFillUpdateUiFromStats({ areaM2: 0, fillM3: 0, cutM3: 0, uncoveredM2: 0, polygons: [] });
             setText('cutfillPolyCount', '0');
-            setText('cutfillAreaGeodesic', `0.00 平方米`);
-            setText('cutfillFillVolumeGeodesic', `0.00 立方米`);
-            setText('cutfillCutVolumeGeodesic', `0.00 立方米`);
-            setText('cutfillNetVolumeGeodesic', `0.00 立方米`);
             return;
         }
 
@@ -569,6 +877,41 @@ export class MeasureToolUI {
         setText('cutfillFillVolumeGeodesic', `${fmt(fill)} 立方米`);
         setText('cutfillCutVolumeGeodesic', `${fmt(cut)} 立方米`);
         setText('cutfillNetVolumeGeodesic', `${fmt(net)} 立方米`);
+        setText('cutfillUncoveredArea', `${fmt(Number(stats?.uncoveredM2) || 0)} 平方米`);
+
+        // 土方量换算与运量（材料松散/压实系数）
+        const q = MeasureMath.earthworkQuantities(cut, fill, this.cutFillMaterial);
+        setText('cutfillCutBankLoose', `${fmt(q.cutBankM3)} / ${fmt(q.cutLooseM3)} 立方米`);
+        setText('cutfillFillCompactedBank', `${fmt(q.fillCompactedM3)} / ${fmt(q.fillBankM3)} 立方米`);
+        setText('cutfillReuse', `${fmt(q.reuseBankM3)} 立方米（${q.reuseTrucks} 车）`);
+        setText('cutfillExport', `${fmt(q.exportBankM3)} 立方米，松方 ${fmt(q.exportLooseM3)}（${q.exportTrucks} 车）`);
+        setText('cutfillImport', `${fmt(q.importBankM3)} 立方米，松方 ${fmt(q.importLooseM3)}（${q.importTrucks} 车）`);
+        setText('cutfillTotalTrucks', `${q.totalTrucks} 车`);
+
+        // 逐多边形填挖方 + 分台平台高程（留空则使用全局目标海拔 H）
+        const listEl = document.getElementById('cutfillPolygonStats');
+        if (listEl) {
+            const polys = Array.isArray(stats?.polygons) ? stats.polygons : [];
+            const showList = polys.length > 1 || this.cutFillPolygonDesigns.some(Boolean);
+            listEl.innerHTML = showList
+                ? polys.map((p, i) => {
+                    const own = this.cutFillPolygonDesigns[i];
+                    const benchInput = this.cutFillDesignSurface || own?.points
+                        ? ''
+                        : `<input class="cutfill-input" type="number" step="0.1" data-cutfill-poly="${i}"
+                            value="${Number.isFinite(Number(own?.targetElevation)) ? Number(own.targetElevation) : ''}" placeholder="H">`;
+                    return `
+                    <div class="cutfill-row">
+                        <span class="cut-fill-label">多边形 ${i + 1}（${fmt(p.areaM2)} 平方米）</span>
+                        ${benchInput}
+                    </div>
+                    <div class="cut-fill-row">
+                        <span class="cut-fill-label">${p.plane && !this.cutFillDesignSurface ? `平台 H ${fmt(p.plane.elevation)} 米` : ''}</span>
+                        <span class="cut-fill-value">填 ${fmt(p.fillM3)} / 挖 ${fmt(p.cutM3)} 立方米</span>
+                    </div>`;
+                }).join('')
+                : '';
+        }
     }
 
     _cutFillFinishCurrentPolygon() {
@@ -618,6 +961,13 @@ export class MeasureToolUI {
         this.cutFillCurrentPoints = [];
         this.cutFillCurrentMarkerIds = [];
         this.cutFillPolygonMarkerIds = [];
+        this.cutFillPolygonDesigns = [];
+        this.cutFillBalance.result = null;
+        this._cutFillDrawBalanceChart(null);
+        for (const id of ['cutfillBalanceElevation', 'cutfillBalanceOffset', 'cutfillBalanceVolumes']) {
+            const el = document.getElementById(id);
+            if (el) el.textContent = '—';
+        }
 
         this._cutFillClearVisualization();
         this.updatePoints([]);
@@ -653,8 +1003,25 @@ export class MeasureToolUI {
         this._cutFillClearAll();
 
         const polys = [];
-        for (const poly of arr) {
-            if (!Array.isArray(poly) || poly.length < 3) continue;
+        const designs = [];
+        for (const item of arr) {
+            // 多边形顶点数组，或带平台设计面的对象 { polygon, targetElevation?, longGrade?, crossGrade?, azimuth?, points? }
+            const input = Array.isArray(item) ? item : item?.polygon;
+            if (!Array.isArray(input) || input.length < 3) continue;
+            let poly;
+            let design = null;
+            try {
+                poly = coordinatesToLonLat(input, this.mathProj.getWorkingCrs());
+            } catch (e) {
+                alert(`坐标转换失败：${e.message}`);
+                return;
+            }
+            try {
+                if (!Array.isArray(item)) design = this._cutFillDesignFromJson(item);
+            } catch (e) {
+                alert(`平台设计面无效：${e.message}`);
+                return;
+            }
             const pts = [];
             for (const ll of poly) {
                 if (!Array.isArray(ll) || ll.length < 2) continue;
@@ -664,41 +1031,463 @@ export class MeasureToolUI {
                 const v = this.mathProj.lonLatToThree(lon, lat, 0);
                 pts.push(new THREE.Vector3(Number(v.x) || 0, 0, Number(v.z) || 0));
             }
-            if (pts.length >= 3) polys.push(pts);
+            if (pts.length >= 3) {
+                polys.push(pts);
+                designs.push(design);
+            }
         }
 
         this.cutFillPolygons = polys;
+        this.cutFillPolygonDesigns = designs;
+        this._cutFillRecompute();
+    }
+
+    /**
+     * JSON 多边形对象中的平台设计面覆盖（参考点按工程坐标系转换为经纬度）；无覆盖时为 null
+     */
+    _cutFillDesignFromJson(item) {
+        const design = {};
+        for (const key of ['targetElevation', 'longGrade', 'crossGrade', 'azimuth']) {
+            const v = Number(item?.[key]);
+            if (item?.[key] !== undefined && Number.isFinite(v)) design[key] = v;
+        }
+        if (Array.isArray(item?.points)) {
+            design.points = coordinatesToLonLat(item.points.map(p => p.map(Number)), this.mathProj.getWorkingCrs());
+            resolveDesignPlane({ points: design.points });
+        }
+        return Object.keys(design).length ? design : null;
+    }
+
+    /**
+     * 填挖方状态（经纬度多边形 + 目标高程 + 采样步长），用于场景会话保存
+     * 平台设计面（plane）与逐多边形覆盖（polygonDesigns）中的参考点均为经纬度
+     * @returns {{polygons: number[][][], targetElevation: number, sampleStepMeters: number, plane: Object,
+     *   material: Object, heatmap: Object, polygonDesigns: Array<Object|null>}|null} 无多边形时为 null
+     */
+    getCutFillState() {
+        if (!this.cutFillPolygons.length || !this.mathProj) return null;
+        return {
+            polygons: this.cutFillPolygons.map(poly => poly.map(p => {
+                const ll = this.mathProj.threeToLonLat(new THREE.Vector3(p.x, 0, p.z));
+                return [Number(ll.lon.toFixed(8)), Number(ll.lat.toFixed(8))];
+            })),
+            targetElevation: Number(this.cutFillTargetElevation) || 0,
+            sampleStepMeters: Number(this.cutFillSampleStepMeters) || 20,
+            plane: { ...this.cutFillPlane },
+            material: { ...this.cutFillMaterial },
+            heatmap: { ...this.cutFillHeatmap, breaks: [...this.cutFillHeatmap.breaks] },
+            polygonDesigns: this.cutFillPolygons.map((_, i) => this.cutFillPolygonDesigns[i] ?? null)
+        };
+    }
+
+    /**
+     * 恢复填挖方状态（切换到填挖方页并重新计算）；null 时清空填挖方多边形
+     * @param {{polygons?: number[][][], targetElevation?: number, sampleStepMeters?: number, plane?: Object,
+     *   material?: Object, heatmap?: Object, polygonDesigns?: Array<Object|null>}|null} state
+     */
+    setCutFillState(state) {
+        if (!state) {
+            this._cutFillClearAll();
+            return;
+        }
+        if (!this.mathProj) return;
+        this.setMeasureType('cutFill');
+
+        const target = Number(state.targetElevation);
+        if (Number.isFinite(target)) this.cutFillTargetElevation = target;
+        const step = Number(state.sampleStepMeters);
+        if (Number.isFinite(step)) this.cutFillSampleStepMeters = Math.max(1, step);
+        const targetEl = document.getElementById('cutfillTargetElevation');
+        if (targetEl) targetEl.value = String(this.cutFillTargetElevation);
+        const stepEl = document.getElementById('cutfillSampleStep');
+        if (stepEl) stepEl.value = String(this.cutFillSampleStepMeters);
+        this.cutFillPlane = { mode: 'flat', longGrade: 0, crossGrade: 0, azimuth: 0, points: null, ...(state.plane ?? {}) };
+        this._cutFillSyncPlaneInputs();
+        if (state.material) {
+            Object.assign(this.cutFillMaterial, state.material);
+            this._cutFillSyncMaterialInputs();
+        }
+        if (state.heatmap) {
+            Object.assign(this.cutFillHeatmap, state.heatmap);
+            if (!Array.isArray(this.cutFillHeatmap.breaks)) this.cutFillHeatmap.breaks = [...CUT_FILL_HEATMAP_DEFAULT_BREAKS];
+            this._cutFillApplyHeatmapSettings();
+        }
+
+        const kept = (state.polygons ?? [])
+            .map((poly, i) => ({ poly, design: state.polygonDesigns?.[i] ?? null }))
+            .filter(({ poly }) => Array.isArray(poly) && poly.length >= 3);
+        this.cutFillPolygons = kept.map(({ poly }) => poly.map(([lon, lat]) => {
+            const v = this.mathProj.lonLatToThree(Number(lon), Number(lat), 0);
+            return new THREE.Vector3(v.x, 0, v.z);
+        }));
+        this.cutFillPolygonDesigns = kept.map(({ design }) => design);
         this._cutFillRecompute();
     }
 
     _cutFillExportJson() {
         const el = document.getElementById('cutfillPolygonsJson');
         if (!el || !this.mathProj) return;
-        const out = this.cutFillPolygons.map(poly => poly.map(p => {
-            const ll = this.mathProj.threeToLonLat(new THREE.Vector3(p.x, 0, p.z));
-            return [Number(ll.lon.toFixed(6)), Number(ll.lat.toFixed(6))];
-        }));
+        // 按工程坐标系输出：投影坐标 3 位小数，经纬度 6 位小数
+        const digits = this.mathProj.describeCrs().projected ? 3 : 6;
+        const toCrs = (lon, lat) => {
+            const c = this.mathProj.lonLatToCrs(lon, lat);
+            return [Number(c.x.toFixed(digits)), Number(c.y.toFixed(digits))];
+        };
+        const out = this.cutFillPolygons.map((poly, i) => {
+            const ring = poly.map(p => {
+                const c = this.mathProj.threeToCrs(p);
+                return [Number(c.x.toFixed(digits)), Number(c.y.toFixed(digits))];
+            });
+            const design = this.cutFillPolygonDesigns[i];
+            if (!design) return ring;
+            const { points, ...rest } = design;
+            return { polygon: ring, ...rest, ...(points ? { points: points.map(([lon, lat, h]) => [...toCrs(lon, lat), h]) } : {}) };
+        });
         el.value = JSON.stringify(out, null, 2);
     }
 
+    /**
+     * 导入设计面（LandXML / DXF 3DFACE）作为填挖基准面：在场景中显示，并按设计面逐点计算填挖方
+     * @param {File} file
+     * @returns {Promise<DesignSurface|null>}
+     */
+    async _cutFillLoadDesignSurface(file) {
+        const status = document.getElementById('cutfillDesignStatus');
+        if (!this.mathProj) return null;
+        try {
+            if (status) status.textContent = `正在导入 ${file.name} ...`;
+            const design = new DesignSurface(await parseDesignSurfaceFile(file), this.mathProj);
+            this._cutFillClearDesignSurface(false);
+            this.cutFillDesignSurface = design;
+            this.scene?.add?.(design.object);
+            if (status) {
+                const crsName = resolveCrs(design.crs)?.name ?? String(design.crs);
+                status.textContent = `设计面 ${design.name}：${design.triangleCount} 个三角形（${crsName}）`;
+            }
+            this._cutFillRecompute();
+            return design;
+        } catch (err) {
+            console.error('设计面导入失败:', err);
+            if (status) status.textContent = `导入失败：${err?.message ?? err}`;
+            return null;
+        }
+    }
+
+    _cutFillClearDesignSurface(recompute = true) {
+        if (!this.cutFillDesignSurface) return;
+        this.cutFillDesignSurface.dispose();
+        this.cutFillDesignSurface = null;
+        const status = document.getElementById('cutfillDesignStatus');
+        if (status) status.textContent = '未加载设计面（使用目标海拔 H）';
+        if (recompute) this._cutFillRecompute();
+    }
+
+    /**
+     * 填挖基准面高度（场景单位）：有设计面时为设计面高程（设计面范围外为 null），否则为该多边形的平台设计面
+     * @param {number} x
+     * @param {number} z
+     * @param {Object|null} plane - `_cutFillResolvePlanes` 的结果
+     */
+    _cutFillTargetYAt(x, z, plane) {
+        if (this.cutFillDesignSurface) return this.cutFillDesignSurface.heightAt(x, z);
+        if (!plane) return null;
+        let meters = plane.elevation;
+        if (plane.gradeEast || plane.gradeNorth) {
+            const ll = this.mathProj.threeToLonLat(x, 0, z);
+            meters = designPlaneElevationAt(plane, ll.lon, ll.lat);
+        }
+        return this.mathProj?.metersToUnits ? this.mathProj.metersToUnits(meters) : meters;
+    }
+
+    /**
+     * 第 index 个多边形的平台设计面参数：全局设置（H / 纵横坡 / 三点）叠加该多边形的覆盖
+     */
+    _cutFillDesignSpec(index) {
+        const plane = this.cutFillPlane;
+        const spec = { targetElevation: Number.isFinite(Number(this.cutFillTargetElevation)) ? Number(this.cutFillTargetElevation) : 0 };
+        if (plane.mode === 'grade') {
+            Object.assign(spec, { longGrade: plane.longGrade, crossGrade: plane.crossGrade, azimuth: plane.azimuth });
+        } else if (plane.mode === 'points' && plane.points) {
+            spec.points = plane.points;
+        }
+        const own = this.cutFillPolygonDesigns[index];
+        if (!own) return spec;
+        if (own.points) return { points: own.points };
+        const merged = { ...spec, ...own };
+        delete merged.points;
+        return merged;
+    }
+
+    /**
+     * 各多边形的平台设计面（与执行整平时传给 `flattenTerrainMultiple` 的 plane 一致）
+     * @returns {Array<{origin: {lon: number, lat: number}, elevation: number, gradeEast: number, gradeNorth: number}>}
+     */
+    _cutFillResolvePlanes() {
+        return this.cutFillPolygons.map((poly, i) => {
+            const ring = poly.map(p => {
+                const ll = this.mathProj.threeToLonLat(p.x, 0, p.z);
+                return [ll.lon, ll.lat];
+            });
+            const spec = this._cutFillDesignSpec(i);
+            try {
+                return resolveDesignPlane(spec, ring) ?? resolveDesignPlane(0, ring);
+            } catch (e) {
+                console.warn('cut/fill design plane invalid, using flat target', e);
+                return resolveDesignPlane(Number(spec.targetElevation) || 0, ring);
+            }
+        });
+    }
+
+    /**
+     * 解析三点定面 JSON（工程坐标系 [[X,Y,H],...]），返回经纬度参考点 [[lon,lat,H] x3]；无效时提示并返回 null
+     */
+    _cutFillParsePlanePoints(raw) {
+        let arr;
+        try {
+            arr = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        } catch {
+            alert('参考点 JSON 解析失败：请检查格式。');
+            return null;
+        }
+        if (!Array.isArray(arr) || arr.length !== 3 || arr.some(p => !Array.isArray(p) || p.length < 3)) {
+            alert('参考点格式错误：需要三个点 [[lon,lat,H],[lon,lat,H],[lon,lat,H]]。');
+            return null;
+        }
+        try {
+            const points = coordinatesToLonLat(arr.map(p => p.map(Number)), this.mathProj.getWorkingCrs());
+            resolveDesignPlane({ points });
+            return points;
+        } catch (e) {
+            alert(`参考点无效：${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 同步平台设计面输入框（模式切换 / 会话恢复后）
+     */
+    _cutFillSyncPlaneInputs() {
+        const plane = this.cutFillPlane;
+        const setValue = (id, v) => {
+            const el = document.getElementById(id);
+            if (el) el.value = String(v);
+        };
+        setValue('cutfillPlaneMode', plane.mode);
+        setValue('cutfillLongGrade', plane.longGrade);
+        setValue('cutfillCrossGrade', plane.crossGrade);
+        setValue('cutfillGradeAzimuth', plane.azimuth);
+        const pointsEl = document.getElementById('cutfillPlanePoints');
+        if (pointsEl && document.activeElement !== pointsEl) {
+            pointsEl.value = plane.points
+                ? JSON.stringify(plane.points.map(([lon, lat, h]) => {
+                    const c = this.mathProj.lonLatToCrs(lon, lat);
+                    return [c.x, c.y, h];
+                }))
+                : '';
+        }
+        const show = (id, visible) => {
+            const el = document.getElementById(id);
+            if (el) el.style.display = visible ? '' : 'none';
+        };
+        show('cutfillGradeFields', plane.mode === 'grade');
+        show('cutfillPointsFields', plane.mode === 'points');
+    }
+
+    /**
+     * 同步土方材料输入框（材料切换 / 会话恢复后）
+     */
+    _cutFillSyncMaterialInputs() {
+        const m = this.cutFillMaterial;
+        const setValue = (id, v) => {
+            const el = document.getElementById(id);
+            if (el) el.value = String(v);
+        };
+        setValue('cutfillMaterial', m.id);
+        setValue('cutfillSwell', m.swell);
+        setValue('cutfillShrink', m.shrink);
+        setValue('cutfillTruckCapacity', m.truckCapacityM3);
+    }
+
+    /**
+     * 求解平衡标高：设计面（平台或导入设计面）整体升降多少时满足 填方 = 挖方 × 折算系数 + 外借方量，
+     * 并绘制方量-标高曲线；折算系数为 1，勾选「按压实系数折算」时取材料压实系数
+     * @returns {{offset: number, elevation: number|null, cutM3: number, fillM3: number, shrinkFactor: number}|null}
+     */
+    _cutFillSolveBalance() {
+        const setText = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        };
+        if (!this.cutFillPolygons.length) {
+            alert('请先添加填挖方多边形。');
+            return null;
+        }
+
+        const { samples } = this._cutFillComputeStats(false, { collectSamples: true });
+        const shrinkFactor = this.cutFillBalance.useShrink ? this.cutFillMaterial.shrink : 1;
+        const solved = MeasureMath.solveCutFillBalance(samples, {
+            importM3: this.cutFillBalance.importM3,
+            shrinkFactor
+        });
+        if (!solved) {
+            this.cutFillBalance.result = null;
+            setText('cutfillBalanceElevation', '无法平衡');
+            this._cutFillDrawBalanceChart(null);
+            return null;
+        }
+
+        let minD = Infinity;
+        let maxD = -Infinity;
+        for (const sample of samples) {
+            minD = Math.min(minD, ...sample.d);
+            maxD = Math.max(maxD, ...sample.d);
+        }
+        const from = Math.min(minD, solved.offset);
+        const to = Math.max(maxD, solved.offset);
+        const pad = Math.max(0.5, (to - from) * 0.05);
+        // 平台设计面以目标海拔 H 为横轴；导入设计面时横轴为整体抬升量
+        const base = this.cutFillDesignSurface ? null : (Number(this.cutFillTargetElevation) || 0);
+        const result = {
+            ...solved,
+            shrinkFactor,
+            elevation: base === null ? null : base + solved.offset,
+            base,
+            curve: MeasureMath.cutFillVolumeCurve(samples, from - pad, to + pad, 48)
+        };
+        this.cutFillBalance.result = result;
+
+        const fmt = (v) => (Number.isFinite(v) ? v.toFixed(2) : '0.00');
+        setText('cutfillBalanceElevation', result.elevation === null ? '—' : `${result.elevation.toFixed(3)} 米`);
+        setText('cutfillBalanceOffset', `${solved.offset >= 0 ? '+' : ''}${solved.offset.toFixed(3)} 米`);
+        setText('cutfillBalanceVolumes', `挖 ${fmt(solved.cutM3)} / 填 ${fmt(solved.fillM3)} 立方米（挖方折算系数 ${shrinkFactor}）`);
+        this._cutFillDrawBalanceChart(result);
+        return result;
+    }
+
+    /**
+     * 把平衡标高写回平台设计面：目标海拔 H、分台高程与参考点高程整体加上求解的升降量
+     */
+    _cutFillApplyBalance() {
+        if (this.cutFillDesignSurface) {
+            alert('已加载设计面：平衡标高只能应用到平台设计面，请先清除设计面。');
+            return;
+        }
+        const result = this._cutFillSolveBalance();
+        if (!result) return;
+
+        const dh = Number(result.offset.toFixed(3));
+        const shiftPoints = (points) => points.map(([lon, lat, h]) => [lon, lat, Number((Number(h) + dh).toFixed(3))]);
+        this.cutFillTargetElevation = Number(((Number(this.cutFillTargetElevation) || 0) + dh).toFixed(3));
+        if (this.cutFillPlane.points) this.cutFillPlane.points = shiftPoints(this.cutFillPlane.points);
+        this.cutFillPolygonDesigns = this.cutFillPolygonDesigns.map((own) => {
+            if (!own) return own;
+            const next = { ...own };
+            if (Number.isFinite(Number(next.targetElevation))) next.targetElevation = Number((Number(next.targetElevation) + dh).toFixed(3));
+            if (next.points) next.points = shiftPoints(next.points);
+            return next;
+        });
+
+        const targetEl = document.getElementById('cutfillTargetElevation');
+        if (targetEl) targetEl.value = String(this.cutFillTargetElevation);
+        this._cutFillSyncPlaneInputs();
+        this._cutFillRecompute();
+        this._cutFillSolveBalance();
+    }
+
+    /**
+     * 绘制方量-标高曲线（挖方红、填方蓝，虚线为平衡标高）
+     * @param {Object|null} result - `_cutFillSolveBalance` 的结果
+     */
+    _cutFillDrawBalanceChart(result) {
+        const canvas = document.getElementById('cutfillBalanceChart');
+        const ctx = canvas?.getContext?.('2d');
+        if (!ctx) return;
+        const width = canvas.width;
+        const height = canvas.height;
+        ctx.clearRect(0, 0, width, height);
+        const curve = result?.curve;
+        if (!curve?.length) return;
+
+        const pad = { left: 8, right: 8, top: 14, bottom: 18 };
+        const xOf = (offset) => (result.base ?? 0) + offset;
+        const x0 = xOf(curve[0].offset);
+        const x1 = xOf(curve[curve.length - 1].offset);
+        const maxV = Math.max(1, ...curve.map(p => Math.max(p.cutM3, p.fillM3)));
+        const sx = (x) => pad.left + (x - x0) / ((x1 - x0) || 1) * (width - pad.left - pad.right);
+        const sy = (v) => height - pad.bottom - v / maxV * (height - pad.top - pad.bottom);
+
+        // 基线
+        ctx.beginPath();
+        ctx.moveTo(pad.left, height - pad.bottom);
+        ctx.lineTo(width - pad.right, height - pad.bottom);
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        const drawLine = (key, color) => {
+            ctx.beginPath();
+            curve.forEach((p, i) => {
+                const x = sx(xOf(p.offset));
+                const y = sy(p[key]);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        };
+        drawLine('cutM3', '#ff5252');
+        drawLine('fillM3', '#448aff');
+
+        // 平衡标高
+        const bx = sx(xOf(result.offset));
+        ctx.save();
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(bx, pad.top);
+        ctx.lineTo(bx, height - pad.bottom);
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        ctx.restore();
+
+        ctx.font = '10px Arial';
+        ctx.fillStyle = '#555';
+        ctx.fillText(x0.toFixed(1), pad.left, height - 5);
+        ctx.fillText(x1.toFixed(1), width - pad.right - 30, height - 5);
+        ctx.fillText(result.base === null ? '设计面升降 (米)' : '目标海拔 H (米)', width / 2 - 35, height - 5);
+        ctx.fillText(`${maxV.toFixed(0)} 立方米`, pad.left, 10);
+        ctx.fillStyle = '#ff5252';
+        ctx.fillText('挖方', width - 70, 10);
+        ctx.fillStyle = '#448aff';
+        ctx.fillText('填方', width - 38, 10);
+    }
+
     _cutFillExecuteFlatten() {
         if (!this.rgbTerrain || !this.mathProj) return;
         if (!this.cutFillPolygons.length) return;
+        if (this.cutFillDesignSurface) {
+            alert('已加载设计面：整平仅支持目标海拔平面，请先清除设计面。');
+            return;
+        }
 
         const targetElevation = Number.isFinite(Number(this.cutFillTargetElevation)) ? Number(this.cutFillTargetElevation) : 0;
-        const list = this.cutFillPolygons.map(poly => ({
+        // Same design planes as the volume computation (sloped ones are passed through as resolved planes).
+        const planes = this._cutFillResolvePlanes();
+        const list = this.cutFillPolygons.map((poly, i) => ({
             polygon: poly.map(p => {
                 const ll = this.mathProj.threeToLonLat(new THREE.Vector3(p.x, 0, p.z));
                 return [ll.lon, ll.lat];
             }),
-            targetElevation
+            targetElevation: planes[i]?.elevation ?? targetElevation,
+            ...(isSlopedDesign({ plane: planes[i] }) ? { plane: planes[i] } : {})
         }));
 
         try {
             if (typeof this.rgbTerrain.flattenTerrainMultiple === 'function') {
                 this.rgbTerrain.flattenTerrainMultiple(list);
-            } else if (typeof this.rgbTerrain.flattenTerrain === 'function' && list.length === 1) {
-                this.rgbTerrain.flattenTerrain(list[0].polygon, targetElevation);
+            } else if (typeof this.rgbTerrain.flattenTerrain === 'function' && list.length === 1 && !list[0].plane) {
+                this.rgbTerrain.flattenTerrain(list[0].polygon, list[0].targetElevation);
             }
             this._cutFillFlattenExecuted = true;
         } catch (e) {
@@ -729,7 +1518,8 @@ export class MeasureToolUI {
     }
 
     _cutFillRecompute() {
-        const stats = this._cutFillComputeStats(true);
+        // samples 仅用于热力图图例面积
+        const stats = this._cutFillComputeStats(true, { collectSamples: !!this.cutFillHeatmap.enabled });
         // Update UI (avoid double compute)
         this._cutFillUpdateUiFromStats(stats);
         const net = stats.fillM3 - stats.cutM3;
@@ -744,19 +1534,28 @@ export class MeasureToolUI {
         this._cutFillRebuildVisualization(stats);
     }
 
-    _cutFillComputeStats(needGeometry = false) {
+    /**
+     * 填挖方统计（逐多边形 + 合计），可选输出可视化几何与采样三角形
+     * @param {boolean} [needGeometry=false] - 输出可视化几何
+     * @param {{collectSamples?: boolean}} [options] - collectSamples：输出 samples [{areaM2, d: [地面-设计面（米）x3]}]，
+     *   供平衡标高求解与方量-标高曲线复用（`MeasureMath.solveCutFillBalance`）
+     */
+    _cutFillComputeStats(needGeometry = false, options = {}) {
         const out = {
             areaM2: 0,
             fillM3: 0,
             cutM3: 0,
+            // 设计面未覆盖的面积（不计入填挖方）
+            uncoveredM2: 0,
+            polygons: [],
+            samples: options.collectSamples ? [] : null,
             geometries: needGeometry ? { ground: [], flat: [], cut: [], fill: [], walls: [] } : null
         };
         if (!this.mathProj) return out;
         if (!this.cutFillPolygons.length) return out;
 
-        const targetMeters = Number.isFinite(Number(this.cutFillTargetElevation)) ? Number(this.cutFillTargetElevation) : 0;
         const stepM = Number.isFinite(Number(this.cutFillSampleStepMeters)) ? Math.max(1, Number(this.cutFillSampleStepMeters)) : 20;
-        const target = this.mathProj?.metersToUnits ? this.mathProj.metersToUnits(targetMeters) : targetMeters;
+        const planes = this._cutFillResolvePlanes();
 
         const getTerrainY = (x, z) => {
             try {
@@ -771,7 +1570,11 @@ export class MeasureToolUI {
         const MAX_SUB_TRIANGLES = 200000;
         let subTriCount = 0;
 
-        for (const poly of this.cutFillPolygons) {
+        for (let pi = 0; pi < this.cutFillPolygons.length; pi++) {
+            const poly = this.cutFillPolygons[pi];
+            const plane = planes[pi];
+            const polyStats = { areaM2: 0, fillM3: 0, cutM3: 0, uncoveredM2: 0, plane };
+            out.polygons.push(polyStats);
             const contour = poly.map(p => new THREE.Vector2(p.x, p.z));
             if (contour.length < 3) continue;
 
@@ -785,7 +1588,7 @@ export class MeasureToolUI {
 
                 // Total polygon area (geodesic): sum original triangle areas once.
                 const triArea = this._cutFillTriangleGeodesicArea(v0.x, v0.z, v1.x, v1.z, v2.x, v2.z);
-                if (Number.isFinite(triArea) && triArea > 0) out.areaM2 += triArea;
+                if (Number.isFinite(triArea) && triArea > 0) polyStats.areaM2 += triArea;
 
                 // Subdivide triangles for more accurate volume on complex terrain.
                 const subTris = this._cutFillSubdivideTriangleXZ(v0, v1, v2, stepM);
@@ -796,13 +1599,29 @@ export class MeasureToolUI {
                     const bx = t.b.x, bz = t.b.z;
                     const cx = t.c.x, cz = t.c.z;
 
+                    // Base surface per vertex: imported design surface, or the polygon's design plane.
+                    const ta = this._cutFillTargetYAt(ax, az, plane);
+                    const tb = this._cutFillTargetYAt(bx, bz, plane);
+                    const tc = this._cutFillTargetYAt(cx, cz, plane);
+                    if (ta === null || tb === null || tc === null) {
+                        const area = this._cutFillTriangleGeodesicArea(ax, az, bx, bz, cx, cz);
+                        if (Number.isFinite(area) && area > 0) polyStats.uncoveredM2 += area;
+                        continue;
+                    }
+
                     const ya = getTerrainY(ax, az);
                     const yb = getTerrainY(bx, bz);
                     const yc = getTerrainY(cx, cz);
 
-                    const da = ya - target;
-                    const db = yb - target;
-                    const dc = yc - target;
+                    const da = ya - ta;
+                    const db = yb - tb;
+                    const dc = yc - tc;
+
+                    if (out.samples) {
+                        const area = this._cutFillTriangleGeodesicArea(ax, az, bx, bz, cx, cz);
+                        const toM = (v) => (this.mathProj?.unitsToMeters ? this.mathProj.unitsToMeters(v) : v);
+                        if (Number.isFinite(area) && area > 0) out.samples.push({ areaM2: area, d: [toM(da), toM(db), toM(dc)] });
+                    }
 
                     if (needGeometry && out.geometries) {
                         out.geometries.ground.push(
@@ -811,16 +1630,16 @@ export class MeasureToolUI {
                             { x: cx, y: yc, z: cz }
                         );
                         out.geometries.flat.push(
-                            { x: ax, y: target, z: az },
-                            { x: bx, y: target, z: bz },
-                            { x: cx, y: target, z: cz }
+                            { x: ax, y: ta, z: az },
+                            { x: bx, y: tb, z: bz },
+                            { x: cx, y: tc, z: cz }
                         );
                     }
 
                     const parts = this._cutFillSplitTriangleBySign(
-                        { x: ax, z: az, d: da },
-                        { x: bx, z: bz, d: db },
-                        { x: cx, z: cz, d: dc }
+                        { x: ax, y: ta, z: az, d: da },
+                        { x: bx, y: tb, z: bz, d: db },
+                        { x: cx, y: tc, z: cz, d: dc }
                     );
 
                     for (const part of parts) {
@@ -831,15 +1650,15 @@ export class MeasureToolUI {
 
                         const avgDUnits = (a.d + b.d + c.d) / 3;
                         const avgD = this.mathProj?.unitsToMeters ? this.mathProj.unitsToMeters(avgDUnits) : avgDUnits;
-                        if (part.sign > 0) out.cutM3 += area * Math.max(0, avgD);
-                        else if (part.sign < 0) out.fillM3 += area * Math.max(0, -avgD);
+                        if (part.sign > 0) polyStats.cutM3 += area * Math.max(0, avgD);
+                        else if (part.sign < 0) polyStats.fillM3 += area * Math.max(0, -avgD);
 
                         if (needGeometry && out.geometries) {
                             const dst = part.sign > 0 ? out.geometries.cut : out.geometries.fill;
                             dst.push(
-                                { x: a.x, y: target, z: a.z },
-                                { x: b.x, y: target, z: b.z },
-                                { x: c.x, y: target, z: c.z }
+                                { x: a.x, y: a.y, z: a.z },
+                                { x: b.x, y: b.y, z: b.z },
+                                { x: c.x, y: c.y, z: c.z }
                             );
                         }
                     }
@@ -847,7 +1666,11 @@ export class MeasureToolUI {
                 if (subTriCount > MAX_SUB_TRIANGLES) break;
             }
 
-            if (needGeometry && out.geometries) out.geometries.walls.push({ poly, target });
+            out.areaM2 += polyStats.areaM2;
+            out.cutM3 += polyStats.cutM3;
+            out.fillM3 += polyStats.fillM3;
+            out.uncoveredM2 += polyStats.uncoveredM2;
+            if (needGeometry && out.geometries) out.geometries.walls.push({ poly, plane });
             if (subTriCount > MAX_SUB_TRIANGLES) break;
         }
 
@@ -856,14 +1679,10 @@ export class MeasureToolUI {
 
     _cutFillTriangleGeodesicArea(ax, az, bx, bz, cx, cz) {
         if (!this.mathProj) return 0;
-        const ll1 = this.mathProj.threeToLonLat(new THREE.Vector3(ax, 0, az));
-        const ll2 = this.mathProj.threeToLonLat(new THREE.Vector3(bx, 0, bz));
-        const ll3 = this.mathProj.threeToLonLat(new THREE.Vector3(cx, 0, cz));
-        const a = this.mathProj.calculateGeographicDistance(ll1, ll2);
-        const b = this.mathProj.calculateGeographicDistance(ll2, ll3);
-        const c = this.mathProj.calculateGeographicDistance(ll3, ll1);
-        const s = (a + b + c) / 2;
-        const area = Math.sqrt(Math.max(0, s * (s - a) * (s - b) * (s - c)));
+        const ll1 = this.mathProj.threeToLonLat(ax, 0, az);
+        const ll2 = this.mathProj.threeToLonLat(bx, 0, bz);
+        const ll3 = this.mathProj.threeToLonLat(cx, 0, cz);
+        const area = MeasureMath.calculateGeographicArea([ll1, ll2, ll3]);
         return Number.isFinite(area) ? area : 0;
     }
 
@@ -885,6 +1704,7 @@ export class MeasureToolUI {
 
         const lerp = (a, b, t) => ({
             x: a.x + (b.x - a.x) * t,
+            y: (a.y ?? 0) + ((b.y ?? 0) - (a.y ?? 0)) * t,
             z: a.z + (b.z - a.z) * t,
             d: a.d + (b.d - a.d) * t
         });
@@ -978,6 +1798,8 @@ export class MeasureToolUI {
         removeMesh(this.cutFillVisMeshes.fill);
         removeMesh(this.cutFillVisMeshes.walls);
         this.cutFillVisMeshes = { ground: null, flat: null, walls: null, cut: null, fill: null };
+        this._cutFillHeatmap?.clear();
+        this._cutFillRenderHeatmapLegend(null);
     }
 
     _cutFillRebuildVisualization(stats) {
@@ -1019,6 +1841,80 @@ export class MeasureToolUI {
         const wallVerts = this._cutFillBuildWallVertices(stats.geometries.walls);
         const walls = buildMesh(wallVerts, wallMat, 0, 9400);
         if (walls) { this.cutFillVisGroup.add(walls); this.cutFillVisMeshes.walls = walls; }
+
+        this._cutFillUpdateHeatmap(stats);
+    }
+
+    /**
+     * 填挖深度热力图：按多边形栅格化设计面（平台设计面或导入设计面），由地形材质 shader 逐像素计算
+     * 地面 - 设计面 并按分级着色（见 terrain/CutFillHeatmap.js）
+     * 图层在首次有多边形且开启时创建；关闭或无多边形时 clear（不再挂接新加载的地形材质）
+     * @param {Object} stats - `_cutFillComputeStats` 的结果（取各多边形的 plane 与 samples）
+     */
+    _cutFillUpdateHeatmap(stats) {
+        if (!this.cutFillHeatmap.enabled || !this.cutFillPolygons.length) {
+            this._cutFillHeatmap?.clear();
+            this._cutFillRenderHeatmapLegend(null);
+            return;
+        }
+        if (!this._cutFillHeatmap) {
+            if (!this.rgbTerrain) return;
+            this._cutFillHeatmap = new CutFillHeatmap(this.rgbTerrain, { breaks: this.cutFillHeatmap.breaks, opacity: this.cutFillHeatmap.opacity });
+        }
+        const planes = (stats?.polygons ?? []).map(p => p.plane ?? null);
+        this._cutFillHeatmap.setDesign(this.cutFillPolygons, (x, z, i) => this._cutFillTargetYAt(x, z, planes[i] ?? null));
+        this._cutFillHeatmap.setVisible(this.cutFillHeatmap.enabled);
+        this._cutFillRenderHeatmapLegend(stats);
+    }
+
+    /**
+     * 热力图设置（开关 / 分级断点 / 透明度）变更后同步到图层、输入框与图例
+     */
+    _cutFillApplyHeatmapSettings() {
+        const settings = this.cutFillHeatmap;
+        if (this._cutFillHeatmap) {
+            const classes = this._cutFillHeatmap.setClasses(settings.breaks);
+            settings.breaks = classes.slice(1).map(c => c.min);
+            this._cutFillHeatmap.setOpacity(settings.opacity);
+            this._cutFillHeatmap.setVisible(settings.enabled);
+        }
+        const enabledEl = document.getElementById('cutfillHeatmapEnabled');
+        if (enabledEl) enabledEl.checked = !!settings.enabled;
+        const breaksEl = document.getElementById('cutfillHeatmapBreaks');
+        if (breaksEl) breaksEl.value = settings.breaks.join(', ');
+        const opacityEl = document.getElementById('cutfillHeatmapOpacity');
+        if (opacityEl) opacityEl.value = String(settings.opacity);
+        this._cutFillRenderHeatmapLegend(this._cutFillHeatmapStats ?? null);
+    }
+
+    /**
+     * 热力图图例：各分级颜色、区间与面积（按采样三角形平均填挖深度归类，近似值）
+     * @param {Object|null} stats - 含 samples 时统计各级面积；null 时仅显示分级
+     */
+    _cutFillRenderHeatmapLegend(stats) {
+        this._cutFillHeatmapStats = stats?.samples ? stats : null;
+        const el = document.getElementById('cutfillHeatmapLegend');
+        if (!el) return;
+        const heatmap = this._cutFillHeatmap;
+        if (!heatmap || !this.cutFillHeatmap.enabled) {
+            el.innerHTML = '';
+            return;
+        }
+        const areas = new Array(heatmap.classes.length).fill(0);
+        for (const s of this._cutFillHeatmapStats?.samples ?? []) {
+            areas[heatmap.classOf((s.d[0] + s.d[1] + s.d[2]) / 3)] += s.areaM2;
+        }
+        const range = (c) => {
+            if (c.min === -Infinity) return `&lt; ${c.max} 米`;
+            if (c.max === Infinity) return `≥ ${c.min} 米`;
+            return `${c.min} ~ ${c.max} 米`;
+        };
+        // 由深挖到深填排列（与颜色由红到蓝一致）
+        el.innerHTML = heatmap.classes.map((c, i) => `
+            <div class="cut-fill-row">
+                <span class="cut-fill-label"><span class="cutfill-legend-swatch" style="background: ${c.color};"></span>${range(c)}</span>
+                <span class="cut-fill-value">${this._cutFillHeatmapStats ? `约 ${areas[i].toFixed(2)} 平方米` : ''}</span>
+            </div>`).reverse().join('');
     }
 
     _cutFillBuildWallVertices(wallsInput) {
@@ -1036,7 +1932,7 @@ export class MeasureToolUI {
 
         for (const w of wallsInput) {
             const poly = w?.poly;
-            const target = Number(w?.target) || 0;
+            const plane = w?.plane ?? null;
             if (!Array.isArray(poly) || poly.length < 3) continue;
 
             for (let i = 0; i < poly.length; i++) {
@@ -1046,9 +1942,9 @@ export class MeasureToolUI {
                 const ya = getTerrainY(a.x, a.z);
                 const yb = getTerrainY(b.x, b.z);
 
-                // quad -> two triangles (top at target, bottom at terrain)
-                const aTop = { x: a.x, y: target, z: a.z };
-                const bTop = { x: b.x, y: target, z: b.z };
+                // quad -> two triangles (top at target / design surface, bottom at terrain)
+                const aTop = { x: a.x, y: this._cutFillTargetYAt(a.x, a.z, plane) ?? ya, z: a.z };
+                const bTop = { x: b.x, y: this._cutFillTargetYAt(b.x, b.z, plane) ?? yb, z: b.z };
                 const aBot = { x: a.x, y: ya, z: a.z };
                 const bBot = { x: b.x, y: yb, z: b.z };
 
@@ -1111,6 +2007,8 @@ export class MeasureToolUI {
         const maxElevation = Math.max(...elevations);
         const minElevation = Math.min(...elevations);
         const totalRelief = maxElevation - minElevation;
+
+        this.measureResult = { type: 'profile', lengthM: length, maxElevationM: maxElevation, minElevationM: minElevation, totalReliefM: totalRelief };
         
         // 更新基本信息
         profileLengthEl.textContent = `${length.toFixed(2)} 米`;
@@ -1906,6 +2804,126 @@ export class MeasureToolUI {
         const heightDiffUnits = point2.three.y - point1.three.y;
         const heightDiff = this.mathProj?.unitsToMeters ? this.mathProj.unitsToMeters(heightDiffUnits) : heightDiffUnits;
         setTextIfExists('heightDifference', `${toFiniteNum(heightDiff).toFixed(2)} 米`);
+
+        this.measureResult = {
+            type: 'distance',
+            geodesicDistanceM: geodesicDistance,
+            threeDistanceM: threeDistance,
+            webMercatorDistanceM: mercatorDistance,
+            heightDifferenceM: heightDiff,
+            horizontalAngleDeg: OverlookAngleDeg
+        };
+    }
+
+    /**
+     * 当前测量结果转为 GeoJSON 要素（WGS84 经纬度，长度/面积/体积等结果作为属性）
+     * - 点测量：每个拾取点一个 Point
+     * - 距离/路程/剖面：LineString；面积：Polygon
+     * - 填挖方：所有多边形合为一个 MultiPolygon，属性为汇总的面积/挖方/填方/净方量
+     * @returns {Object} GeoJSON FeatureCollection
+     */
+    getMeasurementFeatures() {
+        const features = [];
+        if (!this.mathProj) return { type: 'FeatureCollection', features };
+
+        const round = (v) => (Number.isFinite(Number(v)) ? Math.round(Number(v) * 1000) / 1000 : null);
+        const toPos = (p) => threeToPosition(this.mathProj, p);
+        const type = this.currentMeasureType;
+        const points = this.pickedPoints.map(p => p.three);
+        const result = this.measureResult?.type === type ? this.measureResult : null;
+        const props = { source: 'measure', measureType: type };
+        if (result) {
+            for (const [k, v] of Object.entries(result)) {
+                if (k === 'type') continue;
+                props[k] = Array.isArray(v)
+                    ? v.map(seg => Object.fromEntries(Object.entries(seg).map(([sk, sv]) => [sk, round(sv)])))
+                    : round(v);
+            }
+        }
+
+        if (type === 'point') {
+            points.forEach((p, i) => {
+                features.push({
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: toPos(p) },
+                    properties: { ...props, name: `P${i + 1}` }
+                });
+            });
+        } else if (type === 'distance' && points.length >= 2) {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates: points.slice(-2).map(toPos) },
+                properties: props
+            });
+        } else if ((type === 'multiDistance' || type === 'profile') && points.length >= 2) {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates: points.map(toPos) },
+                properties: props
+            });
+        } else if (type === 'area' && points.length >= 3) {
+            const ring = points.map(toPos);
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Polygon', coordinates: [[...ring, ring[0]]] },
+                properties: props
+            });
+        } else if (type === 'cutFill' && this.cutFillPolygons.length) {
+            const stats = this._cutFillComputeStats(false);
+            const polygons = this.cutFillPolygons.map(poly => {
+                const ring = poly.map(p => toPos(new THREE.Vector3(p.x, 0, p.z)).slice(0, 2));
+                return [[...ring, ring[0]]];
+            });
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'MultiPolygon', coordinates: polygons },
+                properties: {
+                    ...props,
+                    polygonCount: polygons.length,
+                    targetElevationM: round(this.cutFillTargetElevation),
+                    sampleStepM: round(this.cutFillSampleStepMeters),
+                    areaM2: round(stats.areaM2),
+                    cutM3: round(stats.cutM3),
+                    fillM3: round(stats.fillM3),
+                    netM3: round(stats.fillM3 - stats.cutM3),
+                    designSurface: this.cutFillDesignSurface?.name ?? null,
+                    planeMode: this.cutFillDesignSurface ? null : this.cutFillPlane.mode,
+                    material: this.cutFillMaterial.id,
+                    swell: this.cutFillMaterial.swell,
+                    shrink: this.cutFillMaterial.shrink,
+                    truckCapacityM3: this.cutFillMaterial.truckCapacityM3,
+                    ...Object.fromEntries(Object.entries(MeasureMath.earthworkQuantities(stats.cutM3, stats.fillM3, this.cutFillMaterial))
+                        .filter(([key]) => !['cutBankM3', 'fillCompactedM3'].includes(key))
+                        .map(([key, v]) => [key, key.endsWith('Trucks') ? v : round(v)])),
+                    balanceElevationM: round(this.cutFillBalance.result?.elevation),
+                    balanceOffsetM: round(this.cutFillBalance.result?.offset),
+                    balanceShrinkFactor: this.cutFillBalance.result?.shrinkFactor ?? null,
+                    uncoveredM2: round(stats.uncoveredM2),
+                    polygonStats: stats.polygons.map(p => ({
+                        areaM2: round(p.areaM2),
+                        cutM3: round(p.cutM3),
+                        fillM3: round(p.fillM3),
+                        designElevationM: this.cutFillDesignSurface ? null : round(p.plane?.elevation),
+                        gradeEastPct: this.cutFillDesignSurface ? null : round((p.plane?.gradeEast ?? 0) * 100),
+                        gradeNorthPct: this.cutFillDesignSurface ? null : round((p.plane?.gradeNorth ?? 0) * 100)
+                    }))
+                }
+            });
+        }
+        return { type: 'FeatureCollection', features };
+    }
+
+    /**
+     * 下载当前测量结果
+     * @param {'geojson'|'kml'|'csv'} format - 导出格式
+     */
+    exportMeasurements(format = 'geojson') {
+        const fc = this.getMeasurementFeatures();
+        if (!fc.features.length) {
+            alert('没有可导出的测量结果。');
+            return;
+        }
+        downloadFeatures(fc, format, `measure_${this.currentMeasureType || 'result'}`);
     }
 
     /**
@@ -2017,6 +3035,7 @@ export class MeasureToolUI {
         this.clearGroundSurface();
 
         this.pickedPoints = [];
+        this.measureResult = null;
         this.updatePoints([]);
 
         // 根据当前测量类型清除对应的结果
@@ -2131,9 +3150,14 @@ export class MeasureToolUI {
 
         // 清除填挖方可视化/标记
         this._cutFillClearAll();
+        this._cutFillClearDesignSurface(false);
         if (this.scene && this.cutFillVisGroup) {
             try { this.scene.remove(this.cutFillVisGroup); } catch { /* ignore */ }
         }
+        if (this._cutFillHeatmap) {
+            try { this._cutFillHeatmap.dispose(); } catch { /* ignore */ }
+            this._cutFillHeatmap = null;
+        }
 
         // 清除贴地表面（含 shader overlay）
         this.clearGroundSurface();
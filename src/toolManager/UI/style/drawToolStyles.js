@@ -30,6 +30,7 @@ export const drawToolStyles = `
 .draw-mode-section,
 .draw-options-section,
 .draw-control-section,
+.draw-import-section,
 .draw-info-section {
     margin-bottom: 20px;
     padding: 12px;
@@ -41,6 +42,7 @@ export const drawToolStyles = `
 .draw-mode-section h4,
 .draw-options-section h4,
 .draw-control-section h4,
+.draw-import-section h4,
 .draw-info-section h4 {
     margin: 0 0 10px 0;
     font-size: 14px;
@@ -264,6 +266,24 @@ export const drawToolStyles = `
     box-shadow: 0 2px 4px rgba(0, 0, 0, 0.2);
 }
 
+/* 导入 / 导出 */
+.draw-export-row {
+    display: flex;
+    gap: 8px;
+    align-items: center;
+    margin-top: 8px;
+}
+
+.draw-export-row select,
+.draw-export-row button {
+    padding: 6px 10px;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+    font-size: 13px;
+    background: #fff;
+    cursor: pointer;
+}
+
 /* 绘制信息 */
 .draw-info-content {
     display: flex;
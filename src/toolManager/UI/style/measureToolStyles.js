@@ -158,6 +158,15 @@ export const measureToolStyles = `
         font-size: 12px;
         text-align: left;
     }
+
+    .point-crs-select {
+        flex: 1;
+        min-width: 0;
+        padding: 2px 4px;
+        border-radius: 4px;
+        border: 1px solid rgba(0, 0, 0, 0.2);
+        font-size: 11px;
+    }
     
     /* 测量结果值样式 */
     #geodesicDistance, #threeDistance, #webMercatorDistance, #totalDistance,
@@ -272,6 +281,27 @@ export const measureToolStyles = `
         min-width: 70px;
     }
     
+    .measure-export {
+        display: flex;
+        gap: 6px;
+        align-items: center;
+        margin-bottom: 10px;
+    }
+
+    .measure-export select,
+    .measure-export button {
+        padding: 6px 10px;
+        border: 1px solid #ddd;
+        border-radius: 4px;
+        font-size: 12px;
+        background: #fff;
+        cursor: pointer;
+    }
+
+    .measure-export button:hover {
+        background: #f0f0f0;
+    }
+    
     #startMeasureBtn {
         background-color: #4CAF50;
         color: white;
@@ -469,6 +499,15 @@ export const measureToolStyles = `
         margin: 6px 0;
     }
 
+    .cutfill-legend-swatch {
+        display: inline-block;
+        width: 12px;
+        height: 12px;
+        margin-right: 6px;
+        vertical-align: middle;
+        border: 1px solid rgba(0, 0, 0, 0.2);
+    }
+
     .cutfill-hidden {
         display: none;
     }
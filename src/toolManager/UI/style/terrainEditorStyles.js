@@ -93,6 +93,16 @@ export const terrainEditorStyles = `
     font-weight: normal;
 }
 
+.terrain-editor-field select {
+    width: 100%;
+    box-sizing: border-box;
+    padding: 6px 8px;
+    border: 1px solid #ddd;
+    border-radius: 6px;
+    font-size: 13px;
+    background: #fff;
+}
+
 .terrain-editor-row select {
     width: 120px;
     padding: 6px 8px;
@@ -1,5 +1,8 @@
 import { terrainEditorHTML } from './html/terrainEditorHTML.js';
 import { terrainEditorStyles } from './style/terrainEditorStyles.js';
+import { getMathProj } from '../../math/proj.js';
+import { coordinatesToLonLat } from '../../math/crs.js';
+import { bindCrsSelect } from './crsSelect.js';
 
 export class TerrainEditorUI {
     constructor(options) {
@@ -33,17 +36,38 @@ export class TerrainEditorUI {
     bindEvents() {
         const qs = (sel) => this.container?.querySelector(sel);
 
+        // 输入坐标系：输入在工程坐标系下，回调前统一转为经纬度
+        const mathProj = getMathProj();
+        bindCrsSelect(qs('#terrainInputCrs'), mathProj);
+        const toLonLat = (coords) => coordinatesToLonLat(coords, mathProj.getWorkingCrs());
+        // 高程控制点：[[x,y,elev],...] 需转换，[[t,elev],...] 保持不变
+        const samplesToLonLat = (samples) => samples.map(p => (Array.isArray(p) && p.length >= 3 ? toLonLat([p])[0] : p));
+        const itemToLonLat = (it) => {
+            if (Array.isArray(it)) return toLonLat(it);
+            if (!it || typeof it !== 'object') return it;
+            const out = { ...it };
+            for (const key of ['polygon', 'vertices', 'poly']) {
+                if (Array.isArray(out[key])) out[key] = toLonLat(out[key]);
+            }
+            for (const key of ['aLonLat', 'a', 'bLonLat', 'b']) {
+                if (Array.isArray(out[key])) out[key] = toLonLat([out[key]])[0];
+            }
+            if (Array.isArray(out.highEdgeSamples)) out.highEdgeSamples = samplesToLonLat(out.highEdgeSamples);
+            return out;
+        };
+
         const parsePolygon = (value) => {
             const raw = value ?? '[]';
             const polygon = JSON.parse(raw);
             if (!Array.isArray(polygon)) throw new Error('polygon must be array');
-            return polygon;
+            return toLonLat(polygon);
         };
 
         const parseJson = (value, fallback) => {
             const raw = (value ?? '').toString().trim();
             if (!raw.length) return fallback;
-            return JSON.parse(raw);
+            const parsed = JSON.parse(raw);
+            return Array.isArray(parsed) ? parsed.map(itemToLonLat) : parsed;
         };
 
         qs('#terrainApplyRaise')?.addEventListener('click', () => {
@@ -153,7 +177,7 @@ export class TerrainEditorUI {
                 try {
                     const parsed = JSON.parse(highSamplesRaw);
                     if (!Array.isArray(parsed)) throw new Error('not array');
-                    highEdgeSamples = parsed;
+                    highEdgeSamples = samplesToLonLat(parsed);
                 } catch {
                     alert('参数错误：高坡边高程控制点需要是有效 JSON 数组');
                     return;
@@ -165,9 +189,10 @@ export class TerrainEditorUI {
                 return;
             }
 
+            const [aLonLat, bLonLat] = toLonLat([[aLon, aLat], [bLon, bLat]]);
             this.onSlope?.({
-                aLonLat: [aLon, aLat],
-                bLonLat: [bLon, bLat],
+                aLonLat: aLonLat.slice(0, 2),
+                bLonLat: bLonLat.slice(0, 2),
                 side,
                 widthHeightRatio,
                 maxHeight,
@@ -182,7 +207,7 @@ export class TerrainEditorUI {
                 return;
             }
             try {
-                const list = JSON.parse(raw);
+                const list = parseJson(raw, []);
                 if (!Array.isArray(list)) throw new Error('not array');
                 this.onSlopeMultiple?.(list);
             } catch {
@@ -1,7 +1,56 @@
 import * as THREE from 'three';
+import {
+    ellipsoidalPolygonArea,
+    geodesicDistance,
+    geodesicInterpolate,
+    surfaceDistance
+} from '../math/geodesic.js';
+
+/**
+ * 土方材料（典型值）：swell 松散系数 = 松方/自然方，shrink 压实系数 = 压实方/自然方
+ * @type {Array<{id: string, name: string, swell: number, shrink: number}>}
+ */
+export const EARTHWORK_MATERIALS = [
+    { id: 'common', name: '普通土', swell: 1.25, shrink: 0.90 },
+    { id: 'sand', name: '砂土', swell: 1.12, shrink: 0.95 },
+    { id: 'clay', name: '黏土', swell: 1.30, shrink: 0.90 },
+    { id: 'gravel', name: '砂砾石', swell: 1.15, shrink: 0.97 },
+    { id: 'softRock', name: '软岩', swell: 1.40, shrink: 1.15 },
+    { id: 'hardRock', name: '硬岩', swell: 1.55, shrink: 1.30 }
+];
+
+/**
+ * 补齐缺失高程（NaN）：两侧都有有效采样时按距离线性插值，首尾缺失取最近的有效值
+ * @param {Array<{lon: number, lat: number, elevation: number}>} samples - 原地修改
+ * @returns {number} 有效采样数
+ */
+function fillMissingElevations(samples) {
+    const valid = [];
+    samples.forEach((s, i) => { if (Number.isFinite(s.elevation)) valid.push(i); });
+    if (!valid.length || valid.length === samples.length) return valid.length;
+
+    const along = [0];
+    for (let i = 1; i < samples.length; i++) along.push(along[i - 1] + geodesicDistance(samples[i - 1], samples[i]));
+    let k = 0;
+    for (let i = 0; i < samples.length; i++) {
+        if (Number.isFinite(samples[i].elevation)) continue;
+        while (k + 1 < valid.length && valid[k + 1] < i) k++;
+        const a = valid[k];
+        const b = valid[k + 1];
+        if (a > i || b === undefined) {
+            samples[i].elevation = samples[a > i ? a : valid[valid.length - 1]].elevation;
+            continue;
+        }
+        const t = (along[i] - along[a]) / ((along[b] - along[a]) || 1);
+        samples[i].elevation = samples[a].elevation + (samples[b].elevation - samples[a].elevation) * t;
+    }
+    return valid.length;
+}
 
 /**
  * 测量工具的核心计算函数
+ *
+ * 测地量（距离、面积、贴地距离）统一使用 WGS84 椭球测地计算（`src/math/geodesic.js`），测量、绘制导出与填挖方共用。
  */
 export class MeasureMath {
     /**
@@ -68,39 +117,241 @@ export class MeasureMath {
     }
 
     /**
-     * 计算地理面积（基于经纬度）
+     * 计算地理面积（WGS84 椭球面积，支持凹多边形）
      * @param {Array<Object>} lonLatPoints - 经纬度点列表
-     * @param {Object} mathProj - 坐标转换工具
+     * @param {Object} [mathProj] - 坐标转换工具（保留参数，面积计算不再依赖）
      * @returns {number} 地理面积（平方米）
      */
-    static calculateGeographicArea(lonLatPoints, mathProj) {
-        if (lonLatPoints.length < 3 || !mathProj) return 0;
-        
-        // 使用更简单可靠的方法计算地理面积
-        // 将球面多边形分解为多个三角形，计算每个三角形的面积并求和
-        const R = 6371000; // 地球半径（米）
-        let totalArea = 0;
-        const n = lonLatPoints.length;
-        
-        // 以第一个点为中心，将多边形分解为三角形
-        for (let i = 1; i < n - 1; i++) {
-            const p1 = lonLatPoints[0];
-            const p2 = lonLatPoints[i];
-            const p3 = lonLatPoints[i + 1];
-            
-            // 计算三角形的边长
-            const a = mathProj.calculateGeographicDistance(p1, p2);
-            const b = mathProj.calculateGeographicDistance(p2, p3);
-            const c = mathProj.calculateGeographicDistance(p3, p1);
-            
-            // 使用海伦公式计算三角形面积
-            const s = (a + b + c) / 2;
-            const triangleArea = Math.sqrt(s * (s - a) * (s - b) * (s - c));
-            
-            totalArea += triangleArea;
+    static calculateGeographicArea(lonLatPoints, mathProj = null) {
+        if (!Array.isArray(lonLatPoints) || lonLatPoints.length < 3) return 0;
+        return ellipsoidalPolygonArea(lonLatPoints);
+    }
+
+    /**
+     * 计算两点之间的贴地测地距离：沿测地线加密采样地形高程，逐段累加（测地水平距离, 高差）的三维长度
+     * @param {Object} lonLat1 - 起点经纬度 {lon, lat}
+     * @param {Object} lonLat2 - 终点经纬度 {lon, lat}
+     * @param {Function|null} getElevation - (lon, lat) => 高程（米）；为空时退化为测地距离。
+     *   返回非有限值（NaN / null，如瓦片未加载）的采样按相邻有效采样插值；全部无效时同样退化为测地距离
+     * @param {Object} [options]
+     * @param {number} [options.stepMeters=5] - 采样间距（米）
+     * @param {number} [options.maxSegments=500] - 最大分段数；超出时放宽采样间距，实际间距见返回的 stepM
+     * @returns {{horizontal: number, surface: number, samples: Array<{lon: number, lat: number, elevation: number}>,
+     *   stepM: number, capped: boolean}} stepM 为实际采样间距（米）；capped 表示分段数达到 maxSegments、实际间距大于 stepMeters
+     */
+    static calculateSurfaceDistance(lonLat1, lonLat2, getElevation = null, options = {}) {
+        const horizontal = geodesicDistance(lonLat1, lonLat2);
+        if (typeof getElevation !== 'function' || !(horizontal > 0)) {
+            return { horizontal, surface: horizontal, samples: [], stepM: horizontal, capped: false };
         }
-        
-        return totalArea;
+        const stepMeters = Number.isFinite(Number(options.stepMeters)) ? Math.max(0.01, Number(options.stepMeters)) : 5;
+        const maxSegments = Number.isFinite(Number(options.maxSegments)) ? Math.max(1, Number(options.maxSegments) | 0) : 500;
+        const wanted = Math.max(1, Math.ceil(horizontal / stepMeters));
+        const segments = Math.min(maxSegments, wanted);
+
+        const samples = geodesicInterpolate(lonLat1, lonLat2, segments).map((p) => {
+            const h = getElevation(p.lon, p.lat);
+            return { lon: p.lon, lat: p.lat, elevation: h === null || h === undefined ? NaN : Number(h) };
+        });
+        const stepM = horizontal / segments;
+        const capped = segments < wanted;
+        if (!fillMissingElevations(samples)) return { horizontal, surface: horizontal, samples: [], stepM, capped };
+        return { ...surfaceDistance(samples), samples, stepM, capped };
+    }
+
+    /**
+     * 贴地路程（沿地形行驶的长度）：逐段沿测地线加密采样地形，给出每段与总计的
+     * 水平长度、坡面长度（两端点直线，含高差）、贴地三维长度、累计爬升/下降与最大/平均坡度
+     * @param {Array<Object>} lonLatPoints - 折线顶点经纬度 {lon, lat}
+     * @param {Function|null} getElevation - (lon, lat) => 地形高程（米）
+     * @param {Object} [options] - 同 `calculateSurfaceDistance`（stepMeters / maxSegments）
+     * @returns {{segments: Array<Object>, horizontalM: number, slopeM: number, surfaceM: number, riseM: number,
+     *   fallM: number, maxGradePct: number, avgGradePct: number, stepM: number, capped: boolean}}
+     *   坡度为百分比；平均坡度 = 累计|高差| / 水平长度；stepM 为各段实际采样间距的最大值，capped 表示有段达到 maxSegments
+     */
+    static calculateSurfacePath(lonLatPoints, getElevation, options = {}) {
+        const out = { segments: [], horizontalM: 0, slopeM: 0, surfaceM: 0, riseM: 0, fallM: 0, maxGradePct: 0, avgGradePct: 0, stepM: 0, capped: false };
+        for (let i = 0; i + 1 < (lonLatPoints?.length ?? 0); i++) {
+            const { horizontal, surface, samples, stepM, capped } = this.calculateSurfaceDistance(lonLatPoints[i], lonLatPoints[i + 1], getElevation, options);
+            let rise = 0;
+            let fall = 0;
+            let maxGrade = 0;
+            for (let k = 0; k + 1 < samples.length; k++) {
+                const d = geodesicDistance(samples[k], samples[k + 1]);
+                const dh = samples[k + 1].elevation - samples[k].elevation;
+                if (dh > 0) rise += dh;
+                else fall -= dh;
+                if (d > 0) maxGrade = Math.max(maxGrade, Math.abs(dh) / d);
+            }
+            const dhEnds = samples.length ? samples[samples.length - 1].elevation - samples[0].elevation : 0;
+            const seg = {
+                horizontalM: horizontal,
+                slopeM: Math.hypot(horizontal, dhEnds),
+                surfaceM: surface,
+                riseM: rise,
+                fallM: fall,
+                maxGradePct: maxGrade * 100,
+                avgGradePct: horizontal > 0 ? (rise + fall) / horizontal * 100 : 0,
+                stepM,
+                capped
+            };
+            out.segments.push(seg);
+            out.horizontalM += seg.horizontalM;
+            out.slopeM += seg.slopeM;
+            out.surfaceM += seg.surfaceM;
+            out.riseM += rise;
+            out.fallM += fall;
+            out.maxGradePct = Math.max(out.maxGradePct, seg.maxGradePct);
+            out.stepM = Math.max(out.stepM, stepM);
+            out.capped = out.capped || capped;
+        }
+        out.avgGradePct = out.horizontalM > 0 ? (out.riseM + out.fallM) / out.horizontalM * 100 : 0;
+        return out;
+    }
+
+    /**
+     * 线性三角形的挖/填体积（解析解，按零线切分）
+     * @param {number} area - 三角形水平面积（平方米）
+     * @param {number} d1 - 顶点差值：地面 - 设计面（米），正为挖、负为填
+     * @param {number} d2
+     * @param {number} d3
+     * @returns {{cut: number, fill: number}} 立方米
+     */
+    static triangleCutFillVolume(area, d1, d2, d3) {
+        // ∫max(0, d) dA for d linear over the triangle.
+        const positivePart = (a, b, c) => {
+            const pos = [a, b, c].filter(d => d > 0);
+            const neg = [a, b, c].filter(d => d <= 0);
+            if (!pos.length) return 0;
+            if (!neg.length) return area * (a + b + c) / 3;
+            if (pos.length === 1) {
+                const p = pos[0];
+                return area * p * p * p / (3 * (p - neg[0]) * (p - neg[1]));
+            }
+            const n = neg[0];
+            return area * (a + b + c) / 3 + area * (-n) * n * n / (3 * (pos[0] - n) * (pos[1] - n));
+        };
+        return { cut: positivePart(d1, d2, d3), fill: positivePart(-d1, -d2, -d3) };
+    }
+
+    /**
+     * 设计面整体抬升 offset（米）后的挖/填方量
+     * @param {Array<{areaM2: number, d: number[]}>} samples - 填挖方采样三角形（`_cutFillComputeStats` 的 samples）
+     * @param {number} offset - 设计面抬升量（米）
+     * @returns {{cutM3: number, fillM3: number}}
+     */
+    static cutFillVolumesAtOffset(samples, offset = 0) {
+        let cutM3 = 0;
+        let fillM3 = 0;
+        for (const s of samples ?? []) {
+            const v = this.triangleCutFillVolume(s.areaM2, s.d[0] - offset, s.d[1] - offset, s.d[2] - offset);
+            cutM3 += v.cut;
+            fillM3 += v.fill;
+        }
+        return { cutM3, fillM3 };
+    }
+
+    /**
+     * 求解平衡标高：设计面整体抬升多少时 填方 = 挖方 × 折算系数 + 外借方量（外运为负）
+     * 填方随抬升单调增加、挖方单调减少，用二分法求解
+     * @param {Array<{areaM2: number, d: number[]}>} samples
+     * @param {Object} [options]
+     * @param {number} [options.importM3=0] - 外借(+)/外运(-) 方量（立方米）
+     * @param {number} [options.shrinkFactor=1] - 挖方折算为填方的系数（压实后体积 / 自然方体积）
+     * @param {number} [options.tolerance=0.00001] - 标高收敛精度（米）
+     * @returns {{offset: number, cutM3: number, fillM3: number}|null} 无采样或无法平衡时为 null
+     */
+    static solveCutFillBalance(samples, options = {}) {
+        if (!samples?.length) return null;
+        const importM3 = Number(options.importM3) || 0;
+        const shrinkFactor = Number.isFinite(Number(options.shrinkFactor)) ? Number(options.shrinkFactor) : 1;
+        const tolerance = Number(options.tolerance) > 0 ? Number(options.tolerance) : 0.00001;
+        const f = (offset) => {
+            const v = this.cutFillVolumesAtOffset(samples, offset);
+            return v.fillM3 - v.cutM3 * shrinkFactor - importM3;
+        };
+
+        let minD = Infinity;
+        let maxD = -Infinity;
+        for (const s of samples) {
+            for (const d of s.d) {
+                minD = Math.min(minD, d);
+                maxD = Math.max(maxD, d);
+            }
+        }
+        let span = Math.max(1, maxD - minD);
+        let lo = minD - 1;
+        let hi = maxD + 1;
+        for (let i = 0; i < 60 && f(lo) > 0; i++, span *= 2) lo -= span;
+        for (let i = 0; i < 60 && f(hi) < 0; i++, span *= 2) hi += span;
+        if (f(lo) > 0 || f(hi) < 0) return null;
+
+        for (let i = 0; i < 100 && hi - lo > tolerance; i++) {
+            const mid = (lo + hi) / 2;
+            if (f(mid) < 0) lo = mid;
+            else hi = mid;
+        }
+        const offset = (lo + hi) / 2;
+        return { offset, ...this.cutFillVolumesAtOffset(samples, offset) };
+    }
+
+    /**
+     * 土方量换算与运量：几何挖方为自然方（bank），几何填方为压实方（compacted）
+     * - 挖方：松方 = 自然方 × swell，压实方 = 自然方 × shrink
+     * - 填方：所需自然方 = 压实方 / shrink，所需松方 = 所需自然方 × swell
+     * - 场内利用 = min(挖方, 填方所需自然方)；余方外运、缺方外借（均按自然方，运输按松方）
+     * @param {number} cutM3 - 几何挖方（立方米）
+     * @param {number} fillM3 - 几何填方（立方米）
+     * @param {{swell?: number, shrink?: number, truckCapacityM3?: number}} [material] - truckCapacityM3：单车装载（松方）
+     * @returns {Object} 各方量（立方米）与车次（向上取整）
+     */
+    static earthworkQuantities(cutM3, fillM3, material = {}) {
+        const swell = Number(material.swell) > 0 ? Number(material.swell) : 1;
+        const shrink = Number(material.shrink) > 0 ? Number(material.shrink) : 1;
+        const capacity = Number(material.truckCapacityM3) > 0 ? Number(material.truckCapacityM3) : 0;
+        const cut = Math.max(0, Number(cutM3) || 0);
+        const fill = Math.max(0, Number(fillM3) || 0);
+
+        const fillBankM3 = fill / shrink;
+        const reuseBankM3 = Math.min(cut, fillBankM3);
+        const exportBankM3 = Math.max(0, cut - fillBankM3);
+        const importBankM3 = Math.max(0, fillBankM3 - cut);
+        const trucks = (looseM3) => (capacity > 0 ? Math.max(0, Math.ceil(looseM3 / capacity - 1e-9)) : 0);
+
+        const out = {
+            cutBankM3: cut,
+            cutLooseM3: cut * swell,
+            cutCompactedM3: cut * shrink,
+            fillCompactedM3: fill,
+            fillBankM3,
+            fillLooseM3: fillBankM3 * swell,
+            reuseBankM3,
+            reuseLooseM3: reuseBankM3 * swell,
+            exportBankM3,
+            exportLooseM3: exportBankM3 * swell,
+            importBankM3,
+            importLooseM3: importBankM3 * swell
+        };
+        out.reuseTrucks = trucks(out.reuseLooseM3);
+        out.exportTrucks = trucks(out.exportLooseM3);
+        out.importTrucks = trucks(out.importLooseM3);
+        out.totalTrucks = out.reuseTrucks + out.exportTrucks + out.importTrucks;
+        return out;
+    }
+
+    /**
+     * 方量-标高曲线：设计面抬升量从 fromOffset 到 toOffset 的挖/填/净方
+     * @returns {Array<{offset: number, cutM3: number, fillM3: number, netM3: number}>} netM3 = 填 - 挖
+     */
+    static cutFillVolumeCurve(samples, fromOffset, toOffset, steps = 40) {
+        const n = Math.max(1, steps | 0);
+        const out = [];
+        for (let i = 0; i <= n; i++) {
+            const offset = fromOffset + (toOffset - fromOffset) * i / n;
+            const v = this.cutFillVolumesAtOffset(samples, offset);
+            out.push({ offset, cutM3: v.cutM3, fillM3: v.fillM3, netM3: v.fillM3 - v.cutM3 });
+        }
+        return out;
     }
 
     /**
@@ -183,8 +434,8 @@ export class MeasureMath {
         for (let i = 0; i <= segments; i++) {
             const point = startPoint.clone().add(step.clone().multiplyScalar(i));
             
-            // 计算到起点的距离
-            const distanceUnits = startPoint.distanceTo(point);
+            // 计算到起点的距离（有坐标转换工具时为测地距离）
+            const distanceUnits = new THREE.Vector2(point.x - startPoint.x, point.z - startPoint.z).length();
             
             // 获取海拔高度（实际应从地形数据中获取，这里简化处理）
             let elevationUnits = point.y;
@@ -200,7 +451,9 @@ export class MeasureMath {
                 lonLat = mathProj.threeToLonLat(point);
             }
             
-            const distance = mathProj?.unitsToMeters ? mathProj.unitsToMeters(distanceUnits) : distanceUnits;
+            const distance = mathProj
+                ? geodesicDistance(mathProj.threeToLonLat(startPoint), lonLat)
+                : distanceUnits;
             const elevation = mathProj?.unitsToMeters ? mathProj.unitsToMeters(elevationUnits) : elevationUnits;
 
             profileData.push({
@@ -0,0 +1,55 @@
+/**
+ * Credential stripping for anything written out of the viewer (offline packages, sessions, cache keys).
+ *
+ * Config keys and URL query parameters carrying credentials: `mapToken`, `terrainKey`, `apiKey`, `access_token`,
+ * Tianditu `tk`, Baidu `ak` ...
+ */
+
+const CREDENTIAL_KEY = /token|secret|password|key$/i;
+const CREDENTIAL_PARAM = /^(tk|ak|sk|sig|signature)$|token|secret|password|key$/i;
+
+/**
+ * Whether a config / object key names a credential (token, secret, password, `*Key`).
+ * @param {string} key
+ */
+export function isCredentialKey(key) {
+    return CREDENTIAL_KEY.test(String(key));
+}
+
+/**
+ * Drops URL user info and credential query parameters; placeholders (`tk={token}`) are kept so the template still
+ * works once a token is supplied again.
+ * @param {string} url
+ * @returns {string}
+ */
+export function stripUrlCredentials(url) {
+    const noUserInfo = String(url).replace(/^([a-z][a-z0-9+.-]*:\/\/)[^/?#@]*@/i, '$1');
+    const [, head, query, hash = ''] = /^([^?#]*)(?:\?([^#]*))?(#.*)?$/s.exec(noUserInfo);
+    if (query === undefined) return noUserInfo;
+    const kept = query.split('&').filter((pair) => {
+        const eq = pair.indexOf('=');
+        const name = eq < 0 ? pair : pair.slice(0, eq);
+        return !CREDENTIAL_PARAM.test(name) || /^\{[^}]*\}$/.test(pair.slice(eq + 1));
+    });
+    return `${head}${kept.length ? `?${kept.join('&')}` : ''}${hash}`;
+}
+
+/**
+ * Deep copy of a JSON value without credential keys (at any depth, including query parameter names such as `tk` in
+ * WMS/WMTS `params`) and credentials inside URL strings.
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ */
+export function withoutCredentials(value) {
+    if (typeof value === 'string') return stripUrlCredentials(value);
+    if (Array.isArray(value)) return value.map(withoutCredentials);
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const [k, v] of Object.entries(value)) {
+            if (!CREDENTIAL_PARAM.test(k)) out[k] = withoutCredentials(v);
+        }
+        return out;
+    }
+    return value;
+}
@@ -0,0 +1,183 @@
+import * as THREE from 'three';
+import { threeToPosition } from '../vector/featureExport.js';
+import { withoutCredentials } from './credentials.js';
+
+/**
+ * Scene session document: everything needed to rebuild a working scene, as plain JSON.
+ *
+ * Positions are stored in WGS84 (`[lon, lat, elevation]`, degrees / meters) so a session can be loaded into a viewer
+ * with a different scene center. Terrain edits are the lon/lat inputs journaled by `Terrain.getEditJournal`.
+ *
+ * ```js
+ * {
+ *   format: 'threegis-session', version: 1, created: '2026-...',
+ *   center: { lon, lat },
+ *   camera: { position: [lon, lat, h], target: [lon, lat, h], up: [x, y, z] },
+ *   baseMap: { baseMapType, mapTileUrl, mapYtype, mapSubdomains, wms, wmts, ... },  // no tokens by default
+ *   draw: FeatureCollection | null,        // DrawTool.toGeoJson()
+ *   markers: [{ position, color, label, img, radius }],
+ *   models: [{ id, name, path, type, info, position, rotation, scale }],
+ *   terrainEdits: { raiseLower, raiseLowerMultiple, flatten, flattenMultiple, slope, slopeMultiple, clips },
+ *   cutFill: { polygons: [[[lon, lat], ...], ...], targetElevation, sampleStepMeters, plane, material, heatmap, polygonDesigns } | null
+ * }
+ * ```
+ * Older documents are upgraded by `migrateSession`; bump `SESSION_VERSION` and add a step to `MIGRATIONS` whenever
+ * an existing field is renamed, removed or changes meaning. New optional fields that loaders default when absent
+ * need no bump (e.g. `cutFill.plane`, `material`, `heatmap` and `polygonDesigns`, added in version 1).
+ */
+
+export const SESSION_FORMAT = 'threegis-session';
+export const SESSION_VERSION = 1;
+
+// Config keys that select the base map (`resolveBaseMapConfig`); credentials are listed separately.
+const BASE_MAP_KEYS = ['baseMapType', 'mapTileUrl', 'mapYtype', 'mapSubdomains', 'mapboxStyle', 'mapDatum', 'wms', 'wmts'];
+const BASE_MAP_TOKEN_KEYS = ['mapToken'];
+
+function toLonLatElevation(value) {
+    if (Array.isArray(value)) return value.map(Number);
+    if (value && typeof value === 'object' && value.lon !== undefined) {
+        return [Number(value.lon), Number(value.lat), Number(value.elevation ?? value.height) || 0];
+    }
+    return null;
+}
+
+/**
+ * Upgrade steps, keyed by the version they upgrade from.
+ */
+const MIGRATIONS = {
+    // 0: unversioned / hand-written documents. Positions may be `{ lon, lat, elevation }` objects, `draw` a bare
+    // feature array and sections may be missing.
+    0: (doc) => {
+        const camera = doc.camera
+            ? { ...doc.camera, position: toLonLatElevation(doc.camera.position), target: toLonLatElevation(doc.camera.target) }
+            : null;
+        return {
+            ...doc,
+            camera,
+            draw: Array.isArray(doc.draw) ? { type: 'FeatureCollection', features: doc.draw } : (doc.draw ?? null),
+            markers: (doc.markers ?? []).map((m) => ({ ...m, position: toLonLatElevation(m.position) })),
+            models: (doc.models ?? []).map((m) => ({ ...m, position: toLonLatElevation(m.position) })),
+            terrainEdits: doc.terrainEdits ?? null,
+            cutFill: doc.cutFill ?? null
+        };
+    }
+};
+
+/**
+ * Parse (if needed) and upgrade a session document to `SESSION_VERSION`. The input is not modified.
+ * @param {string|Object} input
+ * @returns {Object}
+ */
+export function migrateSession(input) {
+    let doc = typeof input === 'string' ? JSON.parse(input) : JSON.parse(JSON.stringify(input ?? null));
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) throw new Error('Session: expected a JSON object');
+    if (doc.format !== undefined && doc.format !== SESSION_FORMAT) throw new Error(`Session: unknown format "${doc.format}"`);
+
+    let version = doc.version === undefined ? 0 : Number(doc.version);
+    if (!Number.isInteger(version) || version < 0) throw new Error(`Session: invalid version "${doc.version}"`);
+    if (version > SESSION_VERSION) {
+        throw new Error(`Session: version ${version} is newer than supported version ${SESSION_VERSION}`);
+    }
+    while (version < SESSION_VERSION) {
+        const step = MIGRATIONS[version];
+        if (!step) throw new Error(`Session: no migration from version ${version}`);
+        doc = step(doc);
+        version++;
+    }
+    return { ...doc, format: SESSION_FORMAT, version };
+}
+
+/**
+ * `CameraManager.getPose()` -> session camera.
+ * @param {{position: THREE.Vector3, target: THREE.Vector3, up: THREE.Vector3}} pose
+ * @param {import('../math/proj.js').MathProj} proj
+ */
+export function cameraPoseToSession(pose, proj) {
+    if (!pose) return null;
+    return {
+        position: threeToPosition(proj, pose.position),
+        target: threeToPosition(proj, pose.target),
+        up: pose.up.toArray()
+    };
+}
+
+/**
+ * Session camera -> scene-space `{ position, target, up }` (null if incomplete).
+ * @param {Object} camera
+ * @param {import('../math/proj.js').MathProj} proj
+ */
+export function sessionCameraToPose(camera, proj) {
+    const [plon, plat, ph] = camera?.position ?? [];
+    const [tlon, tlat, th] = camera?.target ?? [];
+    if (![plon, plat, tlon, tlat].every(Number.isFinite)) return null;
+    const up = Array.isArray(camera.up) && camera.up.length === 3 ? new THREE.Vector3().fromArray(camera.up) : new THREE.Vector3(0, 1, 0);
+    return {
+        position: proj.lonLatToThree(plon, plat, Number(ph) || 0),
+        target: proj.lonLatToThree(tlon, tlat, Number(th) || 0),
+        up: up.lengthSq() > 0 ? up.normalize() : new THREE.Vector3(0, 1, 0)
+    };
+}
+
+/**
+ * Base map selection from a viewer config.
+ * @param {Object} config
+ * @param {{includeTokens?: boolean}} [options] - tokens are left out unless asked for: `mapToken`, token query
+ *   parameters in `mapTileUrl` (`tk=`, `access_token=` ...) and credential keys / URLs inside `wms` / `wmts`
+ */
+export function pickBaseMapConfig(config, options = {}) {
+    const keys = options.includeTokens ? [...BASE_MAP_KEYS, ...BASE_MAP_TOKEN_KEYS] : BASE_MAP_KEYS;
+    const out = {};
+    for (const key of keys) {
+        // Absent keys are written as null so loading a session also resets them.
+        const value = config?.[key];
+        if (value === undefined || typeof value === 'function') {
+            out[key] = null;
+            continue;
+        }
+        const copy = JSON.parse(JSON.stringify(value));
+        out[key] = options.includeTokens ? copy : withoutCredentials(copy);
+    }
+    return out;
+}
+
+/**
+ * Markers of a `MarkerManager` -> session markers.
+ * @param {import('../marker/marker.js').MarkerManager} markerManager
+ * @param {import('../math/proj.js').MathProj} proj
+ * @param {{excludeIds?: Iterable<string>}} [options]
+ */
+export function markersToSession(markerManager, proj, options = {}) {
+    const exclude = new Set(options.excludeIds ?? []);
+    const out = [];
+    for (const [id, marker] of markerManager?.markers ?? []) {
+        if (exclude.has(id)) continue;
+        const data = marker.userData?.markerData ?? {};
+        const radius = proj.unitsToMeters(Number(data.baseRadiusUnits) || 0);
+        out.push({
+            position: threeToPosition(proj, marker.position),
+            color: `#${(data.sphere?.material?.color ?? new THREE.Color(0xff0000)).getHexString()}`,
+            label: data.label ?? '',
+            img: typeof data.img === 'string' ? data.img : '',
+            radius: Math.round(radius * 1000) / 1000
+        });
+    }
+    return out;
+}
+
+/**
+ * Models of a `ModelManager` -> session models (glTF path + placement).
+ * @param {import('../model/ModelManager.js').ModelManager} modelManager
+ * @param {import('../math/proj.js').MathProj} proj
+ */
+export function modelsToSession(modelManager, proj) {
+    return (modelManager?.getModels?.() ?? []).map((m) => ({
+        id: m.id,
+        name: m.name,
+        path: modelManager.getModel(m.id)?.userData?.modelPath ?? null,
+        type: m.type,
+        info: JSON.parse(JSON.stringify(m.info ?? {})),
+        position: threeToPosition(proj, m.position),
+        rotation: [m.rotation.x, m.rotation.y, m.rotation.z],
+        scale: m.scale.toArray()
+    }));
+}
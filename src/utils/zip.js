@@ -0,0 +1,168 @@
+/**
+ * Minimal ZIP archive support for offline packages.
+ * - write: entries are stored uncompressed (tile images are already compressed), no ZIP64: `createZip` throws above
+ *   65535 entries or 4 GiB (`ZIP_MAX_ENTRIES` / `ZIP_MAX_BYTES`)
+ * - read: stored and deflated entries (deflate via `DecompressionStream('deflate-raw')`)
+ */
+
+export const ZIP_MAX_ENTRIES = 0xFFFF;
+export const ZIP_MAX_BYTES = 0xFFFFFFFF;
+
+let CRC_TABLE = null;
+
+function crc32(bytes) {
+    if (!CRC_TABLE) {
+        CRC_TABLE = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            CRC_TABLE[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+async function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data && typeof data.arrayBuffer === 'function') return new Uint8Array(await data.arrayBuffer());
+    throw new Error('zip: unsupported entry data');
+}
+
+/**
+ * @param {{name: string, data: Uint8Array|ArrayBuffer|Blob|string}[]} entries
+ * @returns {Promise<Blob>}
+ * @throws {Error} more than `ZIP_MAX_ENTRIES` entries, or an entry / the archive larger than `ZIP_MAX_BYTES`
+ */
+export async function createZip(entries) {
+    if (entries.length > ZIP_MAX_ENTRIES) {
+        throw new Error(`zip: ${entries.length} entries exceed the ${ZIP_MAX_ENTRIES}-entry limit (ZIP64 is not supported)`);
+    }
+    const tooLarge = (what) => new Error(`zip: ${what} exceeds 4 GiB (ZIP64 is not supported)`);
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(new Date());
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = encoder.encode(entry.name);
+        if (name.length > 0xFFFF) throw new Error(`zip: entry name too long (${entry.name.slice(0, 64)}...)`);
+        const data = await toBytes(entry.data);
+        if (data.length > ZIP_MAX_BYTES) throw tooLarge(`entry ${entry.name}`);
+        // Local header offsets are 32-bit as well.
+        if (offset > ZIP_MAX_BYTES) throw tooLarge(`archive (at entry ${entry.name})`);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local.buffer, name, data);
+
+        const cd = new DataView(new ArrayBuffer(46));
+        cd.setUint32(0, 0x02014b50, true);
+        cd.setUint16(4, 20, true);
+        cd.setUint16(6, 20, true);
+        cd.setUint16(8, 0x0800, true);
+        cd.setUint16(10, 0, true);
+        cd.setUint16(12, time, true);
+        cd.setUint16(14, day, true);
+        cd.setUint32(16, crc, true);
+        cd.setUint32(20, data.length, true);
+        cd.setUint32(24, data.length, true);
+        cd.setUint16(28, name.length, true);
+        cd.setUint32(42, offset, true);
+        central.push(cd.buffer, name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    let centralSize = 0;
+    for (const p of central) centralSize += p.byteLength;
+    if (offset > ZIP_MAX_BYTES || offset + centralSize > ZIP_MAX_BYTES) throw tooLarge('archive');
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+}
+
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('zip: deflated entries need DecompressionStream');
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read a ZIP archive into a lazy name -> bytes lookup (entries are decoded on first access).
+ * @param {ArrayBuffer|Uint8Array|Blob} source
+ * @returns {Promise<{names: string[], has: (name: string) => boolean, read: (name: string) => Promise<Uint8Array|null>}>}
+ */
+export async function readZip(source) {
+    const bytes = await toBytes(source);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // End of central directory: scan back over a possible archive comment.
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('zip: not a zip archive');
+
+    const count = view.getUint16(eocd + 10, true);
+    let p = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(p, true) !== 0x02014b50) throw new Error('zip: corrupt central directory');
+        const method = view.getUint16(p + 10, true);
+        const compressedSize = view.getUint32(p + 20, true);
+        const nameLen = view.getUint16(p + 28, true);
+        const extraLen = view.getUint16(p + 30, true);
+        const commentLen = view.getUint16(p + 32, true);
+        const localOffset = view.getUint32(p + 42, true);
+        const name = decoder.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+        entries.set(name, { method, compressedSize, localOffset });
+        p += 46 + nameLen + extraLen + commentLen;
+    }
+
+    return {
+        names: Array.from(entries.keys()),
+        has: (name) => entries.has(name),
+        async read(name) {
+            const e = entries.get(name);
+            if (!e) return null;
+            const lp = e.localOffset;
+            const start = lp + 30 + view.getUint16(lp + 26, true) + view.getUint16(lp + 28, true);
+            const data = bytes.subarray(start, start + e.compressedSize);
+            if (e.method === 0) return data;
+            if (e.method === 8) return inflateRaw(data);
+            throw new Error(`zip: unsupported compression method ${e.method} (${name})`);
+        }
+    };
+}
@@ -0,0 +1,505 @@
+import * as THREE from 'three';
+import { evaluateVectorStyleValue } from '../maptiles/VectorImageryTiles.js';
+
+let _layerSeq = 0;
+
+export const DEFAULT_GEOJSON_STYLE = {
+    fillColor: '#3388ff',
+    fillOpacity: 0.35,
+    strokeColor: '#3388ff',
+    strokeOpacity: 1,
+    strokeWidth: 2,
+    pointColor: '#ff3300',
+    pointRadius: 2,
+    label: null
+};
+
+// simplestyle-spec marker sizes -> marker screen size (px)
+const MARKER_SIZES = { small: 6, medium: 8, large: 12 };
+
+/**
+ * Style from feature properties (simplestyle-spec: fill, fill-opacity, stroke, stroke-opacity, stroke-width,
+ * marker-color, marker-size, title).
+ */
+function styleFromProperties(p = {}) {
+    const s = {};
+    if (p.fill !== undefined) s.fillColor = p.fill;
+    if (p['fill-opacity'] !== undefined) s.fillOpacity = Number(p['fill-opacity']);
+    if (p.stroke !== undefined) s.strokeColor = p.stroke;
+    if (p['stroke-opacity'] !== undefined) s.strokeOpacity = Number(p['stroke-opacity']);
+    if (p['stroke-width'] !== undefined) s.strokeWidth = Number(p['stroke-width']);
+    if (p['marker-color'] !== undefined) s.pointColor = p['marker-color'];
+    if (MARKER_SIZES[p['marker-size']]) s.pointSizePx = MARKER_SIZES[p['marker-size']];
+    if (p.title !== undefined) s.label = p.title;
+    return s;
+}
+
+function toColor(value, fallback) {
+    try {
+        return new THREE.Color(value ?? fallback);
+    } catch {
+        return new THREE.Color(fallback);
+    }
+}
+
+/**
+ * Flatten a GeoJSON object into features ({ type, geometry, properties, id }).
+ * Accepts FeatureCollection, Feature, a bare geometry or GeometryCollection.
+ */
+export function geoJsonFeatures(geojson) {
+    if (!geojson) return [];
+    if (Array.isArray(geojson)) return geojson.flatMap(geoJsonFeatures);
+    if (geojson.type === 'FeatureCollection') return (geojson.features ?? []).flatMap(geoJsonFeatures);
+    if (geojson.type === 'Feature') return [geojson];
+    if (geojson.coordinates !== undefined || geojson.type === 'GeometryCollection') {
+        return [{ type: 'Feature', geometry: geojson, properties: {} }];
+    }
+    throw new Error(`GeoJSON: unsupported object type "${geojson.type}"`);
+}
+
+/**
+ * Split a geometry into simple parts: { kind: 'point'|'line'|'polygon', coords }.
+ */
+function geometryParts(geometry) {
+    if (!geometry) return [];
+    const c = geometry.coordinates;
+    switch (geometry.type) {
+        case 'Point': return [{ kind: 'point', coords: c }];
+        case 'MultiPoint': return c.map((p) => ({ kind: 'point', coords: p }));
+        case 'LineString': return [{ kind: 'line', coords: c }];
+        case 'MultiLineString': return c.map((l) => ({ kind: 'line', coords: l }));
+        case 'Polygon': return [{ kind: 'polygon', coords: c }];
+        case 'MultiPolygon': return c.map((p) => ({ kind: 'polygon', coords: p }));
+        case 'GeometryCollection': return (geometry.geometries ?? []).flatMap(geometryParts);
+        default: throw new Error(`GeoJSON: unsupported geometry type "${geometry.type}"`);
+    }
+}
+
+/**
+ * GeoJSON vector layer (Point / LineString / Polygon / Multi* / GeometryCollection) in the scene.
+ *
+ * - lon/lat -> scene via `MathProj.lonLatToThree`
+ * - clamped to terrain (`clampToGround`, default): lines are densified and polygons subdivided every
+ *   `samplePrecision` meters and re-clamped whenever the terrain surface changes (tile loads, edits);
+ *   otherwise the coordinate altitude (meters) is used
+ * - per-feature style: `DEFAULT_GEOJSON_STYLE` < simplestyle-spec properties (`fill`, `stroke`, `marker-color`, ...)
+ *   < `options.style` (object whose values may be constants, `(properties) => value` or
+ *   `{ property, values | stops, default }` lookups, or a function `(feature) => style`)
+ * - points become `MarkerManager` markers (label: `style.label`)
+ * - `pick(raycaster)` returns the hit feature and its properties
+ */
+export class GeoJsonLayer {
+    /**
+     * @param {Object} options
+     * @param {import('../math/proj.js').MathProj} options.proj
+     * @param {THREE.Object3D} options.scene
+     * @param {import('../marker/marker.js').MarkerManager} [options.markerManager] - required for point features
+     * @param {(x: number, z: number) => number} [options.getHeight] - terrain height (scene units) at scene x/z
+     * @param {() => any} [options.getSurfaceVersion] - changes whenever terrain heights change
+     * @param {string} [options.id]
+     * @param {string} [options.name]
+     * @param {Object|Function} [options.style]
+     * @param {boolean} [options.clampToGround=true]
+     * @param {number} [options.heightOffset=0.3] - meters above the terrain
+     * @param {number} [options.samplePrecision=10] - meters between clamped vertices
+     * @param {number} [options.maxTriangles=200000] - per polygon; precision is coarsened beyond that
+     * @param {number} [options.pickTolerance=10] - meters, line picking distance
+     */
+    constructor(options = {}) {
+        if (!options.proj) throw new Error('GeoJsonLayer: options.proj is required');
+        this.id = String(options.id ?? `geojson-${++_layerSeq}`);
+        this.name = options.name ?? this.id;
+        this.proj = options.proj;
+        this.scene = options.scene ?? null;
+        this.markerManager = options.markerManager ?? null;
+        this.getHeight = options.getHeight ?? null;
+        this.getSurfaceVersion = options.getSurfaceVersion ?? null;
+        this.style = options.style ?? null;
+        this.clampToGround = options.clampToGround !== false;
+        this.heightOffset = Number.isFinite(options.heightOffset) ? options.heightOffset : 0.3;
+        this.samplePrecision = Math.max(0.1, Number(options.samplePrecision) || 10);
+        this.maxTriangles = Math.max(100, Number(options.maxTriangles) || 200000);
+        this.pickTolerance = Math.max(0, Number(options.pickTolerance) || 10);
+
+        this.group = new THREE.Group();
+        this.group.name = `geojson:${this.id}`;
+        this.scene?.add(this.group);
+
+        /** @type {{index: number, feature: Object, style: Object, objects: THREE.Object3D[], markerIds: string[]}[]} */
+        this.features = [];
+        this.visible = true;
+        this._surfaceVersion = this.getSurfaceVersion?.();
+    }
+
+    /**
+     * @param {string} url
+     * @param {Object} options - see constructor
+     * @returns {Promise<GeoJsonLayer>}
+     */
+    static async fromUrl(url, options = {}) {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`GeoJSON: HTTP ${res.status} ${url}`);
+        const layer = new GeoJsonLayer(options);
+        layer.setData(await res.json());
+        return layer;
+    }
+
+    _units(meters) {
+        return this.proj.metersToUnits(meters);
+    }
+
+    _heightAt(x, z, altitudeMeters) {
+        if (this.clampToGround && this.getHeight) {
+            const h = Number(this.getHeight(x, z));
+            return (Number.isFinite(h) ? h : 0) + this._units(this.heightOffset);
+        }
+        return this._units(Number(altitudeMeters) || 0);
+    }
+
+    _toThree([lon, lat, alt]) {
+        const p = this.proj.lonLatToThree(Number(lon), Number(lat), 0);
+        p.y = this._heightAt(p.x, p.z, alt);
+        return p;
+    }
+
+    /**
+     * Resolve the style of a feature (defaults < properties < layer style).
+     */
+    resolveStyle(feature) {
+        const props = feature.properties ?? {};
+        const layerStyle = typeof this.style === 'function' ? (this.style(feature) ?? {}) : (this.style ?? {});
+        const out = { ...DEFAULT_GEOJSON_STYLE, ...styleFromProperties(props) };
+        for (const [k, v] of Object.entries(layerStyle)) {
+            const value = evaluateVectorStyleValue(v, props, null);
+            if (value !== undefined) out[k] = value;
+        }
+        return out;
+    }
+
+    /**
+     * Replace the layer content.
+     * @param {Object} geojson - FeatureCollection / Feature / geometry
+     */
+    setData(geojson) {
+        this.clear();
+        return this.addData(geojson);
+    }
+
+    /**
+     * Append features.
+     * @returns {number} number of features added
+     */
+    addData(geojson) {
+        const features = geoJsonFeatures(geojson);
+        for (const feature of features) {
+            const record = { index: this.features.length, feature, style: this.resolveStyle(feature), objects: [], markerIds: [] };
+            this.features.push(record);
+            this._build(record);
+        }
+        return features.length;
+    }
+
+    _build(record) {
+        for (const part of geometryParts(record.feature.geometry)) {
+            if (part.kind === 'point') this._buildPoint(record, part.coords);
+            else if (part.kind === 'line') this._buildLine(record, part.coords);
+            else this._buildPolygon(record, part.coords);
+        }
+        for (const obj of record.objects) {
+            obj.userData.geoJsonLayerId = this.id;
+            obj.userData.geoJsonFeatureIndex = record.index;
+            this.group.add(obj);
+        }
+    }
+
+    _buildPoint(record, coords) {
+        if (!this.markerManager) {
+            console.warn('[GeoJsonLayer] point features need a markerManager; skipped');
+            return;
+        }
+        const s = record.style;
+        const p = this._toThree(coords);
+        const id = this.markerManager.createMarker({
+            x: p.x,
+            y: p.y,
+            z: p.z,
+            radius: s.pointRadius,
+            color: toColor(s.pointColor, DEFAULT_GEOJSON_STYLE.pointColor).getHex(),
+            label: s.label ?? '',
+            img: s.pointImage ?? '',
+            screenSizePx: s.pointSizePx
+        });
+        const marker = this.markerManager.getMarker(id);
+        if (marker) {
+            marker.userData.geoJsonLayerId = this.id;
+            marker.userData.geoJsonFeatureIndex = record.index;
+            marker.userData.geoJsonCoords = coords;
+            marker.visible = this.visible;
+        }
+        record.markerIds.push(id);
+    }
+
+    /**
+     * Densify a lon/lat polyline in scene space so clamped lines follow the terrain.
+     */
+    _densify(coords, closed = false) {
+        const pts = coords.map((c) => this.proj.lonLatToThree(Number(c[0]), Number(c[1]), 0));
+        const alts = coords.map((c) => Number(c[2]) || 0);
+        if (closed && pts.length > 1 && !pts[0].equals(pts[pts.length - 1])) {
+            pts.push(pts[0].clone());
+            alts.push(alts[0]);
+        }
+        if (!this.clampToGround) return pts.map((p, i) => new THREE.Vector3(p.x, this._heightAt(p.x, p.z, alts[i]), p.z));
+
+        const step = this._units(this.samplePrecision);
+        const out = [new THREE.Vector3(pts[0].x, this._heightAt(pts[0].x, pts[0].z), pts[0].z)];
+        for (let i = 0; i + 1 < pts.length; i++) {
+            const a = pts[i];
+            const b = pts[i + 1];
+            const n = Math.max(1, Math.ceil(a.distanceTo(b) / step));
+            for (let k = 1; k <= n; k++) {
+                const x = a.x + (b.x - a.x) * (k / n);
+                const z = a.z + (b.z - a.z) * (k / n);
+                out.push(new THREE.Vector3(x, this._heightAt(x, z), z));
+            }
+        }
+        return out;
+    }
+
+    _lineObject(points, s) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = new THREE.LineBasicMaterial({
+            color: toColor(s.strokeColor, DEFAULT_GEOJSON_STYLE.strokeColor),
+            linewidth: s.strokeWidth,
+            transparent: s.strokeOpacity < 1,
+            opacity: s.strokeOpacity
+        });
+        const line = new THREE.Line(geometry, material);
+        line.renderOrder = 3;
+        return line;
+    }
+
+    _buildLine(record, coords) {
+        if (!Array.isArray(coords) || coords.length < 2) return;
+        const line = this._lineObject(this._densify(coords), record.style);
+        line.userData.geoJsonSource = { kind: 'line', coords };
+        record.objects.push(line);
+    }
+
+    _buildPolygon(record, rings) {
+        if (!Array.isArray(rings) || !rings.length || rings[0].length < 3) return;
+        const s = record.style;
+
+        if (s.fillOpacity > 0 && s.fillColor) {
+            const mesh = new THREE.Mesh(this._polygonGeometry(rings), new THREE.MeshBasicMaterial({
+                color: toColor(s.fillColor, DEFAULT_GEOJSON_STYLE.fillColor),
+                transparent: true,
+                opacity: s.fillOpacity,
+                side: THREE.DoubleSide,
+                depthWrite: false,
+                polygonOffset: true,
+                polygonOffsetFactor: -2,
+                polygonOffsetUnits: -2
+            }));
+            mesh.renderOrder = 2;
+            mesh.userData.geoJsonSource = { kind: 'polygon', coords: rings };
+            record.objects.push(mesh);
+        }
+        if (s.strokeWidth > 0 && s.strokeColor) {
+            for (const ring of rings) {
+                const outline = this._lineObject(this._densify(ring, true), s);
+                outline.userData.geoJsonSource = { kind: 'ring', coords: ring };
+                record.objects.push(outline);
+            }
+        }
+    }
+
+    /**
+     * Triangulate (holes supported) and subdivide so the fill can follow the terrain.
+     */
+    _polygonGeometry(rings) {
+        const ringPoints = rings.map((ring) => {
+            const pts = ring.map((c) => this.proj.lonLatToThree(Number(c[0]), Number(c[1]), 0));
+            if (pts.length > 1 && pts[0].equals(pts[pts.length - 1])) pts.pop();
+            return pts;
+        });
+        const alt = Number(rings[0][0]?.[2]) || 0;
+        const contour = ringPoints[0].map((p) => new THREE.Vector2(p.x, p.z));
+        const holes = ringPoints.slice(1).filter((h) => h.length >= 3).map((h) => h.map((p) => new THREE.Vector2(p.x, p.z)));
+        const all = contour.concat(...holes);
+        const faces = THREE.ShapeUtils.triangulateShape(contour, holes);
+
+        let step = this._units(this.samplePrecision);
+        if (this.clampToGround) {
+            // Keep the subdivided triangle count bounded for large polygons.
+            const area = Math.abs(THREE.ShapeUtils.area(contour));
+            const estimate = (2 * area) / (step * step);
+            if (estimate > this.maxTriangles) step = Math.sqrt((2 * area) / this.maxTriangles);
+        }
+
+        const positions = [];
+        const pushVertex = (v) => positions.push(v.x, this._heightAt(v.x, v.y, alt), v.y);
+        // Longest-edge bisection until every edge is <= step (triangle count ~ area / step^2).
+        const emit = (a, b, c, depth) => {
+            const ab = a.distanceToSquared(b);
+            const bc = b.distanceToSquared(c);
+            const ca = c.distanceToSquared(a);
+            const longest = Math.max(ab, bc, ca);
+            if (!this.clampToGround || longest <= step * step || depth >= 24) {
+                pushVertex(a);
+                pushVertex(b);
+                pushVertex(c);
+                return;
+            }
+            if (longest === ab) {
+                const m = a.clone().lerp(b, 0.5);
+                emit(a, m, c, depth + 1);
+                emit(m, b, c, depth + 1);
+            } else if (longest === bc) {
+                const m = b.clone().lerp(c, 0.5);
+                emit(a, b, m, depth + 1);
+                emit(a, m, c, depth + 1);
+            } else {
+                const m = c.clone().lerp(a, 0.5);
+                emit(a, b, m, depth + 1);
+                emit(m, b, c, depth + 1);
+            }
+        };
+        for (const [i0, i1, i2] of faces) emit(all[i0], all[i1], all[i2], 0);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.computeBoundingSphere();
+        return geometry;
+    }
+
+    /**
+     * Re-sample terrain heights for every clamped vertex (e.g. after tiles loaded or terrain edits).
+     */
+    reclamp() {
+        if (!this.clampToGround || !this.getHeight) return;
+        const offset = this._units(this.heightOffset);
+        for (const record of this.features) {
+            for (const obj of record.objects) {
+                const pos = obj.geometry?.attributes?.position;
+                if (!pos) continue;
+                for (let i = 0; i < pos.count; i++) {
+                    const h = Number(this.getHeight(pos.getX(i), pos.getZ(i)));
+                    pos.setY(i, (Number.isFinite(h) ? h : 0) + offset);
+                }
+                pos.needsUpdate = true;
+                obj.geometry.computeBoundingSphere();
+            }
+            for (const id of record.markerIds) {
+                const marker = this.markerManager?.getMarker(id);
+                if (!marker) continue;
+                const p = marker.position;
+                const h = Number(this.getHeight(p.x, p.z));
+                this.markerManager.updateMarkerPosition(id, p.x, (Number.isFinite(h) ? h : 0) + offset, p.z);
+            }
+        }
+    }
+
+    /**
+     * Per-frame hook: re-clamps when the terrain surface changed.
+     */
+    update() {
+        if (!this.clampToGround || !this.getSurfaceVersion) return;
+        const v = this.getSurfaceVersion();
+        if (v === this._surfaceVersion) return;
+        this._surfaceVersion = v;
+        this.reclamp();
+    }
+
+    /**
+     * Replace the layer style and rebuild.
+     */
+    setStyle(style) {
+        this.style = style ?? null;
+        const features = this.features.map((r) => r.feature);
+        this.clear();
+        this.addData(features);
+    }
+
+    setVisible(visible) {
+        this.visible = visible !== false;
+        this.group.visible = this.visible;
+        for (const r of this.features) {
+            for (const id of r.markerIds) {
+                const m = this.markerManager?.getMarker(id);
+                if (m) m.visible = this.visible;
+            }
+        }
+    }
+
+    /**
+     * Pick the nearest feature hit by a ray.
+     * @param {THREE.Raycaster} raycaster
+     * @returns {{layer: GeoJsonLayer, index: number, feature: Object, properties: Object, point: THREE.Vector3,
+     *   lonLat: {lon: number, lat: number}, distance: number}|null}
+     */
+    pick(raycaster) {
+        if (!this.visible || !raycaster) return null;
+        const targets = [this.group];
+        for (const r of this.features) {
+            for (const id of r.markerIds) {
+                const m = this.markerManager?.getMarker(id);
+                if (m) targets.push(m);
+            }
+        }
+        const lineParams = raycaster.params.Line;
+        const prevThreshold = lineParams.threshold;
+        lineParams.threshold = this._units(this.pickTolerance);
+        let hits;
+        try {
+            hits = raycaster.intersectObjects(targets, true);
+        } finally {
+            lineParams.threshold = prevThreshold;
+        }
+        const hit = hits.find((h) => {
+            for (let o = h.object; o; o = o.parent) {
+                if (o.userData?.geoJsonLayerId === this.id) return true;
+            }
+            return false;
+        });
+        if (!hit) return null;
+        let o = hit.object;
+        while (o && o.userData?.geoJsonFeatureIndex === undefined) o = o.parent;
+        const record = this.features[o.userData.geoJsonFeatureIndex];
+        if (!record) return null;
+        const ll = this.proj.threeToLonLat(hit.point.x, hit.point.y, hit.point.z);
+        return {
+            layer: this,
+            index: record.index,
+            feature: record.feature,
+            properties: record.feature.properties ?? {},
+            point: hit.point.clone(),
+            lonLat: { lon: ll.lon, lat: ll.lat },
+            distance: hit.distance
+        };
+    }
+
+    getFeature(index) {
+        return this.features[index]?.feature ?? null;
+    }
+
+    /**
+     * Remove all features (the layer stays usable).
+     */
+    clear() {
+        for (const record of this.features) {
+            for (const obj of record.objects) {
+                this.group.remove(obj);
+                obj.geometry?.dispose?.();
+                obj.material?.dispose?.();
+            }
+            for (const id of record.markerIds) this.markerManager?.removeMarker(id);
+        }
+        this.features = [];
+    }
+
+    dispose() {
+        this.clear();
+        this.scene?.remove(this.group);
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * Design surface (TIN) readers for cut/fill: LandXML `<Surface>` definitions and DXF `3DFACE` entities.
+ *
+ * Both produce `{ name, crs, vertices, triangles }`:
+ * - `vertices`: `[x, y, z]` with x = easting / longitude, y = northing / latitude, z = elevation (meters)
+ * - `triangles`: `[i, j, k]` indices into `vertices`
+ * - `crs`: `'EPSG:xxxx'` when the file declares one (LandXML `CoordinateSystem`), else null (caller decides)
+ *
+ * LandXML points are stored as "northing easting elevation" and are swapped here. LandXML parsing needs
+ * `DOMParser` (browser); DXF is plain text.
+ */
+
+function toNumber(v) {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+}
+
+// ---------------------------------------------------------------- LandXML
+
+function parseXml(text) {
+    if (typeof DOMParser === 'undefined') throw new Error('LandXML: DOMParser is unavailable');
+    const doc = new DOMParser().parseFromString(String(text), 'application/xml');
+    const err = doc.getElementsByTagName('parsererror')[0];
+    if (err) throw new Error(`LandXML: invalid XML (${err.textContent.trim().slice(0, 120)})`);
+    return doc;
+}
+
+function descendants(el, name) {
+    return el ? Array.from(el.getElementsByTagNameNS('*', name)) : [];
+}
+
+function landXmlCrs(doc) {
+    const cs = descendants(doc, 'CoordinateSystem')[0];
+    if (!cs) return null;
+    const epsg = toNumber(cs.getAttribute('epsgCode'));
+    if (epsg) return `EPSG:${epsg}`;
+    const m = /epsg[:\s]*(\d{4,6})/i.exec(`${cs.getAttribute('name') ?? ''} ${cs.getAttribute('horizontalCoordinateSystemName') ?? ''}`);
+    return m ? `EPSG:${m[1]}` : null;
+}
+
+/**
+ * Read all TIN surfaces of a LandXML document, merged into one mesh (invisible faces, `i="1"`, are skipped).
+ * @param {string} text
+ */
+export function parseLandXml(text) {
+    const doc = parseXml(text);
+    const surfaces = descendants(doc, 'Surface');
+    if (!surfaces.length) throw new Error('LandXML: no <Surface> found');
+
+    const vertices = [];
+    const triangles = [];
+    const names = [];
+    for (const surface of surfaces) {
+        const idToIndex = new Map();
+        for (const p of descendants(surface, 'P')) {
+            const parts = p.textContent.trim().split(/[\s,]+/).map(Number);
+            if (parts.length < 3 || parts.some((v) => !Number.isFinite(v))) continue;
+            const [northing, easting, elevation] = parts;
+            idToIndex.set(String(p.getAttribute('id') ?? idToIndex.size + 1), vertices.length);
+            vertices.push([easting, northing, elevation]);
+        }
+        let count = 0;
+        for (const f of descendants(surface, 'F')) {
+            if (f.getAttribute('i') === '1') continue;
+            const ids = f.textContent.trim().split(/\s+/);
+            if (ids.length < 3) continue;
+            const tri = ids.slice(0, 3).map((id) => idToIndex.get(id));
+            if (tri.some((i) => i === undefined)) continue;
+            triangles.push(tri);
+            count++;
+        }
+        if (count) names.push(surface.getAttribute('name') || `Surface ${names.length + 1}`);
+    }
+    if (!triangles.length) throw new Error('LandXML: surface has no faces');
+    return { name: names.join(', '), crs: landXmlCrs(doc), vertices, triangles };
+}
+
+// ---------------------------------------------------------------- DXF
+
+/**
+ * Read the `3DFACE` entities of an ASCII DXF file (quads are split into two triangles; shared corners are merged).
+ * @param {string} text
+ */
+export function parseDxf3dFaces(text) {
+    const lines = String(text).split(/\r?\n/);
+    const vertices = [];
+    const triangles = [];
+    const vertexIndex = new Map();
+    const indexOf = (p) => {
+        const key = `${p[0]},${p[1]},${p[2]}`;
+        let i = vertexIndex.get(key);
+        if (i === undefined) {
+            i = vertices.length;
+            vertexIndex.set(key, i);
+            vertices.push(p);
+        }
+        return i;
+    };
+
+    let face = null;
+    const flush = () => {
+        if (!face) return;
+        const corners = [0, 1, 2, 3].map((k) => face[k]);
+        face = null;
+        if (corners.slice(0, 3).some((c) => c.some((v) => v === null))) return;
+        const [a, b, c] = corners.slice(0, 3).map(indexOf);
+        if (a !== b && b !== c && a !== c) triangles.push([a, b, c]);
+        const d4 = corners[3];
+        if (d4.some((v) => v === null)) return;
+        const d = indexOf(d4);
+        if (d !== c && d !== a && c !== a) triangles.push([a, c, d]);
+    };
+
+    for (let i = 0; i + 1 < lines.length; i += 2) {
+        const code = Number(lines[i].trim());
+        const value = lines[i + 1].trim();
+        if (code === 0) {
+            flush();
+            if (value === '3DFACE') face = [[null, null, null], [null, null, null], [null, null, null], [null, null, null]];
+            continue;
+        }
+        if (!face) continue;
+        // 10-13: x of corners 1-4, 20-23: y, 30-33: z.
+        if (code >= 10 && code <= 33) {
+            const axis = Math.floor(code / 10) - 1;
+            const corner = code % 10;
+            if (axis <= 2 && corner <= 3) face[corner][axis] = toNumber(value);
+        }
+    }
+    flush();
+    if (!triangles.length) throw new Error('DXF: no 3DFACE entities found');
+    return { name: '', crs: null, vertices, triangles };
+}
+
+// ---------------------------------------------------------------- files
+
+/**
+ * Read a LandXML (.xml) or DXF (.dxf) design surface file.
+ * The format comes from `options.format`, the file name extension, or the content.
+ * @param {File|Blob|ArrayBuffer|Uint8Array|string} input
+ * @param {{format?: 'landxml'|'dxf', name?: string}} [options]
+ * @returns {Promise<{name: string, crs: string|null, vertices: number[][], triangles: number[][]}>}
+ */
+export async function parseDesignSurfaceFile(input, options = {}) {
+    const fileName = String(options.name ?? input?.name ?? '');
+    let text;
+    if (typeof input === 'string') text = input;
+    else if (input instanceof Uint8Array) text = new TextDecoder().decode(input);
+    else if (input instanceof ArrayBuffer) text = new TextDecoder().decode(new Uint8Array(input));
+    else if (input && typeof input.text === 'function') text = await input.text();
+    else throw new Error('parseDesignSurfaceFile: unsupported input');
+
+    let format = String(options.format ?? '').toLowerCase();
+    if (!format) {
+        if (/\.dxf$/i.test(fileName)) format = 'dxf';
+        else if (/\.(xml|landxml)$/i.test(fileName)) format = 'landxml';
+        else if (/<LandXML[\s>]/i.test(text.slice(0, 4096))) format = 'landxml';
+        else if (/^\s*0\s*\r?\n\s*SECTION/i.test(text)) format = 'dxf';
+    }
+
+    const surface = format === 'dxf'
+        ? parseDxf3dFaces(text)
+        : format === 'landxml' || format === 'xml'
+            ? parseLandXml(text)
+            : null;
+    if (!surface) throw new Error(`parseDesignSurfaceFile: unknown format${fileName ? ` (${fileName})` : ''}`);
+    if (!surface.name) surface.name = fileName.replace(/\.[^.]+$/, '') || 'design';
+    return surface;
+}
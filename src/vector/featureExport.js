@@ -0,0 +1,352 @@
+import * as THREE from 'three';
+import { MeasureMath } from '../toolManager/measureMath.js';
+
+/**
+ * Export of scene features (draw objects, markers, measurement results) as GeoJSON / KML / CSV.
+ *
+ * Everything goes through a GeoJSON FeatureCollection in WGS84 lon/lat (elevation in meters, from
+ * `MathProj.threeToLonLat`); KML and CSV are serialized from it. Style keys follow simplestyle
+ * (`stroke`, `fill`, `marker-color`, ...), matching what the KML/GPX importer produces.
+ */
+
+export const EXPORT_FORMATS = {
+    geojson: { extension: 'geojson', mime: 'application/geo+json' },
+    kml: { extension: 'kml', mime: 'application/vnd.google-earth.kml+xml' },
+    csv: { extension: 'csv', mime: 'text/csv' }
+};
+
+// Keys written as KML <Style> instead of <ExtendedData>.
+const STYLE_KEYS = new Set(['stroke', 'stroke-width', 'stroke-opacity', 'fill', 'fill-opacity', 'marker-color', 'icon']);
+
+function round(v, digits) {
+    const k = 10 ** digits;
+    return Math.round(v * k) / k;
+}
+
+/**
+ * Scene position -> `[lon, lat, elevation]` (degrees, meters).
+ * @param {import('../math/proj.js').MathProj} proj
+ * @param {THREE.Vector3|{x: number, y: number, z: number}} p
+ */
+export function threeToPosition(proj, p) {
+    const v = p?.isVector3 ? p : new THREE.Vector3(Number(p?.x) || 0, Number(p?.y) || 0, Number(p?.z) || 0);
+    const ll = proj.threeToLonLat(v);
+    return [round(ll.lon, 8), round(ll.lat, 8), round(Number(ll.elevation) || 0, 3)];
+}
+
+function colorString(value) {
+    if (value === null || value === undefined || value === '') return undefined;
+    try {
+        return `#${new THREE.Color(value).getHexString()}`;
+    } catch {
+        return undefined;
+    }
+}
+
+function lineLengthMeters(proj, positions) {
+    let total = 0;
+    for (let i = 1; i < positions.length; i++) {
+        total += proj.calculateGeographicDistance(
+            { lon: positions[i - 1][0], lat: positions[i - 1][1] },
+            { lon: positions[i][0], lat: positions[i][1] }
+        );
+    }
+    return total;
+}
+
+function withoutUndefined(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+/**
+ * `DrawTool.getAllObjects()` -> GeoJSON features (lengths / areas / perimeters as properties).
+ * Ground lines export their picked vertices, not the terrain-densified copy.
+ * @param {{points: Object[], lines: Object[], areas: Object[]}} drawObjects
+ * @param {import('../math/proj.js').MathProj} proj
+ * @returns {Object[]}
+ */
+export function drawObjectsToFeatures(drawObjects, proj) {
+    const features = [];
+    const base = (info) => ({
+        ...(info.properties ?? null),
+        id: info.id,
+        source: 'draw',
+        drawType: info.type,
+        isGround: !!info.isGround,
+        name: info.properties?.name ?? (info.options?.label || undefined)
+    });
+
+    for (const info of drawObjects?.points ?? []) {
+        features.push({
+            type: 'Feature',
+            id: info.id,
+            geometry: { type: 'Point', coordinates: threeToPosition(proj, info.position) },
+            properties: withoutUndefined({ ...base(info), 'marker-color': colorString(info.options?.color) })
+        });
+    }
+    for (const info of drawObjects?.lines ?? []) {
+        const coords = (info.originalPoints ?? info.points ?? []).map((p) => threeToPosition(proj, p));
+        if (coords.length < 2) continue;
+        features.push({
+            type: 'Feature',
+            id: info.id,
+            geometry: { type: 'LineString', coordinates: coords },
+            properties: withoutUndefined({
+                ...base(info),
+                stroke: colorString(info.options?.color),
+                'stroke-opacity': info.options?.opacity,
+                lengthM: round(lineLengthMeters(proj, coords), 3)
+            })
+        });
+    }
+    for (const info of drawObjects?.areas ?? []) {
+        const ring = (info.points ?? []).map((p) => threeToPosition(proj, p));
+        if (ring.length < 3) continue;
+        const lonLats = ring.map(([lon, lat]) => ({ lon, lat }));
+        features.push({
+            type: 'Feature',
+            id: info.id,
+            geometry: { type: 'Polygon', coordinates: [[...ring, ring[0]]] },
+            properties: withoutUndefined({
+                ...base(info),
+                fill: colorString(info.options?.color),
+                'fill-opacity': info.options?.opacity,
+                areaM2: round(MeasureMath.calculateGeographicArea(lonLats, proj), 3),
+                perimeterM: round(lineLengthMeters(proj, [...ring, ring[0]]), 3)
+            })
+        });
+    }
+    return features;
+}
+
+/**
+ * Markers of a `MarkerManager` -> Point features.
+ * @param {import('../marker/marker.js').MarkerManager} markerManager
+ * @param {import('../math/proj.js').MathProj} proj
+ * @param {{excludeIds?: Iterable<string>}} [options] - e.g. markers already exported as draw points
+ * @returns {Object[]}
+ */
+export function markersToFeatures(markerManager, proj, options = {}) {
+    const exclude = new Set(options.excludeIds ?? []);
+    const features = [];
+    for (const [id, marker] of markerManager?.markers ?? []) {
+        if (exclude.has(id)) continue;
+        const data = marker.userData?.markerData ?? {};
+        features.push({
+            type: 'Feature',
+            id,
+            geometry: { type: 'Point', coordinates: threeToPosition(proj, marker.position) },
+            properties: withoutUndefined({
+                id,
+                source: 'marker',
+                name: data.label || undefined,
+                'marker-color': colorString(data.sphere?.material?.color)
+            })
+        });
+    }
+    return features;
+}
+
+// ---------------------------------------------------------------- serializers
+
+function escapeXml(s) {
+    return String(s).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+/**
+ * `#rrggbb` + opacity -> KML `aabbggrr`.
+ */
+function kmlColor(color, opacity = 1) {
+    const hex = colorString(color)?.slice(1);
+    if (!hex) return null;
+    const a = Math.round(Math.min(1, Math.max(0, Number.isFinite(Number(opacity)) ? Number(opacity) : 1)) * 255);
+    return `${a.toString(16).padStart(2, '0')}${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`;
+}
+
+function kmlCoords(coords) {
+    return coords.map((c) => c.join(',')).join(' ');
+}
+
+function kmlGeometry(g) {
+    const altitude = '<altitudeMode>clampToGround</altitudeMode>';
+    switch (g?.type) {
+        case 'Point':
+            return `<Point>${altitude}<coordinates>${g.coordinates.join(',')}</coordinates></Point>`;
+        case 'LineString':
+            return `<LineString><tessellate>1</tessellate>${altitude}<coordinates>${kmlCoords(g.coordinates)}</coordinates></LineString>`;
+        case 'Polygon': {
+            const [outer, ...holes] = g.coordinates;
+            const ring = (r) => `<LinearRing><coordinates>${kmlCoords(r)}</coordinates></LinearRing>`;
+            return `<Polygon><tessellate>1</tessellate>${altitude}<outerBoundaryIs>${ring(outer)}</outerBoundaryIs>`
+                + holes.map((h) => `<innerBoundaryIs>${ring(h)}</innerBoundaryIs>`).join('')
+                + '</Polygon>';
+        }
+        case 'MultiPoint':
+        case 'MultiLineString':
+        case 'MultiPolygon': {
+            const type = g.type.slice(5);
+            return `<MultiGeometry>${g.coordinates.map((coordinates) => kmlGeometry({ type, coordinates })).join('')}</MultiGeometry>`;
+        }
+        case 'GeometryCollection':
+            return `<MultiGeometry>${(g.geometries ?? []).map(kmlGeometry).join('')}</MultiGeometry>`;
+        default:
+            return '';
+    }
+}
+
+function kmlStyle(p) {
+    const parts = [];
+    const line = kmlColor(p.stroke, p['stroke-opacity']);
+    if (line || p['stroke-width'] !== undefined) {
+        parts.push(`<LineStyle>${line ? `<color>${line}</color>` : ''}${p['stroke-width'] !== undefined ? `<width>${Number(p['stroke-width'])}</width>` : ''}</LineStyle>`);
+    }
+    const fill = kmlColor(p.fill, p['fill-opacity']);
+    if (fill) parts.push(`<PolyStyle><color>${fill}</color></PolyStyle>`);
+    const icon = kmlColor(p['marker-color']);
+    if (icon || p.icon) {
+        parts.push(`<IconStyle>${icon ? `<color>${icon}</color>` : ''}${p.icon ? `<Icon><href>${escapeXml(p.icon)}</href></Icon>` : ''}</IconStyle>`);
+    }
+    return parts.length ? `<Style>${parts.join('')}</Style>` : '';
+}
+
+function propertyText(v) {
+    return v !== null && typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
+
+/**
+ * @param {Object} fc - GeoJSON FeatureCollection
+ * @param {{name?: string}} [options]
+ * @returns {string} KML 2.2 document
+ */
+export function featuresToKml(fc, options = {}) {
+    const placemarks = (fc?.features ?? []).map((f) => {
+        const p = f.properties ?? {};
+        const data = Object.entries(p)
+            .filter(([k, v]) => !STYLE_KEYS.has(k) && k !== 'name' && k !== 'description' && v !== null && v !== undefined)
+            .map(([k, v]) => `<Data name="${escapeXml(k)}"><value>${escapeXml(propertyText(v))}</value></Data>`)
+            .join('');
+        return [
+            `<Placemark${f.id !== undefined ? ` id="${escapeXml(f.id)}"` : ''}>`,
+            p.name !== undefined ? `<name>${escapeXml(p.name)}</name>` : '',
+            p.description !== undefined ? `<description>${escapeXml(p.description)}</description>` : '',
+            kmlStyle(p),
+            data ? `<ExtendedData>${data}</ExtendedData>` : '',
+            kmlGeometry(f.geometry),
+            '</Placemark>'
+        ].join('');
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document>
+<name>${escapeXml(options.name ?? 'export')}</name>
+${placemarks.join('\n')}
+</Document>
+</kml>
+`;
+}
+
+function wktCoords(coords) {
+    return coords.map((c) => c.join(' ')).join(', ');
+}
+
+function firstPosition(coords) {
+    let c = coords;
+    while (Array.isArray(c) && Array.isArray(c[0])) c = c[0];
+    return Array.isArray(c) ? c : [];
+}
+
+function wkt(g) {
+    if (!g) return '';
+    const c = g.coordinates;
+    const z = firstPosition(c).length >= 3 ? ' Z' : '';
+    switch (g.type) {
+        case 'Point': return `POINT${z} (${c.join(' ')})`;
+        case 'MultiPoint': return `MULTIPOINT${z} (${c.map((p) => `(${p.join(' ')})`).join(', ')})`;
+        case 'LineString': return `LINESTRING${z} (${wktCoords(c)})`;
+        case 'MultiLineString': return `MULTILINESTRING${z} (${c.map((l) => `(${wktCoords(l)})`).join(', ')})`;
+        case 'Polygon': return `POLYGON${z} (${c.map((r) => `(${wktCoords(r)})`).join(', ')})`;
+        case 'MultiPolygon': return `MULTIPOLYGON${z} (${c.map((poly) => `(${poly.map((r) => `(${wktCoords(r)})`).join(', ')})`).join(', ')})`;
+        case 'GeometryCollection': return `GEOMETRYCOLLECTION (${(g.geometries ?? []).map(wkt).join(', ')})`;
+        default: return '';
+    }
+}
+
+function csvField(v) {
+    if (v === null || v === undefined) return '';
+    const s = propertyText(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * One row per feature: `id, name, geometry, lon, lat, elevation` (points only), `wkt`, then all properties.
+ * @param {Object} fc - GeoJSON FeatureCollection
+ * @returns {string} CSV (UTF-8 with BOM so spreadsheet apps detect the encoding)
+ */
+export function featuresToCsv(fc) {
+    const fixed = ['id', 'name', 'geometry', 'lon', 'lat', 'elevation', 'wkt'];
+    const extra = [];
+    for (const f of fc?.features ?? []) {
+        for (const k of Object.keys(f.properties ?? {})) {
+            if (!fixed.includes(k) && !extra.includes(k)) extra.push(k);
+        }
+    }
+    const rows = [fixed.concat(extra)];
+    for (const f of fc?.features ?? []) {
+        const p = f.properties ?? {};
+        const point = f.geometry?.type === 'Point' ? f.geometry.coordinates : [];
+        rows.push([
+            f.id ?? p.id, p.name, f.geometry?.type, point[0], point[1], point[2], wkt(f.geometry),
+            ...extra.map((k) => p[k])
+        ]);
+    }
+    return `﻿${rows.map((r) => r.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * @param {Object} fc - GeoJSON FeatureCollection
+ * @param {'geojson'|'kml'|'csv'} format
+ * @param {{name?: string}} [options]
+ * @returns {{text: string, mime: string, extension: string}}
+ */
+export function serializeFeatures(fc, format = 'geojson', options = {}) {
+    const key = String(format).toLowerCase();
+    const spec = EXPORT_FORMATS[key];
+    if (!spec) throw new Error(`Unknown export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(' / ')})`);
+    let text;
+    if (key === 'kml') text = featuresToKml(fc, options);
+    else if (key === 'csv') text = featuresToCsv(fc);
+    else text = JSON.stringify(fc, null, 2);
+    return { text, ...spec };
+}
+
+/**
+ * Save text as a file download (browser).
+ * @param {string} text
+ * @param {string} filename - with extension
+ * @param {string} [mime]
+ * @returns {Blob}
+ */
+export function downloadText(text, filename, mime = 'text/plain') {
+    const blob = new Blob([text], { type: `${mime};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return blob;
+}
+
+/**
+ * Serialize and save as a file download (browser).
+ * @param {Object} fc - GeoJSON FeatureCollection
+ * @param {'geojson'|'kml'|'csv'} format
+ * @param {string} [filename] - without extension
+ * @returns {Blob}
+ */
+export function downloadFeatures(fc, format = 'geojson', filename = 'export') {
+    const { text, mime, extension } = serializeFeatures(fc, format, { name: filename });
+    return downloadText(text, `${filename}.${extension}`, mime);
+}
@@ -0,0 +1,357 @@
+import { readZip } from '../utils/zip.js';
+
+/**
+ * KML / KMZ / GPX readers producing GeoJSON FeatureCollections (lon/lat[/alt meters]).
+ *
+ * Properties keep `name` / `description` and map KML styles onto simplestyle keys
+ * (`stroke`, `stroke-width`, `stroke-opacity`, `fill`, `fill-opacity`, `marker-color`, `icon`), so the result
+ * can go to `GeoJsonLayer` or `DrawTool.importGeoJson` unchanged.
+ * Needs `DOMParser` (browser).
+ */
+
+function parseXml(text, what) {
+    if (typeof DOMParser === 'undefined') throw new Error(`${what}: DOMParser is unavailable`);
+    const doc = new DOMParser().parseFromString(String(text), 'application/xml');
+    const err = doc.getElementsByTagName('parsererror')[0];
+    if (err) throw new Error(`${what}: invalid XML (${err.textContent.trim().slice(0, 120)})`);
+    return doc;
+}
+
+// Namespace-agnostic lookups (KML 2.2 / gx:, GPX 1.0 / 1.1).
+function childElements(el, name) {
+    return Array.from(el?.children ?? []).filter((c) => c.localName === name);
+}
+
+function firstChild(el, name) {
+    return childElements(el, name)[0] ?? null;
+}
+
+function descendants(el, name) {
+    return el ? Array.from(el.getElementsByTagNameNS('*', name)) : [];
+}
+
+function childText(el, name) {
+    const c = firstChild(el, name);
+    return c ? c.textContent.trim() : null;
+}
+
+function toNumber(v) {
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+}
+
+function position(lon, lat, alt) {
+    return alt === null || alt === undefined ? [lon, lat] : [lon, lat, alt];
+}
+
+function featureCollection(features) {
+    return { type: 'FeatureCollection', features };
+}
+
+// ---------------------------------------------------------------- KML
+
+/**
+ * KML color `aabbggrr` -> `{ color: '#rrggbb', opacity }`.
+ */
+function kmlColor(value) {
+    const s = String(value ?? '').trim().replace(/^#/, '');
+    if (!/^[0-9a-f]{8}$/i.test(s)) return null;
+    return {
+        color: `#${s.slice(6, 8)}${s.slice(4, 6)}${s.slice(2, 4)}`.toLowerCase(),
+        opacity: Math.round((parseInt(s.slice(0, 2), 16) / 255) * 100) / 100
+    };
+}
+
+function readKmlStyle(styleEl, resolveHref) {
+    const out = {};
+    const line = firstChild(styleEl, 'LineStyle');
+    if (line) {
+        const c = kmlColor(childText(line, 'color'));
+        if (c) {
+            out.stroke = c.color;
+            out['stroke-opacity'] = c.opacity;
+        }
+        const w = toNumber(childText(line, 'width'));
+        if (w !== null) out['stroke-width'] = w;
+    }
+    const poly = firstChild(styleEl, 'PolyStyle');
+    if (poly) {
+        const c = kmlColor(childText(poly, 'color'));
+        if (c) {
+            out.fill = c.color;
+            out['fill-opacity'] = c.opacity;
+        }
+        if (childText(poly, 'fill') === '0') out['fill-opacity'] = 0;
+        if (childText(poly, 'outline') === '0') out['stroke-width'] = 0;
+    }
+    const icon = firstChild(styleEl, 'IconStyle');
+    if (icon) {
+        const c = kmlColor(childText(icon, 'color'));
+        if (c) out['marker-color'] = c.color;
+        const href = childText(firstChild(icon, 'Icon'), 'href');
+        if (href) out.icon = resolveHref(href);
+    }
+    return out;
+}
+
+/**
+ * Shared styles by id (`Style` and `StyleMap` -> its `normal` style).
+ */
+function collectKmlStyles(doc, resolveHref) {
+    const styles = new Map();
+    for (const el of descendants(doc, 'Style')) {
+        const id = el.getAttribute('id');
+        if (id) styles.set(id, readKmlStyle(el, resolveHref));
+    }
+    for (const el of descendants(doc, 'StyleMap')) {
+        const id = el.getAttribute('id');
+        if (!id) continue;
+        const pairs = childElements(el, 'Pair');
+        const normal = pairs.find((p) => childText(p, 'key') === 'normal') ?? pairs[0];
+        const url = childText(normal, 'styleUrl');
+        const inline = firstChild(normal, 'Style');
+        if (inline) styles.set(id, readKmlStyle(inline, resolveHref));
+        else if (url) styles.set(id, { ref: url.replace(/^.*#/, '') });
+    }
+    // StyleMap -> Style references
+    for (const [id, s] of styles) {
+        if (s.ref) styles.set(id, styles.get(s.ref) ?? {});
+    }
+    return styles;
+}
+
+function kmlCoordinates(el) {
+    const text = childText(el, 'coordinates') ?? '';
+    const out = [];
+    for (const tuple of text.split(/\s+/)) {
+        if (!tuple) continue;
+        const [lon, lat, alt] = tuple.split(',').map(Number);
+        if (Number.isFinite(lon) && Number.isFinite(lat)) out.push(position(lon, lat, Number.isFinite(alt) ? alt : null));
+    }
+    return out;
+}
+
+function kmlTrack(el) {
+    const out = [];
+    for (const c of childElements(el, 'coord')) {
+        const [lon, lat, alt] = c.textContent.trim().split(/\s+/).map(Number);
+        if (Number.isFinite(lon) && Number.isFinite(lat)) out.push(position(lon, lat, Number.isFinite(alt) ? alt : null));
+    }
+    return out;
+}
+
+/**
+ * All geometries under an element (MultiGeometry / gx:MultiTrack flattened).
+ */
+function kmlGeometries(el) {
+    const out = [];
+    for (const c of Array.from(el.children)) {
+        switch (c.localName) {
+            case 'Point': {
+                const coords = kmlCoordinates(c);
+                if (coords.length) out.push({ type: 'Point', coordinates: coords[0] });
+                break;
+            }
+            case 'LineString':
+            case 'LinearRing': {
+                const coords = kmlCoordinates(c);
+                if (coords.length >= 2) out.push({ type: 'LineString', coordinates: coords });
+                break;
+            }
+            case 'Track': {
+                const coords = kmlTrack(c);
+                if (coords.length >= 2) out.push({ type: 'LineString', coordinates: coords });
+                break;
+            }
+            case 'Polygon': {
+                const outer = firstChild(firstChild(c, 'outerBoundaryIs'), 'LinearRing');
+                if (!outer) break;
+                const rings = [kmlCoordinates(outer)];
+                for (const inner of childElements(c, 'innerBoundaryIs')) {
+                    for (const ring of childElements(inner, 'LinearRing')) rings.push(kmlCoordinates(ring));
+                }
+                if (rings[0].length >= 3) out.push({ type: 'Polygon', coordinates: rings.filter((r) => r.length >= 3) });
+                break;
+            }
+            case 'MultiGeometry':
+            case 'MultiTrack':
+                out.push(...kmlGeometries(c));
+                break;
+            default:
+                break;
+        }
+    }
+    return out;
+}
+
+function kmlExtendedData(placemark) {
+    const props = {};
+    const ext = firstChild(placemark, 'ExtendedData');
+    if (!ext) return props;
+    for (const d of childElements(ext, 'Data')) {
+        const name = d.getAttribute('name');
+        if (name) props[name] = childText(d, 'value');
+    }
+    for (const d of descendants(ext, 'SimpleData')) {
+        const name = d.getAttribute('name');
+        if (name) props[name] = d.textContent.trim();
+    }
+    return props;
+}
+
+/**
+ * @param {string} text - KML document
+ * @param {Object} [options]
+ * @param {(href: string) => string} [options.resolveHref] - maps icon hrefs (KMZ-relative paths) to URLs
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function parseKml(text, options = {}) {
+    const resolveHref = options.resolveHref ?? ((href) => href);
+    const doc = parseXml(text, 'KML');
+    const styles = collectKmlStyles(doc, resolveHref);
+    const features = [];
+    for (const placemark of descendants(doc, 'Placemark')) {
+        const geometries = kmlGeometries(placemark);
+        if (!geometries.length) continue;
+        const styleUrl = childText(placemark, 'styleUrl');
+        const inline = firstChild(placemark, 'Style');
+        const properties = {
+            ...kmlExtendedData(placemark),
+            ...(styleUrl ? styles.get(styleUrl.replace(/^.*#/, '')) : null),
+            ...(inline ? readKmlStyle(inline, resolveHref) : null)
+        };
+        const name = childText(placemark, 'name');
+        const description = childText(placemark, 'description');
+        if (name !== null) properties.name = name;
+        if (description !== null) properties.description = description;
+        const id = placemark.getAttribute('id');
+        features.push({
+            type: 'Feature',
+            ...(id ? { id } : null),
+            geometry: geometries.length === 1 ? geometries[0] : { type: 'GeometryCollection', geometries },
+            properties
+        });
+    }
+    return featureCollection(features);
+}
+
+/**
+ * KMZ: the root `.kml` (`doc.kml` first); icon paths inside the archive become object URLs.
+ * @param {ArrayBuffer|Uint8Array|Blob} data
+ * @returns {Promise<Object>} GeoJSON FeatureCollection
+ */
+export async function parseKmz(data) {
+    const zip = await readZip(data);
+    const kmlNames = zip.names.filter((n) => /\.kml$/i.test(n));
+    const main = kmlNames.find((n) => n.toLowerCase() === 'doc.kml')
+        ?? kmlNames.find((n) => !n.includes('/'))
+        ?? kmlNames[0];
+    if (!main) throw new Error('KMZ: no .kml document in archive');
+    const text = new TextDecoder().decode(await zip.read(main));
+
+    // Pre-load archive images referenced by the document (resolveHref must be synchronous).
+    const baseDir = main.includes('/') ? main.slice(0, main.lastIndexOf('/') + 1) : '';
+    const urls = new Map();
+    if (typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function') {
+        for (const name of zip.names) {
+            if (!/\.(png|jpe?g|gif|bmp|webp|svg)$/i.test(name)) continue;
+            const type = /\.svg$/i.test(name) ? 'image/svg+xml' : `image/${name.split('.').pop().toLowerCase().replace('jpg', 'jpeg')}`;
+            urls.set(name, URL.createObjectURL(new Blob([await zip.read(name)], { type })));
+        }
+    }
+    const resolveHref = (href) => urls.get(baseDir + href) ?? urls.get(href) ?? href;
+    return parseKml(text, { resolveHref });
+}
+
+// ---------------------------------------------------------------- GPX
+
+function gpxPoint(el) {
+    const lat = toNumber(el.getAttribute('lat'));
+    const lon = toNumber(el.getAttribute('lon'));
+    if (lat === null || lon === null) return null;
+    return position(lon, lat, toNumber(childText(el, 'ele')));
+}
+
+function gpxProperties(el) {
+    const props = {};
+    for (const key of ['name', 'desc', 'cmt', 'type', 'sym', 'time']) {
+        const v = childText(el, key);
+        if (v !== null) props[key] = v;
+    }
+    if (props.desc !== undefined) props.description = props.desc;
+    return props;
+}
+
+/**
+ * Waypoints -> Point, routes -> LineString, tracks -> LineString / MultiLineString (one line per segment).
+ * @param {string} text - GPX document
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function parseGpx(text) {
+    const doc = parseXml(text, 'GPX');
+    const root = doc.documentElement;
+    const features = [];
+    for (const wpt of childElements(root, 'wpt')) {
+        const p = gpxPoint(wpt);
+        if (p) features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: p }, properties: { ...gpxProperties(wpt), gpxType: 'waypoint' } });
+    }
+    for (const rte of childElements(root, 'rte')) {
+        const coords = childElements(rte, 'rtept').map(gpxPoint).filter(Boolean);
+        if (coords.length >= 2) {
+            features.push({ type: 'Feature', geometry: { type: 'LineString', coordinates: coords }, properties: { ...gpxProperties(rte), gpxType: 'route' } });
+        }
+    }
+    for (const trk of childElements(root, 'trk')) {
+        const segments = childElements(trk, 'trkseg')
+            .map((seg) => childElements(seg, 'trkpt').map(gpxPoint).filter(Boolean))
+            .filter((seg) => seg.length >= 2);
+        if (!segments.length) continue;
+        const geometry = segments.length === 1
+            ? { type: 'LineString', coordinates: segments[0] }
+            : { type: 'MultiLineString', coordinates: segments };
+        features.push({ type: 'Feature', geometry, properties: { ...gpxProperties(trk), gpxType: 'track' } });
+    }
+    return featureCollection(features);
+}
+
+// ---------------------------------------------------------------- detection
+
+/**
+ * Read a KML / KMZ / GPX / GeoJSON file into a FeatureCollection.
+ * The format comes from `options.format`, the file name extension, or the content.
+ * @param {File|Blob|ArrayBuffer|Uint8Array|string} input
+ * @param {{format?: 'kml'|'kmz'|'gpx'|'geojson', name?: string}} [options]
+ * @returns {Promise<Object>}
+ */
+export async function parseGeoFile(input, options = {}) {
+    const name = String(options.name ?? input?.name ?? '');
+    let format = String(options.format ?? '').toLowerCase() || (name.match(/\.(kml|kmz|gpx|geojson|json)$/i)?.[1] ?? '').toLowerCase();
+
+    let bytes = null;
+    let text = typeof input === 'string' ? input : null;
+    if (text === null) {
+        if (input instanceof Uint8Array) bytes = input;
+        else if (input instanceof ArrayBuffer) bytes = new Uint8Array(input);
+        else if (input && typeof input.arrayBuffer === 'function') bytes = new Uint8Array(await input.arrayBuffer());
+        else throw new Error('parseGeoFile: unsupported input');
+    }
+
+    if (!format) {
+        if (bytes && bytes[0] === 0x50 && bytes[1] === 0x4b) format = 'kmz';
+        else {
+            text ??= new TextDecoder().decode(bytes);
+            const head = text.slice(0, 2048);
+            if (/<gpx[\s>]/i.test(head)) format = 'gpx';
+            else if (/<kml[\s>]/i.test(head)) format = 'kml';
+            else if (/^\s*[[{]/.test(head)) format = 'geojson';
+        }
+    }
+
+    if (format === 'kmz') return parseKmz(bytes ?? new TextEncoder().encode(text));
+    text ??= new TextDecoder().decode(bytes);
+    if (format === 'kml') return parseKml(text);
+    if (format === 'gpx') return parseGpx(text);
+    if (format === 'geojson' || format === 'json') return JSON.parse(text);
+    throw new Error(`parseGeoFile: unknown format${name ? ` (${name})` : ''}`);
+}
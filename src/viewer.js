@@ -6,7 +6,22 @@ import { Terrain } from './terrain/Terrain.js';
 import { AuxiliaryTools } from './utils/AuxiliaryTools.js';
 import { ToolManager } from './toolManager/ToolManager.js';
 import { MarkerManager } from './marker/marker.js';
+import { OfflinePackage } from './terrain/OfflinePackage.js';
+import { GeoJsonLayer } from './vector/GeoJsonLayer.js';
+import { parseKml, parseKmz, parseGpx, parseGeoFile } from './vector/kmlGpx.js';
+import { markersToFeatures, serializeFeatures, downloadFeatures, downloadText } from './vector/featureExport.js';
+import { loadWmtsSource, parseWmtsCapabilities, wmtsSourceFromCapabilities } from './maptiles/ogc.js';
+import {
+    SESSION_VERSION, SESSION_FORMAT, migrateSession, cameraPoseToSession, sessionCameraToPose, pickBaseMapConfig,
+    markersToSession, modelsToSession
+} from './utils/session.js';
 export {THREE}
+export { OfflinePackage }
+export { GeoJsonLayer }
+export { parseKml, parseKmz, parseGpx, parseGeoFile }
+export { serializeFeatures, downloadFeatures }
+export { loadWmtsSource, parseWmtsCapabilities, wmtsSourceFromCapabilities }
+export { SESSION_VERSION, migrateSession }
 /**
  * 局部地形场景类
  * 实现基于RGB瓦片的地形加载、渲染、编辑和交互功能
@@ -115,6 +130,14 @@ export class Viewer {
         // 创建坐标轴文字标签（使用 canvas sprite，中文不会变成 ?）
         this.createAxisLabels();
 
+        // GeoJSON 矢量图层（id -> GeoJsonLayer）
+        this.geoJsonLayers = new Map();
+
+        // 模型管理器（可选，外部设置 `viewer.modelManager = new ModelManager(...)` 后会话保存/恢复模型摆放）
+        this.modelManager = null;
+        // loadSession 时绘制/测量面板未打开：暂存内容，面板打开时恢复（toolId -> state）
+        this._pendingToolSession = null;
+
         // 窗口大小变化监听
         window.addEventListener('resize', this.onWindowResize.bind(this));
     }
@@ -128,7 +151,9 @@ export class Viewer {
         const centerLat = Number(this.config?.centerLat);
         this.proj = initMathProj({
             centerLon: Number.isFinite(centerLon) ? centerLon : 0,
-            centerLat: Number.isFinite(centerLat) ? centerLat : 0
+            centerLat: Number.isFinite(centerLat) ? centerLat : 0,
+            workingCrs: this.config?.workingCrs,
+            sceneFrame: this.config?.sceneFrame
         });
         if (this.markerManager && this.proj?.unitsPerMeter) {
             this.markerManager.unitsPerMeter = this.proj.unitsPerMeter;
@@ -145,6 +170,7 @@ export class Viewer {
         if (this.terrain) {
             this.terrain.renderer = this.renderer;
             this.terrain.imageryTiles?.setRenderer?.(this.renderer);
+            this.terrain.imageryLayers?.setRenderer?.(this.renderer);
         }
 
         // 初始化地形状态
@@ -359,6 +385,12 @@ export class Viewer {
      * @param {MouseEvent} event - 鼠标事件
      */
     onMouseClick(event) {
+        // GeoJSON 要素拾取：设置 `viewer.onFeaturePicked = (hit) => {...}` 后生效
+        if (typeof this.onFeaturePicked === 'function' && this.geoJsonLayers?.size) {
+            const hit = this.pickFeature(event.clientX, event.clientY);
+            if (hit) this.onFeaturePicked(hit);
+        }
+
         // 只有在高程拾取启用时才执行拾取
         if (this.elevationPickEnabled) {
             // 计算鼠标在标准化设备坐标中的位置
@@ -458,6 +490,7 @@ export class Viewer {
 
     /**
      * 批量整平：[{ polygon:[[lon,lat],...], targetElevation?: number }, ...]
+     * 每项可带倾斜设计面：longGrade/crossGrade（%）、azimuth（°）、origin，或三点 points / 已解析 plane（math/designPlane.js）
      */
     flattenTerrainMultiple(list) {
         if (this.terrain) {
@@ -488,7 +521,7 @@ export class Viewer {
     }
 
     /**
-     * 批量坡面：[{ aLonLat:[lon,lat], bLonLat:[lon,lat], ... }, ...]
+     * 批量坡面：[{ aLonLat:[lon,lat], bLonLat:[lon,lat], ... }, ...]；也可为倾斜平台 { polygon, targetElevation, longGrade?, crossGrade?, azimuth? }
      */
     slopeTerrainMultiple(list) {
         if (this.terrain) {
@@ -521,10 +554,65 @@ export class Viewer {
         }
     }
 
+    /**
+     * 加载本地 DEM（单波段 GeoTIFF，支持 WGS84/CGCS2000 经纬度、Web 墨卡托、UTM、CGCS2000 高斯-克吕格投影）
+     * 重采样到地形瓦片高程，覆盖 DEM 范围内的 terrain-rgb 高程（填挖方/地形修整随之使用测量地面）。
+     * @param {File|Blob|ArrayBuffer} source - GeoTIFF 文件
+     * @param {{crs?: number|string|Object, noData?: number, verticalScale?: number, verticalOffset?: number}} [options]
+     * @returns {Promise<import('./terrain/DemRaster.js').DemRaster|null>}
+     */
+    async loadDem(source, options = {}) {
+        if (!this.terrain) return null;
+        const raster = await this.terrain.loadDem(source, options);
+        this.updateAuxiliaryToolsHeight(this.terrainVisible);
+        return raster;
+    }
+
+    /**
+     * 预下载 AOI 的地形与影像瓦片到离线缓存（IndexedDB，需 `tileCacheEnabled: true`）。
+     * @param {{bounds?: {west: number, south: number, east: number, north: number}, minZoom?: number, maxZoom?: number,
+     *   terrainMinZoom?: number, terrainMaxZoom?: number, imagery?: boolean, terrain?: boolean, maxTiles?: number,
+     *   onProgress?: Function}} [options] - minZoom/maxZoom 为影像层级范围
+     * @returns {Promise<{done: number, total: number, fetched: number, cached: number, failed: number}>}
+     */
+    seedOfflineCache(options = {}) {
+        if (!this.terrain) return Promise.reject(new Error('terrain not initialized'));
+        return this.terrain.seedOfflineCache(options);
+    }
+
+    /**
+     * 离线缓存占用（瓦片数/字节数，按图层统计）；未启用缓存时返回 null
+     */
+    getOfflineCacheUsage() {
+        return this.terrain?.getOfflineCacheUsage() ?? Promise.resolve(null);
+    }
+
+    /**
+     * 清空离线缓存（可只清除某一图层）
+     * @param {string|null} [layer]
+     */
+    clearOfflineCache(layer = null) {
+        return this.terrain?.clearOfflineCache(layer) ?? Promise.resolve();
+    }
+
+    /**
+     * 导出离线包（zip）：当前已加载的地形瓦片高程、AOI 范围内指定层级的影像瓦片和场景配置（不含 token）。
+     * 加载：`const pkg = await OfflinePackage.read(file); new Viewer(container, { ...pkg.config, offlinePackage: pkg })`
+     * @param {{bounds?: Object, minZoom?: number, maxZoom?: number, imagery?: boolean, maxTiles?: number, onProgress?: Function}} [options]
+     * @returns {Promise<Blob>}
+     */
+    exportOfflinePackage(options = {}) {
+        if (!this.terrain) return Promise.reject(new Error('terrain not initialized'));
+        return this.terrain.exportOfflinePackage(options);
+    }
+
     /**
      * Switch raster base map at runtime (terrain base drape + LOD hot-update atlas).
      * @param {Object} options
      * - Prefer `baseMapType` + `mapToken` (built-in providers), or provide `mapTileUrl`/`mapYtype`/`mapSubdomains`.
+     * - WMS：`{ baseMapType: 'wms', wms: { url, layers, styles?, format?, transparent?, version?, crs? } }`（GetMap 按瓦片范围请求）
+     * - WMTS：`{ baseMapType: 'wmts', wmts: { url | template, layer, style?, tileMatrixSet?, format?, tileMatrixLabels? } }`，
+     *   或 `await loadWmtsSource(capabilitiesUrl, { layer })`（解析 GetCapabilities，KVP / RESTful 自动选择）
      */
     setBaseMap(options = {}) {
         this.config = { ...(this.config || {}), ...(options || {}) };
@@ -535,6 +623,308 @@ export class Viewer {
         this.setBaseMap({ ...(options || {}), baseMapType });
     }
 
+    /**
+     * 添加叠加影像图层（位于底图之上，如天地图注记 `baseMapType: 'tianditu-cia'`、半透明规划图）
+     * @param {{id?: string, name?: string, tileUrl?: string, baseMapType?: string, token?: string, tileScheme?: string,
+     *   subdomains?: string|string[], opacity?: number, visible?: boolean, blend?: 'normal'|'multiply'|'screen'|'add',
+     *   minZoom?: number, maxZoom?: number, maxNativeZoom?: number, type?: 'raster'|'mvt', style?: Object}} options
+     *   矢量瓦片：`type: 'mvt'` + `tileUrl`（`.pbf`/`.mvt`）+ `style`（按图层/属性配置填充、描边颜色，见 `VectorImageryTiles`），
+     *   栅格化后贴合地形；`updateImageryLayer(id, { style })` 可更换样式
+     * @param {number} [index] - 图层顺序（0 = 紧贴底图，默认置顶）
+     * @returns {import('./maptiles/ImageryLayers.js').ImageryLayer|null}
+     */
+    addImageryLayer(options = {}, index) {
+        return this.terrain?.addImageryLayer(options, index) ?? null;
+    }
+
+    /**
+     * 移除叠加影像图层
+     * @param {string} id
+     */
+    removeImageryLayer(id) {
+        return this.terrain?.removeImageryLayer(id) ?? false;
+    }
+
+    /**
+     * 调整叠加影像图层顺序
+     * @param {string} id
+     * @param {number} index - 0 = 紧贴底图
+     */
+    moveImageryLayer(id, index) {
+        return this.terrain?.moveImageryLayer(id, index) ?? false;
+    }
+
+    /**
+     * 修改叠加影像图层的透明度/可见性/混合模式/显示层级
+     * @param {string} id
+     * @param {{opacity?: number, visible?: boolean, blend?: string, minZoom?: number, maxZoom?: number, maxNativeZoom?: number}} patch
+     */
+    updateImageryLayer(id, patch = {}) {
+        return this.terrain?.updateImageryLayer(id, patch) ?? false;
+    }
+
+    /**
+     * 叠加影像图层列表（自下而上）
+     */
+    getImageryLayers() {
+        return this.terrain?.getImageryLayers() ?? [];
+    }
+
+    /**
+     * 加载 GeoJSON 图层（Point/LineString/Polygon/Multi*），经 `MathProj.lonLatToThree` 转换并贴地
+     * - 样式：默认 < 要素属性（simplestyle：fill / stroke / marker-color ...）< `options.style`
+     *   （`{ fillColor, fillOpacity, strokeColor, strokeOpacity, strokeWidth, pointColor, pointRadius, label }`，
+     *   值可为常量、`(properties) => value` 或 `{ property, values | stops, default }`；或 `(feature) => style`）
+     * - 地形瓦片加载/编辑后自动重新贴地
+     * @param {Object|string} data - FeatureCollection / Feature / 几何，或 GeoJSON 文件 URL
+     * @param {{id?: string, name?: string, style?: Object|Function, clampToGround?: boolean, heightOffset?: number,
+     *   samplePrecision?: number, pickTolerance?: number}} [options]
+     * @returns {Promise<GeoJsonLayer>}
+     */
+    async addGeoJsonLayer(data, options = {}) {
+        if (options.id !== undefined && this.geoJsonLayers.has(String(options.id))) {
+            throw new Error(`GeoJSON layer "${options.id}" already exists`);
+        }
+        let geojson = data;
+        if (typeof data === 'string') {
+            const res = await fetch(data);
+            if (!res.ok) throw new Error(`GeoJSON: HTTP ${res.status} ${data}`);
+            geojson = await res.json();
+        }
+        const layer = new GeoJsonLayer({
+            ...options,
+            proj: this.proj,
+            scene: this.scene,
+            markerManager: this.markerManager,
+            getHeight: (x, z) => (this.terrainVisible === true ? this.getElevationAtThreePosition(x, z) : 0),
+            getSurfaceVersion: () => `${this.terrain?.surfaceVersion ?? 0}:${this.terrain?.tileMap?.size ?? 0}:${this.terrainVisible}`
+        });
+        layer.setData(geojson);
+        this.geoJsonLayers.set(layer.id, layer);
+        return layer;
+    }
+
+    /**
+     * 移除 GeoJSON 图层
+     * @param {string} id
+     */
+    removeGeoJsonLayer(id) {
+        const layer = this.geoJsonLayers.get(String(id));
+        if (!layer) return false;
+        layer.dispose();
+        this.geoJsonLayers.delete(layer.id);
+        return true;
+    }
+
+    getGeoJsonLayers() {
+        return Array.from(this.geoJsonLayers.values());
+    }
+
+    /**
+     * 拾取屏幕位置下的 GeoJSON 要素（最近的一个）
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {{layer: GeoJsonLayer, index: number, feature: Object, properties: Object, point: THREE.Vector3,
+     *   lonLat: {lon: number, lat: number}}|null}
+     */
+    pickFeature(clientX, clientY) {
+        if (!this.geoJsonLayers.size) return null;
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const mouse = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(mouse, this.camera);
+        let best = null;
+        for (const layer of this.geoJsonLayers.values()) {
+            const hit = layer.pick(raycaster);
+            if (hit && (!best || hit.distance < best.distance)) best = hit;
+        }
+        return best;
+    }
+
+    /**
+     * 汇总可导出的要素（WGS84 经纬度 GeoJSON）
+     * - draw：绘制工具面板中的点/线/面（线附长度，面附面积/周长）
+     * - measure：测量工具面板的当前测量结果（距离/面积/体积等作为属性）
+     * - markers：其余标记点（不含绘制点、测量顶点和 GeoJSON 图层的点）
+     * 绘制/测量工具仅在面板打开时有数据
+     * @param {{draw?: boolean, measure?: boolean, markers?: boolean}} [options] - 默认全部
+     * @returns {Object} GeoJSON FeatureCollection
+     */
+    collectFeatures(options = {}) {
+        const drawUI = this._toolUI('drawTool');
+        const measureUI = this._toolUI('measureTool');
+        const features = [];
+
+        if (options.draw !== false && drawUI?.drawTool) features.push(...drawUI.drawTool.toGeoJson().features);
+        if (options.measure !== false && measureUI) features.push(...measureUI.getMeasurementFeatures().features);
+        if (options.markers !== false && this.markerManager) {
+            const excludeIds = this._toolMarkerIds(drawUI, measureUI);
+            features.push(...markersToFeatures(this.markerManager, this.proj, { excludeIds }));
+        }
+        return { type: 'FeatureCollection', features };
+    }
+
+    _toolUI(toolId) {
+        return this.toolManager?.tools.get(toolId)?.uiInstance ?? null;
+    }
+
+    /**
+     * 绘制点、测量顶点与 GeoJSON 图层占用的标记点 ID（其余为独立标记点）
+     */
+    _toolMarkerIds(drawUI, measureUI) {
+        const ids = [
+            ...(drawUI?.drawTool?.drawObjects.points.map((p) => p.id) ?? []),
+            ...(measureUI?.markers ?? []),
+            ...(measureUI?.cutFillCurrentMarkerIds ?? []),
+            ...(measureUI?.cutFillPolygonMarkerIds?.flat() ?? [])
+        ];
+        for (const [id, marker] of this.markerManager?.markers ?? []) {
+            if (marker.userData?.geoJsonLayerId !== undefined) ids.push(id);
+        }
+        return ids;
+    }
+
+    /**
+     * 导出绘制对象、标记点与测量结果
+     * @param {'geojson'|'kml'|'csv'} [format='geojson']
+     * @param {{draw?: boolean, measure?: boolean, markers?: boolean, filename?: string, download?: boolean}} [options]
+     *   `download: false` 时只返回文本
+     * @returns {{text: string, mime: string, extension: string}}
+     */
+    exportFeatures(format = 'geojson', options = {}) {
+        const fc = this.collectFeatures(options);
+        const filename = options.filename ?? 'threegis_export';
+        const out = serializeFeatures(fc, format, { name: filename });
+        if (options.download !== false) downloadText(out.text, `${filename}.${out.extension}`, out.mime);
+        return out;
+    }
+
+    /**
+     * 保存场景会话（版本化 JSON 文档，格式见 `src/utils/session.js`）
+     * - 相机位姿、底图（默认不含 token）、绘制对象、独立标记点、模型摆放（需设置 `viewer.modelManager`）、
+     *   地形编辑（抬升/整平/坡面/裁剪）与填挖方多边形；位置均为经纬度
+     * - 绘制/测量面板未打开时，保存上次 `loadSession` 暂存、尚未恢复的内容
+     * @param {{includeTokens?: boolean}} [options] - `includeTokens: true` 时底图包含 `mapToken` 及 URL / WMS / WMTS 参数中的 token
+     * @returns {Object} 会话文档（可直接 `JSON.stringify`）
+     */
+    saveSession(options = {}) {
+        const drawUI = this._toolUI('drawTool');
+        const measureUI = this._toolUI('measureTool');
+        const pending = this._pendingToolSession ?? {};
+        return {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            created: new Date().toISOString(),
+            center: { lon: this.proj.options.centerLon, lat: this.proj.options.centerLat },
+            camera: cameraPoseToSession(this.cameraManager?.getPose(), this.proj),
+            baseMap: pickBaseMapConfig(this.config, options),
+            draw: drawUI?.drawTool ? drawUI.drawTool.toGeoJson() : (pending.drawTool ?? null),
+            markers: markersToSession(this.markerManager, this.proj, { excludeIds: this._toolMarkerIds(drawUI, measureUI) }),
+            models: modelsToSession(this.modelManager, this.proj),
+            terrainEdits: this.terrain?.getEditJournal() ?? null,
+            cutFill: measureUI ? measureUI.getCutFillState() : (pending.measureTool ?? null)
+        };
+    }
+
+    /**
+     * 加载场景会话，旧版本文档先经 `migrateSession` 升级（比当前版本新的文档会报错）
+     * - 替换独立标记点、地形编辑、绘制对象与填挖方多边形；地形瓦片未加载完成时，编辑在加载完成后应用
+     * - 绘制/测量面板未打开时，绘制对象/填挖方多边形在面板打开时恢复
+     * - 模型按 glTF 路径加载（需设置 `viewer.modelManager`），已加载的同 ID 模型只更新摆放
+     * @param {string|Object} json - 会话文档或其 JSON 文本
+     * @returns {Promise<Object>} 升级后的会话文档
+     */
+    async loadSession(json) {
+        const session = migrateSession(json);
+        const drawUI = this._toolUI('drawTool');
+        const measureUI = this._toolUI('measureTool');
+
+        if (session.baseMap) {
+            const changed = Object.entries(session.baseMap)
+                .some(([key, value]) => JSON.stringify(this.config?.[key] ?? null) !== JSON.stringify(value));
+            if (changed) this.setBaseMap(session.baseMap);
+        }
+
+        const pose = sessionCameraToPose(session.camera, this.proj);
+        if (pose) {
+            this.camera.position.copy(pose.position);
+            this.camera.up.copy(pose.up);
+            this.controls.target.copy(pose.target);
+            this.camera.lookAt(pose.target);
+            this.controls.update();
+        }
+
+        this.terrain?.restoreEditJournal(session.terrainEdits);
+
+        // Standalone markers first: DrawTool.clearAll removes every marker.
+        if (this.markerManager) {
+            const toolIds = new Set(this._toolMarkerIds(drawUI, measureUI));
+            for (const id of Array.from(this.markerManager.markers.keys())) {
+                if (!toolIds.has(id)) this.markerManager.removeMarker(id);
+            }
+        }
+
+        this._pendingToolSession = {};
+        if (drawUI?.drawTool) {
+            drawUI.drawTool.clearAll();
+            if (session.draw) drawUI.drawTool.importGeoJson(session.draw);
+        } else {
+            this._pendingToolSession.drawTool = session.draw ?? null;
+        }
+        if (measureUI) measureUI.setCutFillState(session.cutFill ?? null);
+        else this._pendingToolSession.measureTool = session.cutFill ?? null;
+
+        for (const m of session.markers ?? []) {
+            const [lon, lat, h] = m.position ?? [];
+            if (!Number.isFinite(lon) || !Number.isFinite(lat) || !this.markerManager) continue;
+            const p = this.proj.lonLatToThree(lon, lat, Number(h) || 0);
+            this.markerManager.createMarker({
+                x: p.x, y: p.y, z: p.z,
+                color: m.color ?? undefined,
+                label: m.label ?? '',
+                img: m.img ?? '',
+                radius: m.radius ?? undefined
+            });
+        }
+
+        for (const m of this.modelManager ? (session.models ?? []) : []) {
+            try {
+                if (!this.modelManager.getModel(m.id)) {
+                    if (!m.path) continue;
+                    await this.modelManager.loadModel(m.id, m.path, { name: m.name, info: m.info ?? {} });
+                }
+                if (m.type) this.modelManager.setModelType(m.id, m.type);
+                const [lon, lat, h] = m.position ?? [];
+                if (Number.isFinite(lon) && Number.isFinite(lat)) {
+                    this.modelManager.setModelPosition(m.id, this.proj.lonLatToThree(lon, lat, Number(h) || 0));
+                }
+                if (Array.isArray(m.rotation)) this.modelManager.setModelRotation(m.id, m.rotation);
+                if (Array.isArray(m.scale)) this.modelManager.setModelScale(m.id, m.scale);
+            } catch (e) {
+                console.warn(`[Viewer] 会话模型恢复失败: ${m.id}`, e);
+            }
+        }
+        return session;
+    }
+
+    /**
+     * 面板打开时恢复 `loadSession` 暂存的绘制对象 / 填挖方多边形（由 ToolManager 调用）
+     * @param {string} toolId
+     * @param {Object} uiInstance
+     */
+    restoreToolSession(toolId, uiInstance) {
+        const pending = this._pendingToolSession;
+        if (!pending || !(toolId in pending)) return;
+        const state = pending[toolId];
+        delete pending[toolId];
+        if (!state) return;
+        if (toolId === 'drawTool') uiInstance.drawTool?.importGeoJson(state);
+        else if (toolId === 'measureTool') uiInstance.setCutFillState?.(state);
+    }
+
     /**
      * 切换地形显示/隐藏
      */
@@ -866,9 +1256,15 @@ export class Viewer {
 
         // Axis labels are sprites (always face the camera)
 
+        // 地形 LOD（四叉树 + 屏幕空间误差，terrainLodsEnabled 时生效）
+        this.terrain?.updateLod?.(this.cameraManager);
+
         // 卫星影像（地形材质底图 + atlas shader 局部高清覆盖）
         this.terrain?.updateImagery?.(this.camera);
 
+        // GeoJSON 图层：地形变化后重新贴地
+        for (const layer of this.geoJsonLayers?.values?.() ?? []) layer.update();
+
         this.markerManager?.update?.(this.camera, this.renderer);
 
         this.renderer.render(this.scene, this.camera);
@@ -919,6 +1315,9 @@ export class Viewer {
             this.toolManager.dispose();
         }
 
+        for (const layer of this.geoJsonLayers?.values?.() ?? []) layer.dispose();
+        this.geoJsonLayers?.clear();
+
         // 销毁辅助工具
         if (this.auxiliaryTools) {
             this.auxiliaryTools.dispose();
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { isCredentialKey, stripUrlCredentials, withoutCredentials } from '../src/utils/credentials.js';
+import { ImageryTiles } from '../src/maptiles/imageryTiles.js';
+import { pickBaseMapConfig } from '../src/utils/session.js';
+
+describe('stripUrlCredentials', () => {
+    it('drops literal credential query parameters and user info', () => {
+        expect(stripUrlCredentials('https://t0.tianditu.gov.cn/img_w/wmts?SERVICE=WMTS&tk=abc&TILEMATRIX={z}'))
+            .toBe('https://t0.tianditu.gov.cn/img_w/wmts?SERVICE=WMTS&TILEMATRIX={z}');
+        expect(stripUrlCredentials('https://api.maptiler.com/tiles/{z}/{x}/{y}.png?key=SECRET')).toBe('https://api.maptiler.com/tiles/{z}/{x}/{y}.png');
+        expect(stripUrlCredentials('https://u:p@host/t/{z}/{x}/{y}.png?v=2#f')).toBe('https://host/t/{z}/{x}/{y}.png?v=2#f');
+    });
+
+    it('keeps placeholders and plain strings', () => {
+        expect(stripUrlCredentials('https://h/{z}/{x}/{y}?access_token={token}')).toBe('https://h/{z}/{x}/{y}?access_token={token}');
+        expect(stripUrlCredentials('EPSG:4326')).toBe('EPSG:4326');
+    });
+});
+
+describe('withoutCredentials', () => {
+    it('removes credential keys at any depth', () => {
+        expect(isCredentialKey('terrainKey')).toBe(true);
+        expect(isCredentialKey('mapTileUrl')).toBe(false);
+        expect(withoutCredentials({
+            mapToken: 'x',
+            imageryLayers: [{ id: 'cia', token: 'y', tileUrl: 'https://h/{z}?tk=z' }],
+            wms: { url: 'https://h/ows?access_token=t', layers: 'a' }
+        })).toEqual({
+            imageryLayers: [{ id: 'cia', tileUrl: 'https://h/{z}' }],
+            wms: { url: 'https://h/ows', layers: 'a' }
+        });
+    });
+});
+
+describe('ImageryTiles._persistLayer', () => {
+    it('is free of literal credentials and independent of the key', () => {
+        const layer = (tk) => new ImageryTiles({ tileUrl: `https://t{s}.tianditu.gov.cn/img_w/wmts?tk=${tk}&TILEMATRIX={z}`, templateVars: { token: tk, style: 'default' } })._persistLayer();
+        expect(layer('abc')).not.toContain('abc');
+        expect(layer('abc')).toBe(layer('def'));
+        expect(layer('abc')).toContain('"style":"default"');
+    });
+});
+
+describe('pickBaseMapConfig', () => {
+    const config = {
+        baseMapType: 'wmts',
+        mapToken: 'abc',
+        mapTileUrl: 'https://api.mapbox.com/styles/v1/u/s/tiles/{z}/{x}/{y}?access_token=abc',
+        wmts: { url: 'https://t0.tianditu.gov.cn/img_w/wmts?tk=abc', layer: 'img', params: { tk: 'abc', TIME: '2024' } }
+    };
+
+    it('leaves tokens out of URLs and OGC settings by default', () => {
+        const out = pickBaseMapConfig(config);
+        expect(JSON.stringify(out)).not.toContain('abc');
+        expect(out.mapTileUrl).toBe('https://api.mapbox.com/styles/v1/u/s/tiles/{z}/{x}/{y}');
+        expect(out.wmts).toEqual({ url: 'https://t0.tianditu.gov.cn/img_w/wmts', layer: 'img', params: { TIME: '2024' } });
+        expect(out.wms).toBeNull();
+    });
+
+    it('keeps everything with includeTokens', () => {
+        const out = pickBaseMapConfig(config, { includeTokens: true });
+        expect(out.mapToken).toBe('abc');
+        expect(out.mapTileUrl).toBe(config.mapTileUrl);
+        expect(out.wmts).toEqual(config.wmts);
+    });
+});
@@ -0,0 +1,133 @@
+import { describe, expect, it } from 'vitest';
+import { ellipsoidalPolygonArea, geodesicDirect, geodesicInverse } from '../src/math/geodesic.js';
+import { MeasureMath } from '../src/toolManager/measureMath.js';
+
+const dms = (d, m, s) => Math.sign(d) * (Math.abs(d) + m / 60 + s / 3600);
+
+// Reference geodesics on WGS84, computed with GeographicLib (Geodesic.WGS84, as in GeodTest.dat):
+// [lon1, lat1, lon2, lat2, azi1, azi2, s12]; azimuths in degrees clockwise from north (azi2 = forward azimuth at 2).
+const GEODESICS = [
+    [144.42486788, -37.95103342, 143.92649554, -37.65282114, 306.8681605822, 307.1736319954, 54972.269802],
+    [116.391, 39.907, 121.4737, 31.2304, 152.9047599469, 155.8710675015, 1066761.336094],
+    [-73.78, 40.64, 103.99, 1.36, 3.305773478, 177.4878402082, 15347512.940513],
+    [0, 0, 10, 0, 90, 90, 1113194.907933],
+    [179.5, 10, -179.5, 12, 26.195701193, 26.3865440773, 246748.794978],
+    [105.29, 28.835, 105.294, 28.838, 49.5760162667, 49.577945514, 512.779124],
+    [-0.1278, 51.5074, 2.3522, 48.8566, 148.0459280393, 149.9514052963, 343923.120091],
+    [10, 85, 100, 88, 21.8349645823, 111.7476347109, 601371.491562],
+    [20, -33.9, 151.2, -33.87, 140.9066716775, 39.0770389847, 10944378.350118]
+];
+
+// Reference polygon areas (m²) on WGS84, GeographicLib PolygonArea.
+const POLYGONS = {
+    '1 km block': { ring: [[105.29, 28.835], [105.30, 28.835], [105.30, 28.844], [105.29, 28.844]], area: 973448.9016 },
+    concave: { ring: [[116.30, 39.90], [116.34, 39.90], [116.34, 39.94], [116.32, 39.92], [116.30, 39.94]], area: 11391890.2325 },
+    '1° cell at the equator': { ring: [[0, 0], [1, 0], [1, 1], [0, 1]], area: 12308778361.4695 },
+    '1° cell at 60°N': { ring: [[10, 60], [11, 60], [11, 61], [10, 61]], area: 6122943163.0713 }
+};
+
+const toLonLat = (ring) => ring.map(([lon, lat]) => ({ lon, lat }));
+
+describe('geodesicInverse / geodesicDirect (Vincenty)', () => {
+    it("reproduces Vincenty's Flinders Peak - Buninyong example", () => {
+        const lat1 = dms(-37, 57, 3.72030), lon1 = dms(144, 25, 29.52440);
+        const lat2 = dms(-37, 39, 10.15610), lon2 = dms(143, 55, 35.38390);
+        const r = geodesicInverse(lon1, lat1, lon2, lat2);
+        expect(r.distance).toBeCloseTo(54972.271, 2);
+        expect(r.azimuth1).toBeCloseTo(dms(306, 52, 5.37), 5);
+        // Published as the reverse azimuth 127°10'25.07".
+        expect(r.azimuth2).toBeCloseTo(dms(127, 10, 25.07) + 180, 5);
+
+        const p = geodesicDirect(lon1, lat1, dms(306, 52, 5.37), 54972.271);
+        expect(p.lat).toBeCloseTo(lat2, 7);
+        expect(p.lon).toBeCloseTo(lon2, 7);
+    });
+
+    it.each(GEODESICS)('inverse %f,%f -> %f,%f', (lon1, lat1, lon2, lat2, azi1, azi2, s12) => {
+        const r = geodesicInverse(lon1, lat1, lon2, lat2);
+        expect(Math.abs(r.distance - s12)).toBeLessThan(1e-4);
+        expect(r.azimuth1).toBeCloseTo(azi1, 8);
+        expect(r.azimuth2).toBeCloseTo(azi2, 8);
+    });
+
+    it.each(GEODESICS)('direct %f,%f -> %f,%f', (lon1, lat1, lon2, lat2, azi1, azi2, s12) => {
+        const p = geodesicDirect(lon1, lat1, azi1, s12);
+        expect(p.lon).toBeCloseTo(lon2, 9);
+        expect(p.lat).toBeCloseTo(lat2, 9);
+        expect(p.azimuth2).toBeCloseTo(azi2, 8);
+    });
+
+    it('returns zero for coincident points', () => {
+        expect(geodesicInverse(105.29, 28.835, 105.29, 28.835).distance).toBe(0);
+    });
+});
+
+describe('ellipsoidalPolygonArea', () => {
+    it.each(Object.entries(POLYGONS))('%s', (_, { ring, area }) => {
+        expect(Math.abs(ellipsoidalPolygonArea(toLonLat(ring)) - area) / area).toBeLessThan(1e-6);
+    });
+
+    it('ignores winding and a closing vertex', () => {
+        const { ring, area } = POLYGONS.concave;
+        const closedReversed = toLonLat([...ring, ring[0]]).reverse();
+        expect(Math.abs(ellipsoidalPolygonArea(closedReversed) - area) / area).toBeLessThan(1e-6);
+    });
+});
+
+describe('MeasureMath (shared geodesic helpers)', () => {
+    it.each(Object.entries(POLYGONS))('calculateGeographicArea: %s', (_, { ring, area }) => {
+        expect(Math.abs(MeasureMath.calculateGeographicArea(toLonLat(ring)) - area) / area).toBeLessThan(1e-6);
+    });
+
+    it.each(GEODESICS.slice(0, 2))('calculateSurfaceDistance without terrain equals the geodesic', (lon1, lat1, lon2, lat2, _azi1, _azi2, s12) => {
+        const r = MeasureMath.calculateSurfaceDistance({ lon: lon1, lat: lat1 }, { lon: lon2, lat: lat2 });
+        expect(Math.abs(r.horizontal - s12)).toBeLessThan(1e-4);
+        expect(r.surface).toBe(r.horizontal);
+    });
+
+    it('calculateSurfaceDistance on a flat terrain keeps the geodesic length', () => {
+        const [lon1, lat1, lon2, lat2, , , s12] = GEODESICS[5];
+        const r = MeasureMath.calculateSurfaceDistance({ lon: lon1, lat: lat1 }, { lon: lon2, lat: lat2 }, () => 350, { stepMeters: 10 });
+        expect(Math.abs(r.horizontal - s12)).toBeLessThan(1e-4);
+        expect(Math.abs(r.surface - s12)).toBeLessThan(1e-4);
+        expect(r.samples.length).toBe(Math.ceil(s12 / 10) + 1);
+        expect(r.stepM).toBeCloseTo(s12 / Math.ceil(s12 / 10), 6);
+        expect(r.capped).toBe(false);
+    });
+
+    it('calculateSurfaceDistance reports the step it actually used when maxSegments caps it', () => {
+        const [lon1, lat1, lon2, lat2, , , s12] = GEODESICS[5];
+        const r = MeasureMath.calculateSurfaceDistance({ lon: lon1, lat: lat1 }, { lon: lon2, lat: lat2 }, () => 350, { stepMeters: 10, maxSegments: 4 });
+        expect(r.samples.length).toBe(5);
+        expect(r.capped).toBe(true);
+        expect(r.stepM).toBeCloseTo(s12 / 4, 6);
+        const path = MeasureMath.calculateSurfacePath([{ lon: lon1, lat: lat1 }, { lon: lon2, lat: lat2 }], () => 350, { stepMeters: 10, maxSegments: 4 });
+        expect(path.capped).toBe(true);
+        expect(path.stepM).toBeCloseTo(s12 / 4, 6);
+    });
+
+    it('calculateSurfaceDistance on a uniform grade is the slope length', () => {
+        const [lon1, lat1, lon2, lat2, , , s12] = GEODESICS[5];
+        // Elevation rising linearly along the line: 100 m over the whole length.
+        const getElevation = (lon) => (lon - lon1) / (lon2 - lon1) * 100;
+        const r = MeasureMath.calculateSurfaceDistance({ lon: lon1, lat: lat1 }, { lon: lon2, lat: lat2 }, getElevation, { stepMeters: 5 });
+        expect(r.surface).toBeCloseTo(Math.hypot(s12, 100), 2);
+    });
+
+    it('calculateSurfaceDistance interpolates samples without terrain instead of dropping to 0 m', () => {
+        const [lon1, lat1, lon2, lat2, , , s12] = GEODESICS[5];
+        const u = (lon) => (lon - lon1) / (lon2 - lon1);
+        // Same uniform grade, with holes at the start, in the middle and at the end.
+        const getElevation = (lon) => (u(lon) < 0.1 || (u(lon) > 0.4 && u(lon) < 0.6) || u(lon) > 0.9 ? NaN : u(lon) * 100);
+        const r = MeasureMath.calculateSurfaceDistance({ lon: lon1, lat: lat1 }, { lon: lon2, lat: lat2 }, getElevation, { stepMeters: 5 });
+        expect(r.samples.every((p) => Number.isFinite(p.elevation))).toBe(true);
+        expect(r.samples[Math.floor(r.samples.length / 2)].elevation).toBeCloseTo(50, 0);
+        // Flat ends (nearest valid height) shorten the climb slightly.
+        expect(r.surface).toBeGreaterThan(s12);
+        expect(r.surface).toBeLessThan(Math.hypot(s12, 100));
+
+        const none = MeasureMath.calculateSurfaceDistance({ lon: lon1, lat: lat1 }, { lon: lon2, lat: lat2 }, () => null);
+        expect(none.surface).toBe(none.horizontal);
+        expect(none.samples).toEqual([]);
+    });
+});
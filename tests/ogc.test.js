@@ -0,0 +1,180 @@
+// @vitest-environment jsdom
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import {
+    loadWmtsSource,
+    parseWmtsCapabilities,
+    resolveWmsSource,
+    resolveWmtsSource,
+    wmsTileBbox,
+    wmtsTileMatrixLabels
+} from '../src/maptiles/ogc.js';
+import { ImageryTiles } from '../src/maptiles/imageryTiles.js';
+import { startMockOgcServer } from './support/mockOgcServer.js';
+
+const WEB_MERCATOR_EXTENT = 20037508.342789244;
+// XYZ tile z=2, x=3, y=1: lon 90..180, lat 0..66.51326044°N.
+const TILE = { x: 3, y: 1, z: 2 };
+const TILE_LAT_MAX = 66.51326044311186;
+
+let server;
+beforeAll(async () => { server = await startMockOgcServer(); });
+afterAll(async () => { await server?.close(); });
+
+const bboxNumbers = (s) => s.split(',').map(Number);
+
+// Tile request URL exactly as the imagery loader builds it.
+function tileUrl({ tileUrl: template, tileOptions }, { x, y, z }) {
+    return new ImageryTiles({ tileUrl: template, ...tileOptions })._formatUrl(x, y, z);
+}
+
+describe('wmsTileBbox', () => {
+    it('uses Web Mercator meters by default', () => {
+        const v = bboxNumbers(wmsTileBbox(0, 0, 0));
+        [-WEB_MERCATOR_EXTENT, -WEB_MERCATOR_EXTENT, WEB_MERCATOR_EXTENT, WEB_MERCATOR_EXTENT]
+            .forEach((e, i) => expect(v[i]).toBeCloseTo(e, 3));
+    });
+
+    it('is lon,lat for EPSG:4326 in xy order', () => {
+        const [minX, minY, maxX, maxY] = bboxNumbers(wmsTileBbox(TILE.x, TILE.y, TILE.z, { crs: 'EPSG:4326' }));
+        expect(minX).toBeCloseTo(90, 9);
+        expect(minY).toBeCloseTo(0, 9);
+        expect(maxX).toBeCloseTo(180, 9);
+        expect(maxY).toBeCloseTo(TILE_LAT_MAX, 8);
+    });
+
+    it('is lat,lon for EPSG:4326 in yx order', () => {
+        const [minLat, minLon, maxLat, maxLon] = bboxNumbers(wmsTileBbox(TILE.x, TILE.y, TILE.z, { crs: 'EPSG:4326', axisOrder: 'yx' }));
+        expect(minLat).toBeCloseTo(0, 9);
+        expect(minLon).toBeCloseTo(90, 9);
+        expect(maxLat).toBeCloseTo(TILE_LAT_MAX, 8);
+        expect(maxLon).toBeCloseTo(180, 9);
+    });
+
+    it('rejects unsupported CRS', () => {
+        expect(() => wmsTileBbox(0, 0, 0, { crs: 'EPSG:4490' })).toThrow(/unsupported CRS/);
+    });
+});
+
+describe('resolveWmsSource', () => {
+    const base = () => ({ url: `${server.url}/geoserver/ows`, layers: 'topp:states', crs: 'EPSG:4326' });
+
+    it('WMS 1.1.1 + EPSG:4326: SRS parameter, lon,lat BBOX', async () => {
+        const src = resolveWmsSource({ ...base(), version: '1.1.1' });
+        expect(src.tileOptions).toEqual({ bboxCrs: 'EPSG:4326', bboxAxisOrder: 'xy' });
+        const url = new URL(tileUrl(src, TILE));
+        expect(url.searchParams.get('SRS')).toBe('EPSG:4326');
+        expect(url.searchParams.has('CRS')).toBe(false);
+        expect(bboxNumbers(url.searchParams.get('BBOX'))[0]).toBeCloseTo(90, 9);
+
+        const res = await fetch(url);
+        expect(res.status).toBe(200);
+        const [minLon, minLat, maxLon, maxLat] = bboxNumbers(res.headers.get('X-Mock-Extent'));
+        expect([minLon, minLat, maxLon]).toEqual([90, 0, 180]);
+        expect(maxLat).toBeCloseTo(TILE_LAT_MAX, 8);
+    });
+
+    it('WMS 1.3.0 + EPSG:4326: CRS parameter, lat,lon BBOX read back as the same extent', async () => {
+        const src = resolveWmsSource({ ...base(), version: '1.3.0' });
+        expect(src.tileOptions).toEqual({ bboxCrs: 'EPSG:4326', bboxAxisOrder: 'yx' });
+        const url = new URL(tileUrl(src, TILE));
+        expect(url.searchParams.get('CRS')).toBe('EPSG:4326');
+        expect(bboxNumbers(url.searchParams.get('BBOX'))[0]).toBeCloseTo(0, 9);
+
+        const res = await fetch(url);
+        expect(res.status).toBe(200);
+        const [minLon, minLat, maxLon, maxLat] = bboxNumbers(res.headers.get('X-Mock-Extent'));
+        expect([minLon, minLat, maxLon]).toEqual([90, 0, 180]);
+        expect(maxLat).toBeCloseTo(TILE_LAT_MAX, 8);
+    });
+
+    it('WMS 1.3.0 + EPSG:4326 with lon,lat order is rejected by the server', async () => {
+        const src = resolveWmsSource({ ...base(), version: '1.3.0' });
+        const res = await fetch(tileUrl({ ...src, tileOptions: { ...src.tileOptions, bboxAxisOrder: 'xy' } }, TILE));
+        expect(res.status).toBe(400);
+    });
+
+    it('WMS 1.3.0 + CRS:84 keeps lon,lat', () => {
+        const src = resolveWmsSource({ ...base(), version: '1.3.0', crs: 'CRS:84' });
+        expect(src.tileOptions.bboxAxisOrder).toBe('xy');
+    });
+
+    it('passes vendor parameters and keeps {bbox} last', () => {
+        const { tileUrl: template } = resolveWmsSource({ ...base(), params: { TIME: '2024-01-01' } });
+        expect(template).toMatch(/TIME=2024-01-01&BBOX=\{bbox\}$/);
+    });
+});
+
+describe('WMTS capabilities (GeoServer / GeoWebCache)', () => {
+    const capabilitiesUrl = () => `${server.url}/geoserver/gwc/service/wmts?SERVICE=WMTS&REQUEST=GetCapabilities`;
+    const fetchCapabilities = async () => parseWmtsCapabilities(await (await fetch(capabilitiesUrl())).text());
+
+    it('parseWmtsCapabilities reads the endpoint, layers and tile matrix sets', async () => {
+        const caps = await fetchCapabilities();
+        expect(caps.getTileUrl).toBe(`${server.url}/geoserver/gwc/service/wmts?`);
+        expect(caps.encodings).toContain('KVP');
+        expect(caps.layers).toHaveLength(1);
+        const layer = caps.layers[0];
+        expect(layer.identifier).toBe('topp:states');
+        expect(layer.styles).toEqual([{ identifier: 'population', isDefault: true }, { identifier: 'polygon', isDefault: false }]);
+        expect(layer.tileMatrixSets).toEqual(['EPSG:4326', 'EPSG:900913']);
+        expect(layer.resourceUrls.map((r) => r.format)).toEqual(['image/png', 'image/jpeg']);
+        expect(Object.keys(caps.tileMatrixSets)).toEqual(['EPSG:4326', 'EPSG:900913']);
+        expect(caps.tileMatrixSets['EPSG:900913'].matrices).toHaveLength(7);
+        expect(caps.tileMatrixSets['EPSG:900913'].matrices[3]).toMatchObject({
+            identifier: 'EPSG:900913:3', tileWidth: 256, matrixWidth: 8, matrixHeight: 8
+        });
+    });
+
+    it('wmtsTileMatrixLabels maps zooms to TileMatrix identifiers', async () => {
+        const caps = await fetchCapabilities();
+        expect(wmtsTileMatrixLabels(caps.tileMatrixSets['EPSG:900913'])).toEqual(
+            Object.fromEntries(Array.from({ length: 7 }, (_, z) => [z, `EPSG:900913:${z}`]))
+        );
+        // Geographic sets are not on the XYZ grid.
+        expect(wmtsTileMatrixLabels(caps.tileMatrixSets['EPSG:4326'])).toBeNull();
+    });
+
+    it('wmtsTileMatrixLabels rejects a shifted origin or an off-grid scale', () => {
+        const matrix = { identifier: '0', scaleDenominator: 559082264.0287178, topLeft: [-WEB_MERCATOR_EXTENT, WEB_MERCATOR_EXTENT], tileWidth: 256 };
+        const set = (m) => ({ crs: 'urn:ogc:def:crs:EPSG::3857', matrices: [{ ...matrix, ...m }] });
+        expect(wmtsTileMatrixLabels(set({}))).toEqual({ 0: '0' });
+        // Either axis order of the corner is accepted.
+        expect(wmtsTileMatrixLabels(set({ topLeft: [WEB_MERCATOR_EXTENT, -WEB_MERCATOR_EXTENT] }))).toEqual({ 0: '0' });
+        expect(wmtsTileMatrixLabels(set({ topLeft: [0, WEB_MERCATOR_EXTENT] }))).toBeNull();
+        expect(wmtsTileMatrixLabels(set({ scaleDenominator: 500000000 }))).toBeNull();
+    });
+
+    it('loadWmtsSource picks the Web Mercator set and the RESTful template', async () => {
+        const source = await loadWmtsSource(capabilitiesUrl(), { layer: 'topp:states' });
+        expect(source).toMatchObject({ baseMapType: 'wmts', minZoom: 0, maxNativeZoom: 6 });
+        expect(source.wmts).toMatchObject({
+            requestEncoding: 'RESTful', tileMatrixSet: 'EPSG:900913', style: 'population', format: 'image/png'
+        });
+
+        const url = tileUrl(resolveWmtsSource(source.wmts), { x: 5, y: 10, z: 4 });
+        expect(url).toBe(`${server.url}/geoserver/gwc/service/wmts/rest/topp:states/population/EPSG:900913/EPSG:900913:4/10/5?format=image/png`);
+        expect((await fetch(url)).status).toBe(200);
+    });
+
+    it('resolveWmtsSource KVP requests hit existing tile matrices', async () => {
+        const source = await loadWmtsSource(capabilitiesUrl(), { layer: 'topp:states', requestEncoding: 'KVP', style: 'polygon' });
+        expect(source.wmts).toMatchObject({ requestEncoding: 'KVP', url: `${server.url}/geoserver/gwc/service/wmts?` });
+
+        const resolved = resolveWmtsSource(source.wmts);
+        const url = new URL(tileUrl(resolved, { x: 5, y: 10, z: 4 }));
+        expect(Object.fromEntries(url.searchParams)).toMatchObject({
+            SERVICE: 'WMTS', REQUEST: 'GetTile', LAYER: 'topp:states', STYLE: 'polygon',
+            TILEMATRIXSET: 'EPSG:900913', TILEMATRIX: 'EPSG:900913:4', TILEROW: '10', TILECOL: '5'
+        });
+        expect((await fetch(url)).status).toBe(200);
+
+        // Without the zoom -> TileMatrix mapping GeoServer does not know the matrix.
+        const unmapped = resolveWmtsSource({ ...source.wmts, tileMatrixLabels: null });
+        expect((await fetch(tileUrl(unmapped, { x: 5, y: 10, z: 4 }))).status).toBe(400);
+    });
+
+    it('loadWmtsSource reports unknown layers and HTTP errors', async () => {
+        await expect(loadWmtsSource(capabilitiesUrl(), { layer: 'nope' })).rejects.toThrow(/not found \(available: topp:states\)/);
+        await expect(loadWmtsSource(`${server.url}/missing`, { layer: 'topp:states' })).rejects.toThrow(/HTTP 404/);
+    });
+});
@@ -0,0 +1,116 @@
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Local GeoServer-like OGC endpoint for the WMS / WMTS tests:
+ * - `/geoserver/gwc/service/wmts?REQUEST=GetCapabilities` -> `fixtures/geoserver-wmts-capabilities.xml`
+ * - `/geoserver/gwc/service/wmts?REQUEST=GetTile&...` (KVP) and `/geoserver/gwc/service/wmts/rest/...` (RESTful):
+ *   PNG when TileMatrixSet / TileMatrix / TileRow / TileCol exist in the capabilities, else an OWS exception (400)
+ * - `/geoserver/ows?SERVICE=WMS&REQUEST=GetMap&...`: PNG whose `X-Mock-Extent` header is the requested extent
+ *   as the server reads it (`minLon,minLat,maxLon,maxLat` or meters), honoring the WMS 1.3.0 EPSG:4326 lat,lon axis
+ *   order like GeoServer; out-of-range extents get an exception (400)
+ *
+ * Every request is recorded in `requests` (parsed URL).
+ */
+
+const CAPABILITIES = readFileSync(join(dirname(fileURLToPath(import.meta.url)), '../fixtures/geoserver-wmts-capabilities.xml'), 'utf8');
+
+// 1x1 transparent PNG.
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+// TileMatrixSet -> TileMatrix -> [matrixWidth, matrixHeight], read from the fixture.
+const MATRICES = (() => {
+    const sets = {};
+    for (const set of CAPABILITIES.matchAll(/<TileMatrixSet>\s*<ows:Identifier>([^<]+)<\/ows:Identifier>([\s\S]*?)<\/TileMatrixSet>/g)) {
+        const matrices = {};
+        for (const m of set[2].matchAll(/<ows:Identifier>([^<]+)<\/ows:Identifier>[\s\S]*?<MatrixWidth>(\d+)<\/MatrixWidth>\s*<MatrixHeight>(\d+)<\/MatrixHeight>/g)) {
+            matrices[m[1]] = [Number(m[2]), Number(m[3])];
+        }
+        sets[set[1]] = matrices;
+    }
+    return sets;
+})();
+
+function exception(res, code, text) {
+    res.writeHead(400, { 'Content-Type': 'application/vnd.ogc.se_xml' });
+    res.end(`<?xml version="1.0"?><ExceptionReport><Exception exceptionCode="${code}"><ExceptionText>${text}</ExceptionText></Exception></ExceptionReport>`);
+}
+
+function png(res, headers = {}) {
+    res.writeHead(200, { 'Content-Type': 'image/png', ...headers });
+    res.end(PNG);
+}
+
+function getTile(res, { set, matrix, row, col }) {
+    const size = MATRICES[set]?.[matrix];
+    if (!size) return exception(res, 'InvalidParameterValue', `Unknown TileMatrix ${set} / ${matrix}`);
+    if (!(row >= 0 && row < size[1] && col >= 0 && col < size[0])) return exception(res, 'TileOutOfRange', `${row},${col}`);
+    return png(res);
+}
+
+function getMap(res, q) {
+    const version = q.get('VERSION');
+    const crs = (version === '1.3.0' ? q.get('CRS') : q.get('SRS'))?.toUpperCase();
+    const bbox = String(q.get('BBOX') ?? '').split(',').map(Number);
+    if (!crs || bbox.length !== 4 || bbox.some((v) => !Number.isFinite(v))) return exception(res, 'MissingParameterValue', 'CRS/BBOX');
+
+    let [minX, minY, maxX, maxY] = bbox;
+    if (crs === 'EPSG:4326' && version === '1.3.0') [minY, minX, maxY, maxX] = bbox;
+    if (crs === 'EPSG:4326' || crs === 'CRS:84') {
+        if (Math.abs(minX) > 180 || Math.abs(maxX) > 180 || Math.abs(minY) > 90 || Math.abs(maxY) > 90) {
+            return exception(res, 'InvalidParameterValue', 'BBOX outside the CRS domain');
+        }
+    }
+    if (!(minX < maxX && minY < maxY)) return exception(res, 'InvalidParameterValue', 'empty BBOX');
+    return png(res, { 'X-Mock-Extent': [minX, minY, maxX, maxY].join(',') });
+}
+
+/**
+ * @returns {Promise<{url: string, requests: URL[], close: () => Promise<void>}>}
+ */
+export async function startMockOgcServer() {
+    const requests = [];
+    let base = '';
+    const server = createServer((req, res) => {
+        const url = new URL(req.url, base);
+        requests.push(url);
+        // OGC KVP parameter names are case-insensitive.
+        const q = new Map([...url.searchParams].map(([k, v]) => [k.toUpperCase(), v]));
+
+        const rest = /^\/geoserver\/gwc\/service\/wmts\/rest\/([^/]+)\/([^/]+)\/([^/]+)\/([^/]+)\/(\d+)\/(\d+)$/.exec(url.pathname);
+        if (rest) {
+            const [, , , set, matrix, row, col] = rest.map(decodeURIComponent);
+            return getTile(res, { set, matrix, row: Number(row), col: Number(col) });
+        }
+        if (url.pathname === '/geoserver/gwc/service/wmts') {
+            const request = q.get('REQUEST')?.toLowerCase();
+            if (request === 'getcapabilities') {
+                res.writeHead(200, { 'Content-Type': 'application/xml' });
+                return res.end(CAPABILITIES.replaceAll('{{BASE}}', base));
+            }
+            if (request === 'gettile') {
+                return getTile(res, {
+                    set: q.get('TILEMATRIXSET'),
+                    matrix: q.get('TILEMATRIX'),
+                    row: Number(q.get('TILEROW')),
+                    col: Number(q.get('TILECOL'))
+                });
+            }
+        }
+        if (url.pathname === '/geoserver/ows' && q.get('SERVICE') === 'WMS' && q.get('REQUEST') === 'GetMap') {
+            return getMap(res, q);
+        }
+        res.writeHead(404);
+        res.end();
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    return {
+        url: base,
+        requests,
+        close: () => new Promise((resolve) => server.close(() => resolve()))
+    };
+}
@@ -0,0 +1,17 @@
+import { describe, expect, it } from 'vitest';
+import { createZip, readZip, ZIP_MAX_ENTRIES } from '../src/utils/zip.js';
+
+describe('zip', () => {
+    it('round-trips stored entries', async () => {
+        const zip = await createZip([{ name: 'manifest.json', data: '{"a":1}' }, { name: 'terrain/1/2/3.f32', data: new Uint8Array([1, 2, 3, 4]) }]);
+        const read = await readZip(zip);
+        expect(read.names).toEqual(['manifest.json', 'terrain/1/2/3.f32']);
+        expect(new TextDecoder().decode(await read.read('manifest.json'))).toBe('{"a":1}');
+        expect(Array.from(await read.read('terrain/1/2/3.f32'))).toEqual([1, 2, 3, 4]);
+    });
+
+    it('refuses more entries than the format can count', async () => {
+        const entries = Array.from({ length: ZIP_MAX_ENTRIES + 1 }, (_, i) => ({ name: `t/${i}`, data: '' }));
+        await expect(createZip(entries)).rejects.toThrow(/65536 entries exceed the 65535-entry limit/);
+    });
+});
@@ -38,5 +38,11 @@ export default defineConfig({
         outDir: 'dist',
         emptyOutDir: true,
         sourcemap: true
+    },
+
+    // 单元测试（vitest，npm test）
+    test: {
+        include: ['tests/**/*.test.js'],
+        environment: 'node'
     }
 });